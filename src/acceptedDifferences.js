@@ -0,0 +1,107 @@
+import { patternToRegExp } from './comparators.js';
+
+// Expiry dates are inclusive: an entry expiring today still applies today
+function isExpired(entry, today) {
+  return entry.expires < today;
+}
+
+function matchesValue(pattern, value) {
+  if (pattern === undefined) return true;
+  if (pattern === null) return value === null || value === undefined;
+  if (value === null || value === undefined) return false;
+  return pattern.test(value instanceof Date ? value.toISOString() : String(value));
+}
+
+function compileEntry(entry) {
+  return {
+    entry,
+    column: patternToRegExp(entry.column),
+    skuCodes: entry.sku_codes ? new Set(entry.sku_codes.map(String)) : null,
+    oldValue: typeof entry.old_value === 'string' ? new RegExp(entry.old_value) : entry.old_value,
+    newValue: typeof entry.new_value === 'string' ? new RegExp(entry.new_value) : entry.new_value,
+    matched: 0,
+    expiredMatches: 0
+  };
+}
+
+function matches(rule, difference) {
+  return (!rule.entry.type || rule.entry.type === difference.type)
+    && (rule.column.test(difference.new_column) || rule.column.test(difference.old_column))
+    && (!rule.skuCodes || rule.skuCodes.has(String(difference.sku_code)))
+    && matchesValue(rule.oldValue, difference.old_value)
+    && matchesValue(rule.newValue, difference.new_value);
+}
+
+// Build the allowlist of one tenant from the accepted-differences entries.
+// match() returns the entry that accepts a difference; expired entries never
+// accept one but count what they would have matched.
+export function createAllowlist(entries = [], dbName, { today = new Date().toISOString().slice(0, 10) } = {}) {
+  const rules = entries
+    .filter(entry => !entry.tenants || entry.tenants.some(tenant => patternToRegExp(tenant).test(dbName)))
+    .map(compileEntry);
+
+  return {
+    get size() {
+      return rules.length;
+    },
+
+    match(difference) {
+      let accepted = null;
+
+      for (const rule of rules) {
+        if (!matches(rule, difference)) continue;
+
+        if (isExpired(rule.entry, today)) {
+          rule.expiredMatches++;
+        } else if (!accepted) {
+          rule.matched++;
+          accepted = rule.entry;
+        }
+      }
+
+      return accepted;
+    },
+
+    // Every entry of this tenant: expired entries need renewing or removing,
+    // stale ones no longer match anything
+    report() {
+      return rules.map(({ entry, matched, expiredMatches }) => ({
+        id: entry.id,
+        reason: entry.reason,
+        owner: entry.owner,
+        expires: entry.expires,
+        status: isExpired(entry, today) ? 'expired' : matched === 0 ? 'stale' : 'active',
+        matched,
+        expiredMatches
+      }));
+    }
+  };
+}
+
+// Checks JSON Schema cannot express; returns one message per problem
+export function findAllowlistProblems(entries = []) {
+  const problems = [];
+  const ids = new Set();
+
+  entries.forEach((entry, index) => {
+    const scope = `entries[${index}] (${entry.id})`;
+
+    if (ids.has(entry.id)) problems.push(`${scope}: duplicate id "${entry.id}"`);
+    ids.add(entry.id);
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(entry.expires) || Number.isNaN(Date.parse(entry.expires))) {
+      problems.push(`${scope}: expires "${entry.expires}" is not a YYYY-MM-DD date`);
+    }
+
+    for (const field of ['old_value', 'new_value']) {
+      if (typeof entry[field] !== 'string') continue;
+      try {
+        new RegExp(entry[field]);
+      } catch (error) {
+        problems.push(`${scope}: ${field} is not a valid regular expression: ${error.message}`);
+      }
+    }
+  });
+
+  return problems;
+}
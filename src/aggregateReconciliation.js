@@ -0,0 +1,172 @@
+import { patternToRegExp } from './comparators.js';
+import { toComparable } from './comparisonEngine.js';
+
+// Columns aggregated when the config leaves them out
+export const DEFAULT_AGGREGATE_SETTINGS = {
+  status_column: 'is_active',
+  active_value: '1',
+  deleted_column: 'deleted_at',
+  sum_columns: ['uom_factor'],
+  group_by_columns: ['tax_type', 'tax_group_id'],
+  thresholds: {}
+};
+
+// Without a threshold, old and new must agree exactly
+const EXACT = { max_difference: 0, max_percent: 0 };
+
+// Exact metric names win over wildcard keys such as "sum:*"
+function thresholdFor(thresholds, metric) {
+  if (thresholds[metric]) return { ...EXACT, ...thresholds[metric] };
+
+  for (const [pattern, threshold] of Object.entries(thresholds)) {
+    if (pattern.includes('*') && patternToRegExp(pattern).test(metric)) return { ...EXACT, ...threshold };
+  }
+
+  return EXACT;
+}
+
+// Sums come back as DECIMAL strings; round away float noise in the delta
+function compare(metric, label, oldValue, newValue, thresholds) {
+  const delta = Number((newValue - oldValue).toFixed(10));
+  const percent = oldValue === 0 ? (delta === 0 ? 0 : null) : delta / Math.abs(oldValue) * 100;
+  const threshold = thresholdFor(thresholds, metric);
+  const withinThreshold = Math.abs(delta) <= threshold.max_difference
+    || (percent !== null && Math.abs(percent) <= threshold.max_percent);
+
+  return { metric, label, old: oldValue, new: newValue, delta, percent, threshold, withinThreshold };
+}
+
+// The scalar metrics of a tenant, with the column each one reads on either
+// side; complement adds a second metric counting the rows the first does not
+function defineMetrics(queries, { attributeMappings, categoryMappings, comparators }, settings) {
+  const metrics = [{ metric: 'rows', label: 'Rows', kind: 'rows' }];
+  const skipped = [];
+
+  const missingIn = (oldColumn, newColumn) => {
+    if (!queries.has('old', oldColumn)) return `${oldColumn} missing in ${queries.tables.old}`;
+    if (!queries.has('new', newColumn)) return `${newColumn} missing in ${queries.tables.new}`;
+    return null;
+  };
+
+  const add = (definition, oldColumn, newColumn = oldColumn) => {
+    const reason = missingIn(oldColumn, newColumn);
+    if (reason) {
+      skipped.push({ metric: definition.metric, reason });
+      return;
+    }
+    metrics.push({ ...definition, columns: { old: oldColumn, new: newColumn } });
+  };
+
+  const pairLabel = (oldColumn, newColumn) => oldColumn === newColumn ? newColumn : `${oldColumn} -> ${newColumn}`;
+
+  if (settings.status_column) {
+    add({
+      metric: 'active_rows',
+      label: `Active rows (${settings.status_column} = ${settings.active_value})`,
+      kind: 'equal',
+      value: settings.active_value,
+      complement: { metric: 'inactive_rows', label: 'Inactive rows' }
+    }, settings.status_column);
+  }
+
+  if (settings.deleted_column) {
+    add({
+      metric: 'deleted_rows',
+      label: `Deleted rows (${settings.deleted_column} set)`,
+      kind: 'not-null',
+      complement: { metric: 'live_rows', label: 'Live rows' }
+    }, settings.deleted_column);
+  }
+
+  for (const column of settings.sum_columns || []) {
+    add({ metric: `sum:${column}`, label: `Sum of ${column}`, kind: 'sum' }, column);
+  }
+
+  // Numeric attributes are summed too, as their comparators read them
+  for (const [newColumn, oldColumn] of attributeMappings) {
+    if (comparators.forColumn(oldColumn, newColumn).rules.type === 'number') {
+      add({ metric: `sum:${newColumn}`, label: `Sum of ${pairLabel(oldColumn, newColumn)}`, kind: 'sum' }, oldColumn, newColumn);
+    }
+  }
+
+  for (const [newColumn, oldColumn] of [...attributeMappings, ...categoryMappings]) {
+    add({ metric: `distinct:${newColumn}`, label: `Distinct values of ${pairLabel(oldColumn, newColumn)}`, kind: 'distinct' }, oldColumn, newColumn);
+  }
+
+  const groupColumns = [];
+  for (const column of settings.group_by_columns || []) {
+    const reason = missingIn(column, column);
+    if (reason) {
+      skipped.push({ metric: `count:${column}=*`, reason });
+    } else {
+      groupColumns.push(column);
+    }
+  }
+
+  return { metrics, groupColumns, skipped };
+}
+
+async function countGroups(connection, queries, side, column) {
+  const [rows] = await connection.query(queries.groupCounts(side, column));
+  const counts = new Map();
+  for (const row of rows) {
+    const value = toComparable(row.value) ?? 'NULL';
+    counts.set(value, (counts.get(value) || 0) + Number(row.count));
+  }
+  return counts;
+}
+
+// Tenant-wide reconciliation numbers of both flat tables side by side: row
+// counts, active/inactive and deleted/live rows, sums of numeric columns,
+// distinct values per attribute and category column, and row counts per
+// value of the group_by_columns. Each metric passes when its delta is within
+// max_difference or within max_percent of the old value; thresholds are keyed
+// by metric name ("rows", "sum:uom_factor", "count:tax_type=INC"), with *
+// wildcards.
+export async function reconcileAggregates(connection, queries, mappings, settings = {}) {
+  const resolved = { ...DEFAULT_AGGREGATE_SETTINGS, ...settings };
+  const thresholds = resolved.thresholds || {};
+  const { metrics, groupColumns, skipped } = defineMetrics(queries, mappings, resolved);
+
+  const totals = {};
+  for (const side of ['old', 'new']) {
+    const [[row]] = await connection.query(queries.aggregates(side, metrics.map(metric => ({
+      kind: metric.kind,
+      column: metric.columns?.[side],
+      value: metric.value
+    }))));
+    totals[side] = metrics.map((metric, index) => Number(row[`m${index}`] ?? 0));
+  }
+
+  const rowCount = { old: totals.old[0], new: totals.new[0] };
+  const results = [];
+  metrics.forEach((metric, index) => {
+    results.push(compare(metric.metric, metric.label, totals.old[index], totals.new[index], thresholds));
+    if (metric.complement) {
+      results.push(compare(
+        metric.complement.metric,
+        metric.complement.label,
+        rowCount.old - totals.old[index],
+        rowCount.new - totals.new[index],
+        thresholds
+      ));
+    }
+  });
+
+  for (const column of groupColumns) {
+    const oldCounts = await countGroups(connection, queries, 'old', column);
+    const newCounts = await countGroups(connection, queries, 'new', column);
+    const values = [...new Set([...oldCounts.keys(), ...newCounts.keys()])]
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+    for (const value of values) {
+      results.push(compare(`count:${column}=${value}`, `Rows with ${column} = ${value}`, oldCounts.get(value) || 0, newCounts.get(value) || 0, thresholds));
+    }
+  }
+
+  return {
+    metrics: results,
+    exceeded: results.filter(result => !result.withinThreshold).length,
+    skipped
+  };
+}
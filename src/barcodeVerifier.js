@@ -0,0 +1,152 @@
+import fs from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv';
+import { joinKeyOf, tableBatches } from './comparisonEngine.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const BARCODES_SCHEMA_PATH = join(__dirname, '../schemas/barcodes.schema.json');
+const MEDIAS_SCHEMA_PATH = join(__dirname, '../schemas/medias.schema.json');
+
+export const DEFAULT_BARCODE_COLUMNS = {
+  old_column: 'barcode',
+  new_column: 'barcodes',
+  medias_column: 'medias'
+};
+
+let validatorsPromise = null;
+
+// Both schemas are compiled once per process
+function loadValidators() {
+  if (!validatorsPromise) {
+    validatorsPromise = (async () => {
+      const ajv = new Ajv({ allErrors: true });
+      const compile = async path => ajv.compile(JSON.parse(await fs.readFile(path, 'utf8')));
+      return { barcodes: await compile(BARCODES_SCHEMA_PATH), medias: await compile(MEDIAS_SCHEMA_PATH) };
+    })();
+  }
+  return validatorsPromise;
+}
+
+// JSON columns arrive parsed from the driver; text columns holding JSON do not
+function parseJsonColumn(value) {
+  if (value === null || value === undefined) return { value: null };
+  if (typeof value !== 'string' && !Buffer.isBuffer(value)) return { value };
+
+  try {
+    return { value: JSON.parse(String(value)) };
+  } catch (error) {
+    return { error: `not valid JSON: ${error.message}` };
+  }
+}
+
+function describeShapeErrors(errors) {
+  return errors.map(error => `${error.instancePath || '(root)'} ${error.message}`).join('; ');
+}
+
+function barcodeValues(barcodes) {
+  return [...new Set(barcodes
+    .map(item => typeof item === 'string' ? item : item?.barcode)
+    .filter(barcode => typeof barcode === 'string')
+    .map(barcode => barcode.trim())
+    .filter(barcode => barcode !== ''))];
+}
+
+// Parse and validate the barcodes and medias of one new-table row; returns
+// the barcodes found, or null when the column cannot be read
+function readNewRow(row, columns, validators, addProblem) {
+  const skuCode = row[columns.joinKey];
+  let barcodes = [];
+
+  const parsedBarcodes = parseJsonColumn(row[columns.new_column]);
+  if (parsedBarcodes.error) {
+    addProblem('invalid', { sku_code: skuCode, column: columns.new_column, problem: parsedBarcodes.error });
+    barcodes = null;
+  } else if (parsedBarcodes.value !== null) {
+    if (validators.barcodes(parsedBarcodes.value)) {
+      barcodes = barcodeValues(parsedBarcodes.value);
+    } else {
+      addProblem('invalid', { sku_code: skuCode, column: columns.new_column, problem: describeShapeErrors(validators.barcodes.errors) });
+      barcodes = Array.isArray(parsedBarcodes.value) ? barcodeValues(parsedBarcodes.value) : null;
+    }
+  }
+
+  if (columns.medias_column) {
+    const parsedMedias = parseJsonColumn(row[columns.medias_column]);
+    if (parsedMedias.error) {
+      addProblem('invalid', { sku_code: skuCode, column: columns.medias_column, problem: parsedMedias.error });
+    } else if (parsedMedias.value !== null && !validators.medias(parsedMedias.value)) {
+      addProblem('invalid', { sku_code: skuCode, column: columns.medias_column, problem: describeShapeErrors(validators.medias.errors) });
+    }
+  }
+
+  return barcodes;
+}
+
+// Check the JSON barcodes and medias columns of the new flat table: every
+// value parses and matches schemas/barcodes.schema.json and
+// schemas/medias.schema.json, the old table's barcode is in the SKU's
+// barcodes array, and no barcode belongs to more than one SKU of the tenant.
+// Only maxListed problems of each kind are kept; all are counted.
+export async function verifyBarcodes(connection, queries, { columns = DEFAULT_BARCODE_COLUMNS, batchSize = 1000, maxListed = 500 } = {}) {
+  const validators = await loadValidators();
+  const settings = { ...DEFAULT_BARCODE_COLUMNS, ...columns, joinKey: queries.joinKey };
+  const mediasColumn = settings.medias_column && queries.has('new', settings.medias_column) ? settings.medias_column : null;
+  const newColumns = [settings.new_column, ...(mediasColumn ? [mediasColumn] : [])];
+
+  const result = {
+    columns: { old: settings.old_column, new: settings.new_column, medias: mediasColumn },
+    skusChecked: 0,
+    barcodesFound: 0,
+    missing: { count: 0, items: [] },
+    invalid: { count: 0, items: [] },
+    duplicates: { count: 0, items: [] }
+  };
+
+  const addProblem = (kind, item) => {
+    result[kind].count++;
+    if (result[kind].items.length < maxListed) result[kind].items.push(item);
+  };
+
+  for await (const rows of tableBatches(connection, queries, 'new', newColumns, batchSize)) {
+    for (const row of rows) {
+      const barcodes = readNewRow(row, { ...settings, medias_column: mediasColumn }, validators, addProblem);
+      result.barcodesFound += barcodes?.length || 0;
+    }
+  }
+
+  // Barcodes shared across SKUs are grouped by the database, which keeps a
+  // tenant's barcodes out of memory
+  const [[{ count: sharedCount }]] = await connection.query(queries.sharedBarcodes(settings.new_column, { countOnly: true }));
+  if (Number(sharedCount) > 0) {
+    const [shared] = await connection.query(queries.sharedBarcodes(settings.new_column, { limit: maxListed }));
+    result.duplicates = {
+      count: Number(sharedCount),
+      items: shared.map(row => ({ barcode: row.barcode, skuCount: Number(row.sku_count), sku_codes: row.sku_codes }))
+    };
+  }
+
+  // The old barcode of every SKU on both sides must be among its new barcodes
+  for await (const oldRows of tableBatches(connection, queries, 'old', [settings.old_column], batchSize)) {
+    const [newRows] = await connection.query(queries.selectByKeys('new', [settings.new_column], oldRows.map(row => String(row[queries.joinKey]))));
+    const newByKey = new Map(newRows.map(row => [joinKeyOf(row[queries.joinKey]), row]));
+
+    for (const oldRow of oldRows) {
+      const newRow = newByKey.get(joinKeyOf(oldRow[queries.joinKey]));
+      if (!newRow) continue;
+      result.skusChecked++;
+
+      const oldBarcode = String(oldRow[settings.old_column] ?? '').trim();
+      if (oldBarcode === '') continue;
+
+      const parsed = parseJsonColumn(newRow[settings.new_column]);
+      const barcodes = Array.isArray(parsed.value) ? barcodeValues(parsed.value) : [];
+      if (!barcodes.includes(oldBarcode)) {
+        addProblem('missing', { sku_code: oldRow[queries.joinKey], old_barcode: oldBarcode, new_barcodes: barcodes.join(', ') });
+      }
+    }
+  }
+
+  return result;
+}
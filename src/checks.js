@@ -0,0 +1,270 @@
+import { describeClassifications } from './mismatchClassifier.js';
+
+// Turn the results of verifyDatabase into named pass/fail checks. Reports,
+// JUnit output and exit codes all derive from this one list.
+
+function countMissing(missingColumns) {
+  return (missingColumns?.oldTable?.length || 0) + (missingColumns?.newTable?.length || 0);
+}
+
+function countRows(mismatches) {
+  return (mismatches || []).reduce((total, mismatch) => total + (mismatch.mismatchCount ?? mismatch.differences?.length ?? 0), 0);
+}
+
+function columnLabel(mismatch) {
+  return mismatch.column || `${mismatch.old_column} -> ${mismatch.new_column}`;
+}
+
+function missingColumnsCheck(name, missingColumns) {
+  if (!missingColumns) return { name, status: 'skipped', message: 'Not run' };
+
+  const count = countMissing(missingColumns);
+  return count === 0
+    ? { name, status: 'passed', message: 'All mapped columns exist in both tables' }
+    : {
+      name,
+      status: 'failed',
+      message: `${count} mapped column(s) missing`,
+      details: [
+        ...(missingColumns.oldTable || []).map(column => `old table: ${column.missingColumn || column}`),
+        ...(missingColumns.newTable || []).map(column => `new table: ${column.missingColumn || column}`)
+      ]
+    };
+}
+
+// The SKUs whose values were compared. A sample that did not escalate only
+// speaks for the SKUs it compared; an incremental run also speaks for the
+// SKUs that matched before and did not change since.
+function valueScope({ sampling = null, incremental = null }) {
+  if (sampling && !sampling.escalated) {
+    return { text: ` in a ${sampling.method} sample of ${sampling.sampled} of ${sampling.population} SKU(s)`, partial: true };
+  }
+  if (incremental?.mode === 'incremental') {
+    return { text: ` in ${incremental.comparedSkus} changed or still mismatching SKU(s)`, partial: false };
+  }
+  return { text: '', partial: false };
+}
+
+function valueCheck(name, mismatches, scope = { text: '', partial: false }) {
+  if (!mismatches) return { name, status: 'skipped', message: 'Not run' };
+
+  return mismatches.length === 0
+    ? { name, status: 'passed', message: `All values match${scope.text}${scope.partial ? '; not a full proof' : ''}` }
+    : {
+      name,
+      status: 'failed',
+      message: `${countRows(mismatches)} mismatching value(s) in ${mismatches.length} column(s)${scope.text}`,
+      details: mismatches.map(mismatch => {
+        const causes = describeClassifications(mismatch.classifications);
+        return `${columnLabel(mismatch)}: ${mismatch.mismatchCount ?? mismatch.differences.length} mismatch(es)${causes ? ` (${causes})` : ''}`;
+      })
+    };
+}
+
+function skuCheck(skuMismatches) {
+  const name = 'sku-codes';
+  if (!skuMismatches) return { name, status: 'skipped', message: 'Not run' };
+
+  const missingInNew = skuMismatches.missingInNew?.length || 0;
+  const missingInOld = skuMismatches.missingInOld?.length || 0;
+
+  return missingInNew + missingInOld === 0
+    ? { name, status: 'passed', message: 'All SKU codes exist in both tables' }
+    : { name, status: 'failed', message: `${missingInNew} SKU(s) missing in new table, ${missingInOld} SKU(s) missing in old table` };
+}
+
+function lifecycleCheck(skuMismatches) {
+  const name = 'sku-lifecycle';
+  const lifecycle = skuMismatches?.lifecycle;
+  if (!lifecycle) return { name, status: 'skipped', message: 'Not run' };
+
+  return lifecycle.mismatchCount === 0
+    ? { name, status: 'passed', message: `${lifecycle.skusChecked} SKU(s) in scope have the same lifecycle status in both tables` }
+    : {
+      name,
+      status: 'failed',
+      message: `${lifecycle.mismatchCount} of ${lifecycle.skusChecked} SKU(s) in scope have a different lifecycle status`,
+      details: lifecycle.states.filter(state => !state.consistent).map(state => `${state.label}: ${state.count} SKU(s)`)
+    };
+}
+
+function schemaCheck(schemaDiff) {
+  const name = 'schema';
+  if (!schemaDiff) return { name, status: 'skipped', message: 'Not run' };
+
+  const risks = schemaDiff.findings.filter(finding => finding.severity === 'risk');
+  return risks.length === 0
+    ? { name, status: 'passed', message: `${schemaDiff.columnsChecked} column pair(s) checked, no risky changes` }
+    : {
+      name,
+      status: 'failed',
+      message: `${risks.length} risky schema change(s)`,
+      details: risks.map(risk => `${risk.old_column} -> ${risk.new_column}: ${risk.message}`)
+    };
+}
+
+function mappingDiscoveryCheck(discovery) {
+  const name = 'attribute-mapping-discovery';
+  if (!discovery) return { name, status: 'skipped', message: 'Not enabled' };
+  // Tenants without attribute base tables are verified with the configured mappings
+  if (discovery.error) return { name, status: 'skipped', message: `Mappings could not be discovered: ${discovery.error}` };
+
+  const drift = discovery.differing.length + discovery.onlyInDiscovered.length;
+  return drift + discovery.duplicates.length === 0
+    ? { name, status: 'passed', message: `${discovery.matching.length} discovered mapping(s) match the config` }
+    : {
+      name,
+      status: 'failed',
+      message: `${drift} mapping(s) drift from the config, ${discovery.duplicates.length} duplicate attribute(s)`,
+      details: [
+        ...discovery.differing.map(d => `${d.new_column}: config ${d.static_old_column}, discovered ${d.discovered_old_column}`),
+        ...discovery.onlyInDiscovered.map(d => `${d.new_column}: discovered ${d.old_column}, not in config`),
+        ...discovery.duplicates.map(d => `${d.table}.${d.field} "${d.value}" used by ids ${d.ids}`)
+      ]
+    };
+}
+
+function acceptedDifferencesCheck(acceptedDifferences) {
+  const name = 'accepted-differences';
+  if (!acceptedDifferences || acceptedDifferences.entries.length === 0) {
+    return { name, status: 'skipped', message: 'No accepted differences apply' };
+  }
+
+  const accepted = acceptedDifferences.columns.reduce((total, column) => total + column.acceptedCount, 0);
+  const expired = acceptedDifferences.entries.filter(entry => entry.status === 'expired');
+  const stale = acceptedDifferences.entries.filter(entry => entry.status === 'stale');
+  const details = [
+    ...expired.map(entry => `${entry.id}: expired on ${entry.expires} (owner ${entry.owner}), would have accepted ${entry.expiredMatches} difference(s)`),
+    ...stale.map(entry => `${entry.id}: no longer matches any difference (owner ${entry.owner})`)
+  ];
+  const message = `${accepted} difference(s) accepted; allowlist entries: ${expired.length} expired, ${stale.length} stale`;
+
+  // Stale entries are flagged but do not fail the run; the data they covered is fixed
+  return expired.length === 0
+    ? { name, status: 'passed', message, ...(details.length > 0 ? { details } : {}) }
+    : { name, status: 'failed', message, details };
+}
+
+function referenceCheck(name, references) {
+  if (!references) return { name, status: 'skipped', message: 'Not run' };
+  // Without the lookup table nothing is proven; the tenant must not pass
+  if (references.error) return { name, status: 'error', message: `Id columns could not be verified: ${references.error}` };
+
+  return references.count === 0
+    ? { name, status: 'passed', message: `${references.columnsChecked} id column(s) resolve consistently through ${references.lookup}` }
+    : {
+      name,
+      status: 'failed',
+      message: `${references.count} orphaned or inconsistent id(s) in ${references.findings.length} column(s)`,
+      details: references.findings.flatMap(finding => [
+        `${finding.id_column} (${finding.check}, against ${finding.value_column}): ${finding.count} problem(s)`,
+        ...finding.items.map(item => `  ${item.sku_code}: ${item.problem}, id ${item.id ?? 'NULL'}`)
+      ])
+    };
+}
+
+function barcodeCheck(barcodes) {
+  const name = 'barcodes';
+  if (!barcodes) return { name, status: 'skipped', message: 'Not run' };
+  // A check that could not run proves nothing; it must not pass the tenant
+  if (barcodes.error) return { name, status: 'error', message: `Barcodes could not be verified: ${barcodes.error}` };
+
+  const { missing, invalid, duplicates } = barcodes;
+  return missing.count + invalid.count + duplicates.count === 0
+    ? { name, status: 'passed', message: `${barcodes.skusChecked} SKU(s) checked, every old barcode is in the new barcodes` }
+    : {
+      name,
+      status: 'failed',
+      message: `${missing.count} old barcode(s) missing, ${invalid.count} invalid JSON value(s), ${duplicates.count} barcode(s) shared by several SKUs`,
+      details: [
+        ...missing.items.map(item => `${item.sku_code}: barcode ${item.old_barcode} missing`),
+        ...invalid.items.map(item => `${item.sku_code}: ${item.column} ${item.problem}`),
+        ...duplicates.items.map(item => `${item.barcode}: used by ${item.skuCount} SKUs (${item.sku_codes})`)
+      ]
+    };
+}
+
+function formatDelta(metric) {
+  const sign = metric.delta > 0 ? '+' : '';
+  return `${sign}${metric.delta}${metric.percent === null ? '' : `, ${sign}${metric.percent.toFixed(2)}%`}`;
+}
+
+function aggregateCheck(aggregates) {
+  const name = 'aggregates';
+  if (!aggregates) return { name, status: 'skipped', message: 'Not run' };
+
+  const exceeded = aggregates.metrics.filter(metric => !metric.withinThreshold);
+  return exceeded.length === 0
+    ? { name, status: 'passed', message: `${aggregates.metrics.length} aggregate(s) within their thresholds` }
+    : {
+      name,
+      status: 'failed',
+      message: `${exceeded.length} of ${aggregates.metrics.length} aggregate(s) beyond their thresholds`,
+      details: exceeded.map(metric => `${metric.metric}: old ${metric.old}, new ${metric.new} (${formatDelta(metric)})`)
+    };
+}
+
+export const formatRate = rate => `${(rate * 100).toFixed(2)}%`;
+
+// Estimated mismatch rates of a sampled run against escalate_above
+function samplingCheck(sampling) {
+  const name = 'sampling';
+  if (!sampling) return { name, status: 'skipped', message: 'Not run; every SKU compared' };
+
+  if (!sampling.probabilistic) {
+    return { name, status: 'passed', message: `${sampling.sampled} most recently updated SKU(s) sampled; not a random sample, so no rates are estimated and nothing escalates` };
+  }
+
+  const above = sampling.estimates.filter(estimate => estimate.aboveThreshold);
+  const escalation = sampling.escalated ? '; escalated to a full run' : '';
+  return above.length === 0
+    ? {
+      name,
+      status: 'passed',
+      message: sampling.escalateAbove === null
+        ? `${sampling.sampled} of ${sampling.population} SKU(s) sampled; no escalation threshold set`
+        : `Estimated mismatch rates of ${sampling.sampled} sampled SKU(s) at or below ${formatRate(sampling.escalateAbove)}`
+    }
+    : {
+      name,
+      status: 'failed',
+      message: `Estimated mismatch rate above ${formatRate(sampling.escalateAbove)} in ${above.length} column(s)${escalation}`,
+      details: above.map(estimate => `${estimate.old_column === estimate.new_column ? estimate.new_column : columnLabel(estimate)}: ${formatRate(estimate.rate)} (${formatRate(estimate.lower)} - ${formatRate(estimate.upper)} at ${sampling.confidence * 100}% confidence)`)
+    };
+}
+
+export function evaluateChecks(results) {
+  const scope = valueScope(results);
+  const checks = [
+    missingColumnsCheck('attribute-columns', results.missingAttributeColumns),
+    missingColumnsCheck('category-columns', results.missingCategoryColumns),
+    missingColumnsCheck('common-columns', results.missingCommonColumns),
+    mappingDiscoveryCheck(results.mappingDiscovery),
+    schemaCheck(results.schemaDiff),
+    skuCheck(results.skuMismatches),
+    lifecycleCheck(results.skuMismatches),
+    valueCheck('attribute-values', results.attributeMismatches, scope),
+    valueCheck('category-values', results.categoryMismatches, scope),
+    valueCheck('common-column-values', results.commonColumnMismatches, scope),
+    samplingCheck(results.sampling),
+    referenceCheck('attribute-references', results.attributeReferences),
+    referenceCheck('category-references', results.categoryReferences),
+    barcodeCheck(results.barcodes),
+    aggregateCheck(results.aggregates),
+    acceptedDifferencesCheck(results.acceptedDifferences)
+  ];
+
+  // Checks that never ran show as skipped next to the error that stopped them
+  if (results.error) {
+    checks.unshift({ name: 'verification', status: 'error', message: results.error });
+  }
+
+  return checks;
+}
+
+// error beats failed beats passed
+export function overallStatus(checks) {
+  if (checks.some(check => check.status === 'error')) return 'error';
+  if (checks.some(check => check.status === 'failed')) return 'failed';
+  return 'passed';
+}
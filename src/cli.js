@@ -0,0 +1,427 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import fs from 'fs/promises';
+import { basename, dirname, join, resolve } from 'path';
+import logger from './logger.js';
+import ReportGenerator, { DEFAULT_REPORTS_DIR, REPORT_FORMATS, loadRunResults } from './reportGenerator.js';
+import MismatchExporter, { EXPORT_FORMATS } from './mismatchExporter.js';
+import RemediationWriter, { REMEDIATION_FORMAT } from './remediationWriter.js';
+import { CHECK_GROUPS, createPool, discoverTenantMappings, hasDatabaseCredentials, verifyDatabase } from './index.js';
+import { runWithConcurrency } from './concurrency.js';
+import { SAMPLING_METHODS } from './sampling.js';
+import { IncrementalTracker, INCREMENTAL_DIRECTORY } from './incremental.js';
+import { loadConfig } from './config.js';
+import { environmentProblems, readInteger } from './environment.js';
+import { MismatchKeyWriter, compareRuns, loadHistory, previousRun, recordRun } from './history.js';
+
+const EXIT_CODES = { passed: 0, failed: 1, error: 2 };
+
+const OUTPUT_FORMATS = [...REPORT_FORMATS, ...EXPORT_FORMATS, REMEDIATION_FORMAT];
+
+const USAGE = `Usage: item-verification <command> [options]
+
+Commands:
+  verify                  Verify columns, schema, SKU codes and values of every tenant
+  schema-diff             Only check mapped columns exist and compare their definitions
+  discover-mappings       Derive attribute mappings per tenant and diff them against the config
+  report <run-directory>  Regenerate the reports of an earlier run from its JSON results
+  compare [run-id]        Report mismatches that are new, resolved or persisting since a baseline run
+                          (default: the latest run against the one before it)
+
+Options:
+  -t, --tenants <list>    Comma-separated tenant databases; * and ? match against SHOW DATABASES
+                          (default: TENANT_DBS)
+      --tenants-file <p>  File with one tenant (or pattern) per line; # starts a comment
+      --checks <list>     Check groups to run: ${CHECK_GROUPS.join(', ')} (default: all)
+  -o, --output-dir <dir>  Directory the run directory is created in (default: reports/)
+  -f, --formats <list>    Outputs to write: ${OUTPUT_FORMATS.join(', ')}
+                          (default: html, json, junit and EXPORT_FORMATS; sql writes remediation
+                          and rollback scripts, which are never executed)
+  -c, --config <path>     Verification config (default: VERIFICATION_CONFIG or schemas/verification-config.json)
+  -b, --baseline <run-id> Run to compare with, or "previous"; verify compares after the run when given
+      --sample <method>   verify compares the values of a sample of SKUs: ${SAMPLING_METHODS.join(', ')}
+                          (other settings from the config's sampling section)
+      --sample-size <n>   SKUs in the sample; implies --sample with the configured method
+      --incremental       verify compares the values of SKUs changed since the last incremental run
+                          and of those still mismatching; state is kept in <output-dir>/${INCREMENTAL_DIRECTORY}/
+  -h, --help              Show this help
+
+Exit codes: 0 every check passed, 1 mismatches found, 2 errors (bad arguments,
+unreadable config, or a tenant that could not be verified). compare exits 1 when
+there are new mismatches, a check regressed or a baseline tenant is missing.`;
+
+const OPTIONS = {
+  tenants: { type: 'string', short: 't' },
+  'tenants-file': { type: 'string' },
+  checks: { type: 'string' },
+  'output-dir': { type: 'string', short: 'o' },
+  formats: { type: 'string', short: 'f' },
+  config: { type: 'string', short: 'c' },
+  baseline: { type: 'string', short: 'b' },
+  sample: { type: 'string' },
+  'sample-size': { type: 'string' },
+  incremental: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const COMMANDS = ['verify', 'schema-diff', 'discover-mappings', 'report', 'compare'];
+
+// Errors in how the tool was called; reported without a stack trace
+class UsageError extends Error {}
+
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseList(value, allowed, optionName) {
+  const items = splitList(value);
+  const unknown = items.filter(item => !allowed.includes(item));
+  if (unknown.length > 0) {
+    throw new UsageError(`Unknown ${optionName}: ${unknown.join(', ')}. Expected: ${allowed.join(', ')}`);
+  }
+  return items;
+}
+
+function globToRegExp(pattern) {
+  const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`);
+}
+
+// Tenant names and patterns from --tenants, --tenants-file or TENANT_DBS
+async function readTenantPatterns(values) {
+  const patterns = splitList(values.tenants);
+
+  if (values['tenants-file']) {
+    const content = await fs.readFile(values['tenants-file'], 'utf8');
+    content.split(/\r?\n/)
+      .map(line => line.replace(/#.*/, '').trim())
+      .filter(Boolean)
+      .forEach(line => patterns.push(line));
+  }
+
+  return patterns.length > 0 ? patterns : splitList(process.env.TENANT_DBS);
+}
+
+// Expand patterns against the databases on the server, keeping the given order
+async function resolveTenants(pool, patterns) {
+  if (!patterns.some(pattern => /[*?]/.test(pattern))) return [...new Set(patterns)];
+
+  const [rows] = await pool.query('SHOW DATABASES');
+  const databases = rows.map(row => row.Database);
+  const tenants = [];
+
+  for (const pattern of patterns) {
+    const matches = /[*?]/.test(pattern)
+      ? databases.filter(database => globToRegExp(pattern).test(database))
+      : [pattern];
+
+    if (matches.length === 0) {
+      logger.warning(`No databases match ${pattern}`);
+    }
+    matches.forEach(database => {
+      if (!tenants.includes(database)) tenants.push(database);
+    });
+  }
+
+  return tenants;
+}
+
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...operands] = positionals;
+
+  if (values.help || !command) return { command: 'help' };
+  if (!COMMANDS.includes(command)) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+
+  const defaultFormats = {
+    // The JSON documents are the input of report; they are only rewritten on request
+    report: ['html', 'junit'],
+    compare: ['html', 'json']
+  }[command] || [...REPORT_FORMATS, ...splitList(process.env.EXPORT_FORMATS ?? EXPORT_FORMATS.join(','))];
+  const formats = values.formats === undefined
+    ? defaultFormats
+    : parseList(values.formats, OUTPUT_FORMATS, 'format');
+  const checks = values.checks === undefined
+    ? CHECK_GROUPS
+    : parseList(values.checks, CHECK_GROUPS, 'check group');
+
+  if (command === 'report' && operands.length !== 1) {
+    throw new UsageError('report takes the run directory to regenerate, e.g. report reports/2024-01-01T00-00-00-000Z');
+  }
+  if (command === 'compare' && operands.length > 1) {
+    throw new UsageError(`Unexpected argument: ${operands[1]}`);
+  }
+  if (!['report', 'compare'].includes(command) && operands.length > 0) {
+    throw new UsageError(`Unexpected argument: ${operands[0]}`);
+  }
+  if (checks.length === 0) {
+    throw new UsageError('--checks needs at least one check group');
+  }
+
+  const reportsDir = values['output-dir'] ? resolve(values['output-dir']) : DEFAULT_REPORTS_DIR;
+
+  const sampling = parseSampling(values, command);
+  if (values.incremental && command !== 'verify') {
+    throw new UsageError('--incremental only applies to verify');
+  }
+  if (values.incremental && sampling) {
+    throw new UsageError('--incremental cannot be combined with --sample or --sample-size');
+  }
+
+  return { command, operands, values, formats, checks, reportsDir, sampling, incremental: Boolean(values.incremental) };
+}
+
+// Sampling settings from --sample and --sample-size, merged over the config's
+function parseSampling(values, command) {
+  if (values.sample === undefined && values['sample-size'] === undefined) return null;
+  if (command !== 'verify') {
+    throw new UsageError('--sample and --sample-size only apply to verify');
+  }
+
+  const sampling = { enabled: true };
+  if (values.sample !== undefined) {
+    if (!SAMPLING_METHODS.includes(values.sample)) {
+      throw new UsageError(`Unknown sampling method: ${values.sample}. Expected: ${SAMPLING_METHODS.join(', ')}`);
+    }
+    sampling.method = values.sample;
+  }
+  if (values['sample-size'] !== undefined) {
+    const size = Number(values['sample-size']);
+    if (!Number.isSafeInteger(size) || size < 1) {
+      throw new UsageError(`--sample-size must be a positive integer, got ${values['sample-size']}`);
+    }
+    sampling.size = size;
+  }
+  return sampling;
+}
+
+async function verifyTenants({ command, values, formats, checks, reportsDir, sampling, incremental }) {
+  if (!hasDatabaseCredentials()) {
+    throw new UsageError('Database credentials not provided. Please check your .env file.');
+  }
+  const tenantConcurrency = readInteger('TENANT_CONCURRENCY', 1);
+  if (environmentProblems().length > 0) {
+    throw new UsageError(environmentProblems().join('; '));
+  }
+
+  // Load mappings, tables and comparison rules
+  const config = await loadConfig(values.config);
+  const pool = createPool(tenantConcurrency);
+
+  try {
+    const tenantDbs = await resolveTenants(pool, await readTenantPatterns(values));
+    if (tenantDbs.length === 0) {
+      throw new UsageError('No tenant databases specified. Use --tenants, --tenants-file or set TENANT_DBS in your .env file.');
+    }
+
+    // Initialize report generator
+    const reportGenerator = new ReportGenerator({ tenantOrder: tenantDbs, formats, reportsDir });
+    await reportGenerator.initialize();
+
+    logger.info(`Starting ${command}...`);
+    logger.info(`Loaded verification config from ${config.path}`);
+    logger.info(`Loaded ${Object.keys(config.mapping_groups.attribute || {}).length} attribute mappings`);
+    logger.info(`Loaded ${Object.keys(config.mapping_groups.category || {}).length} category mappings`);
+    logger.info(`Loaded ${(config.mapping_groups.common || []).length} common columns`);
+    logger.info(`Verifying ${tenantDbs.length} tenant(s), ${tenantConcurrency} at a time`);
+
+    const exportFormats = command === 'verify' ? formats.filter(format => EXPORT_FORMATS.includes(format)) : [];
+
+    // Verify databases and generate reports, several tenants at a time
+    await runWithConcurrency(tenantDbs, tenantConcurrency, dbName => logger.withContext(dbName, async () => {
+      const startedAt = Date.now();
+      // Only full verification has differences to export; discovery writes nothing
+      const exporter = exportFormats.length > 0 ? new MismatchExporter(reportGenerator.runDirectory, dbName, exportFormats) : null;
+      // Discovery has no mismatches to track between runs
+      const keyWriter = command === 'discover-mappings' ? null : new MismatchKeyWriter(reportGenerator.runDirectory, dbName);
+      const remediation = command === 'verify' && formats.includes(REMEDIATION_FORMAT)
+        ? new RemediationWriter(reportGenerator.runDirectory, dbName)
+        : null;
+      const tracker = incremental ? new IncrementalTracker(reportsDir, dbName) : null;
+      let results;
+      try {
+        await exporter?.open();
+        await keyWriter?.open();
+        await remediation?.open();
+        await tracker?.open();
+        results = command === 'discover-mappings'
+          ? await discoverTenantMappings(pool, dbName, config)
+          : await verifyDatabase(pool, dbName, config, { sinks: [exporter, keyWriter, remediation].filter(Boolean), checks, schemaOnly: command === 'schema-diff', sampling, incremental: tracker });
+      } catch (error) {
+        logger.error(`Error verifying database ${dbName}:`, error);
+        results = { error: error.message };
+      }
+
+      // Closing the outputs can fail as well (a full disk, a workbook that
+      // cannot be built); the tenant then ends as an error and the others go on
+      const finish = async (step, fn) => {
+        try {
+          return await fn();
+        } catch (error) {
+          logger.error(`Error ${step} of database ${dbName}:`, error);
+          results.error ??= `Error ${step}: ${error.message}`;
+          return null;
+        }
+      };
+
+      await finish('writing the mismatch keys', () => keyWriter?.writeFindings(results));
+      const keysPath = await finish('closing the mismatch keys', () => keyWriter?.close());
+      // Merged after the mismatch keys are complete; a failed run leaves the state alone
+      const cumulative = await finish('updating the incremental state', () => tracker?.commit(reportGenerator.timestamp, results, keysPath));
+      if (cumulative) {
+        results.incremental.cumulative = cumulative;
+        logger.info(`Cumulative status since run ${cumulative.fullRunId}: ${cumulative.status}`);
+      }
+      const exported = await finish('writing the exports', async () => exporter ? exporter.close() : []);
+      const scripts = await finish('writing the remediation scripts', async () => remediation ? remediation.close() : []);
+      results.exports = [...exported || [], ...scripts || []].map(file => basename(file));
+      results.durationMs = Date.now() - startedAt;
+      await reportGenerator.generateDatabaseReport(dbName, results);
+    }));
+
+    return reportGenerator;
+  } finally {
+    await pool.end();
+  }
+}
+
+async function regenerateReports({ operands, values, formats }) {
+  const runDirectory = resolve(operands[0]);
+  const documents = await loadRunResults(runDirectory);
+  if (documents.length === 0) {
+    throw new UsageError(`No tenant results found in ${runDirectory}`);
+  }
+
+  const reportGenerator = new ReportGenerator({
+    tenantOrder: documents.map(document => document.database),
+    reportsDir: values['output-dir'] ? resolve(values['output-dir']) : dirname(runDirectory),
+    formats,
+    runId: basename(runDirectory)
+  });
+  await reportGenerator.initialize();
+
+  logger.info(`Regenerating reports of ${documents.length} tenant(s) from ${runDirectory}`);
+  for (const { database, results } of documents) {
+    await reportGenerator.generateDatabaseReport(database, results);
+  }
+
+  return reportGenerator;
+}
+
+function resolveBaseline(runs, baseline, currentId) {
+  const run = baseline === 'previous'
+    ? previousRun(runs, currentId)
+    : runs.find(candidate => candidate.runId === basename(baseline));
+
+  if (!run) {
+    throw new UsageError(baseline === 'previous'
+      ? `No run before ${currentId} in the history`
+      : `Baseline run ${baseline} is not in the history`);
+  }
+  if (run.runId === currentId) {
+    throw new UsageError('The baseline must be another run');
+  }
+  return run.runId;
+}
+
+async function compareWithBaseline(reportsDir, runs, baseline, currentId) {
+  const baselineId = resolveBaseline(runs, baseline, currentId);
+  logger.info(`Comparing run ${currentId} with baseline ${baselineId}...`);
+
+  const comparison = await compareRuns(reportsDir, runs, baselineId, currentId);
+  logger.info(`${comparison.totals.new} new, ${comparison.totals.resolved} resolved and ${comparison.totals.persisting} persisting mismatches`);
+  logger.table(comparison.tenants.map(tenant => ({
+    database: tenant.database,
+    baseline: tenant.baselineStatus ?? '-',
+    current: tenant.currentStatus ?? '-',
+    regressed_checks: tenant.missingFromCurrent
+      ? 'not verified in this run'
+      : tenant.checks.filter(check => check.change === 'regressed').map(check => check.name).join(', '),
+    new: tenant.mismatches ? tenant.mismatches.reduce((total, check) => total + check.new, 0) : '-',
+    resolved: tenant.mismatches ? tenant.mismatches.reduce((total, check) => total + check.resolved, 0) : '-'
+  })));
+
+  return comparison;
+}
+
+// Compare two runs that are already recorded in the history
+async function compareRecordedRuns({ operands, values, formats, reportsDir }) {
+  const runs = await loadHistory(reportsDir);
+  const currentId = operands[0] ? basename(operands[0]) : runs[runs.length - 1]?.runId;
+
+  if (!runs.some(run => run.runId === currentId)) {
+    throw new UsageError(currentId ? `Run ${currentId} is not in the history` : `No runs recorded in ${reportsDir}`);
+  }
+
+  const comparison = await compareWithBaseline(reportsDir, runs, values.baseline || 'previous', currentId);
+  await new ReportGenerator({ reportsDir, formats, runId: currentId }).generateComparisonReport(comparison);
+
+  logger.info(`\ncompare completed: ${comparison.regressed ? 'regressed' : 'no regressions'}.`);
+  logger.info(`Comparison written to: ${join(reportsDir, currentId)}`);
+  return comparison.regressed ? EXIT_CODES.failed : EXIT_CODES.passed;
+}
+
+async function run(argv = process.argv.slice(2)) {
+  try {
+    const options = parseCommandLine(argv);
+    if (options.command === 'help') {
+      console.log(USAGE);
+      return EXIT_CODES.passed;
+    }
+
+    if (options.command === 'compare') {
+      return await compareRecordedRuns(options);
+    }
+
+    // Catch an unknown baseline before the run rather than after it
+    if (options.values.baseline && options.command !== 'report') {
+      resolveBaseline(await loadHistory(options.reportsDir), options.values.baseline, null);
+    }
+
+    const reportGenerator = options.command === 'report'
+      ? await regenerateReports(options)
+      : await verifyTenants(options);
+
+    // Regenerated reports show the history but do not add to it
+    const history = options.command === 'report'
+      ? await loadHistory(reportGenerator.reportsDir)
+      : await recordRun(reportGenerator.reportsDir, {
+        runId: reportGenerator.timestamp,
+        command: options.command,
+        status: reportGenerator.status,
+        tenants: reportGenerator.getOrderedResults()
+      });
+
+    const comparison = options.values.baseline && options.command !== 'report'
+      ? await compareWithBaseline(reportGenerator.reportsDir, history, options.values.baseline, reportGenerator.timestamp)
+      : null;
+
+    const runDirectory = await reportGenerator.generateRunReports({ history, comparison });
+    const status = reportGenerator.status;
+
+    logger.info(`\n${options.command} completed: ${status}.`);
+    logger.info(`Reports generated in: ${runDirectory}`);
+    return EXIT_CODES[status];
+  } catch (error) {
+    if (error instanceof UsageError) {
+      logger.error(`Error: ${error.message}`);
+      console.error(`\n${USAGE}`);
+    } else {
+      logger.error('Fatal error:', error);
+    }
+    return EXIT_CODES.error;
+  } finally {
+    logger.close();
+  }
+}
+
+process.exitCode = await run();
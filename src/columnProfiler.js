@@ -0,0 +1,103 @@
+import { toComparable } from './comparisonEngine.js';
+
+export const DEFAULT_TOP_VALUE_PAIRS = 10;
+
+// Value pairs tracked per column for every pair reported; more counters make
+// the approximate top pairs more accurate on columns with many distinct pairs
+const COUNTERS_PER_REPORTED_PAIR = 10;
+
+// Most frequent (old, new) value pairs with the Space-Saving algorithm: a
+// bounded set of counters, where a new pair takes over the smallest counter.
+// A pair's count is exact when its error is 0, otherwise at most error too high.
+function createTopPairs(capacity) {
+  const counters = new Map();
+
+  return {
+    add(oldValue, newValue) {
+      const key = JSON.stringify([oldValue, newValue]);
+      const counter = counters.get(key);
+      if (counter) {
+        counter.count++;
+        return;
+      }
+
+      if (counters.size < capacity) {
+        counters.set(key, { old_value: oldValue, new_value: newValue, count: 1, error: 0 });
+        return;
+      }
+
+      let smallestKey = null;
+      for (const [candidateKey, candidate] of counters) {
+        if (smallestKey === null || candidate.count < counters.get(smallestKey).count) smallestKey = candidateKey;
+      }
+      const smallest = counters.get(smallestKey);
+      counters.delete(smallestKey);
+      counters.set(key, { old_value: oldValue, new_value: newValue, count: smallest.count + 1, error: smallest.count });
+    },
+
+    top(n) {
+      return Array.from(counters.values())
+        .sort((a, b) => b.count - a.count)
+        .slice(0, n);
+    }
+  };
+}
+
+// Profile counters for the mismatch classifier's whitespace and case classes
+const CLASSIFICATION_COUNTERS = { whitespace: 'whitespaceOnly', case: 'caseOnly' };
+
+// Data-quality profile of every mapped column pair of a tenant: rows
+// compared, mismatch count and rate, how the values differ and the most
+// frequent (old, new) value pairs. Fed by the value comparison; accepted
+// differences are not recorded.
+export function createColumnProfiler(columnSpecs, { topN = DEFAULT_TOP_VALUE_PAIRS } = {}) {
+  const profiles = new Map();
+  let comparedRows = 0;
+
+  columnSpecs.forEach(spec => {
+    profiles.set(`${spec.oldColumn}:${spec.newColumn}`, {
+      type: spec.type,
+      old_column: spec.oldColumn,
+      new_column: spec.newColumn,
+      mismatchCount: 0,
+      nullToValue: 0,
+      valueToNull: 0,
+      whitespaceOnly: 0,
+      caseOnly: 0,
+      topPairs: createTopPairs(topN * COUNTERS_PER_REPORTED_PAIR)
+    });
+  });
+
+  return {
+    // Every row present in both tables is compared on every column pair
+    addComparedRows(count) {
+      comparedRows += count;
+    },
+
+    record(difference) {
+      const profile = profiles.get(`${difference.old_column}:${difference.new_column}`);
+      if (!profile) return;
+
+      const oldValue = toComparable(difference.old_value);
+      const newValue = toComparable(difference.new_value);
+
+      profile.mismatchCount++;
+      if (oldValue === null) profile.nullToValue++;
+      if (newValue === null) profile.valueToNull++;
+      if (CLASSIFICATION_COUNTERS[difference.classification]) profile[CLASSIFICATION_COUNTERS[difference.classification]]++;
+      profile.topPairs.add(oldValue, newValue);
+    },
+
+    // Columns with the most mismatching rows first
+    report() {
+      return Array.from(profiles.values())
+        .map(({ topPairs, ...profile }) => ({
+          ...profile,
+          comparedRows,
+          mismatchRate: comparedRows > 0 ? profile.mismatchCount / comparedRows : 0,
+          topValuePairs: topPairs.top(topN)
+        }))
+        .sort((a, b) => b.mismatchCount - a.mismatchCount);
+    }
+  };
+}
@@ -0,0 +1,217 @@
+import { toComparable } from './comparisonEngine.js';
+
+// Used for any type family the config's comparators.defaults leaves out.
+// Text compares exactly, so whitespace, case and NULL-vs-empty differences
+// reach the sinks and are classified and profiled; trim, case_insensitive
+// and empty_as_null opt out of them per type or column.
+const DEFAULT_RULES = {
+  string: { trim: false, case_insensitive: false, empty_as_null: false },
+  number: { trim: true, empty_as_null: true, tolerance: 1e-9 },
+  date: { trim: true, empty_as_null: true, old_timezone: '+00:00', new_timezone: '+00:00', day_first: false },
+  enum: { trim: false, case_insensitive: false, empty_as_null: false, enum_map: {} }
+};
+
+// Plain decimal notation; hex, exponents and Infinity compare as text
+const DECIMAL = /^[+-]?(\d+(\.\d*)?|\.\d+)$/;
+
+// Map a SQL column type such as "bigint unsigned" or "enum('0','1')" to a rule family
+export function typeFamily(sqlType) {
+  if (!sqlType) return 'string';
+
+  const type = sqlType.toLowerCase();
+  if (type.startsWith('enum')) return 'enum';
+  if (/^(tinyint|smallint|mediumint|int|integer|bigint|decimal|numeric|float|double|real)\b/.test(type)) return 'number';
+  if (/^(date|datetime|timestamp)\b/.test(type)) return 'date';
+  return 'string';
+}
+
+// A value stored as text on one side still compares by the other side's type
+function resolveFamily(oldType, newType) {
+  const oldFamily = typeFamily(oldType);
+  const newFamily = typeFamily(newType);
+
+  if (oldFamily === newFamily) return oldFamily;
+  if (oldFamily === 'string') return newFamily;
+  if (newFamily === 'string') return oldFamily;
+  return 'string';
+}
+
+export function patternToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+// Exact keys win over wildcard keys such as "a_udfdate*"
+function findOverride(overrides, columnNames) {
+  for (const name of columnNames) {
+    if (overrides[name]) return overrides[name];
+  }
+
+  for (const [pattern, override] of Object.entries(overrides)) {
+    if (pattern.includes('*') && columnNames.some(name => patternToRegExp(pattern).test(name))) {
+      return override;
+    }
+  }
+
+  return {};
+}
+
+function parseOffsetMinutes(offset) {
+  if (!offset || offset === 'Z') return 0;
+
+  const match = /^([+-])(\d{2}):?(\d{2})$/.exec(offset);
+  if (!match) throw new Error(`Invalid timezone offset "${offset}"; expected e.g. +05:30`);
+
+  const minutes = parseInt(match[2]) * 60 + parseInt(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+// Parse a date or datetime written without a zone as wall-clock time in the
+// given offset; returns epoch milliseconds or null when unparseable
+export function parseDate(text, offset, dayFirst) {
+  if (/^0000-00-00/.test(text)) return null;
+
+  let match = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,6}))?)?)?(Z|[+-]\d{2}:?\d{2})?$/.exec(text);
+  let year, month, day, hour = 0, minute = 0, second = 0, millis = 0, zone = null;
+
+  if (match) {
+    [, year, month, day] = match;
+    hour = match[4] || 0;
+    minute = match[5] || 0;
+    second = match[6] || 0;
+    millis = match[7] ? parseInt(match[7].padEnd(3, '0').slice(0, 3)) : 0;
+    zone = match[8] || null;
+  } else if (dayFirst && (match = /^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/.exec(text))) {
+    [, day, month, year] = match;
+  } else if (!dayFirst && (match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text))) {
+    [, month, day, year] = match;
+  } else {
+    return null;
+  }
+
+  const utc = Date.UTC(year, month - 1, day, hour, minute, second, millis);
+  if (Number.isNaN(utc)) return null;
+
+  return utc - parseOffsetMinutes(zone || offset) * 60 * 1000;
+}
+
+// Wall-clock time in the given offset as MySQL writes it; midnight is written
+// as a plain date so it also fits DATE columns
+function formatDate(time, offset) {
+  const local = new Date(time + parseOffsetMinutes(offset) * 60 * 1000).toISOString();
+  const [date, clock] = local.slice(0, 23).split('T');
+
+  if (clock === '00:00:00.000') return date;
+  return `${date} ${clock.endsWith('.000') ? clock.slice(0, 8) : clock}`;
+}
+
+function createComparator(rules) {
+  // Turn a raw driver value into the canonical form used for comparison;
+  // side is 'old' or 'new' because timezones and enum maps are per side
+  function normalize(value, side) {
+    if (value === null || value === undefined) return null;
+
+    let text = toComparable(value);
+    if (rules.trim) text = text.trim();
+    if (rules.empty_as_null && text === '') return null;
+
+    switch (rules.type) {
+      case 'number': {
+        if (/^[+-]?\d+$/.test(text)) return BigInt(text);
+        return DECIMAL.test(text) ? Number(text) : text;
+      }
+      case 'date': {
+        const offset = side === 'old' ? rules.old_timezone : rules.new_timezone;
+        const time = parseDate(text, offset, rules.day_first);
+        return time === null ? text : time;
+      }
+      case 'enum': {
+        const mapped = side === 'old' && Object.prototype.hasOwnProperty.call(rules.enum_map || {}, text)
+          ? rules.enum_map[text]
+          : text;
+        return rules.case_insensitive ? String(mapped).toLowerCase() : String(mapped);
+      }
+      default:
+        return rules.case_insensitive ? text.toLowerCase() : text;
+    }
+  }
+
+  function equals(oldValue, newValue) {
+    const oldNormalized = normalize(oldValue, 'old');
+    const newNormalized = normalize(newValue, 'new');
+
+    if (oldNormalized === null || newNormalized === null) {
+      return oldNormalized === newNormalized;
+    }
+
+    if (rules.type === 'number' && typeof oldNormalized !== 'string' && typeof newNormalized !== 'string') {
+      if (typeof oldNormalized === 'bigint' && typeof newNormalized === 'bigint') {
+        return oldNormalized === newNormalized;
+      }
+      return Math.abs(Number(oldNormalized) - Number(newNormalized)) <= rules.tolerance;
+    }
+
+    return oldNormalized === newNormalized;
+  }
+
+  // The old value as it should be stored in the new column: trimmed, mapped
+  // through enum_map and moved into the new timezone, but with its case kept
+  function toNewValue(oldValue) {
+    if (oldValue === null || oldValue === undefined) return null;
+
+    let text = toComparable(oldValue);
+    if (rules.trim) text = text.trim();
+    if (rules.empty_as_null && text === '') return null;
+
+    switch (rules.type) {
+      case 'date': {
+        const time = parseDate(text, rules.old_timezone, rules.day_first);
+        return time === null ? text : formatDate(time, rules.new_timezone);
+      }
+      case 'enum':
+        return Object.prototype.hasOwnProperty.call(rules.enum_map || {}, text) ? rules.enum_map[text] : text;
+      default:
+        return text;
+    }
+  }
+
+  // Equal raw text on both sides compares equal unless old values are mapped
+  // or moved into another timezone first; the fingerprint pre-pass hashes raw
+  // text and only covers columns where it does
+  const equalTextMatches = !(rules.type === 'enum' && Object.keys(rules.enum_map || {}).length > 0)
+    && !(rules.type === 'date' && parseOffsetMinutes(rules.old_timezone) !== parseOffsetMinutes(rules.new_timezone));
+
+  return { rules, normalize, equals, toNewValue, equalTextMatches };
+}
+
+// Build comparators from the column types (schemas/column-mapping.json) and
+// the comparators section of the verification config. Returns
+// forColumn(oldColumn, newColumn), which resolves the rules for one column
+// pair: type defaults first, then any per-column override.
+export function createComparators({ columnTypes = {}, comparators = {} } = {}) {
+  const defaults = { ...DEFAULT_RULES };
+  for (const [family, rules] of Object.entries(comparators.defaults || {})) {
+    defaults[family] = { ...defaults[family], ...rules };
+  }
+  const overrides = comparators.columns || {};
+
+  function forColumn(oldColumn, newColumn) {
+    const types = columnTypes[newColumn] || columnTypes[oldColumn] || {};
+    const override = findOverride(overrides, [newColumn, oldColumn]);
+    const type = override.type || resolveFamily(types.old_type, types.new_type);
+
+    if (!defaults[type]) {
+      throw new Error(`Unknown comparator type "${type}" for ${oldColumn} -> ${newColumn}`);
+    }
+
+    const rules = { ...defaults[type], ...override, type };
+    if (type === 'date') {
+      parseOffsetMinutes(rules.old_timezone);
+      parseOffsetMinutes(rules.new_timezone);
+    }
+
+    return createComparator(rules);
+  }
+
+  return { forColumn };
+}
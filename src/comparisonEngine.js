@@ -0,0 +1,141 @@
+export const DEFAULT_BATCH_SIZE = 1000;
+
+// Build the list of column pairs compared for every SKU, each with the
+// comparator that decides whether its old and new values match
+export function buildColumnSpecs({ attributeMappings, categoryMappings, commonColumns, comparators = null }) {
+  const specs = [];
+
+  for (const [newCol, oldCol] of attributeMappings) {
+    specs.push({ type: 'attribute', oldColumn: oldCol, newColumn: newCol });
+  }
+
+  for (const [newCol, oldCol] of categoryMappings) {
+    specs.push({ type: 'category', oldColumn: oldCol, newColumn: newCol });
+  }
+
+  for (const column of commonColumns) {
+    specs.push({ type: 'common', oldColumn: column, newColumn: column });
+  }
+
+  if (comparators) {
+    specs.forEach(spec => {
+      spec.comparator = comparators.forColumn(spec.oldColumn, spec.newColumn);
+    });
+  }
+
+  return specs;
+}
+
+// Reduce driver values to something that can be compared as plain strings
+export function toComparable(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return value.toString('utf8');
+  return String(value);
+}
+
+// Join keys as MySQL's default collations match them: case-insensitively and
+// ignoring trailing spaces. New rows are found with IN (?) under those rules,
+// so they are matched to old rows by the same key here; an exact match would
+// drop e.g. 'AB-1' found for 'ab-1' without comparing it.
+export function joinKeyOf(value) {
+  return String(value).replace(/ +$/, '').toLowerCase();
+}
+
+function valuesDiffer(oldValue, newValue) {
+  return toComparable(oldValue) !== toComparable(newValue);
+}
+
+async function fetchOldRows(connection, queries, oldColumns, keys) {
+  const [rows] = await connection.query(queries.selectByKeys('old', oldColumns, keys, { ordered: true }));
+  return rows;
+}
+
+async function fetchNewRows(connection, queries, newColumns, keys) {
+  const [rows] = await connection.query(queries.selectByKeys('new', newColumns, keys));
+  return new Map(rows.map(row => [joinKeyOf(row[queries.joinKey]), row]));
+}
+
+// Page through one side's flat table in join key order, keyset paginated
+export async function* tableBatches(connection, queries, side, names, batchSize) {
+  let lastKey = null;
+
+  while (true) {
+    const [rows] = await connection.query(queries.selectBatch(side, names, { afterKey: lastKey, limit: batchSize }));
+    if (rows.length === 0) return;
+
+    yield rows;
+
+    if (rows.length < batchSize) return;
+    lastKey = rows[rows.length - 1][queries.joinKey];
+  }
+}
+
+// Yield batches of old rows, either over the whole table or by chunking an
+// explicit list of SKU codes
+async function* oldRowBatches(connection, queries, oldColumns, { batchSize, skuCodes }) {
+  if (skuCodes) {
+    for (let i = 0; i < skuCodes.length; i += batchSize) {
+      yield await fetchOldRows(connection, queries, oldColumns, skuCodes.slice(i, i + batchSize));
+    }
+    return;
+  }
+
+  yield* tableBatches(connection, queries, 'old', oldColumns, batchSize);
+}
+
+// Walk the old flat table in join key (sku_code) order, one batch at a time,
+// and yield a difference for every mapped column whose value changed in the
+// new table. Pass skuCodes to restrict the walk to those SKUs only.
+// SKUs missing on either side are skipped; verifySkuCodeMatches reports them.
+// Queries come from the tenant's query builder (see queryBuilder.js);
+// onRowsCompared is called with the number of rows found on both sides;
+// onUnmatchedRows with the number of new rows the database returned that no
+// old row's key matches, which are then not compared.
+// With a classifier, every difference carries its classification; with a
+// textDiffer, differences of long text columns carry a similarity, ops and diff.
+export async function* streamMismatches(connection, columnSpecs, { queries, batchSize = DEFAULT_BATCH_SIZE, skuCodes = null, onRowsCompared = null, onUnmatchedRows = null, classifier = null, textDiffer = null }) {
+  if (columnSpecs.length === 0) return;
+  if (skuCodes && skuCodes.length === 0) return;
+
+  const joinKey = queries.joinKey;
+  const oldColumns = columnSpecs.map(spec => spec.oldColumn);
+  const newColumns = columnSpecs.map(spec => spec.newColumn);
+
+  for await (const oldRows of oldRowBatches(connection, queries, oldColumns, { batchSize, skuCodes })) {
+    if (oldRows.length === 0) continue;
+
+    const newRowsByKey = await fetchNewRows(connection, queries, newColumns, oldRows.map(row => String(row[joinKey])));
+    const matched = oldRows.filter(oldRow => newRowsByKey.has(joinKeyOf(oldRow[joinKey])));
+    onRowsCompared?.(matched.length);
+    const matchedKeys = new Set(matched.map(oldRow => joinKeyOf(oldRow[joinKey])));
+    if (matchedKeys.size < newRowsByKey.size) onUnmatchedRows?.(newRowsByKey.size - matchedKeys.size);
+
+    for (const oldRow of matched) {
+      const newRow = newRowsByKey.get(joinKeyOf(oldRow[joinKey]));
+
+      for (const spec of columnSpecs) {
+        const oldValue = oldRow[spec.oldColumn];
+        const newValue = newRow[spec.newColumn];
+
+        const differs = spec.comparator
+          ? !spec.comparator.equals(oldValue, newValue)
+          : valuesDiffer(oldValue, newValue);
+
+        if (differs) {
+          const difference = {
+            type: spec.type,
+            old_column: spec.oldColumn,
+            new_column: spec.newColumn,
+            sku_code: oldRow[joinKey],
+            old_value: oldValue,
+            new_value: newValue
+          };
+          difference.classification = classifier ? classifier.classify(difference, newRow) : null;
+          Object.assign(difference, textDiffer?.diff(difference));
+          yield difference;
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,29 @@
+// Run worker(item, index) over items with at most `limit` calls in flight.
+// Results keep the order of items, whatever order the workers finish in.
+export async function runWithConcurrency(items, limit, worker) {
+  // NaN or 0 would start no worker and silently skip every item
+  if (!Number.isSafeInteger(limit) || limit < 1) {
+    throw new Error(`Concurrency limit must be a positive integer, got ${limit}`);
+  }
+
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function runNext() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const workerCount = Math.min(limit, items.length);
+  await Promise.all(Array.from({ length: workerCount }, runNext));
+
+  return results;
+}
+
+// Connections of the pool shared by all tenants: poolSize when set, otherwise
+// one per tenant run at a time, two with parallel checks
+export function poolConnectionLimit({ poolSize = null, tenantConcurrency = 1, parallelChecks = false }) {
+  return poolSize ?? tenantConcurrency * (parallelChecks ? 2 : 1);
+}
@@ -0,0 +1,187 @@
+import fs from 'fs/promises';
+import { join, dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv';
+import { findAllowlistProblems } from './acceptedDifferences.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_CONFIG_PATH = join(__dirname, '../schemas/verification-config.json');
+const SCHEMA_PATH = join(__dirname, '../schemas/verification-config.schema.json');
+const ALLOWLIST_SCHEMA_PATH = join(__dirname, '../schemas/accepted-differences.schema.json');
+
+async function readJson(path, description) {
+  let content;
+  try {
+    content = await fs.readFile(path, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read ${description} ${path}: ${error.message}`);
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`${description} ${path} is not valid JSON: ${error.message}`);
+  }
+}
+
+function describeSchemaError(error) {
+  const location = error.instancePath || '(root)';
+
+  if (error.keyword === 'additionalProperties') {
+    return `${location}: unknown setting "${error.params.additionalProperty}"`;
+  }
+  if (error.keyword === 'propertyNames') {
+    return `${location}: invalid key "${error.params.propertyName}"`;
+  }
+  if (error.keyword === 'pattern') {
+    return `${location}: "${error.data}" is not a valid column or table name`;
+  }
+  return `${location}: ${error.message}`;
+}
+
+// Checks JSON Schema cannot express: every column belongs to one mapping only
+function findMappingProblems(config, scope) {
+  const problems = [];
+  const groups = config.mapping_groups || {};
+  const newColumnGroups = new Map();
+
+  const claim = (newColumn, group) => {
+    if (newColumnGroups.has(newColumn)) {
+      problems.push(`${scope}: new column "${newColumn}" is mapped in both "${newColumnGroups.get(newColumn)}" and "${group}"`);
+    } else {
+      newColumnGroups.set(newColumn, group);
+    }
+  };
+
+  for (const group of ['attribute', 'category']) {
+    const oldColumns = new Map();
+
+    for (const [newColumn, oldColumn] of Object.entries(groups[group] || {})) {
+      claim(newColumn, group);
+
+      if (oldColumns.has(oldColumn)) {
+        problems.push(`${scope}: old column "${oldColumn}" is mapped to both "${oldColumns.get(oldColumn)}" and "${newColumn}" in "${group}"`);
+      } else {
+        oldColumns.set(oldColumn, newColumn);
+      }
+    }
+  }
+
+  (groups.common || []).forEach(column => claim(column, 'common'));
+
+  return problems;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Objects merge key by key, arrays and scalars replace
+function mergeConfig(base, override) {
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergeConfig(base[key], value)
+      : value;
+  }
+
+  return merged;
+}
+
+// Return the configuration a tenant is verified with: the base config with
+// that tenant's overrides merged over it
+export function resolveTenantConfig(config, dbName) {
+  const override = config.tenant_overrides?.[dbName];
+  if (!override) return config;
+
+  const { tenant_overrides: _overrides, ...base } = config;
+  return { ...mergeConfig(base, override), tenant_overrides: config.tenant_overrides };
+}
+
+// Load and validate the verification config. Throws one error listing every
+// problem found, so a broken config never runs with half of its mappings.
+export async function loadConfig(path = process.env.VERIFICATION_CONFIG || DEFAULT_CONFIG_PATH) {
+  const configPath = resolve(path);
+  const config = await readJson(configPath, 'verification config');
+  const schema = await readJson(SCHEMA_PATH, 'config schema');
+
+  const ajv = new Ajv({ allErrors: true, verbose: true });
+  const validate = ajv.compile(schema);
+
+  if (!validate(config)) {
+    const problems = validate.errors.map(describeSchemaError);
+    throw new Error(`Invalid verification config ${configPath}:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  const problems = findMappingProblems(config, 'mapping_groups');
+  for (const dbName of Object.keys(config.tenant_overrides || {})) {
+    problems.push(...findMappingProblems(resolveTenantConfig(config, dbName), `tenant_overrides.${dbName}`));
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid verification config ${configPath}:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  const columnTypes = config.column_types
+    ? await loadColumnTypes(resolve(dirname(configPath), config.column_types))
+    : {};
+
+  const acceptedDifferences = config.accepted_differences
+    ? await loadAcceptedDifferences(resolve(dirname(configPath), config.accepted_differences))
+    : [];
+
+  return { ...config, path: configPath, columnTypes, acceptedDifferences };
+}
+
+// Sections of the column type file; attribute and category columns are typed
+// like common ones, by old or new column name
+const COLUMN_TYPE_SECTIONS = ['common_columns', 'attribute_columns', 'category_columns'];
+
+// Load the column type file the config points to, as one map of column name
+// to { old_type, new_type } over every section
+async function loadColumnTypes(path) {
+  const file = await readJson(path, 'column types file');
+  const columnTypes = {};
+  const problems = Object.keys(file)
+    .filter(section => !COLUMN_TYPE_SECTIONS.includes(section))
+    .map(section => `unknown section "${section}", expected one of ${COLUMN_TYPE_SECTIONS.join(', ')}`);
+
+  for (const section of COLUMN_TYPE_SECTIONS.filter(section => file[section] !== undefined)) {
+    for (const [column, types] of Object.entries(file[section])) {
+      if (typeof types?.old_type !== 'string' || typeof types?.new_type !== 'string') {
+        problems.push(`${section}.${column}: needs old_type and new_type`);
+      } else if (columnTypes[column] && (columnTypes[column].old_type !== types.old_type || columnTypes[column].new_type !== types.new_type)) {
+        problems.push(`${section}.${column}: typed differently in another section`);
+      } else {
+        columnTypes[column] = types;
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid column types file ${path}:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  return columnTypes;
+}
+
+// Load and validate the accepted-differences allowlist the config points to
+async function loadAcceptedDifferences(path) {
+  const allowlist = await readJson(path, 'accepted differences file');
+  const schema = await readJson(ALLOWLIST_SCHEMA_PATH, 'accepted differences schema');
+
+  const ajv = new Ajv({ allErrors: true, verbose: true });
+  const validate = ajv.compile(schema);
+
+  const problems = validate(allowlist)
+    ? findAllowlistProblems(allowlist.entries)
+    : validate.errors.map(describeSchemaError);
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid accepted differences file ${path}:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  return allowlist.entries;
+}
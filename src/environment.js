@@ -0,0 +1,20 @@
+// Integer settings from the environment. A value that is not an integer of at
+// least min is recorded rather than thrown, since most are read when a module
+// loads; the CLI reports every problem before it starts a run.
+const problems = [];
+
+export function readInteger(name, fallback, { min = 1 } = {}) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') return fallback;
+
+  const value = Number(raw);
+  if (!Number.isSafeInteger(value) || value < min) {
+    problems.push(`${name} must be an integer of at least ${min}, got ${JSON.stringify(raw)}`);
+    return fallback;
+  }
+  return value;
+}
+
+export function environmentProblems() {
+  return [...problems];
+}
@@ -0,0 +1,20 @@
+import fs from 'fs/promises';
+import { once } from 'events';
+
+// Write to a stream, waiting for it to drain when its buffer is full
+export async function writeLine(stream, line) {
+  if (!stream.write(line)) {
+    await once(stream, 'drain');
+  }
+}
+
+export async function endStream(stream) {
+  stream.end();
+  await once(stream, 'finish');
+}
+
+// Write then rename, so an interrupted run never leaves half a file
+export async function writeFileAtomically(path, content) {
+  await fs.writeFile(`${path}.tmp`, content);
+  await fs.rename(`${path}.tmp`, path);
+}
@@ -0,0 +1,79 @@
+import { joinKeyOf } from './comparisonEngine.js';
+
+export const DEFAULT_BUCKET_SIZE = 10000;
+
+async function getBucketChecksums(connection, queries, side, columns, bucketSize, options) {
+  const [rows] = await connection.query(queries.bucketChecksums(side, columns, bucketSize, options));
+  return new Map(rows.map(row => [String(row.bucket), { rowCount: Number(row.row_count), checksum: String(row.checksum) }]));
+}
+
+async function getOldRowHashes(connection, queries, oldColumns, bucket, bucketSize) {
+  const lowerBound = BigInt(bucket) * BigInt(bucketSize);
+  const upperBound = lowerBound + BigInt(bucketSize);
+  const [rows] = await connection.query(queries.rowHashesInRange('old', oldColumns, lowerBound, upperBound));
+  return rows;
+}
+
+async function getNewRowHashes(connection, queries, newColumns, keys) {
+  const [rows] = await connection.query(queries.rowHashesByKeys('new', newColumns, keys));
+  return new Map(rows.map(row => [joinKeyOf(row.join_key), row.row_hash]));
+}
+
+// Compare aggregated row hashes per sku_code range on both flat tables and,
+// for the ranges that differ, per-row hashes. Only the returned SKUs can hold
+// column-level differences; every other SKU present on both sides matches.
+export async function findDifferingSkus(connection, columnSpecs, { queries, bucketSize = DEFAULT_BUCKET_SIZE, batchSize = 1000 }) {
+  const oldColumns = columnSpecs.map(spec => spec.oldColumn);
+  const newColumns = columnSpecs.map(spec => spec.newColumn);
+
+  // The new table stores sku_code as text; bucket it by its numeric value
+  const oldBuckets = await getBucketChecksums(connection, queries, 'old', oldColumns, bucketSize);
+  const newBuckets = await getBucketChecksums(connection, queries, 'new', newColumns, bucketSize, { castKey: true });
+
+  const allBuckets = new Set([...oldBuckets.keys(), ...newBuckets.keys()]);
+  const differingBuckets = [];
+  // Rows present on both sides: all of a matching range, counted row by row in the others
+  let comparedRows = 0;
+
+  for (const bucket of allBuckets) {
+    const oldBucket = oldBuckets.get(bucket);
+    const newBucket = newBuckets.get(bucket);
+
+    if (!oldBucket || !newBucket
+      || oldBucket.rowCount !== newBucket.rowCount
+      || oldBucket.checksum !== newBucket.checksum) {
+      differingBuckets.push(bucket);
+    } else {
+      comparedRows += oldBucket.rowCount;
+    }
+  }
+
+  const differingSkus = [];
+
+  for (const bucket of differingBuckets) {
+    // SKUs only present in the new table are reported by verifySkuCodeMatches
+    if (!oldBuckets.has(bucket)) continue;
+
+    const oldHashes = await getOldRowHashes(connection, queries, oldColumns, bucket, bucketSize);
+
+    for (let i = 0; i < oldHashes.length; i += batchSize) {
+      const batch = oldHashes.slice(i, i + batchSize);
+      const newHashes = await getNewRowHashes(connection, queries, newColumns, batch.map(row => String(row.join_key)));
+
+      batch.forEach(row => {
+        const newHash = newHashes.get(joinKeyOf(row.join_key));
+        if (newHash !== undefined) comparedRows++;
+        if (newHash !== undefined && newHash !== row.row_hash) {
+          differingSkus.push(String(row.join_key));
+        }
+      });
+    }
+  }
+
+  return {
+    bucketCount: allBuckets.size,
+    differingBuckets: differingBuckets.length,
+    differingSkus,
+    comparedRows
+  };
+}
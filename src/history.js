@@ -0,0 +1,264 @@
+import fs from 'fs/promises';
+import { createWriteStream, createReadStream } from 'fs';
+import { once } from 'events';
+import { join } from 'path';
+import readline from 'readline';
+import { endStream, writeFileAtomically, writeLine } from './files.js';
+
+// Bump when the structure of history.json changes
+export const HISTORY_SCHEMA_VERSION = 1;
+
+export const HISTORY_FILE = 'history.json';
+
+// Mismatches listed per check in comparison.json; the rest are only counted
+const MAX_LISTED_CHANGES = 200;
+
+export const VALUE_CHECKS = {
+  attribute: 'attribute-values',
+  category: 'category-values',
+  common: 'common-column-values'
+};
+
+const MISSING_COLUMN_CHECKS = {
+  missingAttributeColumns: 'attribute-columns',
+  missingCategoryColumns: 'category-columns',
+  missingCommonColumns: 'common-columns'
+};
+
+function keysFile(runDirectory, dbName) {
+  return join(runDirectory, `${dbName}.mismatch-keys.txt`);
+}
+
+// One line per mismatch: check, old column, new column, item. The same
+// mismatch gets the same key in every run, so runs can be diffed line by line.
+function mismatchKey(check, oldColumn, newColumn, item) {
+  return [check, oldColumn ?? '', newColumn ?? '', item ?? ''].map(field => String(field).replace(/[\t\r\n]/g, ' ')).join('\t');
+}
+
+export function parseMismatchKey(key) {
+  const [check, old_column, new_column, item] = key.split('\t');
+  return { check, old_column, new_column, item };
+}
+
+// Sink that records the identity of every mismatch of a tenant, so a later
+// run can tell which mismatches are new, resolved or persisting
+export class MismatchKeyWriter {
+  constructor(directory, dbName) {
+    this.path = keysFile(directory, dbName);
+    this.stream = null;
+  }
+
+  async open() {
+    this.stream = createWriteStream(this.path);
+    await once(this.stream, 'open');
+  }
+
+  async writeDifference(difference) {
+    await writeLine(this.stream, mismatchKey(VALUE_CHECKS[difference.type], difference.old_column, difference.new_column, difference.sku_code) + '\n');
+  }
+
+  async writeMissingSkus({ missingInNew = [], missingInOld = [], lifecycle = null }) {
+    for (const sku of missingInNew) {
+      await writeLine(this.stream, mismatchKey('sku-codes', null, null, `missing in new table: ${sku.sku_code}`) + '\n');
+    }
+    for (const sku of missingInOld) {
+      await writeLine(this.stream, mismatchKey('sku-codes', null, null, `missing in old table: ${sku.sku_code}`) + '\n');
+    }
+    for (const sku of lifecycle?.mismatches || []) {
+      await writeLine(this.stream, mismatchKey('sku-lifecycle', null, null, `${sku.lifecycle}: ${sku.sku_code}`) + '\n');
+    }
+  }
+
+  // Missing columns and risky schema changes are complete in the results
+  async writeFindings(results) {
+    for (const [field, check] of Object.entries(MISSING_COLUMN_CHECKS)) {
+      for (const [side, columns] of Object.entries(results[field] || {})) {
+        for (const column of columns) {
+          await writeLine(this.stream, mismatchKey(check, null, null, `${side}: ${column.missingColumn || column}`) + '\n');
+        }
+      }
+    }
+
+    for (const finding of results.schemaDiff?.findings || []) {
+      if (finding.severity !== 'risk') continue;
+      await writeLine(this.stream, mismatchKey('schema', finding.old_column, finding.new_column, finding.check) + '\n');
+    }
+  }
+
+  async close() {
+    if (!this.stream) return null;
+    await endStream(this.stream);
+    return this.path;
+  }
+}
+
+export async function loadHistory(reportsDir) {
+  try {
+    const history = JSON.parse(await fs.readFile(join(reportsDir, HISTORY_FILE), 'utf8'));
+    if (history.schemaVersion !== HISTORY_SCHEMA_VERSION) {
+      throw new Error(`${HISTORY_FILE} has schema version ${history.schemaVersion}, expected ${HISTORY_SCHEMA_VERSION}`);
+    }
+    return history.runs;
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+// Append a run to the ledger; a run recorded twice replaces its entry
+export async function recordRun(reportsDir, { runId, command, status, tenants }) {
+  const runs = (await loadHistory(reportsDir)).filter(run => run.runId !== runId);
+
+  runs.push({
+    runId,
+    command,
+    recordedAt: new Date().toISOString(),
+    status,
+    tenants: tenants.map(([dbName, summary]) => ({
+      database: dbName,
+      status: summary.status,
+      mismatchingValues: summary.valueMismatchRows,
+      missingSkus: summary.skuMismatches.missingInNew + summary.skuMismatches.missingInOld,
+      // Values of a sampled run were compared for some SKUs only
+      sampled: Boolean(summary.sampling && !summary.sampling.escalated),
+      // and those of an incremental run for changed or still mismatching SKUs
+      incremental: summary.incremental?.mode === 'incremental',
+      checks: Object.fromEntries(summary.checks.map(check => [check.name, check.status]))
+    }))
+  });
+  runs.sort((a, b) => a.runId.localeCompare(b.runId));
+
+  await writeFileAtomically(join(reportsDir, HISTORY_FILE), JSON.stringify({ schemaVersion: HISTORY_SCHEMA_VERSION, runs }, null, 2));
+
+  return runs;
+}
+
+// The run to compare against when none is named: the one before current
+export function previousRun(runs, runId) {
+  const index = runs.findIndex(run => run.runId === runId);
+  const earlier = index === -1 ? runs : runs.slice(0, index);
+  return earlier.length > 0 ? earlier[earlier.length - 1] : null;
+}
+
+export async function* readKeys(path) {
+  const lines = readline.createInterface({ input: createReadStream(path), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line) yield line;
+  }
+}
+
+async function fileExists(path) {
+  try {
+    await fs.access(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function emptyCounts() {
+  return { new: 0, resolved: 0, persisting: 0, newMismatches: [], resolvedMismatches: [] };
+}
+
+// Diff the mismatch keys of one tenant between two runs. Only the baseline
+// keys are held in memory; the current run is streamed.
+async function compareTenantKeys(baselinePath, currentPath) {
+  const baseline = new Set();
+  for await (const key of readKeys(baselinePath)) {
+    baseline.add(key);
+  }
+
+  const byCheck = new Map();
+  const countsFor = check => {
+    if (!byCheck.has(check)) byCheck.set(check, emptyCounts());
+    return byCheck.get(check);
+  };
+
+  for await (const key of readKeys(currentPath)) {
+    const mismatch = parseMismatchKey(key);
+    const counts = countsFor(mismatch.check);
+
+    if (baseline.delete(key)) {
+      counts.persisting++;
+    } else {
+      counts.new++;
+      if (counts.newMismatches.length < MAX_LISTED_CHANGES) counts.newMismatches.push(mismatch);
+    }
+  }
+
+  // Whatever is left in the baseline no longer occurs
+  for (const key of baseline) {
+    const mismatch = parseMismatchKey(key);
+    const counts = countsFor(mismatch.check);
+    counts.resolved++;
+    if (counts.resolvedMismatches.length < MAX_LISTED_CHANGES) counts.resolvedMismatches.push(mismatch);
+  }
+
+  return Array.from(byCheck.entries())
+    .map(([check, counts]) => ({ check, ...counts }))
+    .sort((a, b) => a.check.localeCompare(b.check));
+}
+
+const STATUS_RANK = { passed: 0, skipped: 0, failed: 1, error: 2 };
+
+function checkChange(baselineStatus, currentStatus) {
+  if (baselineStatus === undefined) return 'added';
+  if (currentStatus === undefined) return 'removed';
+  if (STATUS_RANK[currentStatus] > STATUS_RANK[baselineStatus]) return 'regressed';
+  if (STATUS_RANK[currentStatus] < STATUS_RANK[baselineStatus]) return 'improved';
+  return 'unchanged';
+}
+
+// Compare two recorded runs: per tenant, the change of every check and the
+// mismatches that are new, resolved or persisting since the baseline
+export async function compareRuns(reportsDir, runs, baselineId, currentId) {
+  const baseline = runs.find(run => run.runId === baselineId);
+  const current = runs.find(run => run.runId === currentId);
+  if (!baseline) throw new Error(`Run ${baselineId} is not in ${HISTORY_FILE}`);
+  if (!current) throw new Error(`Run ${currentId} is not in ${HISTORY_FILE}`);
+
+  const databases = [...new Set([...current.tenants, ...baseline.tenants].map(tenant => tenant.database))];
+  const tenants = [];
+
+  for (const dbName of databases) {
+    const before = baseline.tenants.find(tenant => tenant.database === dbName);
+    const after = current.tenants.find(tenant => tenant.database === dbName);
+    const checkNames = [...new Set([...Object.keys(after?.checks || {}), ...Object.keys(before?.checks || {})])];
+
+    const checks = checkNames.map(name => ({
+      name,
+      baseline: before?.checks[name],
+      current: after?.checks[name],
+      change: checkChange(before?.checks[name], after?.checks[name])
+    }));
+
+    const baselineKeys = keysFile(join(reportsDir, baselineId), dbName);
+    const currentKeys = keysFile(join(reportsDir, currentId), dbName);
+    // A sample or an incremental run leaves out most value mismatches, which
+    // would show as resolved or new
+    const comparable = before && after && !before.sampled && !after.sampled && !before.incremental && !after.incremental
+      && await fileExists(baselineKeys) && await fileExists(currentKeys);
+
+    tenants.push({
+      database: dbName,
+      baselineStatus: before?.status ?? null,
+      currentStatus: after?.status ?? null,
+      // A tenant the current run left out is no longer verified at all
+      missingFromCurrent: Boolean(before && !after),
+      checks,
+      // null when either run has no mismatch keys, e.g. schema-diff runs, or sampled or incremental values
+      mismatches: comparable ? await compareTenantKeys(baselineKeys, currentKeys) : null
+    });
+  }
+
+  const total = field => tenants.reduce((sum, tenant) => sum + (tenant.mismatches || []).reduce((count, check) => count + check[field], 0), 0);
+
+  return {
+    baselineRunId: baselineId,
+    currentRunId: currentId,
+    generatedAt: new Date().toISOString(),
+    totals: { new: total('new'), resolved: total('resolved'), persisting: total('persisting') },
+    regressed: tenants.some(tenant => tenant.missingFromCurrent || tenant.checks.some(check => check.change === 'regressed')) || total('new') > 0,
+    tenants
+  };
+}
@@ -0,0 +1,137 @@
+import fs from 'fs/promises';
+import { join } from 'path';
+import { VALUE_CHECKS, parseMismatchKey, readKeys } from './history.js';
+import { evaluateChecks, overallStatus } from './checks.js';
+import { writeFileAtomically } from './files.js';
+
+// Bump when the structure of the state files changes
+export const INCREMENTAL_SCHEMA_VERSION = 1;
+
+// Under the reports directory; one state file per tenant, so tenants
+// verified side by side never write the same file
+export const INCREMENTAL_DIRECTORY = 'incremental';
+
+// Settings used when the config leaves them out; lookback_minutes compares
+// rows updated just before a high-water mark again, in case their
+// transaction committed after the mark was read
+export const DEFAULT_INCREMENTAL_SETTINGS = {
+  updated_column: 'updated_at',
+  lookback_minutes: 5
+};
+
+const VALUE_CHECK_NAMES = Object.values(VALUE_CHECKS);
+
+// The compared column pairs; comparing other columns starts over with a full run
+function columnsOf(columnSpecs) {
+  return columnSpecs.map(spec => `${spec.type}:${spec.oldColumn}:${spec.newColumn}`).sort();
+}
+
+// The incremental state of one tenant: the high-water marks of the last
+// successful run, the value mismatches still open after it and the latest
+// status of every check. plan() tells verifyDatabase which SKUs to compare;
+// commit() merges a run into the state.
+export class IncrementalTracker {
+  constructor(reportsDir, dbName) {
+    this.dbName = dbName;
+    this.directory = join(reportsDir, INCREMENTAL_DIRECTORY);
+    this.statePath = join(this.directory, `${dbName}.json`);
+    this.keysPath = join(this.directory, `${dbName}.open-keys.txt`);
+    this.state = null;
+    this.openKeys = [];
+    this.columns = null;
+  }
+
+  async open() {
+    await fs.mkdir(this.directory, { recursive: true });
+    try {
+      this.state = JSON.parse(await fs.readFile(this.statePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    if (this.state.schemaVersion !== INCREMENTAL_SCHEMA_VERSION) {
+      throw new Error(`${this.statePath} has schema version ${this.state.schemaVersion}, expected ${INCREMENTAL_SCHEMA_VERSION}`);
+    }
+    for await (const key of readKeys(this.keysPath)) {
+      this.openKeys.push(key);
+    }
+  }
+
+  // Every SKU is compared without an earlier run, when the compared columns
+  // changed or a table has no high-water mark yet; otherwise the SKUs changed
+  // since the marks and those with open value mismatches. sides are the
+  // tables that have updatedColumn.
+  plan(columnSpecs, { sides, updatedColumn }) {
+    this.columns = columnsOf(columnSpecs);
+
+    let reason = null;
+    if (!this.state) {
+      reason = 'no earlier incremental run';
+    } else if (JSON.stringify(this.state.columns) !== JSON.stringify(this.columns)) {
+      reason = 'the compared columns changed since the last run';
+    } else if (sides.length === 0) {
+      reason = `${updatedColumn} missing in both tables`;
+    } else if (sides.some(side => this.state.highWaterMarks[side] == null)) {
+      reason = `no high-water mark of the ${sides.filter(side => this.state.highWaterMarks[side] == null).join(' and ')} table yet`;
+    }
+    if (reason) return { since: null, skuCodes: [], reason };
+
+    const skuCodes = new Set(this.openKeys.map(key => parseMismatchKey(key).item));
+    return { since: this.state.highWaterMarks, skuCodes: [...skuCodes], sinceRunId: this.state.runId, reason: null };
+  }
+
+  // Merge a run into the state and return the tenant's cumulative status:
+  // the latest status of every check and the value mismatches still open.
+  // Runs that failed or compared no values leave the state as it was, so the
+  // next run starts from the last successful one.
+  async commit(runId, results, runKeysPath) {
+    if (results.error || !results.incremental) return null;
+
+    const checks = evaluateChecks(results).filter(check => check.status !== 'skipped');
+    const ran = new Set(checks.map(check => check.name));
+
+    // The open mismatches of a value check that ran were all compared again;
+    // this run's mismatches replace them
+    const openKeys = this.openKeys.filter(key => !ran.has(parseMismatchKey(key).check));
+    for await (const key of readKeys(runKeysPath)) {
+      if (VALUE_CHECK_NAMES.includes(parseMismatchKey(key).check)) openKeys.push(key);
+    }
+
+    const openMismatches = {};
+    for (const key of openKeys) {
+      const { check } = parseMismatchKey(key);
+      openMismatches[check] = (openMismatches[check] || 0) + 1;
+    }
+
+    const full = results.incremental.mode === 'full';
+    const statuses = { ...this.state?.checks, ...Object.fromEntries(checks.map(check => [check.name, check.status])) };
+    const state = {
+      schemaVersion: INCREMENTAL_SCHEMA_VERSION,
+      database: this.dbName,
+      runId,
+      recordedAt: new Date().toISOString(),
+      fullRunId: full ? runId : this.state.fullRunId,
+      incrementalRuns: full ? 0 : this.state.incrementalRuns + 1,
+      updatedColumn: results.incremental.updatedColumn,
+      highWaterMarks: results.incremental.highWaterMarks,
+      columns: this.columns,
+      status: overallStatus(Object.entries(statuses).map(([name, status]) => ({ name, status }))),
+      checks: statuses,
+      openMismatches
+    };
+
+    await writeFileAtomically(this.keysPath, openKeys.map(key => `${key}\n`).join(''));
+    await writeFileAtomically(this.statePath, JSON.stringify(state, null, 2));
+    this.state = state;
+    this.openKeys = openKeys;
+
+    return {
+      status: state.status,
+      checks: state.checks,
+      openMismatches,
+      fullRunId: state.fullRunId,
+      incrementalRuns: state.incrementalRuns
+    };
+  }
+}
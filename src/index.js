@@ -2,9 +2,28 @@ import mysql from 'mysql2/promise';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import fs from 'fs/promises';
 import logger from './logger.js';
-import ReportGenerator from './reportGenerator.js';
+import { buildColumnSpecs, streamMismatches, DEFAULT_BATCH_SIZE } from './comparisonEngine.js';
+import { findDifferingSkus, DEFAULT_BUCKET_SIZE } from './fingerprint.js';
+import { createQueryBuilder } from './queryBuilder.js';
+import { createComparators } from './comparators.js';
+import { resolveTenantConfig } from './config.js';
+import { discoverAttributeMappings, diffMappings, DEFAULT_DISCOVERY_TABLES } from './mappingDiscovery.js';
+import { diffTableSchemas } from './schemaDiff.js';
+import { createAllowlist } from './acceptedDifferences.js';
+import { createColumnProfiler, DEFAULT_TOP_VALUE_PAIRS } from './columnProfiler.js';
+import { createMismatchClassifier, describeClassifications } from './mismatchClassifier.js';
+import { createTextDiffer } from './textDiff.js';
+import { verifyBarcodes, DEFAULT_BARCODE_COLUMNS } from './barcodeVerifier.js';
+import { verifyReferences, resolveReferentialSettings } from './referentialChecks.js';
+import { reconcileAggregates } from './aggregateReconciliation.js';
+import { resolveLifecycle, verifyLifecycle } from './skuLifecycle.js';
+import { drawSample, createSampleEstimator, DEFAULT_SAMPLING_SETTINGS } from './sampling.js';
+import { DEFAULT_INCREMENTAL_SETTINGS } from './incremental.js';
+import { valueText } from './reportValues.js';
+import { readInteger } from './environment.js';
+import { formatRate } from './checks.js';
+import { poolConnectionLimit } from './concurrency.js';
 
 // Get the directory path of the current module
 const __filename = fileURLToPath(import.meta.url);
@@ -18,209 +37,170 @@ const dbConfig = {
   host: process.env.DB_HOST || 'localhost',
   user: process.env.DB_USER,
   password: process.env.DB_PASSWORD,
-  port: parseInt(process.env.DB_PORT || '3306'),
+  port: readInteger('DB_PORT', 3306),
+  // sku_code is a bigint unsigned in the old table; keep it exact
+  supportBigNumbers: true,
+  bigNumberStrings: true,
+  // Dates are compared by the comparators, which apply per-column timezones
+  dateStrings: true
 };
 
-// Get list of tenant databases
-const tenantDbs = (process.env.TENANT_DBS || '').split(',').filter(Boolean);
+// Run the SKU existence check and value comparison of a tenant side by side
+const parallelChecks = process.env.PARALLEL_CHECKS === 'true';
 
-// Add configuration for ignored columns
-const IGNORED_COLUMNS = {
-  oldTable: ['brand_name', 'department_name', 'id','vendor_sku_detail_id','sku']
-};
+// Number of SKUs fetched per comparison batch
+const compareBatchSize = readInteger('COMPARE_BATCH_SIZE', DEFAULT_BATCH_SIZE);
+
+// Differences kept per column for logs and reports; the rest are only counted
+const maxReportedDifferences = readInteger('MAX_REPORTED_DIFFERENCES', 500, { min: 0 });
+
+// Hash rows per sku_code range first and only drill into ranges that differ
+const fingerprintMode = process.env.FINGERPRINT_MODE === 'true';
+const fingerprintBucketSize = readInteger('FINGERPRINT_BUCKET_SIZE', DEFAULT_BUCKET_SIZE);
+
+// Most frequent (old, new) value pairs kept per column in the column profile
+const profileTopValuePairs = readInteger('PROFILE_TOP_VALUE_PAIRS', DEFAULT_TOP_VALUE_PAIRS);
+
+// Connections in the pool; by default enough for every tenant run at a time
+const poolSize = readInteger('DB_POOL_SIZE', null);
+
+// Check groups that can be selected per run
+export const CHECK_GROUPS = ['skus', 'attributes', 'categories', 'common', 'barcodes', 'aggregates'];
+
+// Groups compared in the single value comparison pass
+const VALUE_GROUPS = ['attributes', 'categories', 'common'];
+
+export function hasDatabaseCredentials() {
+  return Boolean(dbConfig.user && dbConfig.password);
+}
+
+// One pool shared by all tenants; each tenant holds one connection, two with parallel checks
+export function createPool(tenantConcurrency = 1) {
+  return mysql.createPool({
+    ...dbConfig,
+    connectionLimit: poolConnectionLimit({ poolSize, tenantConcurrency, parallelChecks })
+  });
+}
+
+// With a lifecycle (see resolveLifecycle), only SKUs in its scope are
+// checked, missing SKUs carry their lifecycle state and SKUs in both tables
+// are compared by lifecycle state as well
+async function verifySkuCodeMatches(connection, queries, lifecycle = null) {
+  const descriptive = side => queries.has(side, 'name') ? ['name'] : [];
+  const asSkuRows = rows => rows.map(({ [queries.joinKey]: skuCode, ...rest }) => ({ sku_code: skuCode, ...rest }));
 
-async function verifySkuCodeMatches(connection) {
   try {
     // Check for SKUs in old table but missing in new table
-    const [missingInNew] = await connection.query(`
-      SELECT o.sku_code, o.name
-      FROM vendor_sku_flat_table o
-      LEFT JOIN im_sku_flat_table n ON o.sku_code = n.sku_code
-      WHERE n.sku_code IS NULL
-    `);
+    const [missingInNew] = await connection.query(queries.missingKeys('old', descriptive('old'), lifecycle));
 
     // Check for SKUs in new table but missing in old table
-    const [missingInOld] = await connection.query(`
-      SELECT n.sku_code, n.name
-      FROM im_sku_flat_table n
-      LEFT JOIN vendor_sku_flat_table o ON n.sku_code = o.sku_code
-      WHERE o.sku_code IS NULL
-    `);
-
-    return { missingInNew, missingInOld };
+    const [missingInOld] = await connection.query(queries.missingKeys('new', descriptive('new'), lifecycle));
+
+    const skuMismatches = { missingInNew: asSkuRows(missingInNew), missingInOld: asSkuRows(missingInOld), lifecycle: null };
+    if (lifecycle) {
+      skuMismatches.lifecycle = await verifyLifecycle(connection, queries, lifecycle, { names: descriptive('old') });
+    }
+    return skuMismatches;
   } catch (error) {
     logger.error('Error verifying SKU code matches:', error);
     throw error;
   }
 }
 
-async function loadAttributeMappings() {
-  try {
-    const mappingContent = await fs.readFile(join(__dirname, '../schemas/attribute-mappings'), 'utf8');
-    const mappings = new Map();
-    
-    mappingContent.split('\n').forEach(line => {
-      if (line.trim()) {
-        const [newCol, oldCol] = line.split('->').map(s => s.trim());
-        mappings.set(newCol, oldCol);
-      }
-    });
-    
-    return mappings;
-  } catch (error) {
-    logger.error('Error loading attribute mappings:', error);
-    throw error;
-  }
-}
+// Stream every mismatch from the comparison engine, keeping per-column counts
+// and only a bounded sample of differences for the logs and reports.
+// Differences the allowlist accepts are counted apart and not passed to sinks
+// or the profiler. countRows adds the rows found on both sides to the
+// profiler's compared rows.
+async function compareColumnValues(connection, columnSpecs, queries, { skuCodes = null, countRows = true, sinks = [], allowlist = null, profiler = null, classifier = null, textDiffer = null } = {}) {
+  logger.info(`Comparing ${columnSpecs.length} mapped columns in batches of ${compareBatchSize} SKUs...`);
+
+  const mismatchesByColumn = new Map();
+  const acceptedByColumn = new Map();
+  let unmatchedRows = 0;
+  const differences = streamMismatches(connection, columnSpecs, {
+    queries,
+    batchSize: compareBatchSize,
+    skuCodes,
+    onRowsCompared: countRows ? count => profiler?.addComparedRows(count) : null,
+    onUnmatchedRows: count => { unmatchedRows += count; },
+    classifier,
+    textDiffer
+  });
 
-async function loadCategoryMappings() {
-  try {
-    const mappingContent = await fs.readFile(join(__dirname, '../schemas/category-mappings'), 'utf8');
-    const mappings = new Map();
-    
-    mappingContent.split('\n').forEach(line => {
-      if (line.trim()) {
-        const [newCol, oldCol] = line.split('->').map(s => s.trim());
-        mappings.set(newCol, oldCol);
+  for await (const difference of differences) {
+    const acceptedBy = allowlist?.match(difference);
+    if (acceptedBy) {
+      const key = `${difference.type}:${difference.old_column}:${difference.new_column}`;
+      if (!acceptedByColumn.has(key)) {
+        acceptedByColumn.set(key, { type: difference.type, old_column: difference.old_column, new_column: difference.new_column, acceptedCount: 0, differences: [] });
       }
-    });
-    
-    return mappings;
-  } catch (error) {
-    logger.error('Error loading category mappings:', error);
-    throw error;
-  }
-}
 
-async function compareAttributeValues(connection, attributeMappings) {
-  const mismatches = [];
-  logger.info(`Comparing ${attributeMappings.size} attribute mappings...`);
-  
-  for (const [newCol, oldCol] of attributeMappings) {
-    try {
-      // Skip if either column name is undefined
-      if (!newCol || !oldCol) {
-        logger.warning(`Skipping invalid mapping: ${newCol || 'undefined'} -> ${oldCol || 'undefined'}`);
-        continue;
+      const accepted = acceptedByColumn.get(key);
+      accepted.acceptedCount++;
+      if (accepted.differences.length < maxReportedDifferences) {
+        accepted.differences.push({ sku_code: difference.sku_code, old_value: difference.old_value, new_value: difference.new_value, classification: difference.classification, accepted_by: acceptedBy.id });
       }
+      continue;
+    }
 
-      logger.info(`Comparing attribute mapping: ${oldCol} -> ${newCol}`);
-      const [results] = await connection.query(`
-        SELECT 
-          o.sku_code,
-          o.${oldCol} as old_value,
-          n.${newCol} as new_value
-        FROM vendor_sku_flat_table o
-        LEFT JOIN im_sku_flat_table n ON o.sku_code = n.sku_code
-        WHERE (o.${oldCol} != n.${newCol}
-          OR (o.${oldCol} IS NULL AND n.${newCol} IS NOT NULL)
-          OR (o.${oldCol} IS NOT NULL AND n.${newCol} IS NULL))
-        AND o.sku_code IS NOT NULL
-        AND n.sku_code IS NOT NULL
-      `);
-      
-      if (results.length > 0) {
-        logger.info(`Found ${results.length} mismatches for ${oldCol} -> ${newCol}`);
-        mismatches.push({
-          old_column: oldCol,
-          new_column: newCol,
-          differences: results
-        });
-      }
-    } catch (error) {
-      logger.warning(`Error comparing ${oldCol || 'undefined'} -> ${newCol || 'undefined'}: ${error.message}`);
+    profiler?.record(difference);
+
+    // Sinks such as the CSV/XLSX exporter receive every difference, not the sample
+    for (const sink of sinks) {
+      await sink.writeDifference?.(difference);
     }
-  }
-  
-  return mismatches;
-}
 
-async function compareCategoryValues(connection, categoryMappings) {
-  const mismatches = [];
-  logger.info(`Comparing ${categoryMappings.size} category mappings...`);
-  
-  for (const [newCol, oldCol] of categoryMappings) {
-    try {
-      // Skip if either column name is undefined
-      if (!newCol || !oldCol) {
-        logger.warning(`Skipping invalid category mapping: ${newCol || 'undefined'} -> ${oldCol || 'undefined'}`);
-        continue;
-      }
+    const key = `${difference.type}:${difference.old_column}:${difference.new_column}`;
 
-      logger.info(`Comparing category mapping: ${oldCol} -> ${newCol}`);
-      const [results] = await connection.query(`
-        SELECT 
-          o.sku_code,
-          o.${oldCol} as old_value,
-          n.${newCol} as new_value
-        FROM vendor_sku_flat_table o
-        LEFT JOIN im_sku_flat_table n ON o.sku_code = n.sku_code
-        WHERE (o.${oldCol} != n.${newCol}
-          OR (o.${oldCol} IS NULL AND n.${newCol} IS NOT NULL)
-          OR (o.${oldCol} IS NOT NULL AND n.${newCol} IS NULL))
-        AND o.sku_code IS NOT NULL
-        AND n.sku_code IS NOT NULL
-      `);
-      
-      if (results.length > 0) {
-        logger.info(`Found ${results.length} mismatches for category ${oldCol} -> ${newCol}`);
-        mismatches.push({
-          old_column: oldCol,
-          new_column: newCol,
-          differences: results,
-          type: 'category'
-        });
-      }
-    } catch (error) {
-      logger.warning(`Error comparing category ${oldCol || 'undefined'} -> ${newCol || 'undefined'}: ${error.message}`);
+    if (!mismatchesByColumn.has(key)) {
+      mismatchesByColumn.set(key, difference.type === 'common'
+        ? { column: difference.new_column, mismatchCount: 0, classifications: {}, differences: [] }
+        : { old_column: difference.old_column, new_column: difference.new_column, type: difference.type, mismatchCount: 0, classifications: {}, differences: [] });
     }
-  }
-  
-  return mismatches;
-}
 
-async function compareCommonColumns(connection, availableColumns) {
-  const mismatches = [];
-  logger.info(`Comparing ${availableColumns.length} common columns...`);
-  
-  for (const column of availableColumns) {
-    try {
-      // Skip if column name is undefined
-      if (!column) {
-        logger.warning(`Skipping undefined common column`);
-        continue;
-      }
+    const mismatch = mismatchesByColumn.get(key);
+    mismatch.mismatchCount++;
+    if (difference.classification) {
+      mismatch.classifications[difference.classification] = (mismatch.classifications[difference.classification] || 0) + 1;
+    }
 
-      logger.info(`Comparing common column: ${column}`);
-      const query = `
-        SELECT 
-          o.sku_code,
-          o.${column} as old_value,
-          n.${column} as new_value
-        FROM vendor_sku_flat_table o
-        LEFT JOIN im_sku_flat_table n ON o.sku_code = n.sku_code
-        WHERE (o.${column} != n.${column}
-          OR (o.${column} IS NULL AND n.${column} IS NOT NULL)
-          OR (o.${column} IS NOT NULL AND n.${column} IS NULL))
-        AND o.sku_code IS NOT NULL
-        AND n.sku_code IS NOT NULL
-      `;
-
-      const [results] = await connection.query(query);
-      
-      if (results.length > 0) {
-        logger.info(`Found ${results.length} mismatches for column ${column}`);
-        mismatches.push({
-          column,
-          differences: results
-        });
-      }
-    } catch (error) {
-      logger.warning(`Error comparing common column ${column || 'undefined'}: ${error.message}`);
+    if (mismatch.differences.length < maxReportedDifferences) {
+      mismatch.differences.push({
+        sku_code: difference.sku_code,
+        old_value: difference.old_value,
+        new_value: difference.new_value,
+        classification: difference.classification,
+        similarity: difference.similarity,
+        ops: difference.ops,
+        diff: difference.diff
+      });
     }
   }
-  
-  return mismatches;
+
+  const byType = type => Array.from(mismatchesByColumn.entries())
+    .filter(([key]) => key.startsWith(`${type}:`))
+    .map(([, mismatch]) => mismatch);
+
+  for (const mismatch of mismatchesByColumn.values()) {
+    const label = mismatch.column || `${mismatch.old_column} -> ${mismatch.new_column}`;
+    logger.info(`Found ${mismatch.mismatchCount} mismatches for ${label} (${describeClassifications(mismatch.classifications)})`);
+  }
+
+  if (unmatchedRows > 0) {
+    logger.warning(`${unmatchedRows} new rows found by sku_code could not be matched to an old row (collation differences) and were not compared`);
+  }
+
+  for (const accepted of acceptedByColumn.values()) {
+    logger.info(`Accepted ${accepted.acceptedCount} known differences for ${accepted.old_column} -> ${accepted.new_column}`);
+  }
+
+  return {
+    attributeMismatches: byType('attribute'),
+    categoryMismatches: byType('category'),
+    commonColumnMismatches: byType('common'),
+    acceptedColumns: Array.from(acceptedByColumn.values())
+  };
 }
 
 async function getTableColumns(connection, tableName) {
@@ -228,7 +208,7 @@ async function getTableColumns(connection, tableName) {
     const [columns] = await connection.query(`
       SELECT COLUMN_NAME, DATA_TYPE, IS_NULLABLE, COLUMN_KEY
       FROM INFORMATION_SCHEMA.COLUMNS 
-      WHERE TABLE_NAME = ?
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?
       ORDER BY ORDINAL_POSITION
     `, [tableName]);
     
@@ -239,14 +219,22 @@ async function getTableColumns(connection, tableName) {
   }
 }
 
-async function verifyAttributeColumns(connection, attributeMappings) {
+// Data type of the join key in each flat table, e.g. bigint or varchar
+async function getJoinKeyTypes(connection, tables, joinKey) {
+  const [rows] = await connection.query(`
+    SELECT TABLE_NAME, DATA_TYPE
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME IN (?, ?) AND COLUMN_NAME = ?
+  `, [tables.old, tables.new, joinKey]);
+
+  const typeOf = table => rows.find(row => row.TABLE_NAME.toLowerCase() === table.toLowerCase())?.DATA_TYPE.toLowerCase() ?? null;
+  return { old: typeOf(tables.old), new: typeOf(tables.new) };
+}
+
+async function verifyAttributeColumns(tableColumns, attributeMappings, { ignored_columns: ignoredColumns = {} }) {
+  const { old: oldTableColumns, new: newTableColumns } = tableColumns;
+
   try {
-    logger.info('Getting columns from both flat tables...');
-    // Get columns from both flat tables
-    const oldTableColumns = await getTableColumns(connection, 'vendor_sku_flat_table');
-    const newTableColumns = await getTableColumns(connection, 'im_sku_flat_table');
-    logger.info(`Found ${oldTableColumns.length} columns in old table and ${newTableColumns.length} columns in new table`);
-    
     const validMappings = new Map();
     const missingColumns = {
       oldTable: [],
@@ -257,8 +245,8 @@ async function verifyAttributeColumns(connection, attributeMappings) {
     logger.info('Verifying attribute mappings...');
     for (const [newCol, oldCol] of attributeMappings) {
       // Skip ignored columns
-      if (IGNORED_COLUMNS.oldTable.includes(oldCol)) {
-        logger.info(`Skipping ignored column: ${oldCol}`);
+      if (ignoredColumns.old?.includes(oldCol) || ignoredColumns.new?.includes(newCol)) {
+        logger.info(`Skipping ignored column: ${newCol} -> ${oldCol}`);
         continue;
       }
 
@@ -286,33 +274,11 @@ async function verifyAttributeColumns(connection, attributeMappings) {
   }
 }
 
-async function verifyCommonColumns(connection) {
-  const desiredCommonColumns = [
-    'name',
-    'short_description',
-    'long_description',
-    'purchase_uom_name',
-    'selling_uom_name',
-    'uom_factor',
-    'tax_type',
-    'is_active',
-    'ref_item_code',
-    'sku_code',
-    'ref_sku_code',
-    'sku',
-    'purchase_uom_id',
-    'purchase_uom_type',
-    'selling_uom_id',
-    'selling_uom_name',
-    'selling_uom_type'
-  ];
+async function verifyCommonColumns(tableColumns, { mapping_groups: mappingGroups, ignored_columns: ignoredColumns = {} }) {
+  const desiredCommonColumns = mappingGroups.common || [];
+  const { old: oldTableColumns, new: newTableColumns } = tableColumns;
   
   try {
-    logger.info('Getting columns from both flat tables...');
-    const oldTableColumns = await getTableColumns(connection, 'vendor_sku_flat_table');
-    const newTableColumns = await getTableColumns(connection, 'im_sku_flat_table');
-    logger.info(`Found ${oldTableColumns.length} columns in old table and ${newTableColumns.length} columns in new table`);
-    
     const availableColumns = [];
     const missingColumns = {
       oldTable: [],
@@ -322,7 +288,7 @@ async function verifyCommonColumns(connection) {
     logger.info('Checking availability of common columns...');
     desiredCommonColumns.forEach(column => {
       // Skip ignored columns
-      if (IGNORED_COLUMNS.oldTable.includes(column)) {
+      if (ignoredColumns.old?.includes(column) || ignoredColumns.new?.includes(column)) {
         logger.info(`Skipping ignored common column: ${column}`);
         return;
       }
@@ -352,73 +318,584 @@ async function verifyCommonColumns(connection) {
   }
 }
 
-async function verifyDatabase(dbName, attributeMappings, categoryMappings) {
+// Borrow a pooled connection and point it at the tenant database
+async function getTenantConnection(pool, dbName) {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.changeUser({ database: dbName });
+  } catch (error) {
+    connection.release();
+    throw error;
+  }
+
+  return connection;
+}
+
+async function withTenantConnection(pool, dbName, fn) {
+  const connection = await getTenantConnection(pool, dbName);
+
+  try {
+    return await fn(connection);
+  } finally {
+    connection.release();
+  }
+}
+
+// Derive attribute mappings from the tenant's attribute base tables and diff
+// them against the configured ones. Tenants without those tables only get a
+// warning; the configured mappings are used as before.
+async function runMappingDiscovery(connection, staticMappings, { tables = DEFAULT_DISCOVERY_TABLES } = {}, ignoredColumns = {}) {
+  let discovered;
+  try {
+    discovered = await discoverAttributeMappings(connection, tables);
+  } catch (error) {
+    logger.warning(`Could not discover attribute mappings: ${error.message}`);
+    return { error: error.message };
+  }
+
+  const diff = diffMappings(staticMappings, discovered.mappings, ignoredColumns);
+  logger.info(`Discovered ${discovered.mappings.size} attribute mappings: ${diff.matching.length} match the config, ${diff.differing.length} differ, ${diff.onlyInStatic.length} only configured, ${diff.onlyInDiscovered.length} only discovered`);
+
+  if (diff.differing.length > 0) {
+    logger.warning('\nAttribute mappings that differ from the config:');
+    logger.table(diff.differing);
+  }
+
+  if (diff.onlyInDiscovered.length > 0) {
+    logger.warning('\nDiscovered attribute mappings missing from the config:');
+    logger.table(diff.onlyInDiscovered);
+  }
+
+  if (discovered.onlyInOld.length > 0) {
+    logger.warning(`\nAttributes only in ${tables.old}:`);
+    logger.table(discovered.onlyInOld);
+  }
+
+  if (discovered.onlyInNew.length > 0) {
+    logger.warning(`\nAttributes only in ${tables.new} (or without a flat_table_index):`);
+    logger.table(discovered.onlyInNew);
+  }
+
+  if (discovered.duplicates.length > 0) {
+    logger.warning('\nDuplicate attributes:');
+    logger.table(discovered.duplicates);
+  }
+
+  return {
+    mappings: Array.from(discovered.mappings.entries()),
+    ...diff,
+    onlyInOld: discovered.onlyInOld,
+    onlyInNew: discovered.onlyInNew,
+    duplicates: discovered.duplicates
+  };
+}
+
+// Compare types, lengths, nullability, enum members and keys of every mapped
+// column pair, and check them against column-mapping.json
+async function runSchemaDiff(connection, columnSpecs, config) {
+  const schemaDiff = await diffTableSchemas(connection, columnSpecs, {
+    tables: config.tables,
+    joinKey: config.join_key,
+    columnTypes: config.columnTypes
+  });
+
+  const risks = schemaDiff.findings.filter(finding => finding.severity === 'risk');
+  logger.info(`Checked ${schemaDiff.columnsChecked} column pairs: ${risks.length} risky changes, ${schemaDiff.findings.length - risks.length} other differences`);
+
+  if (risks.length > 0) {
+    logger.warning('\nRisky schema changes:');
+    logger.table(risks.map(({ old_column, new_column, check, message }) => ({ old_column, new_column, check, message })));
+  }
+
+  return schemaDiff;
+}
+
+// Verify SKU code matches
+async function runSkuCodeCheck(connection, queries, sinks = [], lifecycleSettings = null) {
+  logger.info('Step 7: Verifying SKU code matches...');
+  const lifecycle = lifecycleSettings?.enabled ? resolveLifecycle(queries, lifecycleSettings) : null;
+  if (lifecycle?.missingColumns.length > 0) {
+    logger.warning(`Lifecycle columns not found, treated as live: ${lifecycle.missingColumns.join(', ')}`);
+  }
+
+  const skuMismatches = await verifySkuCodeMatches(connection, queries, lifecycle);
+  for (const sink of sinks) {
+    await sink.writeMissingSkus?.(skuMismatches);
+  }
+  logger.info(`Found ${skuMismatches.missingInNew.length} SKUs missing in new table and ${skuMismatches.missingInOld.length} SKUs missing in old table`);
+  
+  // Report SKU mismatches
+  if (skuMismatches.missingInNew.length > 0 || skuMismatches.missingInOld.length > 0) {
+    logger.error('\nSKU code mismatches found:');
+    
+    if (skuMismatches.missingInNew.length > 0) {
+      logger.warning('\nSKUs present in old table but missing in new table:');
+      logger.table(skuMismatches.missingInNew);
+    }
+    
+    if (skuMismatches.missingInOld.length > 0) {
+      logger.warning('\nSKUs present in new table but missing in old table:');
+      logger.table(skuMismatches.missingInOld);
+    }
+  } else {
+    logger.success('✓ All SKU codes match between old and new tables');
+  }
+
+  if (skuMismatches.lifecycle) {
+    const { states, mismatchCount, mismatches } = skuMismatches.lifecycle;
+    logger.info(`Lifecycle status of SKUs in both tables: ${states.map(state => `${state.label} ${state.count}`).join(', ') || 'none in scope'}`);
+    if (mismatchCount > 0) {
+      logger.warning(`\n${mismatchCount} SKUs with a different lifecycle status:`);
+      logger.table(mismatches);
+    }
+  }
+
+  return skuMismatches;
+}
+
+// Compare attribute, category and common column values in a single pass;
+// with skuCodes, only those SKUs (scope describes them, e.g. 'sampled')
+async function runValueComparison(connection, columnSpecs, queries, { sinks = [], allowlist = null, classifier = null, textDiffer = null, skuCodes = null, scope = null } = {}) {
+  logger.info(skuCodes
+    ? `Step 8: Comparing attribute, category and common column values of ${skuCodes.length} ${scope} SKUs...`
+    : 'Step 8: Comparing attribute, category and common column values...');
+  const results = { fingerprint: null };
+  const profiler = createColumnProfiler(columnSpecs, { topN: profileTopValuePairs });
+
+  let skuCodesToCompare = skuCodes;
+  // Row hashes compare raw text; columns whose comparator can tell equal text
+  // apart (enum maps, timezone shifts) are compared for every SKU instead
+  const hashedSpecs = columnSpecs.filter(spec => spec.comparator?.equalTextMatches !== false);
+  const unhashedSpecs = !skuCodes && fingerprintMode && hashedSpecs.length > 0
+    ? columnSpecs.filter(spec => !hashedSpecs.includes(spec))
+    : [];
+  if (!skuCodes && fingerprintMode && hashedSpecs.length > 0) {
+    logger.info(`Fingerprinting ${hashedSpecs.length} mapped columns in sku_code ranges of ${fingerprintBucketSize}...`);
+    if (unhashedSpecs.length > 0) {
+      logger.info(`Comparing ${unhashedSpecs.length} columns with enum maps or timezone shifts for every SKU: ${unhashedSpecs.map(spec => spec.newColumn).join(', ')}`);
+    }
+    const fingerprint = await findDifferingSkus(connection, hashedSpecs, {
+      queries,
+      bucketSize: fingerprintBucketSize,
+      batchSize: compareBatchSize
+    });
+    results.fingerprint = {
+      bucketCount: fingerprint.bucketCount,
+      differingBuckets: fingerprint.differingBuckets,
+      differingSkus: fingerprint.differingSkus.length
+    };
+    skuCodesToCompare = fingerprint.differingSkus;
+    profiler.addComparedRows(fingerprint.comparedRows);
+    logger.info(`${fingerprint.differingBuckets} of ${fingerprint.bucketCount} sku_code ranges differ; ${skuCodesToCompare.length} SKUs need column-level comparison`);
+  }
+
+  // The fingerprint has already counted the compared rows
+  const compared = await compareColumnValues(connection, results.fingerprint ? hashedSpecs : columnSpecs, queries, { skuCodes: skuCodesToCompare, countRows: !results.fingerprint, sinks, allowlist, profiler, classifier, textDiffer });
+  if (results.fingerprint && unhashedSpecs.length > 0) {
+    const full = await compareColumnValues(connection, unhashedSpecs, queries, { countRows: false, sinks, allowlist, profiler, classifier, textDiffer });
+    for (const field of ['attributeMismatches', 'categoryMismatches', 'commonColumnMismatches', 'acceptedColumns']) {
+      compared[field].push(...full[field]);
+    }
+  }
+  const { attributeMismatches, categoryMismatches, commonColumnMismatches, acceptedColumns } = compared;
+  Object.assign(results, { attributeMismatches, categoryMismatches, commonColumnMismatches });
+  results.columnProfiles = profiler.report();
+
+  const profiled = results.columnProfiles.filter(profile => profile.mismatchCount > 0);
+  if (profiled.length > 0) {
+    logger.info(`\nMismatch rates of ${profiled.length} columns (${results.columnProfiles[0].comparedRows} rows compared):`);
+    logger.table(profiled.map(({ old_column, new_column, mismatchCount, mismatchRate, nullToValue, valueToNull, whitespaceOnly, caseOnly }) => ({
+      column: old_column === new_column ? new_column : `${old_column} -> ${new_column}`,
+      mismatches: mismatchCount,
+      rate: `${(mismatchRate * 100).toFixed(2)}%`,
+      nullToValue,
+      valueToNull,
+      whitespaceOnly,
+      caseOnly
+    })));
+  }
+
+  if (allowlist) {
+    const entries = allowlist.report();
+    results.acceptedDifferences = { entries, columns: acceptedColumns };
+
+    const flagged = entries.filter(entry => entry.status !== 'active');
+    if (flagged.length > 0) {
+      logger.warning('\nAccepted differences that are expired or no longer match anything:');
+      logger.table(flagged.map(({ id, owner, expires, status, expiredMatches }) => ({ id, owner, expires, status, expiredMatches })));
+    }
+  }
+  logger.info(`Found ${attributeMismatches.length} attribute mismatches`);
+  logger.info(`Found ${categoryMismatches.length} category mismatches`);
+  logger.info(`Found ${commonColumnMismatches.length} common column mismatches`);
+  
+  // Report value mismatches
+  if (attributeMismatches.length === 0 && categoryMismatches.length === 0 && commonColumnMismatches.length === 0) {
+    logger.success('✓ All values match between old and new tables for available columns');
+  } else {
+    logger.error('\nValue mismatches found:');
+    
+    // Combine all mismatches for logging
+    const allMismatches = [
+      ...attributeMismatches.map(m => ({ ...m, type: 'attribute' })),
+      ...categoryMismatches.map(m => ({ ...m, type: 'category' })),
+      ...commonColumnMismatches.map(m => ({ ...m, type: 'common' }))
+    ];
+    logger.info(`Processing ${allMismatches.length} total mismatches for display (up to ${maxReportedDifferences} differences per column)`);
+
+    // Group mismatches by SKU code for cleaner logging
+    const skuMap = new Map();
+    
+    allMismatches.forEach(mismatch => {
+      if (!mismatch.differences) return;
+      
+      mismatch.differences.forEach(diff => {
+        const skuCode = diff.sku_code || 'N/A';
+        if (!skuMap.has(skuCode)) {
+          skuMap.set(skuCode, []);
+        }
+        
+        const columnName = mismatch.type === 'attribute' || mismatch.type === 'category' ? 
+          `${mismatch.old_column} -> ${mismatch.new_column}` : 
+          mismatch.column;
+          
+        skuMap.get(skuCode).push({
+          column_name: columnName,
+          column_type: mismatch.type.charAt(0).toUpperCase() + mismatch.type.slice(1),
+          old_value: valueText(diff.old_value),
+          new_value: valueText(diff.new_value),
+          classification: diff.classification
+        });
+      });
+    });
+
+    logger.info(`Grouped mismatches by ${skuMap.size} unique SKU codes`);
+
+    // Log mismatches grouped by SKU code
+    for (const [skuCode, differences] of skuMap) {
+      logger.info(`\nSKU Code: ${skuCode} (${differences.length} differences)`);
+      logger.table(differences);
+    }
+  }
+
+  return results;
+}
+
+// Compare a sample of SKUs and estimate the mismatch rate of every column.
+// Sinks only get the sample's differences once no full run follows; with
+// escalate set, a column estimated above escalate_above escalates the tenant
+// to a full run, with a fresh allowlist from freshAllowlist().
+async function runSampledComparison(connection, columnSpecs, queries, settings, { sinks = [], allowlist = null, freshAllowlist = () => null, classifier = null, textDiffer = null } = {}) {
+  const resolved = { ...DEFAULT_SAMPLING_SETTINGS, ...settings };
+  logger.info(`Drawing a ${resolved.method} sample of ${resolved.size} SKUs...`);
+  const sample = await drawSample(connection, queries, resolved);
+  sample.notes.forEach(note => logger.warning(`Sampling: ${note}`));
+  logger.info(`Sampled ${sample.skuCodes.length} of ${sample.population} SKUs in both tables${sample.strata ? ` from ${sample.strata.length} values of ${sample.stratifyBy}` : ''}`);
+
+  const estimator = createSampleEstimator(sample);
+  const deferred = [];
+  const results = await runValueComparison(connection, columnSpecs, queries, {
+    sinks: [estimator, { writeDifference: difference => deferred.push(difference) }],
+    allowlist,
+    classifier,
+    textDiffer,
+    skuCodes: sample.skuCodes,
+    scope: 'sampled'
+  });
+
+  const estimates = estimator.estimate(columnSpecs, { confidence: resolved.confidence, escalateAbove: resolved.escalate_above });
+  const sampling = {
+    method: sample.method,
+    probabilistic: sample.probabilistic,
+    stratifyBy: sample.stratifyBy,
+    recentColumn: sample.recent?.column ?? null,
+    seed: resolved.seed,
+    size: resolved.size,
+    sampled: sample.skuCodes.length,
+    population: sample.population,
+    confidence: resolved.confidence,
+    escalateAbove: resolved.escalate_above,
+    escalated: false,
+    notes: sample.notes,
+    strata: sample.strata,
+    estimates
+  };
+
+  const mismatching = estimates.filter(estimate => estimate.mismatches > 0);
+  if (mismatching.length > 0) {
+    logger.info(sampling.probabilistic
+      ? `\nEstimated mismatch rates (${resolved.confidence * 100}% confidence):`
+      : '\nMismatch rates within the sample (not random; no estimate for other SKUs):');
+    logger.table(mismatching.map(estimate => ({
+      column: estimate.old_column === estimate.new_column ? estimate.new_column : `${estimate.old_column} -> ${estimate.new_column}`,
+      mismatches: estimate.mismatches,
+      rate: formatRate(estimate.rate),
+      interval: estimate.lower === null ? '-' : `${formatRate(estimate.lower)} - ${formatRate(estimate.upper)}`
+    })));
+  }
+
+  const above = estimates.filter(estimate => estimate.aboveThreshold);
+  if (above.length > 0 && resolved.escalate) {
+    logger.warning(`Estimated mismatch rate above ${formatRate(resolved.escalate_above)} in ${above.length} column(s); escalating to a full run`);
+    const full = await runValueComparison(connection, columnSpecs, queries, { sinks, allowlist: freshAllowlist(), classifier, textDiffer });
+    return { ...full, sampling: { ...sampling, escalated: true } };
+  }
+
+  for (const difference of deferred) {
+    for (const sink of sinks) {
+      await sink.writeDifference?.(difference);
+    }
+  }
+  return { ...results, sampling };
+}
+
+// Compare only the SKUs whose updated_column moved on either side since the
+// last successful run, plus those with open value mismatches (see
+// IncrementalTracker.plan); every SKU when there is no run to continue from.
+// The high-water marks are read before comparing, so rows updated during the
+// run are compared again by the next one.
+async function runIncrementalComparison(connection, columnSpecs, queries, tracker, settings, { sinks = [], allowlist = null, classifier = null, textDiffer = null } = {}) {
+  const resolved = { ...DEFAULT_INCREMENTAL_SETTINGS, ...settings };
+  const updatedColumn = resolved.updated_column;
+  const sides = ['old', 'new'].filter(side => queries.has(side, updatedColumn));
+  const plan = tracker.plan(columnSpecs, { sides, updatedColumn });
+
+  const highWaterMarks = {};
+  for (const side of sides) {
+    const [[row]] = await connection.query(queries.maxValue(side, updatedColumn));
+    highWaterMarks[side] = row.max_value;
+  }
+
+  const incremental = {
+    mode: plan.reason ? 'full' : 'incremental',
+    reason: plan.reason,
+    updatedColumn,
+    lookbackMinutes: resolved.lookback_minutes,
+    since: plan.since,
+    sinceRunId: plan.sinceRunId ?? null,
+    highWaterMarks,
+    changedSkus: null,
+    openSkus: plan.skuCodes.length,
+    comparedSkus: null
+  };
+
+  if (plan.reason) {
+    logger.warning(`Comparing every SKU: ${plan.reason}`);
+    const results = await runValueComparison(connection, columnSpecs, queries, { sinks, allowlist, classifier, textDiffer });
+    return { ...results, incremental };
+  }
+
+  const [rows] = await connection.query(queries.changedKeys(updatedColumn, plan.since, { sides, lookbackMinutes: resolved.lookback_minutes }));
+  const changed = rows.map(row => String(row[queries.joinKey]));
+  const skuCodes = [...new Set([...changed, ...plan.skuCodes])];
+  Object.assign(incremental, { changedSkus: changed.length, comparedSkus: skuCodes.length });
+  logger.info(`${changed.length} SKUs changed since run ${plan.sinceRunId} (${sides.map(side => `${queries.tables[side]}.${updatedColumn} >= ${plan.since[side]}`).join(', ')}), ${plan.skuCodes.length} with open mismatches`);
+
+  const results = await runValueComparison(connection, columnSpecs, queries, { sinks, allowlist, classifier, textDiffer, skuCodes, scope: 'changed or still mismatching' });
+  return { ...results, incremental };
+}
+
+// Every aN / category_nameN must agree with what its id column points at
+async function runReferenceCheck(connection, queries, columnSpecs, type, settings) {
+  const references = await verifyReferences(connection, queries, columnSpecs, type, settings, { maxListed: maxReportedDifferences });
+
+  if (references.error) {
+    logger.error(`Could not verify ${type} id columns: ${references.error}`);
+    return references;
+  }
+
+  logger.info(`Checked ${references.columnsChecked} ${type} id columns against ${references.lookup}: ${references.count} orphaned or inconsistent ids`);
+  if (references.skipped.length > 0) {
+    logger.warning(`${type} columns without an id column to check: ${references.skipped.map(skip => skip.column).join(', ')}`);
+  }
+
+  for (const finding of references.findings) {
+    logger.warning(`\n${finding.count} problems in ${finding.id_column} (${finding.check}, against ${finding.value_column}):`);
+    logger.table(finding.items);
+  }
+
+  return references;
+}
+
+// Old barcode present in the new barcodes array, JSON shapes and duplicate
+// barcodes. Tenants whose tables lack the columns fail the check with an error.
+async function runBarcodeCheck(connection, queries, settings) {
+  const columns = { ...DEFAULT_BARCODE_COLUMNS, ...settings };
+  const missingColumn = [['old', columns.old_column], ['new', columns.new_column]]
+    .find(([side, column]) => !queries.has(side, column));
+
+  if (missingColumn) {
+    const error = `Column ${missingColumn[1]} missing in ${queries.tables[missingColumn[0]]}`;
+    logger.error(`Could not verify barcodes: ${error}`);
+    return { error };
+  }
+
+  const barcodes = await verifyBarcodes(connection, queries, { columns, batchSize: compareBatchSize, maxListed: maxReportedDifferences });
+  logger.info(`Checked the barcodes of ${barcodes.skusChecked} SKUs: ${barcodes.missing.count} old barcodes missing, ${barcodes.invalid.count} invalid JSON values, ${barcodes.duplicates.count} barcodes shared by several SKUs`);
+
+  for (const [kind, title] of [['missing', 'Old barcodes missing from the new barcodes'], ['invalid', 'Invalid barcodes or medias JSON'], ['duplicates', 'Barcodes shared by several SKUs']]) {
+    if (barcodes[kind].count > 0) {
+      logger.warning(`\n${title}:`);
+      logger.table(barcodes[kind].items);
+    }
+  }
+
+  return barcodes;
+}
+
+// Counts, sums and distinct counts of both flat tables side by side
+async function runAggregateCheck(connection, queries, mappings, settings) {
+  const aggregates = await reconcileAggregates(connection, queries, mappings, settings);
+  logger.info(`Reconciled ${aggregates.metrics.length} aggregates: ${aggregates.exceeded} beyond their thresholds`);
+
+  if (aggregates.skipped.length > 0) {
+    logger.warning(`Aggregates not computed: ${aggregates.skipped.map(skip => `${skip.metric} (${skip.reason})`).join(', ')}`);
+  }
+
+  const exceeded = aggregates.metrics.filter(metric => !metric.withinThreshold);
+  if (exceeded.length > 0) {
+    logger.warning('\nAggregates beyond their thresholds:');
+    logger.table(exceeded.map(({ metric, old, new: newValue, delta }) => ({ metric, old, new: newValue, delta })));
+  }
+
+  return aggregates;
+}
+
+// Only the selected check groups run; the others stay null and show as
+// skipped. sinks receive every difference and missing SKU as they are found.
+// schemaOnly stops after the column and schema checks. sampling is merged
+// over the config's sampling section; when enabled, values are compared for
+// a sample of SKUs only (see runSampledComparison). With an incremental
+// tracker (see IncrementalTracker), values are compared for the SKUs changed
+// since the tracker's last run instead, and sampling is ignored.
+export async function verifyDatabase(pool, dbName, baseConfig, { sinks = [], checks = CHECK_GROUPS, schemaOnly = false, sampling = null, incremental = null } = {}) {
   logger.info(`\nVerifying database: ${dbName}`);
+  
+  // Apply this tenant's overrides to the mappings, tables and comparators
+  const config = resolveTenantConfig(baseConfig, dbName);
+  let attributeMappings = new Map(Object.entries(config.mapping_groups.attribute || {}));
+  const categoryMappings = new Map(Object.entries(config.mapping_groups.category || {}));
+  const comparators = createComparators(config);
+  // Known, intentional differences; null when the config lists none
+  const tenantAllowlist = () => config.acceptedDifferences?.length ? createAllowlist(config.acceptedDifferences, dbName) : null;
+  const allowlist = tenantAllowlist();
+  const samplingSettings = { ...config.sampling, ...sampling };
+  
   logger.info('Step 1: Connecting to database...');
   
-  const connection = await mysql.createConnection({
-    ...dbConfig,
-    database: dbName
-  });
+  const connection = await getTenantConnection(pool, dbName);
   
   const results = {
+    tables: config.tables,
     missingAttributeColumns: null,
     missingCommonColumns: null,
     missingCategoryColumns: null,
     skuMismatches: null,
     attributeMismatches: null,
     categoryMismatches: null,
-    commonColumnMismatches: null
+    commonColumnMismatches: null,
+    fingerprint: null,
+    mappingDiscovery: null,
+    schemaDiff: null,
+    acceptedDifferences: null,
+    columnProfiles: null,
+    attributeReferences: null,
+    categoryReferences: null,
+    barcodes: null,
+    aggregates: null,
+    sampling: null,
+    incremental: null
   };
   
   try {
+    // Every identifier in the generated SQL is checked against these columns
+    logger.info('Getting columns from both flat tables...');
+    const tableColumns = {
+      old: await getTableColumns(connection, config.tables.old),
+      new: await getTableColumns(connection, config.tables.new)
+    };
+    logger.info(`Found ${tableColumns.old.length} columns in old table and ${tableColumns.new.length} columns in new table`);
+
+    const lookups = {};
+    if (config.referential_checks?.enabled) {
+      for (const { table } of Object.values(resolveReferentialSettings(config.referential_checks))) {
+        lookups[table] = await getTableColumns(connection, table);
+      }
+    }
+    const keyTypes = await getJoinKeyTypes(connection, config.tables, config.join_key);
+    const queries = createQueryBuilder({ tables: config.tables, joinKey: config.join_key, columns: tableColumns, lookups, keyTypes });
+
+    if (config.mapping_discovery?.enabled && checks.includes('attributes')) {
+      logger.info('Step 2: Discovering attribute mappings...');
+      const discovery = await runMappingDiscovery(connection, attributeMappings, config.mapping_discovery, config.ignored_columns);
+      results.mappingDiscovery = discovery;
+
+      if (config.mapping_discovery.use === 'discovered' && !discovery.error) {
+        attributeMappings = new Map(discovery.mappings);
+        logger.info(`Using ${attributeMappings.size} discovered attribute mappings`);
+      }
+    }
+
     // First verify available columns
-    logger.info('Step 2: Verifying attribute columns...');
-    const { validMappings, missingColumns: missingAttributeColumns } = await verifyAttributeColumns(connection, attributeMappings);
-    logger.info(`Found ${validMappings.size} valid attribute mappings`);
+    let validMappings = new Map();
+    let missingAttributeColumns = null;
+    if (checks.includes('attributes')) {
+      logger.info('Step 3: Verifying attribute columns...');
+      ({ validMappings, missingColumns: missingAttributeColumns } = await verifyAttributeColumns(tableColumns, attributeMappings, config));
+      logger.info(`Found ${validMappings.size} valid attribute mappings`);
+    }
 
-    logger.info('Step 3: Verifying category columns...');
-    const { validMappings: validCategoryMappings, missingColumns: missingCategoryColumns } = await verifyAttributeColumns(connection, categoryMappings);
-    logger.info(`Found ${validCategoryMappings.size} valid category mappings`);
+    let validCategoryMappings = new Map();
+    let missingCategoryColumns = null;
+    if (checks.includes('categories')) {
+      logger.info('Step 4: Verifying category columns...');
+      ({ validMappings: validCategoryMappings, missingColumns: missingCategoryColumns } = await verifyAttributeColumns(tableColumns, categoryMappings, config));
+      logger.info(`Found ${validCategoryMappings.size} valid category mappings`);
+    }
 
-    logger.info('Step 4: Verifying common columns...');
-    const { availableColumns, missingColumns: missingCommonColumns } = await verifyCommonColumns(connection);
-    logger.info(`Found ${availableColumns.length} common columns to compare`);
+    let availableColumns = [];
+    let missingCommonColumns = null;
+    if (checks.includes('common')) {
+      logger.info('Step 5: Verifying common columns...');
+      ({ availableColumns, missingColumns: missingCommonColumns } = await verifyCommonColumns(tableColumns, config));
+      logger.info(`Found ${availableColumns.length} common columns to compare`);
+    }
     
     results.missingAttributeColumns = missingAttributeColumns;
     results.missingCategoryColumns = missingCategoryColumns;
     results.missingCommonColumns = missingCommonColumns;
     
     // Log missing columns
-    if (missingAttributeColumns.oldTable.length > 0 || missingAttributeColumns.newTable.length > 0) {
+    if (missingAttributeColumns && (missingAttributeColumns.oldTable.length > 0 || missingAttributeColumns.newTable.length > 0)) {
       logger.warning('\nMissing attribute columns detected:');
       
       if (missingAttributeColumns.oldTable.length > 0) {
-        logger.warning('\nColumns missing in old table (vendor_sku_flat_table):');
+        logger.warning(`\nColumns missing in old table (${config.tables.old}):`);
         logger.table(missingAttributeColumns.oldTable);
       }
       
       if (missingAttributeColumns.newTable.length > 0) {
-        logger.warning('\nColumns missing in new table (im_sku_flat_table):');
+        logger.warning(`\nColumns missing in new table (${config.tables.new}):`);
         logger.table(missingAttributeColumns.newTable);
       }
     }
 
-    if (missingCategoryColumns.oldTable.length > 0 || missingCategoryColumns.newTable.length > 0) {
+    if (missingCategoryColumns && (missingCategoryColumns.oldTable.length > 0 || missingCategoryColumns.newTable.length > 0)) {
       logger.warning('\nMissing category columns detected:');
       
       if (missingCategoryColumns.oldTable.length > 0) {
-        logger.warning('\nCategory columns missing in old table (vendor_sku_flat_table):');
+        logger.warning(`\nCategory columns missing in old table (${config.tables.old}):`);
         logger.table(missingCategoryColumns.oldTable);
       }
       
       if (missingCategoryColumns.newTable.length > 0) {
-        logger.warning('\nCategory columns missing in new table (im_sku_flat_table):');
+        logger.warning(`\nCategory columns missing in new table (${config.tables.new}):`);
         logger.table(missingCategoryColumns.newTable);
       }
     }
     
-    if (missingCommonColumns.oldTable.length > 0 || missingCommonColumns.newTable.length > 0) {
+    if (missingCommonColumns && (missingCommonColumns.oldTable.length > 0 || missingCommonColumns.newTable.length > 0)) {
       logger.warning('\nMissing common columns detected:');
       
       if (missingCommonColumns.oldTable.length > 0) {
@@ -432,152 +909,105 @@ async function verifyDatabase(dbName, attributeMappings, categoryMappings) {
       }
     }
     
-    // Verify SKU code matches
-    logger.info('Step 5: Verifying SKU code matches...');
-    const skuMismatches = await verifySkuCodeMatches(connection);
-    results.skuMismatches = skuMismatches;
-    logger.info(`Found ${skuMismatches.missingInNew.length} SKUs missing in new table and ${skuMismatches.missingInOld.length} SKUs missing in old table`);
-    
-    // Report SKU mismatches
-    if (skuMismatches.missingInNew.length > 0 || skuMismatches.missingInOld.length > 0) {
-      logger.error('\nSKU code mismatches found:');
-      
-      if (skuMismatches.missingInNew.length > 0) {
-        logger.warning('\nSKUs present in old table but missing in new table:');
-        logger.table(skuMismatches.missingInNew);
-      }
-      
-      if (skuMismatches.missingInOld.length > 0) {
-        logger.warning('\nSKUs present in new table but missing in old table:');
-        logger.table(skuMismatches.missingInOld);
+    const columnSpecs = buildColumnSpecs({
+      attributeMappings: validMappings,
+      categoryMappings: validCategoryMappings,
+      commonColumns: availableColumns,
+      comparators
+    });
+
+    const classifier = createMismatchClassifier(columnSpecs, { columnTypes: config.columnTypes });
+    const textDiffer = config.text_diff?.enabled === false ? null : createTextDiffer(config.text_diff);
+
+    // Sinks that need the tenant's tables and comparators get them before any difference
+    for (const sink of sinks) {
+      await sink.prepare?.({ config, columnSpecs });
+    }
+
+    logger.info('Step 6: Verifying schema of mapped columns...');
+    results.schemaDiff = await runSchemaDiff(connection, columnSpecs, config);
+
+    const compareValues = valueConnection => {
+      if (incremental) {
+        return runIncrementalComparison(valueConnection, columnSpecs, queries, incremental, config.incremental, { sinks, allowlist, classifier, textDiffer });
       }
+      return samplingSettings.enabled
+        ? runSampledComparison(valueConnection, columnSpecs, queries, samplingSettings, { sinks, allowlist, freshAllowlist: tenantAllowlist, classifier, textDiffer })
+        : runValueComparison(valueConnection, columnSpecs, queries, { sinks, allowlist, classifier, textDiffer });
+    };
+
+    const runSkus = !schemaOnly && checks.includes('skus');
+    const runValues = !schemaOnly && checks.some(check => VALUE_GROUPS.includes(check));
+
+    if (parallelChecks && runSkus && runValues) {
+      // SKU existence and value comparison are independent; run each on its own connection
+      const [skuMismatches, valueResults] = await Promise.all([
+        runSkuCodeCheck(connection, queries, sinks, config.lifecycle),
+        withTenantConnection(pool, dbName, compareValues)
+      ]);
+      results.skuMismatches = skuMismatches;
+      Object.assign(results, valueResults);
     } else {
-      logger.success('✓ All SKU codes match between old and new tables');
+      if (runSkus) {
+        results.skuMismatches = await runSkuCodeCheck(connection, queries, sinks, config.lifecycle);
+      }
+      if (runValues) {
+        Object.assign(results, await compareValues(connection));
+      }
     }
-    
-    // Compare attribute values using only valid mappings
-    logger.info('Step 6: Comparing attribute values...');
-    const attributeMismatches = await compareAttributeValues(connection, validMappings);
-    results.attributeMismatches = attributeMismatches;
-    logger.info(`Found ${attributeMismatches.length} attribute mismatches`);
-
-    // Compare category values
-    logger.info('Step 7: Comparing category values...');
-    const categoryMismatches = await compareCategoryValues(connection, validCategoryMappings);
-    results.categoryMismatches = categoryMismatches;
-    logger.info(`Found ${categoryMismatches.length} category mismatches`);
-    
-    // Compare only available common columns
-    logger.info('Step 8: Comparing common columns...');
-    const commonColumnMismatches = await compareCommonColumns(connection, availableColumns);
-    results.commonColumnMismatches = commonColumnMismatches;
-    logger.info(`Found ${commonColumnMismatches.length} common column mismatches`);
-    
-    // Report value mismatches
-    if (attributeMismatches.length === 0 && categoryMismatches.length === 0 && commonColumnMismatches.length === 0) {
-      logger.success('✓ All values match between old and new tables for available columns');
-    } else {
-      logger.error('\nValue mismatches found:');
-      
-      // Combine all mismatches for logging
-      const allMismatches = [
-        ...attributeMismatches.map(m => ({ ...m, type: 'attribute' })),
-        ...categoryMismatches.map(m => ({ ...m, type: 'category' })),
-        ...commonColumnMismatches.map(m => ({ ...m, type: 'common' }))
-      ];
-      logger.info(`Processing ${allMismatches.length} total mismatches for display`);
-
-      // Group mismatches by SKU code for cleaner logging
-      const skuMap = new Map();
-      
-      allMismatches.forEach(mismatch => {
-        if (!mismatch.differences) return;
-        
-        mismatch.differences.forEach(diff => {
-          const skuCode = diff.sku_code || 'N/A';
-          if (!skuMap.has(skuCode)) {
-            skuMap.set(skuCode, []);
-          }
-          
-          const columnName = mismatch.type === 'attribute' || mismatch.type === 'category' ? 
-            `${mismatch.old_column} -> ${mismatch.new_column}` : 
-            mismatch.column;
-            
-          skuMap.get(skuCode).push({
-            column_name: columnName,
-            column_type: mismatch.type.charAt(0).toUpperCase() + mismatch.type.slice(1),
-            old_value: diff.old_value || 'null',
-            new_value: diff.new_value || 'null'
-          });
-        });
-      });
 
-      logger.info(`Grouped mismatches by ${skuMap.size} unique SKU codes`);
+    // Value checks of groups that were not selected are skipped, not passed
+    if (runValues) {
+      if (!checks.includes('attributes')) results.attributeMismatches = null;
+      if (!checks.includes('categories')) results.categoryMismatches = null;
+      if (!checks.includes('common')) results.commonColumnMismatches = null;
+    }
 
-      // Log mismatches grouped by SKU code
-      for (const [skuCode, differences] of skuMap) {
-        logger.info(`\nSKU Code: ${skuCode} (${differences.length} differences)`);
-        logger.table(differences);
+    if (!schemaOnly && config.referential_checks?.enabled) {
+      logger.info('Step 9: Verifying attribute and category id columns...');
+      if (checks.includes('attributes')) {
+        results.attributeReferences = await runReferenceCheck(connection, queries, columnSpecs, 'attribute', config.referential_checks);
       }
+      if (checks.includes('categories')) {
+        results.categoryReferences = await runReferenceCheck(connection, queries, columnSpecs, 'category', config.referential_checks);
+      }
+    }
+
+    if (!schemaOnly && checks.includes('barcodes') && config.barcodes?.enabled) {
+      logger.info('Step 10: Verifying barcodes and medias...');
+      results.barcodes = await runBarcodeCheck(connection, queries, config.barcodes);
+    }
+
+    if (!schemaOnly && checks.includes('aggregates') && config.aggregates?.enabled) {
+      logger.info('Step 11: Reconciling tenant aggregates...');
+      results.aggregates = await runAggregateCheck(connection, queries, { attributeMappings, categoryMappings, comparators }, config.aggregates);
     }
   } catch (error) {
     logger.error(`Error verifying database ${dbName}:`, error);
+    results.error = error.message;
   } finally {
-    logger.info('Step 9: Closing database connection...');
-    await connection.end();
+    logger.info('Step 12: Releasing database connection...');
+    connection.release();
   }
   
   return results;
 }
 
-async function main() {
-  try {
-    if (!process.env.DB_USER || !process.env.DB_PASSWORD) {
-      logger.error('Error: Database credentials not provided. Please check your .env file.');
-      process.exit(1);
-    }
-    
-    if (tenantDbs.length === 0) {
-      logger.error('Error: No tenant databases specified. Please set TENANT_DBS in your .env file.');
-      process.exit(1);
-    }
-    
-    // Initialize report generator
-    const reportGenerator = new ReportGenerator();
-    await reportGenerator.initialize();
-    
-    // Load attribute mappings
-    const attributeMappings = await loadAttributeMappings();
-    
-    // Load category mappings
-    const categoryMappings = await loadCategoryMappings();
-    
-    logger.info('Starting verification process...');
-    logger.info(`Loaded ${attributeMappings.size} attribute mappings`);
-    logger.info(`Loaded ${categoryMappings.size} category mappings`);
-    
-    // Verify each database and generate reports
-    for (const dbName of tenantDbs) {
-      const results = await verifyDatabase(dbName.trim(), attributeMappings, categoryMappings);
-      await reportGenerator.generateDatabaseReport(dbName.trim(), results);
-    }
-    
-    // Generate index page
-    const indexPath = await reportGenerator.generateIndexPage();
-    
-    logger.info('\nVerification process completed.');
-    logger.info(`Reports generated in: ${dirname(indexPath)}`);
-    logger.info(`Open ${indexPath} to view the summary.`);
-  } catch (error) {
-    logger.error('Fatal error:', error);
-    process.exit(1);
-  } finally {
-    logger.close();
-  }
+// Discover the attribute mappings of one tenant and diff them against the
+// config, whether or not discovery is enabled there
+export async function discoverTenantMappings(pool, dbName, baseConfig) {
+  logger.info(`\nDiscovering attribute mappings of database: ${dbName}`);
+
+  const config = resolveTenantConfig(baseConfig, dbName);
+  const attributeMappings = new Map(Object.entries(config.mapping_groups.attribute || {}));
+
+  return withTenantConnection(pool, dbName, async connection => {
+    const mappingDiscovery = await runMappingDiscovery(connection, attributeMappings, config.mapping_discovery, config.ignored_columns);
+    return {
+      tables: config.tables,
+      mappingDiscovery,
+      // Here discovery is the whole job, so not being able to run it is an error
+      ...(mappingDiscovery.error ? { error: mappingDiscovery.error } : {})
+    };
+  });
 }
-
-main().catch(error => {
-  logger.error('Fatal error:', error);
-  logger.close();
-  process.exit(1);
-}); 
\ No newline at end of file
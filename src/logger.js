@@ -2,6 +2,7 @@ import fs from 'fs/promises';
 import { createWriteStream } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { AsyncLocalStorage } from 'async_hooks';
 import chalk from 'chalk';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
@@ -21,9 +22,15 @@ const logFile = createWriteStream(join(logsDir, `verification-${timestamp}.log`)
 // Strip ANSI color codes for file logging
 const stripAnsi = (str) => str.replace(/\u001b\[\d+m/g, '');
 
+// Carries the tenant prefix through everything awaited inside withContext()
+const logContext = new AsyncLocalStorage();
+
 function formatMessage(level, message) {
   const timestamp = new Date().toISOString();
-  return `[${timestamp}] [${level}] ${message}`;
+  const prefix = logContext.getStore();
+  return prefix
+    ? `[${timestamp}] [${level}] [${prefix}] ${message}`
+    : `[${timestamp}] [${level}] ${message}`;
 }
 
 const logger = {
@@ -61,6 +68,11 @@ const logger = {
   },
 
   table: (data, message = '') => {
+    // Tables from parallel tenants interleave; label them when in a context
+    if (!message && logContext.getStore()) {
+      message = `(${Array.isArray(data) ? data.length : Object.keys(data).length} rows)`;
+    }
+
     if (message) {
       const consoleMsg = formatMessage('INFO', message);
       const fileMsg = stripAnsi(formatMessage('INFO', message));
@@ -73,6 +85,8 @@ const logger = {
     logFile.write(JSON.stringify(data, null, 2) + '\n');
   },
 
+  withContext: (prefix, fn) => logContext.run(prefix, fn),
+
   close: () => {
     logFile.end();
   }
@@ -0,0 +1,136 @@
+import { quoteIdentifier } from './queryBuilder.js';
+
+export const DEFAULT_DISCOVERY_TABLES = {
+  old: 'item_attributes',
+  new: 'im_attributes'
+};
+
+// "Description 1" and "description1" are the same attribute; old flat table
+// columns are named a_<normalized name>
+export function normalizeAttributeName(name) {
+  return String(name ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+
+  items.forEach(item => {
+    const key = keyOf(item);
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+
+  return groups;
+}
+
+// Build the a<flat_table_index> -> a_<name> mapping from a tenant's attribute
+// base tables, matching item_attributes.name to im_attributes.name or code
+export async function discoverAttributeMappings(connection, tables = DEFAULT_DISCOVERY_TABLES) {
+  const [oldAttributes] = await connection.query(`
+    SELECT id, name
+    FROM ${quoteIdentifier(tables.old)}
+  `);
+
+  const [newAttributes] = await connection.query(`
+    SELECT id, name, code, flat_table_index
+    FROM ${quoteIdentifier(tables.new)}
+    WHERE deleted_at IS NULL
+  `);
+
+  const mappings = new Map();
+  const duplicates = [];
+  const onlyInNew = [];
+  const matchedOldIds = new Set();
+
+  // Two old attributes that normalize alike would claim the same a_<name> column
+  const oldByName = groupBy(oldAttributes, attribute => normalizeAttributeName(attribute.name));
+  for (const [name, attributes] of oldByName) {
+    if (attributes.length > 1) {
+      duplicates.push({ table: tables.old, field: 'name', value: name, ids: attributes.map(a => a.id).join(', ') });
+    }
+  }
+
+  // Two new attributes sharing a flat_table_index would write the same aN column
+  const newByIndex = groupBy(newAttributes, attribute => attribute.flat_table_index === null ? null : String(attribute.flat_table_index));
+  for (const [index, attributes] of newByIndex) {
+    if (attributes.length > 1) {
+      duplicates.push({ table: tables.new, field: 'flat_table_index', value: index, ids: attributes.map(a => a.id).join(', ') });
+    }
+  }
+
+  const newByName = groupBy(newAttributes, attribute => normalizeAttributeName(attribute.name));
+  for (const [name, attributes] of newByName) {
+    if (attributes.length > 1) {
+      duplicates.push({ table: tables.new, field: 'name', value: name, ids: attributes.map(a => a.id).join(', ') });
+    }
+  }
+
+  for (const attribute of newAttributes) {
+    const candidates = [...new Set([normalizeAttributeName(attribute.name), normalizeAttributeName(attribute.code)])]
+      .filter(Boolean);
+    const oldMatches = candidates.flatMap(candidate => oldByName.get(candidate) || []);
+
+    if (oldMatches.length === 0) {
+      onlyInNew.push({ id: attribute.id, name: attribute.name, code: attribute.code, flat_table_index: attribute.flat_table_index });
+      continue;
+    }
+
+    oldMatches.forEach(match => matchedOldIds.add(match.id));
+
+    if (attribute.flat_table_index === null || attribute.flat_table_index === undefined) {
+      onlyInNew.push({ id: attribute.id, name: attribute.name, code: attribute.code, flat_table_index: null });
+      continue;
+    }
+
+    const newColumn = `a${attribute.flat_table_index}`;
+    const oldColumn = `a_${normalizeAttributeName(oldMatches[0].name)}`;
+
+    // Keep the first claim; the clash is already listed under duplicates
+    if (!mappings.has(newColumn)) {
+      mappings.set(newColumn, oldColumn);
+    }
+  }
+
+  const onlyInOld = oldAttributes
+    .filter(attribute => !matchedOldIds.has(attribute.id))
+    .map(attribute => ({ id: attribute.id, name: attribute.name, expected_column: `a_${normalizeAttributeName(attribute.name)}` }));
+
+  return { mappings, onlyInOld, onlyInNew, duplicates };
+}
+
+// Compare the configured attribute mappings with the discovered ones. Pairs
+// with an ignored old or new column are never compared, so they are left out
+// on both sides.
+export function diffMappings(staticMappings, discoveredMappings, ignoredColumns = {}) {
+  const matching = [];
+  const differing = [];
+  const onlyInStatic = [];
+  const onlyInDiscovered = [];
+
+  const isIgnored = (newColumn, oldColumn) => Boolean(ignoredColumns.old?.includes(oldColumn) || ignoredColumns.new?.includes(newColumn));
+
+  for (const [newColumn, oldColumn] of staticMappings) {
+    if (isIgnored(newColumn, oldColumn)) continue;
+
+    if (!discoveredMappings.has(newColumn)) {
+      onlyInStatic.push({ new_column: newColumn, old_column: oldColumn });
+    } else if (discoveredMappings.get(newColumn) === oldColumn) {
+      matching.push({ new_column: newColumn, old_column: oldColumn });
+    } else {
+      differing.push({ new_column: newColumn, static_old_column: oldColumn, discovered_old_column: discoveredMappings.get(newColumn) });
+    }
+  }
+
+  for (const [newColumn, oldColumn] of discoveredMappings) {
+    if (!staticMappings.has(newColumn) && !isIgnored(newColumn, oldColumn)) {
+      onlyInDiscovered.push({ new_column: newColumn, old_column: oldColumn });
+    }
+  }
+
+  return { matching, differing, onlyInStatic, onlyInDiscovered };
+}
@@ -0,0 +1,126 @@
+import { toComparable } from './comparisonEngine.js';
+import { typeFamily, parseDate } from './comparators.js';
+
+// Every classification, in the order they are tried; the first that fits wins
+export const MISMATCH_CLASSES = {
+  'null-vs-empty': 'NULL vs empty',
+  whitespace: 'Whitespace',
+  case: 'Case',
+  'numeric-format': 'Numeric formatting',
+  'date-format': 'Date format',
+  'timezone-shift': 'Timezone shift',
+  encoding: 'Encoding / mojibake',
+  truncation: 'Truncated to column length',
+  'moved-column': 'Value moved to another column',
+  'enum-remap': 'Enum remapping',
+  changed: 'Genuine change'
+};
+
+// Largest offset between two timezones, and the granularity offsets come in
+const MAX_TIMEZONE_SHIFT_MS = 14 * 60 * 60 * 1000;
+const TIMEZONE_STEP_MS = 15 * 60 * 1000;
+
+const collapseWhitespace = text => text.replace(/\s+/g, ' ').trim();
+
+// "1,234.50" and "12.5" as numbers; anything else is not numeric
+function parseNumber(text) {
+  const trimmed = text.trim();
+  if (!/^[+-]?(\d+|\d{1,3}(,\d{3})+)(\.\d*)?$|^[+-]?\.\d+$/.test(trimmed)) return null;
+  return Number(trimmed.replace(/,/g, ''));
+}
+
+// "varchar(50)" and "char(10)" have a length; other types are not truncated this way
+function maxLength(sqlType) {
+  const match = /^(?:var)?char\((\d+)\)/i.exec(sqlType || '');
+  return match ? parseInt(match[1]) : null;
+}
+
+const utf8ReadAsLatin1 = text => Buffer.from(text, 'utf8').toString('latin1');
+
+// UTF-8 bytes shown as Latin-1 ("cafÃ©"), replacement characters, or
+// non-ASCII characters that came out as "?"
+function isMojibake(oldText, newText) {
+  if (newText.includes('\uFFFD')) return true;
+  if (utf8ReadAsLatin1(oldText) === newText || utf8ReadAsLatin1(newText) === oldText) {
+    return oldText !== newText;
+  }
+
+  const oldChars = Array.from(oldText);
+  const newChars = Array.from(newText);
+  if (oldChars.length !== newChars.length) return false;
+
+  const changed = oldChars.map((char, index) => [char, newChars[index]]).filter(([a, b]) => a !== b);
+  return changed.length > 0 && changed.every(([a, b]) => b === '?' && a.codePointAt(0) > 127);
+}
+
+function classifyDates(oldText, newText) {
+  const oldTime = parseDate(oldText.trim(), '+00:00', false);
+  const newTime = parseDate(newText.trim(), '+00:00', false);
+  if (oldTime === null || newTime === null) return null;
+
+  if (oldTime === newTime) return 'date-format';
+
+  const shift = Math.abs(oldTime - newTime);
+  return shift <= MAX_TIMEZONE_SHIFT_MS && shift % TIMEZONE_STEP_MS === 0 ? 'timezone-shift' : null;
+}
+
+// Explains why the old and new values of a difference differ, so reviewers
+// can group and filter mismatches by cause. Lengths come from the column
+// types file; newRow is the whole new-table row, to spot values that landed
+// in another mapped column.
+export function createMismatchClassifier(columnSpecs, { columnTypes = {} } = {}) {
+  const specs = new Map(columnSpecs.map(spec => [`${spec.oldColumn}:${spec.newColumn}`, spec]));
+  const newColumns = [...new Set(columnSpecs.map(spec => spec.newColumn))];
+
+  function typesOf(spec) {
+    return columnTypes[spec.newColumn] || columnTypes[spec.oldColumn] || {};
+  }
+
+  function isEnum(spec) {
+    return spec.comparator?.rules.type === 'enum' || typeFamily(typesOf(spec).new_type) === 'enum';
+  }
+
+  function classify(difference, newRow = {}) {
+    const spec = specs.get(`${difference.old_column}:${difference.new_column}`) || { oldColumn: difference.old_column, newColumn: difference.new_column };
+    const oldText = toComparable(difference.old_value);
+    const newText = toComparable(difference.new_value);
+
+    if (oldText === null || newText === null) {
+      const other = oldText ?? newText;
+      return other.trim() === '' ? 'null-vs-empty' : 'changed';
+    }
+
+    if (collapseWhitespace(oldText) === collapseWhitespace(newText)) return 'whitespace';
+    if (collapseWhitespace(oldText).toLowerCase() === collapseWhitespace(newText).toLowerCase()) return 'case';
+
+    const oldNumber = parseNumber(oldText);
+    const newNumber = parseNumber(newText);
+    if (oldNumber !== null && newNumber !== null && oldNumber === newNumber) return 'numeric-format';
+
+    const dateClass = classifyDates(oldText, newText);
+    if (dateClass) return dateClass;
+
+    if (isMojibake(oldText, newText)) return 'encoding';
+
+    const length = maxLength(typesOf(spec).new_type);
+    if (length !== null && Array.from(newText).length === length && oldText.startsWith(newText)) return 'truncation';
+
+    const movedTo = oldText.trim() !== '' && newColumns.some(column => column !== spec.newColumn
+      && toComparable(newRow[column])?.trim() === oldText.trim());
+    if (movedTo) return 'moved-column';
+
+    if (isEnum(spec)) return 'enum-remap';
+
+    return 'changed';
+  }
+
+  return { classify };
+}
+
+// "case 30, whitespace 10": classification counts of a column, largest first
+export function describeClassifications(counts = {}) {
+  return Object.entries(counts)
+    .sort(([, a], [, b]) => b - a)
+    .map(([classification, count]) => `${classification} ${count}`)
+    .join(', ');
+}
@@ -0,0 +1,210 @@
+import fs from 'fs/promises';
+import { createWriteStream, createReadStream } from 'fs';
+import { join } from 'path';
+import readline from 'readline';
+import ExcelJS from 'exceljs';
+import { toComparable } from './comparisonEngine.js';
+import { endStream, writeLine } from './files.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// similarity and diff are only set for long text columns (see textDiff.js)
+const COLUMNS = ['sku_code', 'column_type', 'old_column', 'new_column', 'old_value', 'new_value', 'mismatch_category', 'similarity', 'diff'];
+
+// One sheet per check, in this order
+const SHEETS = [
+  { key: 'attribute', title: 'Attributes' },
+  { key: 'category', title: 'Categories' },
+  { key: 'common', title: 'Common Columns' },
+  { key: 'missingInNew', title: 'Missing In New' },
+  { key: 'missingInOld', title: 'Missing In Old' },
+  { key: 'lifecycle', title: 'Lifecycle Status' }
+];
+
+// Excel's row limit, header included; longer sheets continue on another sheet
+const MAX_SHEET_ROWS = 1048576;
+
+// NULL is an empty field, an empty string a quoted empty field
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return text === '' || /[",\r\n]|^\s|\s$/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+// Streams every mismatch of one tenant to a CSV file and, through per-sheet
+// spool files, to an XLSX workbook. Rows are never held in memory, so this
+// works for tenants with hundreds of thousands of differences.
+class MismatchExporter {
+  constructor(directory, dbName, formats = EXPORT_FORMATS) {
+    this.directory = directory;
+    this.dbName = dbName;
+    this.formats = formats.filter(format => EXPORT_FORMATS.includes(format));
+    this.csvPath = join(directory, `${dbName}.mismatches.csv`);
+    this.xlsxPath = join(directory, `${dbName}.mismatches.xlsx`);
+    this.spoolDir = join(directory, `.${dbName}.spool`);
+    this.csvStream = null;
+    this.spools = new Map();
+    this.rowCount = 0;
+  }
+
+  get enabled() {
+    return this.formats.length > 0;
+  }
+
+  async open() {
+    if (this.formats.includes('csv')) {
+      this.csvStream = createWriteStream(this.csvPath);
+      await writeLine(this.csvStream, COLUMNS.join(',') + '\n');
+    }
+
+    if (this.formats.includes('xlsx')) {
+      await fs.mkdir(this.spoolDir, { recursive: true });
+      SHEETS.forEach(({ key }) => {
+        this.spools.set(key, createWriteStream(join(this.spoolDir, `${key}.ndjson`)));
+      });
+    }
+  }
+
+  async writeRow(sheetKey, row) {
+    this.rowCount++;
+
+    if (this.csvStream) {
+      await writeLine(this.csvStream, COLUMNS.map(column => csvField(row[column])).join(',') + '\n');
+    }
+
+    if (this.spools.has(sheetKey)) {
+      await writeLine(this.spools.get(sheetKey), JSON.stringify(row) + '\n');
+    }
+  }
+
+  // A value difference as streamed by the comparison engine
+  async writeDifference(difference) {
+    await this.writeRow(difference.type, {
+      sku_code: toComparable(difference.sku_code),
+      column_type: difference.type,
+      old_column: difference.old_column,
+      new_column: difference.new_column,
+      old_value: toComparable(difference.old_value),
+      new_value: toComparable(difference.new_value),
+      // Set by the comparison engine's mismatch classifier
+      mismatch_category: difference.classification ?? 'changed',
+      similarity: difference.similarity ?? null,
+      diff: difference.diff ?? null
+    });
+  }
+
+  // SKUs from verifySkuCodeMatches that exist on one side only or whose
+  // lifecycle status differs
+  async writeMissingSkus({ missingInNew = [], missingInOld = [], lifecycle = null }) {
+    for (const sku of missingInNew) {
+      await this.writeRow('missingInNew', {
+        sku_code: toComparable(sku.sku_code),
+        column_type: 'sku',
+        old_column: 'name',
+        new_column: null,
+        old_value: toComparable(sku.name),
+        new_value: null,
+        mismatch_category: 'missing in new table'
+      });
+    }
+
+    for (const sku of missingInOld) {
+      await this.writeRow('missingInOld', {
+        sku_code: toComparable(sku.sku_code),
+        column_type: 'sku',
+        old_column: null,
+        new_column: 'name',
+        old_value: null,
+        new_value: toComparable(sku.name),
+        mismatch_category: 'missing in old table'
+      });
+    }
+
+    for (const sku of lifecycle?.mismatches || []) {
+      await this.writeRow('lifecycle', {
+        sku_code: toComparable(sku.sku_code),
+        column_type: 'sku',
+        old_column: 'lifecycle',
+        new_column: 'lifecycle',
+        old_value: sku.old_state,
+        new_value: sku.new_state,
+        mismatch_category: sku.lifecycle
+      });
+    }
+  }
+
+  async buildWorkbook() {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      filename: this.xlsxPath,
+      useSharedStrings: false,
+      useStyles: true
+    });
+
+    // Sheets are written one after another; the zip is streamed sequentially,
+    // so a sheet left open would buffer everything written after it
+    for (const { key, title } of SHEETS) {
+      let part = 1;
+      let sheetRows = 0;
+      const addSheet = name => {
+        const sheet = workbook.addWorksheet(name);
+        sheet.columns = COLUMNS.map(column => ({ header: column, key: column, width: column.endsWith('value') || column === 'diff' ? 40 : 20 }));
+        sheet.getRow(1).font = { bold: true };
+        // Filter by mismatch_category and the other columns from the header row
+        sheet.autoFilter = `A1:${String.fromCharCode(64 + COLUMNS.length)}1`;
+        sheet.getRow(1).commit();
+        return sheet;
+      };
+
+      let sheet = addSheet(title);
+      const lines = readline.createInterface({
+        input: createReadStream(join(this.spoolDir, `${key}.ndjson`)),
+        crlfDelay: Infinity
+      });
+
+      for await (const line of lines) {
+        if (!line) continue;
+
+        if (sheetRows === MAX_SHEET_ROWS - 1) {
+          sheet.commit();
+          part++;
+          sheetRows = 0;
+          sheet = addSheet(`${title} (${part})`);
+        }
+
+        sheet.addRow(JSON.parse(line)).commit();
+        sheetRows++;
+      }
+
+      sheet.commit();
+    }
+
+    await workbook.commit();
+  }
+
+  // Flush everything and return the paths of the files written
+  async close() {
+    const files = [];
+
+    if (this.csvStream) {
+      await endStream(this.csvStream);
+      files.push(this.csvPath);
+    }
+
+    if (this.spools.size > 0) {
+      await Promise.all(Array.from(this.spools.values()).map(endStream));
+      try {
+        await this.buildWorkbook();
+        files.push(this.xlsxPath);
+      } finally {
+        await fs.rm(this.spoolDir, { recursive: true, force: true });
+      }
+    }
+
+    return files;
+  }
+}
+
+export default MismatchExporter;
@@ -0,0 +1,501 @@
+import mysql from 'mysql2/promise';
+
+// Same rule as identifiers in the verification config schema
+const IDENTIFIER_PATTERN = /^[A-Za-z0-9_$]+$/;
+
+// Quote a table or column name; anything that is not a plain identifier is
+// rejected rather than escaped, so a bad mapping never reaches the database
+export function quoteIdentifier(name) {
+  if (typeof name !== 'string' || !IDENTIFIER_PATTERN.test(name)) {
+    throw new Error(`Invalid identifier ${JSON.stringify(name)}`);
+  }
+  return mysql.escapeId(name);
+}
+
+// NULL and the field separator are encoded with control characters so that
+// e.g. ('a|', 'b') and ('a', '|b') or NULL and 'NULL' never hash alike
+function rowHashExpression(columns) {
+  const fields = columns.map(column => `IFNULL(CAST(${column} AS CHAR), CHAR(0))`);
+  return `MD5(CONCAT_WS(CHAR(31), ${fields.join(', ')}))`;
+}
+
+// Fold the first 64 bits of each row hash into one order-independent checksum
+function bucketChecksumExpression(rowHash) {
+  return `BIT_XOR(CAST(CONV(LEFT(${rowHash}, 16), 16, 10) AS UNSIGNED))`;
+}
+
+function assertInteger(value, description) {
+  if (typeof value !== 'bigint' && !Number.isSafeInteger(value)) {
+    throw new Error(`${description} must be an integer, got ${value}`);
+  }
+}
+
+const INTEGER_TYPES = /^(tinyint|smallint|mediumint|int|integer|bigint)$/i;
+
+// An integer key as returned by the driver (a string for BIGINT), as an SQL
+// literal; a placeholder would be compared as a double
+function integerLiteral(value, description) {
+  if (!/^-?\d+$/.test(String(value))) {
+    throw new Error(`${description} must be an integer, got ${value}`);
+  }
+  return BigInt(value).toString();
+}
+
+// Build the queries run against a tenant's old and new flat tables. Every
+// table and column is checked against the columns the tenant's tables
+// actually have (columns: { old: [...], new: [...] }, as returned by
+// getTableColumns) and quoted; values are always passed as placeholders.
+// lookups lists the columns of other tables the flat tables reference, by
+// table name. keyTypes holds the data type of the join key per side
+// ({ old, new }), so an integer key is paged by its value. Each method
+// returns { sql, values } for connection.query().
+export function createQueryBuilder({ tables, joinKey, columns, lookups = {}, keyTypes = {} }) {
+  const known = {
+    old: new Set(columns.old.map(column => column.toLowerCase())),
+    new: new Set(columns.new.map(column => column.toLowerCase()))
+  };
+  const knownLookups = new Map(Object.entries(lookups)
+    .filter(([, lookupColumns]) => lookupColumns.length > 0)
+    .map(([table, lookupColumns]) => [table, new Set(lookupColumns.map(column => column.toLowerCase()))]));
+
+  for (const side of ['old', 'new']) {
+    quoteIdentifier(tables[side]);
+    if (known[side].size === 0) {
+      throw new Error(`Table ${tables[side]} does not exist or has no columns`);
+    }
+  }
+
+  function has(side, column) {
+    return known[side].has(String(column).toLowerCase());
+  }
+
+  function table(side) {
+    return quoteIdentifier(tables[side]);
+  }
+
+  function column(side, name, alias = null) {
+    const quoted = quoteIdentifier(name);
+    if (!has(side, name)) {
+      throw new Error(`Unknown column ${name} in ${tables[side]}`);
+    }
+    return alias ? `${alias}.${quoted}` : quoted;
+  }
+
+  function hasLookup(table, lookupColumn = null) {
+    const lookupColumns = knownLookups.get(table);
+    return Boolean(lookupColumns) && (lookupColumn === null || lookupColumns.has(String(lookupColumn).toLowerCase()));
+  }
+
+  function lookupColumn(table, name, alias) {
+    const quoted = quoteIdentifier(name);
+    if (!hasLookup(table)) {
+      throw new Error(`Table ${table} does not exist or has no columns`);
+    }
+    if (!hasLookup(table, name)) {
+      throw new Error(`Unknown column ${name} in ${table}`);
+    }
+    return `${alias}.${quoted}`;
+  }
+
+  // Lifecycle state of a row: 'deleted' when its deleted column is set,
+  // otherwise 'live' or 'inactive' by its status column. lifecycle holds the
+  // columns per side ({ old, new }, null where a table lacks them) and the
+  // active value; placeholder values are appended to values as rendered
+  function lifecycleState(side, alias, lifecycle, values) {
+    const deleted = lifecycle.deletedColumn[side] ? column(side, lifecycle.deletedColumn[side], alias) : null;
+    const status = lifecycle.statusColumn[side] ? column(side, lifecycle.statusColumn[side], alias) : null;
+    if (!deleted && !status) return `'live'`;
+
+    const whenDeleted = deleted ? `WHEN ${deleted} IS NOT NULL THEN 'deleted'` : '';
+    if (status) values.push(lifecycle.activeValue);
+    return `CASE ${whenDeleted} ${status ? `WHEN ${status} = ? THEN 'live' ELSE 'inactive'` : `ELSE 'live'`} END`;
+  }
+
+  // Rows in scope: not deleted before lifecycle.deletedBefore and in one of
+  // lifecycle.states, where set
+  function lifecycleScope(side, alias, lifecycle, values) {
+    const conditions = [];
+    if (lifecycle.deletedBefore && lifecycle.deletedColumn[side]) {
+      const deleted = column(side, lifecycle.deletedColumn[side], alias);
+      conditions.push(`(${deleted} IS NULL OR ${deleted} >= ?)`);
+      values.push(lifecycle.deletedBefore);
+    }
+    if (lifecycle.states) {
+      conditions.push(`${lifecycleState(side, alias, lifecycle, values)} IN (?)`);
+      values.push(lifecycle.states);
+    }
+    return conditions.length > 0 ? conditions.join(' AND ') : 'TRUE';
+  }
+
+  const selectList = (side, names, alias = null) => names.map(name => column(side, name, alias)).join(', ');
+
+  // Deduplicate and put the join key first, so rows can be matched by it
+  const withKey = names => [...new Set([joinKey, ...names])];
+
+  const blank = expression => `NULLIF(TRIM(${expression}), '')`;
+
+  // COUNT(*) of the rows matching, or the rows themselves ordered by join key
+  const countOrList = (countOnly, selectList, limit) => ({
+    select: countOnly ? 'COUNT(*) AS count' : selectList,
+    tail: countOnly || limit === null ? '' : `ORDER BY ${column('new', joinKey, 't')} LIMIT ?`,
+    values: countOnly || limit === null ? [] : [limit]
+  });
+
+  return {
+    tables,
+    joinKey,
+    has,
+    hasLookup,
+
+    // One page of rows in join key order, after the last key of the previous
+    // page; the last key of an integer join key is inlined
+    selectBatch(side, names, { afterKey = null, limit }) {
+      const key = column(side, joinKey);
+      const integerKey = INTEGER_TYPES.test(keyTypes[side] || '');
+      const after = integerKey && afterKey !== null ? integerLiteral(afterKey, 'Last key') : '?';
+      return {
+        sql: `
+          SELECT ${selectList(side, withKey(names))}
+          FROM ${table(side)}
+          WHERE ${key} IS NOT NULL
+          ${afterKey === null ? '' : `AND ${key} > ${after}`}
+          ORDER BY ${key}
+          LIMIT ?
+        `,
+        values: afterKey === null || integerKey ? [limit] : [afterKey, limit]
+      };
+    },
+
+    selectByKeys(side, names, keys, { ordered = false } = {}) {
+      const key = column(side, joinKey);
+      return {
+        sql: `
+          SELECT ${selectList(side, withKey(names))}
+          FROM ${table(side)}
+          WHERE ${key} IN (?)
+          ${ordered ? `ORDER BY ${key}` : ''}
+        `,
+        values: [keys]
+      };
+    },
+
+    // Join keys of one table without a row in the other, with optional
+    // descriptive columns of the table they come from. With a lifecycle, only
+    // rows in its scope are listed, each with its lifecycle_state
+    missingKeys(side, names = [], lifecycle = null) {
+      const other = side === 'old' ? 'new' : 'old';
+      const values = [];
+      const state = lifecycle ? `, ${lifecycleState(side, 's', lifecycle, values)} AS lifecycle_state` : '';
+      const extra = names.map(name => `, ${column(side, name, 's')}`).join('');
+      const scope = lifecycle ? `AND ${lifecycleScope(side, 's', lifecycle, values)}` : '';
+      return {
+        sql: `
+          SELECT ${column(side, joinKey, 's')} AS ${quoteIdentifier(joinKey)}${state}${extra}
+          FROM ${table(side)} s
+          LEFT JOIN ${table(other)} o ON ${column(side, joinKey, 's')} = ${column(other, joinKey, 'o')}
+          WHERE ${column(other, joinKey, 'o')} IS NULL
+          ${scope}
+        `,
+        values
+      };
+    },
+
+    // SKUs in both tables per pair of lifecycle states; the old row decides
+    // whether a SKU is in scope
+    lifecycleCounts(lifecycle) {
+      const values = [];
+      const oldState = lifecycleState('old', 'o', lifecycle, values);
+      const newState = lifecycleState('new', 't', lifecycle, values);
+      const scope = lifecycleScope('old', 'o', lifecycle, values);
+      return {
+        sql: `
+          SELECT ${oldState} AS old_state, ${newState} AS new_state, COUNT(*) AS count
+          FROM ${table('old')} o
+          JOIN ${table('new')} t ON ${column('old', joinKey, 'o')} = ${column('new', joinKey, 't')}
+          WHERE ${scope}
+          GROUP BY old_state, new_state
+        `,
+        values
+      };
+    },
+
+    // SKUs in both tables whose lifecycle states differ, with optional
+    // descriptive columns of the old table
+    lifecycleMismatches(lifecycle, names = []) {
+      const values = [];
+      const select = [
+        `${column('new', joinKey, 't')} AS ${quoteIdentifier(joinKey)}`,
+        `${lifecycleState('old', 'o', lifecycle, values)} AS old_state`,
+        `${lifecycleState('new', 't', lifecycle, values)} AS new_state`,
+        ...names.map(name => column('old', name, 'o'))
+      ].join(', ');
+      const scope = lifecycleScope('old', 'o', lifecycle, values);
+      const differs = `NOT (${lifecycleState('old', 'o', lifecycle, values)} <=> ${lifecycleState('new', 't', lifecycle, values)})`;
+      return {
+        sql: `
+          SELECT ${select}
+          FROM ${table('old')} o
+          JOIN ${table('new')} t ON ${column('old', joinKey, 'o')} = ${column('new', joinKey, 't')}
+          WHERE ${scope} AND ${differs}
+          ORDER BY ${column('new', joinKey, 't')}
+        `,
+        values
+      };
+    },
+
+    // Row count and checksum per join key range; castKey buckets a key stored
+    // as text by its numeric value
+    bucketChecksums(side, names, bucketSize, { castKey = false } = {}) {
+      assertInteger(bucketSize, 'Bucket size');
+      const key = column(side, joinKey, 't');
+      const rowHash = rowHashExpression([joinKey, ...names].map(name => column(side, name, 't')));
+      return {
+        sql: `
+          SELECT
+            ${castKey ? `CAST(${key} AS UNSIGNED)` : key} DIV ? AS bucket,
+            COUNT(*) AS row_count,
+            ${bucketChecksumExpression(rowHash)} AS checksum
+          FROM ${table(side)} t
+          WHERE ${key} IS NOT NULL
+          GROUP BY bucket
+        `,
+        values: [bucketSize]
+      };
+    },
+
+    // Bounds are inlined: they are integers computed by the caller, and
+    // placeholders would turn sku_codes beyond the double range inexact
+    rowHashesInRange(side, names, lowerBound, upperBound) {
+      assertInteger(lowerBound, 'Lower bound');
+      assertInteger(upperBound, 'Upper bound');
+      const key = column(side, joinKey, 't');
+      return {
+        sql: `
+          SELECT ${key} AS join_key, ${rowHashExpression([joinKey, ...names].map(name => column(side, name, 't')))} AS row_hash
+          FROM ${table(side)} t
+          WHERE ${key} >= ${BigInt(lowerBound)} AND ${key} < ${BigInt(upperBound)}
+          ORDER BY ${key}
+        `,
+        values: []
+      };
+    },
+
+    // New-table rows whose id column does not resolve, through the lookup
+    // table, to the value stored next to it; problem tells why
+    unresolvedReferences(idColumn, valueColumn, lookup, { countOnly = false, limit = null } = {}) {
+      const id = column('new', idColumn, 't');
+      const value = column('new', valueColumn, 't');
+      const lookupId = lookupColumn(lookup.table, lookup.idColumn, 'l');
+      const lookupValue = lookupColumn(lookup.table, lookup.valueColumn, 'l');
+      const { select, tail, values } = countOrList(countOnly, `
+        ${column('new', joinKey, 't')} AS ${quoteIdentifier(joinKey)}, ${id} AS id, ${value} AS value, ${lookupValue} AS resolved,
+        CASE WHEN ${id} IS NULL THEN 'missing id' WHEN ${lookupId} IS NULL THEN 'orphaned id' ELSE 'inconsistent value' END AS problem
+      `, limit);
+
+      return {
+        sql: `
+          SELECT ${select}
+          FROM ${table('new')} t
+          LEFT JOIN ${quoteIdentifier(lookup.table)} l ON ${lookupId} = ${id}
+          WHERE (${id} IS NULL AND ${blank(value)} IS NOT NULL)
+            OR (${id} IS NOT NULL AND (${lookupId} IS NULL OR NOT (${blank(lookupValue)} <=> ${blank(value)})))
+          ${tail}
+        `,
+        values
+      };
+    },
+
+    // SKUs whose old code column does not match the new id column, either
+    // directly or, with a lookup, through the code of the row the id points at
+    unmappedCodes(oldCodeColumn, newIdColumn, lookup = null, { countOnly = false, limit = null } = {}) {
+      const oldCode = column('old', oldCodeColumn, 'o');
+      const id = column('new', newIdColumn, 't');
+      const lookupId = lookup ? lookupColumn(lookup.table, lookup.idColumn, 'l') : null;
+      const expected = lookup ? lookupColumn(lookup.table, lookup.codeColumn, 'l') : id;
+      const { select, tail, values } = countOrList(countOnly, `
+        ${column('new', joinKey, 't')} AS ${quoteIdentifier(joinKey)}, ${oldCode} AS old_code, ${id} AS id, ${expected} AS resolved,
+        CASE WHEN ${id} IS NULL THEN 'missing id' ${lookup ? `WHEN ${lookupId} IS NULL THEN 'orphaned id'` : ''} ELSE 'code mismatch' END AS problem
+      `, limit);
+
+      return {
+        sql: `
+          SELECT ${select}
+          FROM ${table('old')} o
+          JOIN ${table('new')} t ON ${column('old', joinKey, 'o')} = ${column('new', joinKey, 't')}
+          ${lookup ? `LEFT JOIN ${quoteIdentifier(lookup.table)} l ON ${lookupId} = ${id}` : ''}
+          WHERE NOT (${blank(oldCode)} <=> ${blank(expected)})
+          ${tail}
+        `,
+        values
+      };
+    },
+
+    // Barcodes of a JSON array column of the new table that more than one SKU
+    // has, most shared first, with the first 10 SKU codes of each. Items are
+    // strings or objects with a string barcode; values that are not an array
+    // are skipped. JSON_TABLE needs MySQL 8.0
+    sharedBarcodes(name, { countOnly = false, limit = null } = {}) {
+      const barcodes = column('new', name, 't');
+      const nested = "JSON_EXTRACT(j.item, '$.barcode')";
+      const grouped = `
+        SELECT b.barcode, COUNT(DISTINCT b.sku_code) AS sku_count,
+          SUBSTRING_INDEX(GROUP_CONCAT(DISTINCT b.sku_code ORDER BY b.sku_code SEPARATOR ', '), ', ', 10) AS sku_codes
+        FROM (
+          SELECT ${column('new', joinKey, 't')} AS sku_code, TRIM(JSON_UNQUOTE(CASE
+            WHEN JSON_TYPE(j.item) = 'STRING' THEN j.item
+            WHEN JSON_TYPE(${nested}) = 'STRING' THEN ${nested}
+          END)) AS barcode
+          FROM ${table('new')} t
+          JOIN JSON_TABLE(
+            IF(JSON_VALID(${barcodes}) AND JSON_TYPE(${barcodes}) = 'ARRAY', ${barcodes}, NULL),
+            '$[*]' COLUMNS (item JSON PATH '$')
+          ) j
+        ) b
+        WHERE b.barcode <> ''
+        GROUP BY b.barcode
+        HAVING COUNT(DISTINCT b.sku_code) > 1
+      `;
+
+      if (countOnly) return { sql: `SELECT COUNT(*) AS count FROM (${grouped}) d`, values: [] };
+      return {
+        sql: `${grouped} ORDER BY sku_count DESC, b.barcode ${limit === null ? '' : 'LIMIT ?'}`,
+        values: limit === null ? [] : [limit]
+      };
+    },
+
+    // One row of tenant-wide aggregates, metric i as column m<i>. Each metric
+    // is { kind, column, value }: kind 'rows' counts every row, 'equal' the
+    // rows where column = value, 'not-null' the rows with a value, 'sum' adds
+    // up the numeric values and 'distinct' counts the distinct non-blank ones
+    aggregates(side, metrics) {
+      const values = [];
+      const expressions = metrics.map((metric, index) => {
+        let expression;
+        if (metric.kind === 'rows') {
+          expression = 'COUNT(*)';
+        } else if (metric.kind === 'equal') {
+          expression = `COUNT(CASE WHEN ${column(side, metric.column)} = ? THEN 1 END)`;
+          values.push(metric.value);
+        } else if (metric.kind === 'not-null') {
+          expression = `COUNT(${column(side, metric.column)})`;
+        } else if (metric.kind === 'sum') {
+          expression = `SUM(CAST(${blank(column(side, metric.column))} AS DECIMAL(65, 10)))`;
+        } else if (metric.kind === 'distinct') {
+          expression = `COUNT(DISTINCT ${blank(column(side, metric.column))})`;
+        } else {
+          throw new Error(`Unknown aggregate ${metric.kind}`);
+        }
+        return `${expression} AS m${index}`;
+      });
+
+      return {
+        sql: `
+          SELECT ${expressions.join(', ')}
+          FROM ${table(side)}
+        `,
+        values
+      };
+    },
+
+    // Row count per value of one column, NULL included
+    groupCounts(side, name) {
+      const grouped = column(side, name);
+      return {
+        sql: `
+          SELECT ${grouped} AS value, COUNT(*) AS count
+          FROM ${table(side)}
+          GROUP BY ${grouped}
+        `,
+        values: []
+      };
+    },
+
+    // SKUs in both tables, per value of an old-table column when stratifyBy
+    // is given (NULL included)
+    matchedKeyCounts(stratifyBy = null) {
+      const stratum = stratifyBy ? column('old', stratifyBy, 'o') : 'NULL';
+      return {
+        sql: `
+          SELECT ${stratum} AS stratum, COUNT(*) AS count
+          FROM ${table('old')} o
+          JOIN ${table('new')} t ON ${column('old', joinKey, 'o')} = ${column('new', joinKey, 't')}
+          ${stratifyBy ? `GROUP BY ${stratum}` : ''}
+        `,
+        values: []
+      };
+    },
+
+    // Up to limit join keys of SKUs in both tables, in random order (repeatable
+    // with a seed) or latest first by recent: { side, column }. stratifyBy
+    // and stratum restrict the keys to one value of an old-table column.
+    sampleKeys({ limit, seed = null, recent = null, stratifyBy = null, stratum = null }) {
+      assertInteger(limit, 'Sample size');
+      const values = [];
+      let where = 'TRUE';
+      if (stratifyBy) {
+        where = `${column('old', stratifyBy, 'o')} <=> ?`;
+        values.push(stratum);
+      }
+
+      let order = 'RAND()';
+      if (recent) {
+        order = `${column(recent.side, recent.column, recent.side === 'old' ? 'o' : 't')} DESC`;
+      } else if (seed !== null) {
+        assertInteger(seed, 'Sample seed');
+        order = 'RAND(?)';
+        values.push(seed);
+      }
+      values.push(limit);
+
+      return {
+        sql: `
+          SELECT ${column('old', joinKey, 'o')} AS ${quoteIdentifier(joinKey)}
+          FROM ${table('old')} o
+          JOIN ${table('new')} t ON ${column('old', joinKey, 'o')} = ${column('new', joinKey, 't')}
+          WHERE ${where}
+          ORDER BY ${order}
+          LIMIT ?
+        `,
+        values
+      };
+    },
+
+    // Latest value of a column of one table, e.g. the high-water mark of
+    // updated_at for an incremental run
+    maxValue(side, name) {
+      return {
+        sql: `SELECT MAX(${column(side, name, 't')}) AS max_value FROM ${table(side)} t`,
+        values: []
+      };
+    },
+
+    // Join keys of SKUs in both tables whose column is at or after since[side]
+    // on any of sides, less lookbackMinutes
+    changedKeys(name, since, { sides = ['old', 'new'], lookbackMinutes = 0 } = {}) {
+      assertInteger(lookbackMinutes, 'Lookback');
+      const values = [];
+      const selects = sides.map(side => {
+        values.push(since[side], lookbackMinutes);
+        return `
+          SELECT ${column('old', joinKey, 'o')} AS ${quoteIdentifier(joinKey)}
+          FROM ${table('old')} o
+          JOIN ${table('new')} t ON ${column('old', joinKey, 'o')} = ${column('new', joinKey, 't')}
+          WHERE ${column(side, name, side === 'old' ? 'o' : 't')} >= ? - INTERVAL ? MINUTE
+        `;
+      });
+      return { sql: selects.join('UNION'), values };
+    },
+
+    rowHashesByKeys(side, names, keys) {
+      const key = column(side, joinKey, 't');
+      return {
+        sql: `
+          SELECT ${key} AS join_key, ${rowHashExpression([joinKey, ...names].map(name => column(side, name, 't')))} AS row_hash
+          FROM ${table(side)} t
+          WHERE ${key} IN (?)
+        `,
+        values: [keys]
+      };
+    }
+  };
+}
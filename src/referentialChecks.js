@@ -0,0 +1,100 @@
+// Lookup tables and column names used when the config leaves them out; {n}
+// is the number at the end of the mapped column, e.g. 12 for a12
+export const DEFAULT_REFERENTIAL_SETTINGS = {
+  attribute_values: {
+    table: 'im_attribute_values',
+    id_column: 'id',
+    value_column: 'value',
+    flat_id_column: 'a_id{n}'
+  },
+  categories: {
+    table: 'im_categories',
+    id_column: 'id',
+    name_column: 'name',
+    code_column: 'code',
+    flat_id_column: 'category_id{n}',
+    old_code_column: 'cat_code_{n}'
+  }
+};
+
+// Merge the configured settings over the defaults, per lookup table
+export function resolveReferentialSettings(settings = {}) {
+  return {
+    attribute_values: { ...DEFAULT_REFERENTIAL_SETTINGS.attribute_values, ...settings.attribute_values },
+    categories: { ...DEFAULT_REFERENTIAL_SETTINGS.categories, ...settings.categories }
+  };
+}
+
+function columnFor(template, mappedColumn) {
+  const number = /(\d+)$/.exec(mappedColumn)?.[1];
+  return number === undefined ? null : template.replace('{n}', number);
+}
+
+async function collect(connection, queries, query, countQuery, check) {
+  const [[{ count }]] = await connection.query(countQuery);
+  if (Number(count) === 0) return null;
+
+  const [rows] = await connection.query(query);
+  const items = rows.map(({ [queries.joinKey]: skuCode, ...rest }) => ({ sku_code: skuCode, ...rest }));
+  return { ...check, count: Number(count), items };
+}
+
+// The id column next to every mapped value column of one group (attribute or
+// category) must resolve, through the group's lookup table, to that value.
+// For categories the old code column must also match the new id, through the
+// lookup table's code column when it has one. Returns one finding per column
+// with problems, listing at most maxListed SKUs each.
+export async function verifyReferences(connection, queries, columnSpecs, type, settings, { maxListed = 500 } = {}) {
+  const { attribute_values: attributeValues, categories } = resolveReferentialSettings(settings);
+  const lookupSettings = type === 'attribute' ? attributeValues : categories;
+  const lookup = {
+    table: lookupSettings.table,
+    idColumn: lookupSettings.id_column,
+    valueColumn: type === 'attribute' ? lookupSettings.value_column : lookupSettings.name_column
+  };
+
+  if (!queries.hasLookup(lookup.table)) {
+    return { lookup: lookup.table, error: `Table ${lookup.table} does not exist or has no columns` };
+  }
+
+  const codeLookup = type === 'category' && lookupSettings.code_column && queries.hasLookup(lookup.table, lookupSettings.code_column)
+    ? { table: lookup.table, idColumn: lookup.idColumn, codeColumn: lookupSettings.code_column }
+    : null;
+
+  const result = { lookup: lookup.table, columnsChecked: 0, count: 0, findings: [], skipped: [] };
+  const addFinding = finding => {
+    if (!finding) return;
+    result.count += finding.count;
+    result.findings.push(finding);
+  };
+
+  for (const spec of columnSpecs.filter(candidate => candidate.type === type)) {
+    const idColumn = columnFor(lookupSettings.flat_id_column, spec.newColumn);
+    if (!idColumn || !queries.has('new', idColumn)) {
+      result.skipped.push({ column: spec.newColumn, reason: idColumn ? `${idColumn} missing in ${queries.tables.new}` : 'no id column' });
+      continue;
+    }
+
+    result.columnsChecked++;
+    addFinding(await collect(
+      connection,
+      queries,
+      queries.unresolvedReferences(idColumn, spec.newColumn, lookup, { limit: maxListed }),
+      queries.unresolvedReferences(idColumn, spec.newColumn, lookup, { countOnly: true }),
+      { check: `${type}-id`, id_column: idColumn, value_column: spec.newColumn }
+    ));
+
+    const oldCodeColumn = type === 'category' ? columnFor(lookupSettings.old_code_column, spec.oldColumn) : null;
+    if (oldCodeColumn && queries.has('old', oldCodeColumn)) {
+      addFinding(await collect(
+        connection,
+        queries,
+        queries.unmappedCodes(oldCodeColumn, idColumn, codeLookup, { limit: maxListed }),
+        queries.unmappedCodes(oldCodeColumn, idColumn, codeLookup, { countOnly: true }),
+        { check: 'category-code', id_column: idColumn, value_column: oldCodeColumn }
+      ));
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,182 @@
+import mysql from 'mysql2/promise';
+import { quoteIdentifier } from './queryBuilder.js';
+import { createWriteStream } from 'fs';
+import { join } from 'path';
+import { endStream, writeLine } from './files.js';
+
+export const REMEDIATION_FORMAT = 'sql';
+
+export const DEFAULT_STATEMENTS_PER_TRANSACTION = 500;
+
+function literal(value) {
+  return value === null || value === undefined ? 'NULL' : mysql.escape(String(value));
+}
+
+// One script per direction, in transactions of statementsPerTransaction
+// statements. MySQL does not roll back a transaction when a statement in it
+// fails; the header asks to run the script so the client stops at the first
+// error and the open batch is rolled back when the connection closes. Writes
+// are queued because the SKU check and the value comparison may run side by
+// side.
+class SqlScript {
+  constructor(path, statementsPerTransaction) {
+    this.path = path;
+    this.statementsPerTransaction = statementsPerTransaction;
+    this.stream = createWriteStream(path);
+    this.queue = Promise.resolve();
+    this.inBatch = 0;
+    this.batches = 0;
+    this.statements = 0;
+  }
+
+  enqueue(task) {
+    this.queue = this.queue.then(task);
+    return this.queue;
+  }
+
+  write(text) {
+    return this.enqueue(() => writeLine(this.stream, text));
+  }
+
+  statement(sql) {
+    return this.enqueue(async () => {
+      if (this.inBatch === 0) {
+        this.batches++;
+        await writeLine(this.stream, `\n-- Batch ${this.batches}\nSTART TRANSACTION;\n`);
+      }
+
+      await writeLine(this.stream, `${sql};\n`);
+      this.statements++;
+      this.inBatch++;
+
+      if (this.inBatch === this.statementsPerTransaction) {
+        await this.endBatch();
+      }
+    });
+  }
+
+  async endBatch() {
+    if (this.inBatch === 0) return;
+    this.inBatch = 0;
+    await writeLine(this.stream, 'COMMIT;\n');
+  }
+
+  commit() {
+    return this.enqueue(() => this.endBatch());
+  }
+
+  close() {
+    return this.enqueue(async () => {
+      await this.endBatch();
+      if (this.statements === 0) {
+        await writeLine(this.stream, '\n-- Nothing to change\n');
+      }
+      await endStream(this.stream);
+      return this.path;
+    });
+  }
+}
+
+// Sink that turns the mismatches of one tenant into a remediation script that
+// copies old values into the new table, and a rollback script that restores
+// the new values seen during verification. The scripts are only written for
+// review; the tool never runs them.
+class RemediationWriter {
+  constructor(directory, dbName, { statementsPerTransaction = DEFAULT_STATEMENTS_PER_TRANSACTION } = {}) {
+    this.dbName = dbName;
+    this.statementsPerTransaction = statementsPerTransaction;
+    this.remediationPath = join(directory, `${dbName}.remediation.sql`);
+    this.rollbackPath = join(directory, `${dbName}.rollback.sql`);
+    this.remediation = null;
+    this.rollback = null;
+    this.tables = null;
+    this.joinKey = null;
+    this.columnSpecs = [];
+    this.comparators = new Map();
+  }
+
+  async open() {
+    this.remediation = new SqlScript(this.remediationPath, this.statementsPerTransaction);
+    this.rollback = new SqlScript(this.rollbackPath, this.statementsPerTransaction);
+  }
+
+  // Called by verifyDatabase with the tenant's resolved config before any
+  // difference arrives
+  async prepare({ config, columnSpecs }) {
+    this.tables = config.tables;
+    this.joinKey = config.join_key;
+    this.columnSpecs = columnSpecs;
+    columnSpecs.forEach(spec => this.comparators.set(`${spec.oldColumn}:${spec.newColumn}`, spec.comparator));
+
+    const header = (description, notes = []) => [
+      `-- ${description} for tenant ${this.dbName}, generated ${new Date().toISOString()}`,
+      '-- Review before running. The verification tool never executes this script.',
+      `-- Each UPDATE only touches rows that still hold the value seen during verification.`,
+      ...notes,
+      '-- Run without --force, e.g. mysql < script.sql: the client then stops at the first error and the',
+      '-- batch it was in is rolled back, while earlier batches stay committed. With --force, or a client',
+      '-- that carries on after errors, the COMMIT of that batch would keep the statements that did succeed.',
+      `USE ${mysql.escapeId(this.dbName)};`,
+      ''
+    ].join('\n');
+
+    await this.remediation.write(header(`Remediation of ${this.tables.new}`, [
+      '-- UPDATEs set values converted by the comparison rules (trimmed, mapped through enum_map, moved',
+      '-- into new_timezone). INSERT ... SELECT rows for missing SKUs copy the old values as stored; they',
+      '-- are not converted and need the same review.'
+    ]));
+    await this.rollback.write(header(`Rollback of the remediation of ${this.tables.new}`));
+  }
+
+  async writeDifference(difference) {
+    const comparator = this.comparators.get(`${difference.old_column}:${difference.new_column}`);
+    const target = comparator?.toNewValue ? comparator.toNewValue(difference.old_value) : difference.old_value;
+    const table = quoteIdentifier(this.tables.new);
+    const column = quoteIdentifier(difference.new_column);
+    const key = `${quoteIdentifier(this.joinKey)} = ${literal(difference.sku_code)}`;
+
+    await this.remediation.statement(
+      `UPDATE ${table} SET ${column} = ${literal(target)} WHERE ${key} AND ${column} <=> ${literal(difference.new_value)}`
+    );
+    await this.rollback.statement(
+      `UPDATE ${table} SET ${column} = ${literal(difference.new_value)} WHERE ${key} AND ${column} <=> ${literal(target)}`
+    );
+  }
+
+  // SKUs missing in the new table get INSERT ... SELECT scaffolding from the
+  // old table; values are copied as stored there and need the same review
+  async writeMissingSkus({ missingInNew = [], missingInOld = [] }) {
+    const pairs = [{ oldColumn: this.joinKey, newColumn: this.joinKey }, ...this.columnSpecs]
+      .filter((pair, index, all) => all.findIndex(other => other.newColumn === pair.newColumn) === index);
+    const newColumns = pairs.map(pair => quoteIdentifier(pair.newColumn)).join(', ');
+    const oldColumns = pairs.map(pair => `o.${quoteIdentifier(pair.oldColumn)}`).join(', ');
+
+    for (let start = 0; start < missingInNew.length; start += this.statementsPerTransaction) {
+      const skuCodes = missingInNew.slice(start, start + this.statementsPerTransaction)
+        .map(sku => literal(sku.sku_code))
+        .join(', ');
+
+      await this.remediation.statement([
+        `INSERT INTO ${quoteIdentifier(this.tables.new)} (${newColumns})`,
+        `SELECT ${oldColumns}`,
+        `FROM ${quoteIdentifier(this.tables.old)} o`,
+        `WHERE o.${quoteIdentifier(this.joinKey)} IN (${skuCodes})`
+      ].join('\n'));
+      await this.rollback.statement(
+        `DELETE FROM ${quoteIdentifier(this.tables.new)} WHERE ${quoteIdentifier(this.joinKey)} IN (${skuCodes})`
+      );
+    }
+
+    if (missingInOld.length > 0) {
+      await this.remediation.commit();
+      await this.remediation.write(`\n-- ${missingInOld.length} SKU(s) exist only in ${this.tables.new}; they are left for manual review\n`);
+    }
+  }
+
+  async close() {
+    if (!this.remediation) return [];
+    return [await this.remediation.close(), await this.rollback.close()];
+  }
+}
+
+export default RemediationWriter;
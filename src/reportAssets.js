@@ -0,0 +1,234 @@
+import { REPORT_VALUE_SCRIPT } from './reportValues.js';
+
+// Styles and scripts inlined into every HTML report, so reports render the
+// same on machines without internet access. The class names are the subset
+// of Bootstrap the reports used when they loaded it from a CDN.
+
+export const REPORT_STYLES = `
+  *, ::before, ::after { box-sizing: border-box; }
+  body { margin: 0; padding: 20px; font-family: system-ui, -apple-system, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif; font-size: 1rem; line-height: 1.5; color: #212529; background: #fff; }
+  h1, h2, h3, h4, h5, h6 { margin: 0 0 .5rem; font-weight: 500; line-height: 1.2; }
+  h1 { font-size: 2.5rem; } h2 { font-size: 2rem; } h4 { font-size: 1.5rem; } h5 { font-size: 1.25rem; } h6 { font-size: 1rem; }
+  p, ul, ol { margin: 0 0 1rem; }
+  a { color: #0d6efd; }
+  code { color: #d63384; font-size: .875em; }
+  em { color: #6c757d; }
+  .container { max-width: 1320px; margin: 0 auto; padding: 0 12px; }
+  .row { display: flex; flex-wrap: wrap; margin: 0 -12px; }
+  .col-md-6 { flex: 0 0 50%; max-width: 50%; padding: 0 12px; }
+  @media (max-width: 767px) { .col-md-6 { flex-basis: 100%; max-width: 100%; } }
+  .mb-2 { margin-bottom: .5rem !important; } .mb-4 { margin-bottom: 1.5rem !important; }
+  .mt-3 { margin-top: 1rem !important; } .mt-5 { margin-top: 3rem !important; }
+  .d-inline-block { display: inline-block !important; } .w-auto { width: auto !important; }
+  .small, small { font-size: .875em; } .fw-bold { font-weight: 700 !important; }
+  .text-muted { color: #6c757d !important; } .text-danger { color: #dc3545 !important; }
+  .text-success { color: #198754 !important; } .text-warning { color: #b58105 !important; } .text-dark { color: #212529 !important; }
+  .section { margin-bottom: 30px; }
+  .section > h2 { cursor: pointer; user-select: none; }
+  .section > h2::before { content: "\\25BE"; display: inline-block; width: 1.2em; color: #6c757d; }
+  .section.collapsed > h2::before { content: "\\25B8"; }
+  .section.collapsed > :not(h2) { display: none !important; }
+  .card { border: 1px solid rgba(0, 0, 0, .125); border-radius: .25rem; }
+  .card-body { padding: 1rem; } .card-title { margin-bottom: .5rem; }
+  .summary-card { margin-bottom: 20px; }
+  .list-group { padding: 0; margin: 0; list-style: none; }
+  .list-group-item { padding: .5rem 1rem; border-bottom: 1px solid rgba(0, 0, 0, .125); }
+  .list-group-flush .list-group-item:last-child { border-bottom: 0; }
+  .table { width: 100%; margin: 10px 0 1rem; border-collapse: collapse; vertical-align: top; }
+  .table th, .table td { padding: .5rem; border-bottom: 1px solid #dee2e6; text-align: left; }
+  .table thead th { border-bottom: 2px solid #212529; }
+  .table-sm th, .table-sm td { padding: .25rem; }
+  .table-bordered th, .table-bordered td { border: 1px solid #dee2e6; }
+  .table-striped tbody tr:nth-of-type(odd) { background: rgba(0, 0, 0, .05); }
+  .table-danger, .table-danger > td { background: #f8d7da; }
+  .table-responsive { overflow-x: auto; }
+  table.sortable th[data-type], .data-table th { cursor: pointer; }
+  .badge { display: inline-block; padding: .35em .65em; font-size: .9em; font-weight: 700; line-height: 1; color: #fff; border-radius: .25rem; white-space: nowrap; }
+  .bg-primary { background: #0d6efd; } .bg-secondary { background: #6c757d; } .bg-success { background: #198754; }
+  .bg-danger { background: #dc3545; } .bg-warning { background: #ffc107; }
+  .alert { position: relative; margin: 10px 0 1rem; padding: 1rem; border: 1px solid transparent; border-radius: .25rem; }
+  .alert-info { color: #055160; background: #cff4fc; border-color: #b6effb; }
+  .alert-warning { color: #664d03; background: #fff3cd; border-color: #ffecb5; }
+  .alert-danger { color: #842029; background: #f8d7da; border-color: #f5c2c7; }
+  .btn { display: inline-block; padding: .375rem .75rem; font-size: 1rem; border: 1px solid #6c757d; border-radius: .25rem; background: #fff; color: #212529; text-decoration: none; cursor: pointer; }
+  .btn:disabled { opacity: .5; cursor: default; }
+  .btn-primary { color: #fff; background: #0d6efd; border-color: #0d6efd; }
+  .btn-sm { padding: .25rem .5rem; font-size: .875rem; }
+  .form-select, .form-control { padding: .25rem .5rem; font-size: .875rem; border: 1px solid #ced4da; border-radius: .25rem; background: #fff; }
+  .sparkline rect { fill: #dc3545; }
+  .rate-bar { background: #e9ecef; height: 6px; width: 100%; }
+  .rate-bar span { background: #dc3545; display: block; height: 100%; }
+  .data-table-controls, .data-table-pager { display: flex; flex-wrap: wrap; gap: .5rem; align-items: center; margin: .5rem 0; }
+  .section-toggles { margin-bottom: 1rem; }
+  .value-null, .value-empty { color: #6c757d; font-size: .85em; }
+  .value-blank { background: #fff3cd; }
+  .diff del { background: #f8d7da; color: #842029; }
+  .diff ins { background: #d1e7dd; color: #0f5132; text-decoration: none; }
+  .value-mark { color: #d63384; background: #fce4f0; border-radius: .2rem; padding: 0 .1em; font-size: .85em; }
+`;
+
+// Sorts a table.sortable by the data-sort value of the clicked column
+const SORTABLE_TABLE_SCRIPT = `
+  document.querySelectorAll('table.sortable th[data-type]').forEach(header => {
+    header.addEventListener('click', () => {
+      const column = header.cellIndex;
+      const body = header.closest('table').tBodies[0];
+      const descending = header.dataset.order !== 'desc';
+      const value = row => row.cells[column].dataset.sort ?? row.cells[column].textContent;
+      const compare = header.dataset.type === 'number'
+        ? (a, b) => Number(value(a)) - Number(value(b))
+        : (a, b) => value(a).localeCompare(value(b));
+      Array.from(body.rows)
+        .sort((a, b) => descending ? compare(b, a) : compare(a, b))
+        .forEach(row => body.appendChild(row));
+      header.dataset.order = descending ? 'desc' : 'asc';
+    });
+  });
+`;
+
+// Every .section collapses when its heading is clicked
+const COLLAPSIBLE_SECTIONS_SCRIPT = `
+  document.querySelectorAll('.section > h2').forEach(heading => {
+    heading.addEventListener('click', () => heading.parentElement.classList.toggle('collapsed'));
+  });
+  document.querySelectorAll('[data-sections]').forEach(button => {
+    button.addEventListener('click', () => {
+      document.querySelectorAll('.section').forEach(section => {
+        section.classList.toggle('collapsed', button.dataset.sections === 'collapse');
+      });
+    });
+  });
+`;
+
+// Renders every .data-table from the JSON document its data-source names:
+// { columns: [{ label, filter, className, labels, optional, render }], rows: [[...], ...] }.
+// filter is 'search' (substring) or 'select' (exact value); labels maps
+// stored values to the text shown, other values go through renderValue.
+// optional columns leave NULL cells empty; render 'diff' shows [op, text]
+// pieces as inline deletions and insertions. Only one page of rows is in
+// the DOM.
+const DATA_TABLE_SCRIPT = `
+  document.querySelectorAll('.data-table').forEach(container => {
+    const { columns, rows } = JSON.parse(document.getElementById(container.dataset.source).textContent);
+    const state = { filters: columns.map(() => ''), sort: null, descending: false, page: 0, pageSize: 50 };
+    const text = (column, value) => value === null || value === undefined ? '' : String(column.labels?.[value] ?? value);
+    // Option text cannot hold markup; invisible characters show as their marks
+    const shown = (column, value) => column.labels ? text(column, value) : valueParts(value).parts.map(part => part.mark || part.text).join('');
+    // Select filter values; '' stays free for "all" and NULL apart from 'null'
+    const key = value => value === null || value === undefined ? 'null:' : 'value:' + value;
+    const element = (tag, properties = {}, children = []) => {
+      const node = Object.assign(document.createElement(tag), properties);
+      children.forEach(child => node.append(child));
+      return node;
+    };
+    // Changed pieces of a diff show their invisible characters
+    const renderDiff = pieces => (pieces || []).map(([op, piece]) => op === 'equal' ? piece : element(op === 'delete' ? 'del' : 'ins', {}, [renderValue(piece)]));
+
+    const controls = element('div', { className: 'data-table-controls' });
+    columns.forEach((column, index) => {
+      if (column.filter === 'search') {
+        const input = element('input', { type: 'search', className: 'form-control', placeholder: column.label });
+        input.addEventListener('input', () => { state.filters[index] = input.value.toLowerCase(); state.page = 0; render(); });
+        controls.append(input);
+      } else if (column.filter === 'select') {
+        const counts = new Map();
+        const values = new Map();
+        rows.forEach(row => {
+          counts.set(key(row[index]), (counts.get(key(row[index])) || 0) + 1);
+          values.set(key(row[index]), row[index]);
+        });
+        const select = element('select', { className: 'form-select' }, [element('option', { value: '', textContent: 'All ' + column.label.toLowerCase() })]);
+        Array.from(counts.keys()).sort().forEach(value => {
+          const label = value === key(null) ? 'NULL' : text(column, values.get(value)) === '' ? '(empty)' : shown(column, values.get(value));
+          select.append(element('option', { value, textContent: label + ' (' + counts.get(value) + ')' }));
+        });
+        select.addEventListener('change', () => { state.filters[index] = select.value; state.page = 0; render(); });
+        controls.append(select);
+      }
+    });
+    const pageSize = element('select', { className: 'form-select' }, [25, 50, 100, 500].map(size => element('option', { value: size, textContent: size + ' per page', selected: size === state.pageSize })));
+    pageSize.addEventListener('change', () => { state.pageSize = Number(pageSize.value); state.page = 0; render(); });
+    controls.append(pageSize);
+
+    const headers = columns.map((column, index) => {
+      const header = element('th', { textContent: column.label });
+      header.addEventListener('click', () => {
+        state.descending = state.sort === index ? !state.descending : false;
+        state.sort = index;
+        render();
+      });
+      return header;
+    });
+    const body = element('tbody');
+    const table = element('table', { className: 'table table-sm table-bordered table-striped' }, [element('thead', {}, [element('tr', {}, headers)]), body]);
+
+    const previous = element('button', { type: 'button', className: 'btn btn-sm', textContent: 'Previous' });
+    const next = element('button', { type: 'button', className: 'btn btn-sm', textContent: 'Next' });
+    const position = element('span', { className: 'text-muted' });
+    previous.addEventListener('click', () => { state.page--; render(); });
+    next.addEventListener('click', () => { state.page++; render(); });
+
+    container.append(controls, table, element('div', { className: 'data-table-pager' }, [previous, position, next]));
+
+    function matches(row) {
+      return columns.every((column, index) => {
+        const filter = state.filters[index];
+        if (filter === '') return true;
+        return column.filter === 'search'
+          ? text(column, row[index]).toLowerCase().includes(filter)
+          : key(row[index]) === filter;
+      });
+    }
+
+    function compare(a, b) {
+      const left = a[state.sort];
+      const right = b[state.sort];
+      if (left === right) return 0;
+      if (left === null || left === undefined) return -1;
+      if (right === null || right === undefined) return 1;
+      const numeric = !isNaN(left) && !isNaN(right) && String(left).trim() !== '' && String(right).trim() !== '';
+      return numeric ? Number(left) - Number(right) : String(left).localeCompare(String(right));
+    }
+
+    function render() {
+      let visible = rows.filter(matches);
+      if (state.sort !== null) {
+        visible = visible.slice().sort((a, b) => state.descending ? compare(b, a) : compare(a, b));
+      }
+      const pages = Math.max(1, Math.ceil(visible.length / state.pageSize));
+      state.page = Math.min(Math.max(state.page, 0), pages - 1);
+      const start = state.page * state.pageSize;
+
+      body.replaceChildren(...visible.slice(start, start + state.pageSize).map(row => element('tr', {}, columns.map((column, index) => {
+        const cell = element('td', { className: column.className || '' });
+        if (column.render === 'diff') {
+          cell.append(...renderDiff(row[index]));
+        } else if (row[index] !== null || !column.optional) {
+          cell.append(column.labels ? text(column, row[index]) : renderValue(row[index]));
+        }
+        return cell;
+      }))));
+
+      headers.forEach((header, index) => {
+        header.textContent = columns[index].label + (state.sort === index ? (state.descending ? ' \\u25BC' : ' \\u25B2') : '');
+      });
+      position.textContent = visible.length === 0
+        ? 'No matching rows of ' + rows.length
+        : (start + 1) + '-' + Math.min(start + state.pageSize, visible.length) + ' of ' + visible.length
+          + (visible.length < rows.length ? ' (filtered from ' + rows.length + ')' : '') + ', page ' + (state.page + 1) + ' of ' + pages;
+      previous.disabled = state.page === 0;
+      next.disabled = state.page >= pages - 1;
+    }
+
+    render();
+  });
+`;
+
+export const REPORT_SCRIPT = `${REPORT_VALUE_SCRIPT}${SORTABLE_TABLE_SCRIPT}${COLLAPSIBLE_SECTIONS_SCRIPT}${DATA_TABLE_SCRIPT}`;
+
+// JSON for a <script type="application/json"> element; "<" is escaped so
+// values can never close the element
+export function inlineJson(value) {
+  return JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item.toString() : item)
+    .replace(/</g, '\\u003c');
+}
@@ -1,15 +1,85 @@
 import fs from 'fs/promises';
 import { createWriteStream } from 'fs';
-import { join, dirname } from 'path';
+import { join, dirname, basename } from 'path';
 import { fileURLToPath } from 'url';
+import { evaluateChecks, formatRate, overallStatus } from './checks.js';
+import { MISMATCH_CLASSES } from './mismatchClassifier.js';
+import { REPORT_STYLES, REPORT_SCRIPT, inlineJson } from './reportAssets.js';
+import { escapeHtml, renderValue } from './reportValues.js';
+import { VALUE_CHECKS } from './history.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
+// Bump when the structure of the JSON results documents changes
+export const RESULTS_SCHEMA_VERSION = 1;
+
+export const REPORT_FORMATS = ['html', 'json', 'junit'];
+
+export const DEFAULT_REPORTS_DIR = join(__dirname, '../reports');
+
+// Runs shown in the trend view of the index page
+const TREND_RUNS = 10;
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // Control characters other than tab and newlines are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+// Inline SVG bars, one per value, scaled to the largest
+function sparkline(values, { width = 120, height = 24 } = {}) {
+  const max = Math.max(...values, 1);
+  const barWidth = width / Math.max(values.length, 1);
+
+  return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${values.map((value, index) => {
+    const barHeight = Math.max(1, Math.round(value / max * height));
+    return `<rect x="${(index * barWidth).toFixed(1)}" y="${height - barHeight}" width="${(barWidth - 1).toFixed(1)}" height="${barHeight}"><title>${value}</title></rect>`;
+  }).join('')}</svg>`;
+}
+
+// Run ids are ISO times with ':' and '.' replaced, e.g. 2026-10-19T08-30-00-000Z
+function runStartedAt(runId) {
+  const startedAt = new Date(runId.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z'));
+  return Number.isNaN(startedAt.getTime()) ? null : startedAt;
+}
+
+function toJson(document) {
+  return JSON.stringify(document, (key, value) => typeof value === 'bigint' ? value.toString() : value, 2);
+}
+
 class ReportGenerator {
-  constructor() {
-    this.reportsDir = join(__dirname, '../reports');
-    this.timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  constructor({ tenantOrder = [], reportsDir = DEFAULT_REPORTS_DIR, formats = REPORT_FORMATS, runId = null } = {}) {
+    this.reportsDir = reportsDir;
+    // Regenerated reports keep the id of the run they came from
+    this.timestamp = runId || new Date().toISOString().replace(/[:.]/g, '-');
+    this.formats = formats;
     this.databaseResults = new Map();
+    // Tenants may finish in any order; the index lists them as configured
+    this.tenantOrder = tenantOrder;
+  }
+
+  get runDirectory() {
+    return join(this.reportsDir, this.timestamp);
+  }
+
+  // error beats failed beats passed, across every tenant
+  get status() {
+    return overallStatus(Array.from(this.databaseResults.values()).flatMap(summary => summary.checks));
+  }
+
+  getOrderedResults() {
+    const position = dbName => {
+      const index = this.tenantOrder.indexOf(dbName);
+      return index === -1 ? this.tenantOrder.length : index;
+    };
+
+    return Array.from(this.databaseResults.entries())
+      .sort(([a], [b]) => position(a) - position(b) || a.localeCompare(b));
   }
 
   async initialize() {
@@ -41,13 +111,46 @@ class ReportGenerator {
         missingInNew: results.skuMismatches?.missingInNew?.length || 0,
         missingInOld: results.skuMismatches?.missingInOld?.length || 0
       },
+      lifecycleMismatches: results.skuMismatches?.lifecycle ? results.skuMismatches.lifecycle.mismatchCount : null,
       valueMismatches: {
         attributes: results.attributeMismatches?.length || 0,
         categories: results.categoryMismatches?.length || 0,
         commonColumns: results.commonColumnMismatches?.length || 0
-      }
+      },
+      mismatchingColumns: [results.attributeMismatches, results.categoryMismatches, results.commonColumnMismatches]
+        .reduce((total, mismatches) => total + (mismatches?.length || 0), 0),
+      valueMismatchRows: [results.attributeMismatches, results.categoryMismatches, results.commonColumnMismatches]
+        .flatMap(mismatches => mismatches || [])
+        .reduce((total, mismatch) => total + (mismatch.mismatchCount ?? mismatch.differences?.length ?? 0), 0),
+      fingerprint: results.fingerprint || null,
+      acceptedDifferences: results.acceptedDifferences
+        ? results.acceptedDifferences.columns.reduce((total, column) => total + column.acceptedCount, 0)
+        : null,
+      flaggedAllowlistEntries: results.acceptedDifferences?.entries.filter(entry => entry.status !== 'active').length || 0,
+      referenceProblems: [results.attributeReferences, results.categoryReferences].some(references => references && !references.error)
+        ? [results.attributeReferences, results.categoryReferences].reduce((total, references) => total + (references?.count || 0), 0)
+        : null,
+      barcodeProblems: results.barcodes && !results.barcodes.error
+        ? results.barcodes.missing.count + results.barcodes.invalid.count + results.barcodes.duplicates.count
+        : null,
+      aggregatesExceeded: results.aggregates ? results.aggregates.exceeded : null,
+      sampling: results.sampling
+        ? { method: results.sampling.method, sampled: results.sampling.sampled, population: results.sampling.population, escalated: results.sampling.escalated }
+        : null,
+      incremental: results.incremental
+        ? { mode: results.incremental.mode, comparedSkus: results.incremental.comparedSkus, cumulativeStatus: results.incremental.cumulative?.status ?? null }
+        : null,
+      schemaRisks: results.schemaDiff?.findings?.filter(finding => finding.severity === 'risk').length || 0,
+      mappingDrift: results.mappingDiscovery && !results.mappingDiscovery.error
+        ? results.mappingDiscovery.differing.length + results.mappingDiscovery.onlyInDiscovered.length
+        : null,
+      error: results.error || null,
+      durationMs: results.durationMs ?? null
     };
 
+    summary.checks = evaluateChecks(results);
+    summary.status = overallStatus(summary.checks);
+
     this.databaseResults.set(dbName, summary);
     return summary;
   }
@@ -61,13 +164,13 @@ class ReportGenerator {
       <table class="table">
         <thead>
           <tr>
-            ${tableHeaders.map(header => `<th>${header}</th>`).join('')}
+            ${tableHeaders.map(header => `<th>${escapeHtml(header)}</th>`).join('')}
           </tr>
         </thead>
         <tbody>
           ${data.map(row => `
             <tr>
-              ${tableHeaders.map(header => `<td>${row[header] ?? ''}</td>`).join('')}
+              ${tableHeaders.map(header => `<td>${row[header] === undefined ? '' : renderValue(row[header])}</td>`).join('')}
             </tr>
           `).join('')}
         </tbody>
@@ -75,97 +178,599 @@ class ReportGenerator {
     `;
   }
 
-  generateMismatchTableHTML(mismatches) {
-    if (!mismatches || mismatches.length === 0) return '<p>No mismatches found</p>';
+  generateMappingDiscoveryHTML(discovery) {
+    if (!discovery) return '';
+
+    if (discovery.error) {
+      return `
+        <div class="section">
+          <h2>Attribute Mapping Discovery</h2>
+          <div class="alert alert-warning">Mappings could not be discovered: ${escapeHtml(discovery.error)}</div>
+        </div>
+      `;
+    }
+
+    const sections = [
+      ['Mappings that differ from the config', discovery.differing],
+      ['Discovered mappings missing from the config', discovery.onlyInDiscovered],
+      ['Configured mappings not found in the attribute tables', discovery.onlyInStatic],
+      ['Attributes only in the old attribute table', discovery.onlyInOld],
+      ['Attributes only in the new attribute table or without a flat_table_index', discovery.onlyInNew],
+      ['Duplicate attributes', discovery.duplicates]
+    ].filter(([, rows]) => rows.length > 0);
+
+    return `
+      <div class="section">
+        <h2>Attribute Mapping Discovery</h2>
+        <p>${discovery.mappings.length} mappings discovered, ${discovery.matching.length} matching the config.</p>
+        ${sections.map(([title, rows]) => `
+          <h4>${title}</h4>
+          ${this.generateTableHTML(rows)}
+        `).join('')}
+      </div>
+    `;
+  }
+
+  generateSchemaDiffHTML(schemaDiff) {
+    if (!schemaDiff) return '';
 
-    // Create a map to group differences by SKU code
-    const skuMap = new Map();
+    const severityOrder = { risk: 0, warning: 1, info: 2 };
+    const severityBadge = { risk: 'bg-danger', warning: 'bg-warning', info: 'bg-secondary' };
+    const findings = [...schemaDiff.findings]
+      .sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity]);
+
+    return `
+      <div class="section">
+        <h2>Schema Differences</h2>
+        <p>${schemaDiff.columnsChecked} mapped column pairs checked.</p>
+        ${findings.length === 0 ? '<p>No structural differences found</p>' : `
+          <table class="table table-striped table-bordered">
+            <thead>
+              <tr>
+                <th>Severity</th>
+                <th>Old Column</th>
+                <th>New Column</th>
+                <th>Check</th>
+                <th>Old Definition</th>
+                <th>New Definition</th>
+                <th>Details</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${findings.map(finding => `
+                <tr>
+                  <td><span class="badge ${severityBadge[finding.severity]}">${finding.severity}</span></td>
+                  <td>${escapeHtml(finding.old_column)}</td>
+                  <td>${escapeHtml(finding.new_column)}</td>
+                  <td>${escapeHtml(finding.check)}</td>
+                  <td>${escapeHtml(finding.old_definition)}</td>
+                  <td>${escapeHtml(finding.new_definition)}</td>
+                  <td>${escapeHtml(finding.message)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        `}
+      </div>
+    `;
+  }
+
+  generateAcceptedDifferencesHTML(acceptedDifferences) {
+    if (!acceptedDifferences || acceptedDifferences.entries.length === 0) return '';
+
+    const statusBadge = { active: 'bg-success', stale: 'bg-warning text-dark', expired: 'bg-danger' };
+    const samples = acceptedDifferences.columns.flatMap(column => column.differences.map(difference => ({
+      column: `${column.old_column} -> ${column.new_column}`,
+      ...difference
+    })));
+
+    return `
+      <div class="section">
+        <h2>Accepted Differences</h2>
+        <p>Differences matched by the allowlist are accepted and not counted as mismatches.</p>
+        <table class="table table-striped table-bordered">
+          <thead>
+            <tr>
+              <th>Entry</th>
+              <th>Status</th>
+              <th>Accepted</th>
+              <th>Reason</th>
+              <th>Owner</th>
+              <th>Expires</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${acceptedDifferences.entries.map(entry => `
+              <tr>
+                <td>${escapeHtml(entry.id)}</td>
+                <td><span class="badge ${statusBadge[entry.status]}">${entry.status}</span></td>
+                <td>${entry.status === 'expired' ? `0 (${entry.expiredMatches} no longer accepted)` : entry.matched}</td>
+                <td>${escapeHtml(entry.reason)}</td>
+                <td>${escapeHtml(entry.owner)}</td>
+                <td>${escapeHtml(entry.expires)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        ${samples.length > 0 ? `
+          <h4>Accepted values</h4>
+          ${this.generateTableHTML(samples, ['sku_code', 'column', 'old_value', 'new_value', 'classification', 'accepted_by'])}
+        ` : ''}
+      </div>
+    `;
+  }
+
+  generateReferencesHTML(attributeReferences, categoryReferences) {
+    const groups = [['Attribute ids', attributeReferences], ['Category ids', categoryReferences]]
+      .filter(([, references]) => references);
+    if (groups.length === 0) return '';
+
+    return `
+      <div class="section">
+        <h2>Referential Integrity</h2>
+        ${groups.map(([title, references]) => references.error ? `
+          <h4>${title}</h4>
+          <div class="alert alert-warning">Id columns could not be verified: ${escapeHtml(references.error)}</div>
+        ` : `
+          <h4>${title}</h4>
+          <p>${references.columnsChecked} id columns checked against <code>${escapeHtml(references.lookup)}</code>; ${references.count} orphaned or inconsistent ids.</p>
+          ${references.skipped.length > 0 ? `<p class="text-muted">Without an id column: ${escapeHtml(references.skipped.map(skip => skip.column).join(', '))}</p>` : ''}
+          ${references.findings.map(finding => `
+            <h5>${escapeHtml(finding.id_column)} <small class="text-muted">${escapeHtml(finding.check)}, against ${escapeHtml(finding.value_column)}</small> <span class="badge bg-danger">${finding.count}</span></h5>
+            ${finding.items.length < finding.count ? `<p class="text-muted">Showing ${finding.items.length} of ${finding.count}.</p>` : ''}
+            ${this.generateTableHTML(finding.items)}
+          `).join('')}
+        `).join('')}
+      </div>
+    `;
+  }
+
+  generateBarcodesHTML(barcodes) {
+    if (!barcodes) return '';
+
+    if (barcodes.error) {
+      return `
+        <div class="section">
+          <h2>Barcodes</h2>
+          <div class="alert alert-warning">Barcodes could not be verified: ${escapeHtml(barcodes.error)}</div>
+        </div>
+      `;
+    }
+
+    const sections = [
+      ['Old barcodes missing from the new barcodes', barcodes.missing],
+      ['Invalid barcodes or medias JSON', barcodes.invalid],
+      ['Barcodes shared by several SKUs', barcodes.duplicates]
+    ];
+
+    return `
+      <div class="section">
+        <h2>Barcodes</h2>
+        <p>
+          ${barcodes.skusChecked} SKUs checked against <code>${escapeHtml(barcodes.columns.old)}</code>;
+          ${barcodes.barcodesFound} barcodes found in <code>${escapeHtml(barcodes.columns.new)}</code>${barcodes.columns.medias ? `, <code>${escapeHtml(barcodes.columns.medias)}</code> validated` : ''}.
+        </p>
+        ${sections.every(([, problems]) => problems.count === 0) ? '<p>No barcode problems found</p>' : sections
+          .filter(([, problems]) => problems.count > 0)
+          .map(([title, problems]) => `
+            <h4>${title} (${problems.count})</h4>
+            ${problems.items.length < problems.count ? `<p class="text-muted">Showing ${problems.items.length} of ${problems.count}.</p>` : ''}
+            ${this.generateTableHTML(problems.items)}
+          `).join('')}
+      </div>
+    `;
+  }
+
+  // SKUs in both tables per pair of lifecycle states, differing pairs first
+  generateLifecycleHTML(lifecycle) {
+    if (!lifecycle) return '';
+
+    return `
+      <div class="section">
+        <h2>SKU Lifecycle Status</h2>
+        <p>${lifecycle.skusChecked} SKUs in both tables and in scope; ${lifecycle.mismatchCount} with a different lifecycle status.</p>
+        ${lifecycle.missingColumns.length > 0 ? `<p class="text-muted">Treated as live: ${escapeHtml(lifecycle.missingColumns.join(', '))}</p>` : ''}
+        <table class="table table-sm table-bordered">
+          <thead>
+            <tr><th>Lifecycle status</th><th>SKUs</th></tr>
+          </thead>
+          <tbody>
+            ${lifecycle.states.map(state => `
+              <tr class="${state.consistent ? '' : 'table-danger'}"><td>${escapeHtml(state.label)}</td><td>${state.count}</td></tr>
+            `).join('')}
+          </tbody>
+        </table>
+        ${lifecycle.mismatches.length > 0 ? `
+          <h4>SKUs with a different lifecycle status</h4>
+          ${this.generateSkuTableHTML('lifecycle-mismatches', lifecycle.mismatches)}
+        ` : ''}
+      </div>
+    `;
+  }
+
+  // Reconciliation numbers of both tables side by side; deltas beyond their
+  // threshold are highlighted and fail the tenant
+  generateAggregatesHTML(aggregates) {
+    if (!aggregates) return '';
+
+    const describeThreshold = ({ max_difference: difference, max_percent: percent }) =>
+      difference === 0 && percent === 0 ? 'exact' : [difference ? `±${difference}` : null, percent ? `±${percent}%` : null].filter(Boolean).join(' or ');
+    const deltaClass = metric => !metric.withinThreshold ? 'text-danger fw-bold' : metric.delta !== 0 ? 'text-warning' : '';
+
+    return `
+      <div class="section">
+        <h2>Aggregate Reconciliation</h2>
+        <p>${aggregates.metrics.length} aggregates compared; ${aggregates.exceeded} beyond their thresholds. Click a heading to sort.</p>
+        ${aggregates.skipped.length > 0 ? `<p class="text-muted">Not computed: ${escapeHtml(aggregates.skipped.map(skip => `${skip.metric} (${skip.reason})`).join(', '))}</p>` : ''}
+        <table class="table table-sm table-bordered sortable">
+          <thead>
+            <tr>
+              <th data-type="text">Metric</th>
+              <th data-type="number">Old</th>
+              <th data-type="number">New</th>
+              <th data-type="number">Delta</th>
+              <th data-type="number">Delta %</th>
+              <th data-type="text">Threshold</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${aggregates.metrics.map(metric => `
+              <tr class="${metric.withinThreshold ? '' : 'table-danger'}">
+                <td title="${escapeHtml(metric.metric)}">${escapeHtml(metric.label)}</td>
+                <td data-sort="${metric.old}">${metric.old}</td>
+                <td data-sort="${metric.new}">${metric.new}</td>
+                <td data-sort="${metric.delta}" class="${deltaClass(metric)}">${metric.delta > 0 ? '+' : ''}${metric.delta}</td>
+                <td data-sort="${metric.percent ?? ''}" class="${deltaClass(metric)}">${metric.percent === null ? 'n/a' : `${metric.percent > 0 ? '+' : ''}${metric.percent.toFixed(2)}%`}</td>
+                <td>${describeThreshold(metric.threshold)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  // Makes clear a sampled run is an estimate; after escalation, that the
+  // values come from a full run
+  generateSamplingNoticeHTML(sampling) {
+    if (!sampling) return '';
+
+    const threshold = sampling.escalateAbove === null ? '' : formatRate(sampling.escalateAbove);
+    const estimates = sampling.probabilistic
+      ? `rates are estimates with ${sampling.confidence * 100}% confidence intervals`
+      : 'this sample is not random, so its rates say nothing about the other SKUs';
+    return sampling.escalated ? `
+      <div class="alert alert-info">
+        <strong>Escalated to a full run:</strong> a ${escapeHtml(sampling.method)} sample of ${sampling.sampled} SKUs estimated a mismatch rate above ${threshold},
+        so every SKU was compared. The value mismatches below are complete.
+      </div>
+    ` : `
+      <div class="alert alert-warning">
+        <strong>Sampled run, not a full proof:</strong> values were compared for a ${escapeHtml(sampling.method)} sample of
+        ${sampling.sampled} of ${sampling.population} SKUs only. Mismatch counts cover the sample; ${estimates}.
+        Run a full verification before relying on the result.
+      </div>
+    `;
+  }
+
+  // Estimated mismatch rate per column with its confidence interval; columns
+  // above escalate_above are highlighted. A recent sample only shows the
+  // rates within the sample.
+  generateSamplingHTML(sampling) {
+    if (!sampling) return '';
+    const intervals = sampling.probabilistic;
+
+    const describe = {
+      random: 'random',
+      stratified: `stratified by ${escapeHtml(sampling.stratifyBy)}`,
+      recent: `most recently updated by ${escapeHtml(sampling.recentColumn)}`
+    }[sampling.method];
+    const estimates = [...sampling.estimates].sort((a, b) => b.rate - a.rate);
+
+    return `
+      <div class="section">
+        <h2>Sampling Estimates</h2>
+        <p>
+          ${sampling.sampled} of ${sampling.population} SKUs sampled (${describe}${sampling.seed === null ? '' : `, seed ${sampling.seed}`})${intervals
+            ? `, ${sampling.confidence * 100}% confidence intervals${sampling.escalateAbove === null ? '' : `, escalation above ${formatRate(sampling.escalateAbove)}`}.`
+            : '. The rates describe recently updated SKUs only, not the whole table; they have no confidence interval and never escalate.'}
+          Click a heading to sort.
+        </p>
+        ${sampling.notes.length > 0 ? `<p class="text-muted">${escapeHtml(sampling.notes.join('; '))}</p>` : ''}
+        <table class="table table-sm table-bordered sortable">
+          <thead>
+            <tr>
+              <th data-type="text">Column</th>
+              <th data-type="text">Type</th>
+              <th data-type="number">Mismatches in sample</th>
+              <th data-type="number">${intervals ? 'Estimated rate' : 'Rate in sample'}</th>
+              ${intervals ? '<th data-type="number">Lower bound</th><th data-type="number">Upper bound</th>' : ''}
+            </tr>
+          </thead>
+          <tbody>
+            ${estimates.map(estimate => `
+              <tr class="${estimate.aboveThreshold ? 'table-danger' : ''}">
+                <td>${escapeHtml(estimate.old_column === estimate.new_column ? estimate.new_column : `${estimate.old_column} -> ${estimate.new_column}`)}</td>
+                <td>${escapeHtml(estimate.type)}</td>
+                <td data-sort="${estimate.mismatches}">${estimate.mismatches}</td>
+                <td data-sort="${estimate.rate}">${formatRate(estimate.rate)}</td>
+                ${intervals ? `
+                  <td data-sort="${estimate.lower}">${formatRate(estimate.lower)}</td>
+                  <td data-sort="${estimate.upper}">${formatRate(estimate.upper)}</td>
+                ` : ''}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        ${sampling.strata ? `
+          <details>
+            <summary>${sampling.strata.length} values of ${escapeHtml(sampling.stratifyBy)}</summary>
+            ${this.generateTableHTML(sampling.strata.map(stratum => ({ [sampling.stratifyBy]: stratum.stratum, skus: stratum.population, sampled: stratum.sampled })))}
+          </details>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  // What an incremental run compared and the tenant's status across runs:
+  // the latest status of every check and the value mismatches still open
+  generateIncrementalHTML(incremental) {
+    if (!incremental) return '';
+
+    const marks = marksOf => Object.entries(marksOf || {})
+      .map(([side, mark]) => `${escapeHtml(side)}: ${mark === null ? 'empty' : escapeHtml(mark)}`)
+      .join(', ') || '-';
+    const cumulative = incremental.cumulative;
+    const statusBadge = { passed: 'bg-success', failed: 'bg-danger', error: 'bg-danger', skipped: 'bg-secondary' };
+
+    return `
+      <div class="section">
+        <h2>Incremental Verification</h2>
+        <p>
+          ${incremental.mode === 'incremental'
+            ? `Values compared for ${incremental.comparedSkus} SKUs: ${incremental.changedSkus} with ${escapeHtml(incremental.updatedColumn)} changed since run
+              ${escapeHtml(incremental.sinceRunId)} (less ${incremental.lookbackMinutes} minutes) and ${incremental.openSkus} with mismatches still open.`
+            : `Every SKU compared: ${escapeHtml(incremental.reason)}.`}
+        </p>
+        <ul>
+          <li>Compared since: ${marks(incremental.since)}</li>
+          <li>New high-water marks of ${escapeHtml(incremental.updatedColumn)}: ${marks(incremental.highWaterMarks)}</li>
+        </ul>
+        ${cumulative ? `
+          <h5>Cumulative status <span class="badge ${statusBadge[cumulative.status]}">${escapeHtml(cumulative.status)}</span></h5>
+          <p>
+            ${cumulative.fullRunId ? `Every SKU compared in run ${escapeHtml(cumulative.fullRunId)}, ${cumulative.incrementalRuns} incremental run(s) since.` : ''}
+            Checks that did not run keep their status from an earlier run.
+          </p>
+          ${this.generateTableHTML(Object.entries(cumulative.checks).map(([check, status]) => ({
+            check,
+            status,
+            // Only value mismatches are tracked between runs
+            open_mismatches: Object.values(VALUE_CHECKS).includes(check) ? cumulative.openMismatches[check] ?? 0 : '-'
+          })))}
+        ` : `
+          <p class="text-muted">The incremental state was not updated; the next run starts from the last successful one.</p>
+        `}
+      </div>
+    `;
+  }
+
+  // Mismatch statistics per column pair, to spot systematic transformation bugs
+  generateColumnProfileHTML(profiles) {
+    if (!profiles || profiles.length === 0) return '';
+
+    const comparedRows = profiles[0].comparedRows;
+    const describePair = pair => `${renderValue(pair.old_value)} → ${renderValue(pair.new_value)}: ${pair.error ? '~' : ''}${pair.count}`;
+
+    return `
+      <div class="section">
+        <h2>Column Profile</h2>
+        <p>${comparedRows} rows compared on ${profiles.length} column pairs. Click a heading to sort.</p>
+        <table class="table table-sm table-bordered sortable">
+          <thead>
+            <tr>
+              <th data-type="text">Column</th>
+              <th data-type="text">Type</th>
+              <th data-type="number">Mismatches</th>
+              <th data-type="number">Rate</th>
+              <th data-type="number">NULL → value</th>
+              <th data-type="number">Value → NULL</th>
+              <th data-type="number">Whitespace only</th>
+              <th data-type="number">Case only</th>
+              <th data-type="number">Top value pairs</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${profiles.map(profile => `
+              <tr>
+                <td>${escapeHtml(profile.old_column === profile.new_column ? profile.new_column : `${profile.old_column} -> ${profile.new_column}`)}</td>
+                <td>${escapeHtml(profile.type)}</td>
+                <td data-sort="${profile.mismatchCount}">${profile.mismatchCount}</td>
+                <td data-sort="${profile.mismatchRate}">
+                  <div class="rate-bar"><span style="width: ${Math.min(100, profile.mismatchRate * 100).toFixed(1)}%"></span></div>
+                  ${formatRate(profile.mismatchRate)}
+                </td>
+                <td data-sort="${profile.nullToValue}">${profile.nullToValue}</td>
+                <td data-sort="${profile.valueToNull}">${profile.valueToNull}</td>
+                <td data-sort="${profile.whitespaceOnly}">${profile.whitespaceOnly}</td>
+                <td data-sort="${profile.caseOnly}">${profile.caseOnly}</td>
+                <td data-sort="${profile.topValuePairs[0]?.count ?? 0}">
+                  ${profile.topValuePairs.length === 0 ? '' : `
+                    ${sparkline(profile.topValuePairs.map(pair => pair.count))}
+                    <details>
+                      <summary>${profile.topValuePairs.length} most frequent</summary>
+                      <ol class="small">${profile.topValuePairs.map(pair => `<li>${describePair(pair)}</li>`).join('')}</ol>
+                    </details>
+                  `}
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <p class="text-muted small">Counts marked ~ are approximate upper bounds on columns with many distinct value pairs.</p>
+      </div>
+    `;
+  }
+
+  generateTruncationNoteHTML(mismatches) {
+    const truncated = mismatches.filter(m => m.mismatchCount > (m.differences?.length || 0));
+    if (truncated.length === 0) return '';
+
+    return `
+      <div class="alert alert-warning">
+        <strong>Note:</strong> Only a sample of differences is listed for
+        ${escapeHtml(truncated.map(m => `${m.column || `${m.old_column} -> ${m.new_column}`} (${m.differences.length} of ${m.mismatchCount})`).join(', '))}.
+      </div>
+    `;
+  }
 
+  // Mismatching values per classification, over every column of the tenant
+  generateClassificationSummaryHTML(mismatches) {
+    const totals = new Map();
     mismatches.forEach(mismatch => {
-      const type = mismatch.type || 'attribute';
-      if (!mismatch.differences) return;
-
-      mismatch.differences.forEach(diff => {
-        const columnName = type === 'attribute' || type === 'category' ? 
-          `${mismatch.old_column} -> ${mismatch.new_column}` : 
-          mismatch.column;
-
-        const columnType = type.charAt(0).toUpperCase() + type.slice(1);
-        const skuCode = diff.sku_code || 'N/A';
-
-        if (!skuMap.has(skuCode)) {
-          skuMap.set(skuCode, []);
-        }
-
-        skuMap.get(skuCode).push({
-          column_name: columnName || 'N/A',
-          column_type: columnType,
-          old_value: diff.old_value || '<em>null</em>',
-          new_value: diff.new_value || '<em>null</em>'
-        });
-      });
+      for (const [classification, count] of Object.entries(mismatch.classifications || {})) {
+        const total = totals.get(classification) || { count: 0, columns: 0 };
+        total.count += count;
+        total.columns++;
+        totals.set(classification, total);
+      }
     });
-
-    if (skuMap.size === 0) return '<p>No valid mismatches found</p>';
+    if (totals.size === 0) return '';
 
     return `
-      <table class="table table-striped table-bordered">
+      <h4>Mismatches by cause</h4>
+      <table class="table table-sm table-bordered w-auto">
         <thead>
           <tr>
-            <th>SKU Code</th>
-            <th>Column Name</th>
-            <th>Column Type</th>
-            <th>Old Value</th>
-            <th>New Value</th>
+            <th>Cause</th>
+            <th>Mismatching values</th>
+            <th>Columns</th>
           </tr>
         </thead>
         <tbody>
-          ${Array.from(skuMap.entries()).map(([skuCode, differences]) => 
-            differences.map((diff, index) => `
-              ${index === 0 ? `<tr>
-                <td rowspan="${differences.length}">${skuCode}</td>` : '<tr>'}
-                <td>${diff.column_name}</td>
-                <td><span class="badge ${
-                  diff.column_type === 'Attribute' ? 'bg-primary' : 
-                  diff.column_type === 'Category' ? 'bg-warning' : 
-                  'bg-secondary'
-                }">${diff.column_type}</span></td>
-                <td class="text-danger">${diff.old_value}</td>
-                <td class="text-success">${diff.new_value}</td>
-              </tr>`
-            ).join('')
-          ).join('')}
+          ${Array.from(totals.entries()).sort(([, a], [, b]) => b.count - a.count).map(([classification, total]) => `
+            <tr>
+              <td>${escapeHtml(MISMATCH_CLASSES[classification] || classification)}</td>
+              <td>${total.count}</td>
+              <td>${total.columns}</td>
+            </tr>
+          `).join('')}
         </tbody>
       </table>
     `;
   }
 
+  // A table rendered in the browser from embedded JSON, one page at a time,
+  // with the filters and sorting of reportAssets.js. columns are
+  // { key, label, filter, className, labels }; rows are objects by key.
+  generateDataTableHTML(id, columns, rows) {
+    const data = {
+      columns: columns.map(({ key, ...column }) => column),
+      rows: rows.map(row => columns.map(({ key }) => row[key] ?? null))
+    };
+
+    return `
+      <div class="data-table" data-source="${id}-data"></div>
+      <script type="application/json" id="${id}-data">${inlineJson(data)}</script>
+      <noscript><p class="text-muted">Enable JavaScript to browse these ${rows.length} rows, or use the JSON or CSV results.</p></noscript>
+    `;
+  }
+
+  // SKU lists (missing SKUs, lifecycle mismatches) can run to every row of a
+  // tenant; SKU codes and names are searchable, other columns selectable
+  generateSkuTableHTML(id, skus) {
+    if (!skus || skus.length === 0) return '<p>No data available</p>';
+
+    const searchable = ['sku_code', 'name'];
+    const columns = Object.keys(skus[0]).map(key => ({
+      key,
+      label: key,
+      filter: searchable.includes(key) ? 'search' : 'select'
+    }));
+    return this.generateDataTableHTML(id, columns, skus);
+  }
+
+  // Every reported difference, filterable by SKU, column, type and cause.
+  // Long text columns add their similarity and an inline word diff; sorting
+  // by similarity puts near-identical values apart from rewrites.
+  generateMismatchTableHTML(mismatches) {
+    if (!mismatches || mismatches.length === 0) return '<p>No mismatches found</p>';
+
+    const rows = mismatches.flatMap(mismatch => {
+      const type = mismatch.type || 'attribute';
+      const column = mismatch.column || `${mismatch.old_column} -> ${mismatch.new_column}`;
+
+      return (mismatch.differences || []).map(diff => ({
+        sku_code: diff.sku_code ?? 'N/A',
+        column,
+        type: type.charAt(0).toUpperCase() + type.slice(1),
+        // Results written before classification existed
+        classification: diff.classification || 'unclassified',
+        old_value: diff.old_value ?? null,
+        new_value: diff.new_value ?? null,
+        similarity: typeof diff.similarity === 'number' ? Math.round(diff.similarity * 1000) / 10 : null,
+        diff: diff.ops ?? null
+      }));
+    });
+
+    if (rows.length === 0) return '<p>No valid mismatches found</p>';
+
+    const textDiffs = rows.some(row => row.similarity !== null)
+      ? [
+        { key: 'similarity', label: 'Similarity %', optional: true },
+        { key: 'diff', label: 'Difference', className: 'diff', render: 'diff' }
+      ]
+      : [];
+
+    return this.generateDataTableHTML('value-mismatches', [
+      { key: 'sku_code', label: 'SKU Code', filter: 'search' },
+      { key: 'column', label: 'Column', filter: 'select' },
+      { key: 'type', label: 'Type', filter: 'select' },
+      { key: 'classification', label: 'Cause', filter: 'select', labels: { ...MISMATCH_CLASSES, unclassified: 'Unclassified' } },
+      { key: 'old_value', label: 'Old Value', className: 'text-danger' },
+      { key: 'new_value', label: 'New Value', className: 'text-success' },
+      ...textDiffs
+    ], rows);
+  }
+
   async generateDatabaseReport(dbName, results) {
     const summary = this.generateMismatchSummary(dbName, results);
+
+    if (this.formats.includes('json')) {
+      await this.generateDatabaseJSON(dbName, results, summary);
+    }
+    if (!this.formats.includes('html')) return null;
+
+    const tables = results.tables || { old: 'old table', new: 'new table' };
     const reportPath = join(this.reportsDir, this.timestamp, `${dbName}.html`);
 
     const html = `
       <!DOCTYPE html>
       <html>
       <head>
-        <title>Verification Report - ${dbName}</title>
-        <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.1.3/dist/css/bootstrap.min.css" rel="stylesheet">
-        <style>
-          body { padding: 20px; }
-          .section { margin-bottom: 30px; }
-          .table { margin-top: 10px; }
-          .summary-card { margin-bottom: 20px; }
-          .alert { margin-top: 10px; }
-          .badge { font-size: 0.9em; }
-          td.text-danger { color: #dc3545 !important; }
-          td.text-success { color: #198754 !important; }
-          em { color: #6c757d; }
-        </style>
+        <meta charset="utf-8">
+        <title>Verification Report - ${escapeHtml(dbName)}</title>
+        <style>${REPORT_STYLES}</style>
       </head>
       <body>
         <div class="container">
-          <h1 class="mb-4">Verification Report - ${dbName}</h1>
+          <h1 class="mb-4">Verification Report - ${escapeHtml(dbName)}</h1>
           <p class="text-muted">Generated on: ${new Date().toLocaleString()}</p>
+          <div class="section-toggles">
+            <button type="button" class="btn btn-sm" data-sections="expand">Expand all</button>
+            <button type="button" class="btn btn-sm" data-sections="collapse">Collapse all</button>
+          </div>
+          ${results.exports?.length ? `
+            <p>Downloads: ${results.exports.map(file => `<a href="./${escapeHtml(file)}">${escapeHtml(file)}</a>`).join(' | ')}</p>
+          ` : ''}
+
+          ${summary.error ? `
+            <div class="alert alert-danger">
+              <strong>Verification failed:</strong> ${escapeHtml(summary.error)}
+            </div>
+          ` : ''}
+
+          ${this.generateSamplingNoticeHTML(results.sampling)}
 
           <div class="section">
             <h2>Summary</h2>
@@ -196,11 +801,30 @@ class ReportGenerator {
                     <ul class="list-group list-group-flush">
                       <li class="list-group-item">SKUs missing in new table: ${summary.skuMismatches.missingInNew}</li>
                       <li class="list-group-item">SKUs missing in old table: ${summary.skuMismatches.missingInOld}</li>
-                      <li class="list-group-item">Total value mismatches: ${
-                        summary.valueMismatches.attributes + 
-                        summary.valueMismatches.categories + 
-                        summary.valueMismatches.commonColumns
-                      }</li>
+                      ${summary.lifecycleMismatches !== null ? `
+                        <li class="list-group-item">SKUs with a different lifecycle status: ${summary.lifecycleMismatches}</li>
+                      ` : ''}
+                      <li class="list-group-item">Mismatching values: ${summary.valueMismatchRows} in ${summary.mismatchingColumns} column(s)${summary.sampling && !summary.sampling.escalated ? ` in ${summary.sampling.sampled} sampled SKUs` : ''}${summary.incremental?.mode === 'incremental' ? ` in ${summary.incremental.comparedSkus} changed or still mismatching SKUs` : ''}</li>
+                      <li class="list-group-item">Risky schema changes: ${summary.schemaRisks}</li>
+                      ${summary.referenceProblems !== null ? `
+                        <li class="list-group-item">Orphaned or inconsistent ids: ${summary.referenceProblems}</li>
+                      ` : ''}
+                      ${summary.barcodeProblems !== null ? `
+                        <li class="list-group-item">Barcode problems: ${summary.barcodeProblems}</li>
+                      ` : ''}
+                      ${summary.aggregatesExceeded !== null ? `
+                        <li class="list-group-item">Aggregates beyond thresholds: ${summary.aggregatesExceeded}</li>
+                      ` : ''}
+                      ${summary.acceptedDifferences !== null ? `
+                        <li class="list-group-item">Accepted differences: ${summary.acceptedDifferences}${summary.flaggedAllowlistEntries ? ` (${summary.flaggedAllowlistEntries} allowlist entries expired or stale)` : ''}</li>
+                      ` : ''}
+                      ${summary.mappingDrift !== null ? `
+                        <li class="list-group-item">Attribute mappings drifting from config: ${summary.mappingDrift}</li>
+                      ` : ''}
+                      ${summary.fingerprint ? `
+                        <li class="list-group-item">Fingerprinted ranges differing: ${summary.fingerprint.differingBuckets} of ${summary.fingerprint.bucketCount}</li>
+                        <li class="list-group-item">SKUs compared column by column: ${summary.fingerprint.differingSkus}</li>
+                      ` : ''}
                     </ul>
                   </div>
                 </div>
@@ -208,15 +832,33 @@ class ReportGenerator {
             </div>
           </div>
 
+          ${this.generateMappingDiscoveryHTML(results.mappingDiscovery)}
+
+          ${this.generateSchemaDiffHTML(results.schemaDiff)}
+
+          ${this.generateIncrementalHTML(results.incremental)}
+
+          ${this.generateSamplingHTML(results.sampling)}
+
+          ${this.generateColumnProfileHTML(results.columnProfiles)}
+
+          ${this.generateReferencesHTML(results.attributeReferences, results.categoryReferences)}
+
+          ${this.generateBarcodesHTML(results.barcodes)}
+
+          ${this.generateAggregatesHTML(results.aggregates)}
+
+          ${this.generateAcceptedDifferencesHTML(results.acceptedDifferences)}
+
           ${results.missingAttributeColumns?.oldTable?.length || results.missingAttributeColumns?.newTable?.length ? `
             <div class="section">
               <h2>Missing Attribute Columns</h2>
               ${results.missingAttributeColumns.oldTable?.length ? `
-                <h4>Old Table (vendor_sku_flat_table)</h4>
+                <h4>Old Table (${escapeHtml(tables.old)})</h4>
                 ${this.generateTableHTML(results.missingAttributeColumns.oldTable)}
               ` : ''}
               ${results.missingAttributeColumns.newTable?.length ? `
-                <h4>New Table (im_sku_flat_table)</h4>
+                <h4>New Table (${escapeHtml(tables.new)})</h4>
                 ${this.generateTableHTML(results.missingAttributeColumns.newTable)}
               ` : ''}
             </div>
@@ -226,11 +868,11 @@ class ReportGenerator {
             <div class="section">
               <h2>Missing Category Columns</h2>
               ${results.missingCategoryColumns.oldTable?.length ? `
-                <h4>Old Table (vendor_sku_flat_table)</h4>
+                <h4>Old Table (${escapeHtml(tables.old)})</h4>
                 ${this.generateTableHTML(results.missingCategoryColumns.oldTable)}
               ` : ''}
               ${results.missingCategoryColumns.newTable?.length ? `
-                <h4>New Table (im_sku_flat_table)</h4>
+                <h4>New Table (${escapeHtml(tables.new)})</h4>
                 ${this.generateTableHTML(results.missingCategoryColumns.newTable)}
               ` : ''}
             </div>
@@ -255,21 +897,33 @@ class ReportGenerator {
               <h2>SKU Mismatches</h2>
               ${results.skuMismatches.missingInNew?.length ? `
                 <h4>SKUs present in old table but missing in new table</h4>
-                ${this.generateTableHTML(results.skuMismatches.missingInNew)}
+                ${this.generateSkuTableHTML('missing-in-new', results.skuMismatches.missingInNew)}
               ` : ''}
               ${results.skuMismatches.missingInOld?.length ? `
                 <h4>SKUs present in new table but missing in old table</h4>
-                ${this.generateTableHTML(results.skuMismatches.missingInOld)}
+                ${this.generateSkuTableHTML('missing-in-old', results.skuMismatches.missingInOld)}
               ` : ''}
             </div>
           ` : ''}
 
+          ${this.generateLifecycleHTML(results.skuMismatches?.lifecycle)}
+
           ${(results.attributeMismatches?.length || results.categoryMismatches?.length || results.commonColumnMismatches?.length) ? `
             <div class="section">
               <h2>Value Mismatches</h2>
               <div class="alert alert-info">
-                <strong>Note:</strong> Values are color-coded - <span class="text-danger">red for old values</span> and <span class="text-success">green for new values</span>. <em>null</em> indicates missing values.
+                <strong>Note:</strong> Values are color-coded - <span class="text-danger">red for old values</span> and <span class="text-success">green for new values</span>. NULL, <em>(empty)</em> and whitespace-only values are shown apart, and invisible characters such as trailing spaces, tabs and non-breaking spaces are marked; hover a mark for its code point.
               </div>
+              ${this.generateClassificationSummaryHTML([
+                ...(results.attributeMismatches || []),
+                ...(results.categoryMismatches || []),
+                ...(results.commonColumnMismatches || [])
+              ])}
+              ${this.generateTruncationNoteHTML([
+                ...(results.attributeMismatches || []),
+                ...(results.categoryMismatches || []),
+                ...(results.commonColumnMismatches || [])
+              ])}
               ${this.generateMismatchTableHTML([
                 ...(results.attributeMismatches?.map(m => ({ ...m, type: 'attribute' })) || []),
                 ...(results.categoryMismatches?.map(m => ({ ...m, type: 'category' })) || []),
@@ -278,6 +932,7 @@ class ReportGenerator {
             </div>
           ` : ''}
         </div>
+        <script>${REPORT_SCRIPT}</script>
       </body>
       </html>
     `;
@@ -286,24 +941,88 @@ class ReportGenerator {
     return reportPath;
   }
 
-  async generateIndexPage() {
+  // Full results of one tenant, for pipelines and other tools
+  async generateDatabaseJSON(dbName, results, summary) {
+    const jsonPath = join(this.reportsDir, this.timestamp, `${dbName}.json`);
+    const document = {
+      schemaVersion: RESULTS_SCHEMA_VERSION,
+      runId: this.timestamp,
+      database: dbName,
+      generatedAt: new Date().toISOString(),
+      status: summary.status,
+      checks: summary.checks,
+      summary: { ...summary, checks: undefined },
+      results
+    };
+
+    await fs.writeFile(jsonPath, toJson(document));
+    return jsonPath;
+  }
+
+  // Status and mismatching values of every tenant over the last runs
+  generateTrendHTML(history) {
+    const runs = history.slice(-TREND_RUNS);
+    if (runs.length < 2) return '';
+
+    const badge = { passed: 'bg-success', failed: 'bg-warning text-dark', error: 'bg-danger' };
+    const cell = tenant => tenant
+      ? `<span class="badge ${badge[tenant.status] || 'bg-secondary'}" title="${escapeHtml(tenant.status)}">${tenant.mismatchingValues ?? 0} / ${tenant.missingSkus ?? 0}</span>`
+      : '<span class="text-muted">-</span>';
+
+    return `
+      <div class="mt-5">
+        <h2>Trend</h2>
+        <p class="text-muted">Mismatching values / missing SKUs per tenant in the last ${runs.length} runs, oldest first</p>
+        <div class="table-responsive">
+          <table class="table table-sm">
+            <thead>
+              <tr>
+                <th>Database</th>
+                ${runs.map(run => `<th><a href="../${run.runId}/index.html">${run.runId.slice(0, 16).replace('T', ' ')}</a></th>`).join('')}
+              </tr>
+            </thead>
+            <tbody>
+              ${this.getOrderedResults().map(([dbName]) => `
+                <tr>
+                  <td>${escapeHtml(dbName)}</td>
+                  ${runs.map(run => `<td>${cell(run.tenants.find(tenant => tenant.database === dbName))}</td>`).join('')}
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    `;
+  }
+
+  generateComparisonSummaryHTML(comparison) {
+    if (!comparison) return '';
+
+    return `
+      <div class="alert ${comparison.regressed ? 'alert-warning' : 'alert-info'} mt-3">
+        Since run ${comparison.baselineRunId}: <strong>${comparison.totals.new}</strong> new,
+        <strong>${comparison.totals.resolved}</strong> resolved and <strong>${comparison.totals.persisting}</strong> persisting mismatches.
+        <a href="./comparison.html">View comparison</a>
+      </div>
+    `;
+  }
+
+  async generateIndexPage(history = [], comparison = null) {
     const indexPath = join(this.reportsDir, this.timestamp, 'index.html');
     
     const html = `
       <!DOCTYPE html>
       <html>
       <head>
+        <meta charset="utf-8">
         <title>Verification Reports Summary</title>
-        <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.1.3/dist/css/bootstrap.min.css" rel="stylesheet">
-        <style>
-          body { padding: 20px; }
-          .summary-table { margin-top: 20px; }
-        </style>
+        <style>${REPORT_STYLES}</style>
       </head>
       <body>
         <div class="container">
           <h1 class="mb-4">Verification Reports Summary</h1>
           <p class="text-muted">Generated on: ${new Date().toLocaleString()}</p>
+          ${this.generateComparisonSummaryHTML(comparison)}
 
           <table class="table table-striped summary-table">
             <thead>
@@ -312,23 +1031,27 @@ class ReportGenerator {
                 <th>Missing Columns (Old/New)</th>
                 <th>SKU Mismatches (Old/New)</th>
                 <th>Value Mismatches</th>
+                <th>Accepted</th>
                 <th>Report</th>
               </tr>
             </thead>
             <tbody>
-              ${Array.from(this.databaseResults.entries()).map(([dbName, summary]) => `
-                <tr>
-                  <td>${dbName}</td>
+              ${this.getOrderedResults().map(([dbName, summary]) => `
+                <tr${summary.error ? ' class="table-danger"' : ''}>
+                  <td>${escapeHtml(dbName)}${summary.error ? ' <span class="badge bg-danger">Failed</span>' : ''}${summary.sampling && !summary.sampling.escalated ? ' <span class="badge bg-warning text-dark" title="Values compared for a sample of SKUs">Sampled</span>' : ''}${summary.incremental?.mode === 'incremental' ? ` <span class="badge bg-info text-dark" title="Values compared for changed SKUs; cumulative status: ${escapeHtml(summary.incremental.cumulativeStatus ?? 'not updated')}">Incremental</span>` : ''}</td>
                   <td>${summary.missingAttributeColumns.oldTable + summary.missingCategoryColumns.oldTable + summary.missingCommonColumns.oldTable} / 
                       ${summary.missingAttributeColumns.newTable + summary.missingCategoryColumns.newTable + summary.missingCommonColumns.newTable}</td>
                   <td>${summary.skuMismatches.missingInNew} / ${summary.skuMismatches.missingInOld}</td>
                   <td>${summary.valueMismatches.attributes + summary.valueMismatches.categories + summary.valueMismatches.commonColumns}</td>
-                  <td><a href="./${dbName}.html" class="btn btn-primary btn-sm">View Report</a></td>
+                  <td>${summary.acceptedDifferences ?? '-'}${summary.flaggedAllowlistEntries ? ` <span class="badge bg-warning text-dark">${summary.flaggedAllowlistEntries} flagged</span>` : ''}</td>
+                  <td><a href="./${escapeHtml(dbName)}.html" class="btn btn-primary btn-sm">View Report</a></td>
                 </tr>
               `).join('')}
             </tbody>
           </table>
+          ${this.generateTrendHTML(history)}
         </div>
+        <script>${REPORT_SCRIPT}</script>
       </body>
       </html>
     `;
@@ -336,6 +1059,181 @@ class ReportGenerator {
     await fs.writeFile(indexPath, html);
     return indexPath;
   }
+
+  // New, resolved and persisting mismatches since a baseline run
+  async generateComparisonReport(comparison) {
+    const directory = join(this.reportsDir, comparison.currentRunId);
+
+    if (this.formats.includes('json')) {
+      await fs.writeFile(join(directory, 'comparison.json'), toJson(comparison));
+    }
+    if (!this.formats.includes('html')) return;
+
+    const changeClass = { regressed: 'text-danger', improved: 'text-success' };
+    const listMismatches = (mismatches, title) => mismatches.length === 0 ? '' : `
+      <h6>${escapeHtml(title)}</h6>
+      ${this.generateTableHTML(mismatches, ['old_column', 'new_column', 'item'])}
+    `;
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Run Comparison - ${escapeHtml(comparison.currentRunId)}</title>
+        <style>${REPORT_STYLES}</style>
+      </head>
+      <body>
+        <div class="container">
+          <h1 class="mb-4">Run Comparison</h1>
+          <p class="text-muted">Run ${escapeHtml(comparison.currentRunId)} against baseline ${escapeHtml(comparison.baselineRunId)}</p>
+          <p>
+            <span class="badge bg-danger">${comparison.totals.new} new</span>
+            <span class="badge bg-success">${comparison.totals.resolved} resolved</span>
+            <span class="badge bg-secondary">${comparison.totals.persisting} persisting</span>
+          </p>
+
+          ${comparison.tenants.map(tenant => `
+            <div class="section">
+              <h2>${escapeHtml(tenant.database)}</h2>
+              <p>Status: ${escapeHtml(tenant.baselineStatus ?? 'not in baseline')} &rarr; <span class="${tenant.missingFromCurrent ? 'text-danger' : ''}">${escapeHtml(tenant.currentStatus ?? 'not in this run')}</span></p>
+              <table class="table table-sm">
+                <thead>
+                  <tr><th>Check</th><th>Baseline</th><th>Current</th><th>Change</th><th>New</th><th>Resolved</th><th>Persisting</th></tr>
+                </thead>
+                <tbody>
+                  ${tenant.checks.map(check => {
+                    const counts = tenant.mismatches?.find(mismatch => mismatch.check === check.name);
+                    return `
+                      <tr>
+                        <td>${escapeHtml(check.name)}</td>
+                        <td>${escapeHtml(check.baseline ?? '-')}</td>
+                        <td>${escapeHtml(check.current ?? '-')}</td>
+                        <td class="${changeClass[check.change] || ''}">${check.change}</td>
+                        <td>${counts?.new ?? (tenant.mismatches ? 0 : '-')}</td>
+                        <td>${counts?.resolved ?? (tenant.mismatches ? 0 : '-')}</td>
+                        <td>${counts?.persisting ?? (tenant.mismatches ? 0 : '-')}</td>
+                      </tr>
+                    `;
+                  }).join('')}
+                </tbody>
+              </table>
+              ${tenant.mismatches ? tenant.mismatches.map(counts => `
+                ${listMismatches(counts.newMismatches, `New in ${counts.check}${counts.new > counts.newMismatches.length ? ` (first ${counts.newMismatches.length} of ${counts.new})` : ''}`)}
+                ${listMismatches(counts.resolvedMismatches, `Resolved in ${counts.check}${counts.resolved > counts.resolvedMismatches.length ? ` (first ${counts.resolvedMismatches.length} of ${counts.resolved})` : ''}`)}
+              `).join('') : '<p class="text-muted">Mismatch keys are missing from one of the runs, or one of them compared a sample of SKUs; only check statuses are compared.</p>'}
+            </div>
+          `).join('')}
+        </div>
+        <script>${REPORT_SCRIPT}</script>
+      </body>
+      </html>
+    `;
+
+    await fs.writeFile(join(directory, 'comparison.html'), html);
+  }
+
+  // Everything written once all tenants are done, in the selected formats
+  async generateRunReports({ history = [], comparison = null } = {}) {
+    if (comparison) await this.generateComparisonReport(comparison);
+    if (this.formats.includes('html')) await this.generateIndexPage(history, comparison);
+    if (this.formats.includes('json')) await this.generateRunJSON();
+    if (this.formats.includes('junit')) await this.generateJUnitReport();
+    return this.runDirectory;
+  }
+
+  // Run-level document: the status and checks of every tenant
+  async generateRunJSON() {
+    const runPath = join(this.reportsDir, this.timestamp, 'run.json');
+    const tenants = this.getOrderedResults().map(([dbName, summary]) => ({
+      database: dbName,
+      status: summary.status,
+      report: `${dbName}.json`,
+      checks: summary.checks
+    }));
+
+    const document = {
+      schemaVersion: RESULTS_SCHEMA_VERSION,
+      runId: this.timestamp,
+      generatedAt: new Date().toISOString(),
+      status: this.status,
+      tenants
+    };
+
+    await fs.writeFile(runPath, toJson(document));
+    return runPath;
+  }
+
+  // One test suite per tenant and one test case per check
+  async generateJUnitReport() {
+    const junitPath = join(this.reportsDir, this.timestamp, 'junit.xml');
+    const startedAt = runStartedAt(this.timestamp);
+    const suites = this.getOrderedResults().map(([dbName, summary]) => {
+      const count = status => summary.checks.filter(check => check.status === status).length;
+      const seconds = ((summary.durationMs || 0) / 1000).toFixed(3);
+
+      const testCases = summary.checks.map(check => {
+        const details = escapeXml([check.message, ...(check.details || [])].join('\n'));
+        const body = {
+          failed: `<failure message="${escapeXml(check.message)}" type="mismatch">${details}</failure>`,
+          error: `<error message="${escapeXml(check.message)}" type="error">${details}</error>`,
+          skipped: `<skipped message="${escapeXml(check.message)}"/>`
+        }[check.status] || '';
+
+        return `    <testcase classname="${escapeXml(dbName)}" name="${escapeXml(check.name)}">${body}</testcase>`;
+      });
+
+      return [
+        `  <testsuite name="${escapeXml(dbName)}" tests="${summary.checks.length}" failures="${count('failed')}" errors="${count('error')}" skipped="${count('skipped')}" time="${seconds}"${startedAt ? ` timestamp="${startedAt.toISOString()}"` : ''}>`,
+        ...testCases,
+        '  </testsuite>'
+      ].join('\n');
+    });
+
+    const allChecks = this.getOrderedResults().flatMap(([, summary]) => summary.checks);
+    const xml = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="item-migration-verification" tests="${allChecks.length}" failures="${allChecks.filter(c => c.status === 'failed').length}" errors="${allChecks.filter(c => c.status === 'error').length}">`,
+      ...suites,
+      '</testsuites>',
+      ''
+    ].join('\n');
+
+    await fs.writeFile(junitPath, xml);
+    return junitPath;
+  }
+}
+
+// Read the tenant results of an earlier run back from its JSON documents,
+// in the order run.json lists them. Without run.json, every JSON document of
+// the directory that holds a tenant's results is read, which leaves out
+// comparison.json and other documents of the run.
+export async function loadRunResults(runDirectory) {
+  let databases;
+  let listed = true;
+  try {
+    const run = JSON.parse(await fs.readFile(join(runDirectory, 'run.json'), 'utf8'));
+    databases = run.tenants.map(tenant => tenant.database);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    listed = false;
+    databases = (await fs.readdir(runDirectory))
+      .filter(file => file.endsWith('.json'))
+      .map(file => basename(file, '.json'))
+      .sort();
+  }
+
+  const documents = [];
+  for (const dbName of databases) {
+    const document = JSON.parse(await fs.readFile(join(runDirectory, `${dbName}.json`), 'utf8'));
+    if (!listed && (document.database !== dbName || !document.results)) continue;
+    if (document.schemaVersion !== RESULTS_SCHEMA_VERSION) {
+      throw new Error(`${dbName}.json has results schema version ${document.schemaVersion}, expected ${RESULTS_SCHEMA_VERSION}`);
+    }
+    documents.push({ database: document.database, results: document.results });
+  }
+
+  return documents;
 }
 
 export default ReportGenerator; 
\ No newline at end of file
@@ -0,0 +1,84 @@
+// How the HTML reports show stored values. The same rules run in Node for
+// tables written as markup and in the browser for tables rendered from JSON
+// (REPORT_VALUE_SCRIPT), so a value looks the same everywhere.
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Split a value into the parts to show: { kind, parts: [{ text, mark, code }] }.
+// kind is 'null', 'empty', 'blank' (whitespace only) or 'text'. Characters
+// that do not show, or show like a plain space, get a visible mark: tabs,
+// line breaks, non-breaking and other special spaces, zero-width and control
+// characters, leading and trailing spaces and runs of spaces.
+// Self-contained: its source is inlined into the reports.
+export function valueParts(value) {
+  if (value === null || value === undefined) return { kind: 'null', parts: [] };
+
+  const text = typeof value === 'object' && typeof value.toISOString === 'function' ? value.toISOString() : String(value);
+  if (text === '') return { kind: 'empty', parts: [] };
+
+  const marks = { ' ': '\u00B7', '\t': '\u21E5', '\n': '\u21B5', '\r': '\u240D', '\u00A0': '\u237D' };
+  const invisible = /[\u0000-\u001F\u007F-\u009F\u00A0\u00AD\u034F\u061C\u1680\u180E\u2000-\u200F\u2028-\u202F\u205F-\u206F\u3000\uFEFF]/;
+  const chars = Array.from(text);
+  const leading = chars.findIndex(char => !/\s/.test(char));
+  const blank = leading === -1;
+  const trailingFrom = blank ? 0 : chars.length - [...chars].reverse().findIndex(char => !/\s/.test(char));
+
+  const parts = [];
+  chars.forEach((char, index) => {
+    const spaceRun = char === ' ' && (chars[index - 1] === ' ' || chars[index + 1] === ' ');
+    const marked = blank || index < leading || index >= trailingFrom || spaceRun || (char !== ' ' && invisible.test(char));
+    if (!marked) {
+      const last = parts[parts.length - 1];
+      if (last && !last.mark) last.text += char;
+      else parts.push({ text: char });
+      return;
+    }
+
+    const code = 'U+' + char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0');
+    parts.push({ text: char, mark: marks[char] || code, code });
+  });
+
+  return { kind: blank ? 'blank' : 'text', parts };
+}
+
+// One value as markup; every character of it is escaped
+export function renderValue(value) {
+  const { kind, parts } = valueParts(value);
+  if (kind === 'null') return '<em class="value-null">NULL</em>';
+  if (kind === 'empty') return '<em class="value-empty">(empty)</em>';
+
+  const html = parts.map(part => part.mark
+    ? `<span class="value-mark" title="${part.code}">${escapeHtml(part.mark)}</span>`
+    : escapeHtml(part.text)).join('');
+  return kind === 'blank' ? `<span class="value-blank" title="Whitespace only">${html}</span>` : html;
+}
+
+// One value as plain text with the same marks, for the console
+export function valueText(value) {
+  const { kind, parts } = valueParts(value);
+  if (kind === 'null') return 'NULL';
+  if (kind === 'empty') return '(empty)';
+  return parts.map(part => part.mark || part.text).join('');
+}
+
+// renderValue for the browser, building DOM nodes from valueParts
+export const REPORT_VALUE_SCRIPT = `
+  const valueParts = ${valueParts.toString()};
+  const renderValue = value => {
+    const { kind, parts } = valueParts(value);
+    const node = (tag, className, text, title) => Object.assign(document.createElement(tag), { className, textContent: text, title: title || '' });
+    if (kind === 'null') return node('em', 'value-null', 'NULL');
+    if (kind === 'empty') return node('em', 'value-empty', '(empty)');
+
+    const container = node('span', kind === 'blank' ? 'value-blank' : '', '', kind === 'blank' ? 'Whitespace only' : '');
+    parts.forEach(part => container.append(part.mark ? node('span', 'value-mark', part.mark, part.code) : part.text));
+    return container;
+  };
+`;
@@ -0,0 +1,189 @@
+export const SAMPLING_METHODS = ['random', 'stratified', 'recent'];
+
+// Methods that draw SKUs at random, whose rates generalize to every SKU; a
+// recent sample gets no confidence interval and never escalates
+const PROBABILISTIC_METHODS = ['random', 'stratified'];
+
+// Settings used when the config leaves them out; escalate_above is the
+// estimated mismatch rate of a column above which a full run follows
+export const DEFAULT_SAMPLING_SETTINGS = {
+  method: 'random',
+  size: 1000,
+  stratify_by: 'department_name',
+  recent_column: 'updated_at',
+  seed: null,
+  confidence: 0.95,
+  escalate_above: null,
+  escalate: true
+};
+
+// Two-sided normal quantiles of the confidence levels the schema allows
+const Z_SCORES = { 0.9: 1.645, 0.95: 1.96, 0.99: 2.576 };
+
+const columnKey = (type, oldColumn, newColumn) => `${type}:${oldColumn}:${newColumn}`;
+
+// Proportional allocation of size SKUs over strata, largest first: every
+// stratum gets one SKU while there are enough, the rest by largest remainder
+export function allocate(strata, size) {
+  const sorted = [...strata].sort((a, b) => b.population - a.population);
+  if (sorted.length >= size) {
+    return sorted.map((stratum, index) => ({ ...stratum, sampled: index < size ? 1 : 0 }));
+  }
+
+  const total = sorted.reduce((sum, stratum) => sum + stratum.population, 0);
+  const rest = size - sorted.length;
+  const shares = sorted.map(stratum => rest * stratum.population / total);
+  const allocated = sorted.map((stratum, index) => 1 + Math.floor(shares[index]));
+
+  let left = size - allocated.reduce((sum, count) => sum + count, 0);
+  sorted
+    .map((stratum, index) => index)
+    .sort((a, b) => (shares[b] % 1) - (shares[a] % 1))
+    .forEach(index => {
+      if (left-- > 0) allocated[index]++;
+    });
+
+  return sorted.map((stratum, index) => ({ ...stratum, sampled: Math.min(stratum.population, allocated[index]) }));
+}
+
+// Wilson score interval of a rate estimated from n SKUs
+export function wilsonInterval(rate, n, z) {
+  if (n === 0) return { lower: 0, upper: 1 };
+  const z2 = z * z;
+  const center = (rate + z2 / (2 * n)) / (1 + z2 / n);
+  const margin = z * Math.sqrt(rate * (1 - rate) / n + z2 / (4 * n * n)) / (1 + z2 / n);
+  return { lower: Math.max(0, center - margin), upper: Math.min(1, center + margin) };
+}
+
+// The SKUs to compare instead of every SKU in both tables: random, a
+// proportional random sample per value of stratify_by, or the most recently
+// updated by recent_column (on the new table when it has the column). A
+// method whose column is missing falls back to random, with a note.
+export async function drawSample(connection, queries, settings = {}) {
+  const resolved = { ...DEFAULT_SAMPLING_SETTINGS, ...settings };
+  const notes = [];
+  let method = resolved.method;
+
+  if (method === 'stratified' && !queries.has('old', resolved.stratify_by)) {
+    notes.push(`${resolved.stratify_by} missing in ${queries.tables.old}; sampled at random`);
+    method = 'random';
+  }
+
+  let recent = null;
+  if (method === 'recent') {
+    const side = ['new', 'old'].find(candidate => queries.has(candidate, resolved.recent_column));
+    if (side) {
+      recent = { side, column: resolved.recent_column };
+      if (resolved.escalate_above !== null) {
+        notes.push('escalate_above does not apply to a recent sample, which is not random');
+      }
+    } else {
+      notes.push(`${resolved.recent_column} missing in both tables; sampled at random`);
+      method = 'random';
+    }
+  }
+
+  const keysOf = rows => rows.map(row => row[queries.joinKey]);
+  const sample = {
+    method,
+    probabilistic: PROBABILISTIC_METHODS.includes(method),
+    size: resolved.size,
+    population: 0,
+    skuCodes: [],
+    strata: null,
+    stratifyBy: null,
+    recent,
+    notes
+  };
+
+  if (method === 'stratified') {
+    const [counts] = await connection.query(queries.matchedKeyCounts(resolved.stratify_by));
+    const strata = allocate(counts.map(row => ({ stratum: row.stratum, population: Number(row.count) })), resolved.size);
+
+    sample.stratifyBy = resolved.stratify_by;
+    sample.strata = [];
+    sample.stratumOf = new Map();
+    for (const stratum of strata) {
+      sample.population += stratum.population;
+      let skuCodes = [];
+      if (stratum.sampled > 0) {
+        const [rows] = await connection.query(queries.sampleKeys({ limit: stratum.sampled, seed: resolved.seed, stratifyBy: resolved.stratify_by, stratum: stratum.stratum }));
+        skuCodes = keysOf(rows);
+      }
+      skuCodes.forEach(skuCode => sample.stratumOf.set(String(skuCode), sample.strata.length));
+      sample.skuCodes.push(...skuCodes);
+      sample.strata.push({ stratum: stratum.stratum, population: stratum.population, sampled: skuCodes.length });
+    }
+    return sample;
+  }
+
+  const [[count]] = await connection.query(queries.matchedKeyCounts());
+  sample.population = Number(count.count);
+  const [rows] = await connection.query(queries.sampleKeys({ limit: resolved.size, seed: resolved.seed, recent }));
+  sample.skuCodes = keysOf(rows);
+  return sample;
+}
+
+// Sink counting the mismatches of a sample per column and stratum; estimate()
+// turns the counts into estimated mismatch rates with confidence intervals,
+// or the rates within the sample only (lower and upper null) for a recent one.
+// Stratified samples weigh each stratum by its share of the sampled strata;
+// their interval uses the whole sample size, which proportional allocation
+// keeps on the safe side.
+export function createSampleEstimator(sample) {
+  const counts = new Map();
+
+  function writeDifference(difference) {
+    const key = columnKey(difference.type, difference.old_column, difference.new_column);
+    if (!counts.has(key)) counts.set(key, new Map());
+    const stratum = sample.strata ? sample.stratumOf.get(String(difference.sku_code)) ?? -1 : 0;
+    const perStratum = counts.get(key);
+    perStratum.set(stratum, (perStratum.get(stratum) || 0) + 1);
+  }
+
+  function estimateRate(perStratum = new Map()) {
+    if (!sample.strata) {
+      const mismatches = perStratum.get(0) || 0;
+      return { mismatches, rate: sample.skuCodes.length === 0 ? 0 : mismatches / sample.skuCodes.length };
+    }
+
+    const sampled = sample.strata.filter(stratum => stratum.sampled > 0);
+    const population = sampled.reduce((sum, stratum) => sum + stratum.population, 0);
+    let rate = 0;
+    let mismatches = 0;
+    sample.strata.forEach((stratum, index) => {
+      const count = perStratum.get(index) || 0;
+      mismatches += count;
+      if (stratum.sampled > 0) rate += stratum.population / population * count / stratum.sampled;
+    });
+    return { mismatches, rate };
+  }
+
+  function estimate(columnSpecs, { confidence = DEFAULT_SAMPLING_SETTINGS.confidence, escalateAbove = null } = {}) {
+    const n = sample.skuCodes.length;
+    // Every SKU in both tables was compared; the rates are exact
+    const complete = n >= sample.population;
+    const z = Z_SCORES[confidence] ?? Z_SCORES[DEFAULT_SAMPLING_SETTINGS.confidence];
+
+    return columnSpecs.map(spec => {
+      const { mismatches, rate } = estimateRate(counts.get(columnKey(spec.type, spec.oldColumn, spec.newColumn)));
+      let interval = { lower: null, upper: null };
+      if (complete) interval = { lower: rate, upper: rate };
+      else if (sample.probabilistic) interval = wilsonInterval(rate, n, z);
+      const { lower, upper } = interval;
+      return {
+        type: spec.type,
+        old_column: spec.oldColumn,
+        new_column: spec.newColumn,
+        sampled: n,
+        mismatches,
+        rate,
+        lower,
+        upper,
+        aboveThreshold: sample.probabilistic && escalateAbove !== null && rate > escalateAbove
+      };
+    });
+  }
+
+  return { writeDifference, estimate };
+}
@@ -0,0 +1,185 @@
+import { typeFamily } from './comparators.js';
+
+// Integer types ordered by storage size
+const INTEGER_RANKS = { tinyint: 1, smallint: 2, mediumint: 3, int: 4, integer: 4, bigint: 5 };
+const TEXT_LENGTHS = { tinytext: 255, text: 65535, mediumtext: 16777215, longtext: 4294967295 };
+
+export async function getTableSchema(connection, tableName) {
+  const [columns] = await connection.query(`
+    SELECT COLUMN_NAME, DATA_TYPE, COLUMN_TYPE, CHARACTER_MAXIMUM_LENGTH,
+      NUMERIC_PRECISION, NUMERIC_SCALE, IS_NULLABLE, COLUMN_KEY
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?
+    ORDER BY ORDINAL_POSITION
+  `, [tableName]);
+
+  const [indexColumns] = await connection.query(`
+    SELECT INDEX_NAME, NON_UNIQUE, COLUMN_NAME, SEQ_IN_INDEX
+    FROM INFORMATION_SCHEMA.STATISTICS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?
+    ORDER BY INDEX_NAME, SEQ_IN_INDEX
+  `, [tableName]);
+
+  const indexes = new Map();
+  indexColumns.forEach(row => {
+    if (!indexes.has(row.INDEX_NAME)) {
+      indexes.set(row.INDEX_NAME, { name: row.INDEX_NAME, unique: Number(row.NON_UNIQUE) === 0, columns: [] });
+    }
+    indexes.get(row.INDEX_NAME).columns.push(row.COLUMN_NAME.toLowerCase());
+  });
+
+  const schema = new Map();
+  columns.forEach(column => {
+    const name = column.COLUMN_NAME.toLowerCase();
+    const columnIndexes = Array.from(indexes.values()).filter(index => index.columns.includes(name));
+
+    schema.set(name, {
+      name,
+      dataType: column.DATA_TYPE.toLowerCase(),
+      columnType: column.COLUMN_TYPE.toLowerCase(),
+      length: column.CHARACTER_MAXIMUM_LENGTH === null ? null : Number(column.CHARACTER_MAXIMUM_LENGTH),
+      precision: column.NUMERIC_PRECISION === null ? null : Number(column.NUMERIC_PRECISION),
+      scale: column.NUMERIC_SCALE === null ? null : Number(column.NUMERIC_SCALE),
+      nullable: column.IS_NULLABLE === 'YES',
+      primary: columnIndexes.some(index => index.name === 'PRIMARY'),
+      unique: columnIndexes.some(index => index.unique && index.columns.length === 1),
+      indexed: columnIndexes.some(index => index.columns[0] === name)
+    });
+  });
+
+  return schema;
+}
+
+function enumMembers(columnType) {
+  const match = /^(?:enum|set)\((.*)\)$/.exec(columnType);
+  if (!match) return [];
+  return [...match[1].matchAll(/'((?:[^']|'')*)'/g)].map(member => member[1].replace(/''/g, "'"));
+}
+
+function textLength(column) {
+  if (column.length !== null) return column.length;
+  return TEXT_LENGTHS[column.dataType] ?? null;
+}
+
+// Normalize "INT(11)" and "int" alike so display widths don't count as drift
+function normalizeType(type) {
+  return type.toLowerCase().replace(/\s+/g, ' ').replace(/^(tinyint|smallint|mediumint|int|integer|bigint)\(\d+\)/, '$1').trim();
+}
+
+// Compare one mapped column pair; every finding is tagged risk (data can be
+// lost or rejected), warning (behaviour changes) or info
+export function diffColumnPair(oldColumn, newColumn, expectedTypes = null) {
+  const findings = [];
+  const add = (severity, check, message) => findings.push({
+    old_column: oldColumn.name,
+    new_column: newColumn.name,
+    check,
+    severity,
+    old_definition: oldColumn.columnType,
+    new_definition: newColumn.columnType,
+    message
+  });
+
+  const oldFamily = typeFamily(oldColumn.columnType);
+  const newFamily = typeFamily(newColumn.columnType);
+
+  if (oldFamily !== newFamily) {
+    add(newFamily === 'string' ? 'warning' : 'risk', 'type', `Type changes from ${oldFamily} to ${newFamily}`);
+  }
+
+  const oldLength = textLength(oldColumn);
+  const newLength = textLength(newColumn);
+  if (oldLength !== null && newLength !== null && newLength < oldLength) {
+    add('risk', 'length', `Text can be truncated: ${oldLength} to ${newLength} characters`);
+  }
+
+  if (oldFamily === 'number' && newFamily === 'number') {
+    const oldRank = INTEGER_RANKS[oldColumn.dataType];
+    const newRank = INTEGER_RANKS[newColumn.dataType];
+
+    if (oldRank && newRank && newRank < oldRank) {
+      add('risk', 'range', `Integer narrows from ${oldColumn.dataType} to ${newColumn.dataType}`);
+    }
+    if (oldColumn.columnType.includes('unsigned') && !newColumn.columnType.includes('unsigned')) {
+      add('risk', 'range', 'Unsigned becomes signed; the upper half of the range is lost');
+    }
+    if (oldRank && !newRank && ['float', 'double'].includes(newColumn.dataType)) {
+      add('warning', 'precision', `Integer stored as ${newColumn.dataType}; large values lose precision`);
+    }
+    if (oldColumn.dataType === 'decimal' && newColumn.dataType === 'decimal'
+      && (newColumn.precision < oldColumn.precision || newColumn.scale < oldColumn.scale)) {
+      add('risk', 'precision', `Decimal narrows from (${oldColumn.precision},${oldColumn.scale}) to (${newColumn.precision},${newColumn.scale})`);
+    }
+  }
+
+  if (oldColumn.dataType === 'datetime' && newColumn.dataType === 'timestamp') {
+    add('risk', 'range', 'datetime becomes timestamp; dates outside 1970-2038 are rejected and values shift with the session time zone');
+  }
+
+  const oldMembers = enumMembers(oldColumn.columnType);
+  const newMembers = enumMembers(newColumn.columnType);
+  if (oldMembers.length > 0 && newMembers.length > 0) {
+    const removed = oldMembers.filter(member => !newMembers.includes(member));
+    const added = newMembers.filter(member => !oldMembers.includes(member));
+
+    if (removed.length > 0) add('risk', 'enum', `Enum narrows; removed members: ${removed.join(', ')}`);
+    if (added.length > 0) add('info', 'enum', `Enum widens; added members: ${added.join(', ')}`);
+  } else if (oldMembers.length > 0 && newFamily !== 'string') {
+    add('risk', 'enum', `Enum becomes ${newColumn.dataType}`);
+  }
+
+  if (oldColumn.nullable && !newColumn.nullable) {
+    add('risk', 'nullability', 'Nullable in old but NOT NULL in new; NULL values cannot migrate');
+  } else if (!oldColumn.nullable && newColumn.nullable) {
+    add('info', 'nullability', 'NOT NULL in old but nullable in new');
+  }
+
+  if (oldColumn.primary && !newColumn.primary && !newColumn.unique) {
+    add('risk', 'key', 'Primary key in old but not unique in new');
+  } else if (oldColumn.unique && !newColumn.unique && !newColumn.primary) {
+    add('risk', 'key', 'Unique in old but not unique in new; duplicates are no longer rejected');
+  } else if (!oldColumn.unique && !oldColumn.primary && (newColumn.unique || newColumn.primary)) {
+    add('warning', 'key', 'Not unique in old but unique in new; duplicate old values will be rejected');
+  }
+
+  if (oldColumn.indexed && !newColumn.indexed) {
+    add('warning', 'index', 'Indexed in old but not in new');
+  }
+
+  if (expectedTypes) {
+    if (expectedTypes.old_type && normalizeType(expectedTypes.old_type) !== normalizeType(oldColumn.columnType)) {
+      add('warning', 'column-mapping', `Old type is ${oldColumn.columnType}, column-mapping.json expects ${expectedTypes.old_type}`);
+    }
+    if (expectedTypes.new_type && normalizeType(expectedTypes.new_type) !== normalizeType(newColumn.columnType)) {
+      add('warning', 'column-mapping', `New type is ${newColumn.columnType}, column-mapping.json expects ${expectedTypes.new_type}`);
+    }
+  }
+
+  return findings;
+}
+
+// Diff the structure of every mapped column pair (plus the join key) between
+// the old and new flat tables
+export async function diffTableSchemas(connection, columnSpecs, { tables, joinKey = 'sku_code', columnTypes = {} }) {
+  const oldSchema = await getTableSchema(connection, tables.old);
+  const newSchema = await getTableSchema(connection, tables.new);
+
+  const pairs = [{ oldColumn: joinKey, newColumn: joinKey }, ...columnSpecs]
+    .filter((pair, index, all) => all.findIndex(other => other.oldColumn === pair.oldColumn && other.newColumn === pair.newColumn) === index);
+
+  const findings = [];
+  let columnsChecked = 0;
+
+  for (const { oldColumn, newColumn } of pairs) {
+    const oldDefinition = oldSchema.get(oldColumn.toLowerCase());
+    const newDefinition = newSchema.get(newColumn.toLowerCase());
+
+    // Missing columns are already reported by the column availability checks
+    if (!oldDefinition || !newDefinition) continue;
+
+    columnsChecked++;
+    findings.push(...diffColumnPair(oldDefinition, newDefinition, columnTypes[newColumn] || columnTypes[oldColumn] || null));
+  }
+
+  return { columnsChecked, findings };
+}
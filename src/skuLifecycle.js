@@ -0,0 +1,76 @@
+// Columns read when the config leaves them out
+export const DEFAULT_LIFECYCLE_SETTINGS = {
+  status_column: 'is_active',
+  active_value: '1',
+  deleted_column: 'deleted_at',
+  scope: {}
+};
+
+export const LIFECYCLE_STATES = ['live', 'inactive', 'deleted'];
+
+const STATE_LABELS = { live: 'live', inactive: 'inactive', deleted: 'soft-deleted', missing: 'missing' };
+
+// "live in old / soft-deleted in new", or "soft-deleted in both"
+export function describeLifecycle(oldState, newState) {
+  return oldState === newState
+    ? `${STATE_LABELS[oldState]} in both`
+    : `${STATE_LABELS[oldState]} in old / ${STATE_LABELS[newState]} in new`;
+}
+
+// The lifecycle the query builder reads, with the configured columns each
+// table actually has; missingColumns lists the others
+export function resolveLifecycle(queries, settings = {}) {
+  const resolved = { ...DEFAULT_LIFECYCLE_SETTINGS, ...settings };
+  const scope = resolved.scope || {};
+  const missingColumns = [];
+
+  const columnOn = (side, name) => {
+    if (!name) return null;
+    if (queries.has(side, name)) return name;
+    missingColumns.push(`${name} missing in ${queries.tables[side]}`);
+    return null;
+  };
+
+  return {
+    statusColumn: { old: columnOn('old', resolved.status_column), new: columnOn('new', resolved.status_column) },
+    deletedColumn: { old: columnOn('old', resolved.deleted_column), new: columnOn('new', resolved.deleted_column) },
+    activeValue: resolved.active_value,
+    deletedBefore: scope.deleted_before || null,
+    states: scope.states || null,
+    missingColumns
+  };
+}
+
+// SKUs present in both tables per pair of lifecycle states, and every SKU
+// whose state differs, with the old table's columns listed in names
+export async function verifyLifecycle(connection, queries, lifecycle, { names = [] } = {}) {
+  const [counts] = await connection.query(queries.lifecycleCounts(lifecycle));
+  const states = counts
+    .map(row => ({
+      old_state: row.old_state,
+      new_state: row.new_state,
+      label: describeLifecycle(row.old_state, row.new_state),
+      count: Number(row.count),
+      consistent: row.old_state === row.new_state
+    }))
+    .sort((a, b) => Number(a.consistent) - Number(b.consistent) || b.count - a.count);
+
+  const mismatchCount = states.filter(state => !state.consistent).reduce((total, state) => total + state.count, 0);
+  let mismatches = [];
+  if (mismatchCount > 0) {
+    const [rows] = await connection.query(queries.lifecycleMismatches(lifecycle, names));
+    mismatches = rows.map(({ [queries.joinKey]: skuCode, ...rest }) => ({
+      sku_code: skuCode,
+      ...rest,
+      lifecycle: describeLifecycle(rest.old_state, rest.new_state)
+    }));
+  }
+
+  return {
+    skusChecked: states.reduce((total, state) => total + state.count, 0),
+    states,
+    mismatchCount,
+    mismatches,
+    missingColumns: lifecycle.missingColumns
+  };
+}
@@ -0,0 +1,229 @@
+import { patternToRegExp } from './comparators.js';
+import { toComparable } from './comparisonEngine.js';
+
+// Columns diffed when the config leaves them out, by old or new column name
+export const DEFAULT_TEXT_DIFF_SETTINGS = {
+  columns: ['long_description', 'short_description', 'a_description*'],
+  max_length: 20000
+};
+
+// Words, runs of spaces, line breaks and single punctuation characters
+const TOKEN = /\r\n|\n|[^\S\n]+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu;
+const WORD_CHARACTER = /[\p{L}\p{N}_]/u;
+
+// Token edits tried before two values count as rewritten as a whole
+const MAX_EDITS = 1000;
+
+// Changed words this close to each other are diffed character by character
+const MIN_CHARACTER_SIMILARITY = 0.5;
+const MAX_CHARACTER_DIFF_LENGTH = 400;
+
+const CONTEXT_LINES = 3;
+
+// Myers' shortest edit script between two token lists, as
+// [{ op: 'equal' | 'delete' | 'insert', text }]; null beyond maxEdits edits.
+// The trace keeps only the diagonals -d..d each step can reach.
+function shortestEdit(a, b, maxEdits = MAX_EDITS) {
+  const max = Math.min(a.length + b.length, maxEdits);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d, offset + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= a.length && y >= b.length) return backtrack(trace, a, b);
+    }
+  }
+
+  return null;
+}
+
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    // Diagonal k of step d is at index d + k
+    const v = trace[d];
+    const k = x - y;
+    const previousK = k === -d || (k !== d && v[d + k - 1] < v[d + k + 1]) ? k + 1 : k - 1;
+    const previousX = v[d + previousK];
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      ops.push({ op: 'equal', text: a[--x] });
+      y--;
+    }
+    if (previousK === k + 1) ops.push({ op: 'insert', text: b[previousY] });
+    else ops.push({ op: 'delete', text: a[previousX] });
+    x = previousX;
+    y = previousY;
+  }
+  while (x > 0 && y > 0) {
+    ops.push({ op: 'equal', text: a[--x] });
+    y--;
+  }
+
+  return ops.reverse();
+}
+
+// Adjacent pieces with the same op joined into one
+function merge(ops) {
+  const merged = [];
+  for (const { op, text } of ops) {
+    if (text === '') continue;
+    const last = merged[merged.length - 1];
+    if (last?.op === op) last.text += text;
+    else merged.push({ op, text });
+  }
+  return merged;
+}
+
+const equalLength = ops => ops.filter(part => part.op === 'equal').reduce((total, part) => total + part.text.length, 0);
+
+function similarityOf(ops, oldText, newText) {
+  const total = oldText.length + newText.length;
+  return total === 0 ? 1 : Number((2 * equalLength(ops) / total).toFixed(4));
+}
+
+// Replaced words that are nearly the same ("colour" -> "color") are diffed
+// by character; others stay whole words
+function refineCharacters(ops) {
+  const refined = [];
+  for (let index = 0; index < ops.length; index++) {
+    const removed = ops[index];
+    const added = ops[index + 1];
+    if (removed.op === 'delete' && added?.op === 'insert' && removed.text.length + added.text.length <= MAX_CHARACTER_DIFF_LENGTH) {
+      const characters = shortestEdit(Array.from(removed.text), Array.from(added.text));
+      if (characters && similarityOf(characters, removed.text, added.text) >= MIN_CHARACTER_SIMILARITY) {
+        refined.push(...characters);
+        index++;
+        continue;
+      }
+    }
+    refined.push(removed);
+  }
+  return merge(refined);
+}
+
+// Word- and character-level differences between two texts, with their
+// similarity: the share of characters both keep, from 0 (nothing in common)
+// to 1 (equal). Texts longer than maxLength or rewritten beyond MAX_EDITS
+// words only keep their common start and end.
+export function diffText(oldText, newText, { maxLength = DEFAULT_TEXT_DIFF_SETTINGS.max_length } = {}) {
+  let prefix = 0;
+  while (prefix < oldText.length && prefix < newText.length && oldText[prefix] === newText[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < oldText.length - prefix && suffix < newText.length - prefix
+    && oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) suffix++;
+
+  // Never split a surrogate pair or a word at the common start and end
+  const splits = (before, after) => /[\uD800-\uDBFF]/.test(before) || (WORD_CHARACTER.test(before) && WORD_CHARACTER.test(after));
+  while (prefix > 0 && splits(oldText[prefix - 1], (oldText[prefix] || '') + (newText[prefix] || ''))) prefix--;
+  while (suffix > 0 && splits(
+    (oldText[oldText.length - suffix - 1] || '') + (newText[newText.length - suffix - 1] || ''),
+    oldText[oldText.length - suffix]
+  )) suffix--;
+
+  const oldMiddle = oldText.slice(prefix, oldText.length - suffix);
+  const newMiddle = newText.slice(prefix, newText.length - suffix);
+  const tokens = text => text.match(TOKEN) || [];
+
+  const middle = oldText.length + newText.length <= maxLength
+    ? shortestEdit(tokens(oldMiddle), tokens(newMiddle))
+    : null;
+
+  const ops = merge([
+    { op: 'equal', text: oldText.slice(0, prefix) },
+    ...(middle ? refineCharacters(merge(middle)) : [{ op: 'delete', text: oldMiddle }, { op: 'insert', text: newMiddle }]),
+    { op: 'equal', text: oldText.slice(oldText.length - suffix) }
+  ]);
+
+  return { ops, similarity: similarityOf(ops, oldText, newText) };
+}
+
+// Two texts as a unified diff of their lines, with CONTEXT_LINES unchanged
+// lines around each change. Texts with more than MAX_EDITS changed lines
+// are shown as removed and added as a whole.
+export function unifiedDiff(oldText, newText, { oldLabel = 'old', newLabel = 'new' } = {}) {
+  const oldLines = oldText === '' ? [] : oldText.split('\n');
+  const newLines = newText === '' ? [] : newText.split('\n');
+  const ops = shortestEdit(oldLines, newLines) || [
+    ...oldLines.map(text => ({ op: 'delete', text })),
+    ...newLines.map(text => ({ op: 'insert', text }))
+  ];
+
+  // Line numbers of every op on both sides, to number the hunks
+  let oldNumber = 0;
+  let newNumber = 0;
+  const lines = ops.map(({ op, text }) => {
+    if (op !== 'insert') oldNumber++;
+    if (op !== 'delete') newNumber++;
+    return { op, text, oldNumber, newNumber };
+  });
+
+  const hunks = [];
+  lines.forEach((line, index) => {
+    if (line.op === 'equal') return;
+    const start = Math.max(0, index - CONTEXT_LINES);
+    const end = Math.min(lines.length, index + CONTEXT_LINES + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) last.end = end;
+    else hunks.push({ start, end });
+  });
+
+  const prefix = { equal: ' ', delete: '-', insert: '+' };
+  const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  for (const { start, end } of hunks) {
+    const hunk = lines.slice(start, end);
+    const before = lines[start - 1] || { oldNumber: 0, newNumber: 0 };
+    const oldCount = hunk.filter(line => line.op !== 'insert').length;
+    const newCount = hunk.filter(line => line.op !== 'delete').length;
+    // An empty side is numbered by the line before it
+    output.push(`@@ -${before.oldNumber + (oldCount ? 1 : 0)},${oldCount} +${before.newNumber + (newCount ? 1 : 0)},${newCount} @@`);
+    output.push(...hunk.map(line => prefix[line.op] + line.text));
+  }
+
+  return output.join('\n');
+}
+
+// Diffs the old and new values of long text columns, those whose old or new
+// name matches settings.columns (with * wildcards). diff(difference) returns
+// { similarity, ops, diff } with the ops of diffText as [op, text] pairs, for
+// the report, and the diff in unified form, or null for other columns and
+// NULL values.
+export function createTextDiffer(settings = {}) {
+  const resolved = { ...DEFAULT_TEXT_DIFF_SETTINGS, ...settings };
+  const patterns = resolved.columns.map(patternToRegExp);
+  const applies = new Map();
+
+  function diff(difference) {
+    const key = `${difference.old_column}:${difference.new_column}`;
+    if (!applies.has(key)) {
+      applies.set(key, patterns.some(pattern => pattern.test(difference.old_column) || pattern.test(difference.new_column)));
+    }
+    if (!applies.get(key)) return null;
+
+    const oldText = toComparable(difference.old_value);
+    const newText = toComparable(difference.new_value);
+    if (oldText === null || newText === null) return null;
+
+    const { ops, similarity } = diffText(oldText, newText, { maxLength: resolved.max_length });
+    return {
+      similarity,
+      ops: ops.map(({ op, text }) => [op, text]),
+      diff: unifiedDiff(oldText, newText, { oldLabel: difference.old_column, newLabel: difference.new_column })
+    };
+  }
+
+  return { diff };
+}
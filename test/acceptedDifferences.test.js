@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createAllowlist, findAllowlistProblems } from '../src/acceptedDifferences.js';
+import { loadConfig } from '../src/config.js';
+
+const entry = fields => ({ id: 'entry', reason: 'known', owner: 'data team', expires: '2099-12-31', column: 'name', ...fields });
+const difference = fields => ({ type: 'common', old_column: 'name', new_column: 'name', sku_code: 'SKU-1', old_value: 'a', new_value: 'b', ...fields });
+const today = '2025-06-01';
+
+test('an entry accepts differences of its column, SKUs and values', () => {
+  const allowlist = createAllowlist([entry({ sku_codes: ['SKU-1'], old_value: '^a$', new_value: 'b' })], 'shop', { today });
+  assert.equal(allowlist.match(difference()).id, 'entry');
+  assert.equal(allowlist.match(difference({ sku_code: 'SKU-2' })), null);
+  assert.equal(allowlist.match(difference({ old_value: 'aa' })), null);
+});
+
+test('columns match by old or new name, with wildcards', () => {
+  const allowlist = createAllowlist([entry({ column: 'a_desc*' })], 'shop', { today });
+  assert.ok(allowlist.match(difference({ old_column: 'a_description', new_column: 'description' })));
+  assert.ok(allowlist.match(difference({ old_column: 'description', new_column: 'A_DESC_EN' })));
+  assert.equal(allowlist.match(difference()), null);
+});
+
+test('a null value pattern only matches NULL', () => {
+  const allowlist = createAllowlist([entry({ new_value: null })], 'shop', { today });
+  assert.ok(allowlist.match(difference({ new_value: null })));
+  assert.ok(allowlist.match(difference({ new_value: undefined })));
+  assert.equal(allowlist.match(difference({ new_value: '' })), null);
+});
+
+test('entries apply to their type and tenants only', () => {
+  const entries = [entry({ type: 'attribute', tenants: ['shop_*'] })];
+  assert.ok(createAllowlist(entries, 'shop_eu', { today }).match(difference({ type: 'attribute' })));
+  assert.equal(createAllowlist(entries, 'shop_eu', { today }).match(difference()), null);
+  assert.equal(createAllowlist(entries, 'outlet', { today }).size, 0);
+});
+
+test('expired entries accept nothing but count what they would have matched', () => {
+  const allowlist = createAllowlist([
+    entry({ id: 'expired', expires: '2025-05-31' }),
+    entry({ id: 'today', expires: '2025-06-01', column: 'title' }),
+    entry({ id: 'unused', column: 'price' })
+  ], 'shop', { today });
+
+  assert.equal(allowlist.match(difference()), null);
+  assert.equal(allowlist.match(difference({ old_column: 'title', new_column: 'title' })).id, 'today');
+
+  assert.deepEqual(allowlist.report().map(({ id, status, matched, expiredMatches }) => ({ id, status, matched, expiredMatches })), [
+    { id: 'expired', status: 'expired', matched: 0, expiredMatches: 1 },
+    { id: 'today', status: 'active', matched: 1, expiredMatches: 0 },
+    { id: 'unused', status: 'stale', matched: 0, expiredMatches: 0 }
+  ]);
+});
+
+test('the first matching entry is credited', () => {
+  const allowlist = createAllowlist([entry({ id: 'first' }), entry({ id: 'second' })], 'shop', { today });
+  assert.equal(allowlist.match(difference()).id, 'first');
+  assert.deepEqual(allowlist.report().map(report => report.matched), [1, 0]);
+});
+
+test('findAllowlistProblems reports duplicate ids, bad dates and bad patterns', () => {
+  assert.deepEqual(findAllowlistProblems([entry()]), []);
+  assert.deepEqual(findAllowlistProblems([
+    entry({ id: 'a' }),
+    entry({ id: 'a', expires: '2025-13-45' }),
+    entry({ id: 'b', old_value: '(' })
+  ]), [
+    'entries[1] (a): duplicate id "a"',
+    'entries[1] (a): expires "2025-13-45" is not a YYYY-MM-DD date',
+    'entries[2] (b): old_value is not a valid regular expression: Invalid regular expression: /(/: Unterminated group'
+  ]);
+});
+
+test('the allowlist a config points to is validated when the config loads', async () => {
+  const directory = await fs.mkdtemp(join(tmpdir(), 'verification-allowlist-'));
+  try {
+    await fs.writeFile(join(directory, 'config.json'), JSON.stringify({
+      tables: { old: 'old_flat', new: 'new_flat' },
+      join_key: 'sku_code',
+      mapping_groups: { common: ['name'] },
+      accepted_differences: './allowlist.json'
+    }));
+
+    await fs.writeFile(join(directory, 'allowlist.json'), JSON.stringify({ entries: [entry(), entry({ expires: 'soon' })] }));
+    await assert.rejects(loadConfig(join(directory, 'config.json')), /Invalid accepted differences file .*allowlist\.json:\n  - entries\[1\] \(entry\): duplicate id "entry"\n  - entries\[1\] \(entry\): expires "soon"/);
+
+    await fs.writeFile(join(directory, 'allowlist.json'), JSON.stringify({ entries: [entry({ column: 'bad column' })] }));
+    await assert.rejects(loadConfig(join(directory, 'config.json')), /"bad column" is not a valid column or table name/);
+
+    await fs.writeFile(join(directory, 'allowlist.json'), JSON.stringify({ entries: [entry()] }));
+    assert.deepEqual((await loadConfig(join(directory, 'config.json'))).acceptedDifferences, [entry()]);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
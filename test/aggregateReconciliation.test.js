@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_AGGREGATE_SETTINGS, reconcileAggregates } from '../src/aggregateReconciliation.js';
+
+const columns = ['is_active', 'deleted_at', 'uom_factor', 'tax_type', 'a1', 'a_weight', 'cat1', 'c_level1'];
+
+// A tenant whose aggregate queries are answered from the values per side of
+// each metric, keyed by kind and column, and group counts per column
+function fakeTenant({ totals, groups = {} }) {
+  const queries = {
+    tables: { old: 'old_flat', new: 'new_flat' },
+    has: (side, name) => columns.includes(name),
+    aggregates: (side, metrics) => ({ kind: 'aggregates', side, metrics }),
+    groupCounts: (side, column) => ({ kind: 'groups', side, column })
+  };
+  const connection = {
+    async query(query) {
+      if (query.kind === 'groups') return [groups[query.column][query.side]];
+      const row = {};
+      query.metrics.forEach((metric, index) => {
+        row[`m${index}`] = totals[[metric.kind, metric.column].filter(Boolean).join(':')]?.[query.side];
+      });
+      return [[row]];
+    }
+  };
+  return { queries, connection };
+}
+
+const mappings = {
+  attributeMappings: new Map([['a_weight', 'a1']]),
+  categoryMappings: new Map([['c_level1', 'cat1']]),
+  comparators: { forColumn: () => ({ rules: { type: 'number' } }) }
+};
+
+const byMetric = result => Object.fromEntries(result.metrics.map(metric => [metric.metric, metric]));
+
+test('the default metrics are reconciled, with complements derived from the row count', async () => {
+  const { queries, connection } = fakeTenant({
+    totals: {
+      rows: { old: 10, new: 10 },
+      'equal:is_active': { old: 8, new: 7 },
+      'not-null:deleted_at': { old: 2, new: 2 },
+      'sum:uom_factor': { old: '12.5000000000', new: '12.5000000000' },
+      'sum:a1': { old: 3, new: 3 },
+      'sum:a_weight': { old: 3, new: 3 },
+      'distinct:a1': { old: 4, new: 4 },
+      'distinct:a_weight': { old: 4, new: 4 },
+      'distinct:cat1': { old: 5, new: 5 },
+      'distinct:c_level1': { old: 5, new: 5 }
+    },
+    groups: { tax_type: { old: [{ value: 'INC', count: 6 }, { value: null, count: 4 }], new: [{ value: 'INC', count: 6 }, { value: null, count: 4 }] } }
+  });
+
+  const result = await reconcileAggregates(connection, queries, mappings);
+  const metrics = byMetric(result);
+
+  assert.deepEqual(Object.keys(metrics), [
+    'rows', 'active_rows', 'inactive_rows', 'deleted_rows', 'live_rows', 'sum:uom_factor', 'sum:a_weight',
+    'distinct:a_weight', 'distinct:c_level1', 'count:tax_type=INC', 'count:tax_type=NULL'
+  ]);
+  assert.deepEqual([metrics.inactive_rows.old, metrics.inactive_rows.new, metrics.inactive_rows.withinThreshold], [2, 3, false]);
+  assert.equal(metrics.active_rows.label, `Active rows (${DEFAULT_AGGREGATE_SETTINGS.status_column} = ${DEFAULT_AGGREGATE_SETTINGS.active_value})`);
+  assert.equal(metrics['sum:uom_factor'].withinThreshold, true);
+  assert.equal(metrics['sum:a_weight'].label, 'Sum of a1 -> a_weight');
+  assert.equal(result.exceeded, 2);
+  assert.deepEqual(result.skipped, [{ metric: 'count:tax_group_id=*', reason: 'tax_group_id missing in old_flat' }]);
+});
+
+test('a metric passes within max_difference or max_percent, exact names before wildcards', async () => {
+  const { queries, connection } = fakeTenant({
+    totals: {
+      rows: { old: 1000, new: 1010 },
+      'sum:uom_factor': { old: '100.0001', new: '100.0002' },
+      'sum:a1': { old: '50', new: '50' },
+      'sum:a_weight': { old: '50', new: '50.01' }
+    }
+  });
+  const settings = {
+    status_column: null,
+    deleted_column: null,
+    group_by_columns: [],
+    thresholds: { rows: { max_percent: 1 }, 'sum:*': { max_difference: 0.00001 }, 'sum:uom_factor': { max_difference: 0.001 } }
+  };
+
+  const result = await reconcileAggregates(connection, queries, { ...mappings, categoryMappings: new Map() }, settings);
+  const metrics = byMetric(result);
+
+  assert.deepEqual([metrics.rows.delta, metrics.rows.percent, metrics.rows.withinThreshold], [10, 1, true]);
+  assert.deepEqual([metrics['sum:uom_factor'].delta, metrics['sum:uom_factor'].withinThreshold], [0.0001, true]);
+  assert.deepEqual(metrics['sum:a_weight'].threshold, { max_difference: 0.00001, max_percent: 0 });
+  assert.equal(metrics['sum:a_weight'].withinThreshold, false);
+  assert.equal(result.exceeded, 1);
+});
+
+test('without a threshold, a metric must match exactly; a change from zero has no percent', async () => {
+  const { queries, connection } = fakeTenant({ totals: { rows: { old: 0, new: 1 } } });
+
+  const result = await reconcileAggregates(connection, queries, { ...mappings, attributeMappings: new Map(), categoryMappings: new Map() }, {
+    status_column: null, deleted_column: null, sum_columns: [], group_by_columns: []
+  });
+  const { rows } = byMetric(result);
+
+  assert.deepEqual([rows.delta, rows.percent, rows.withinThreshold], [1, null, false]);
+  assert.deepEqual(rows.threshold, { max_difference: 0, max_percent: 0 });
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { verifyBarcodes } from '../src/barcodeVerifier.js';
+
+// Keys as a case-insensitive MySQL collation with PAD SPACE compares them
+const collate = key => String(key).replace(/ +$/, '').toLowerCase();
+
+// A tenant held in memory: answers the verifier's queries from oldRows and
+// newRows, with shared barcodes as the database would group them
+function fakeTenant(oldRows, newRows, shared = []) {
+  const sent = [];
+  const rowsOf = side => side === 'old' ? oldRows : newRows;
+  const queries = {
+    joinKey: 'sku_code',
+    has: (side, name) => Object.hasOwn(rowsOf(side)[0] || {}, name),
+    selectBatch: (side, names, { afterKey, limit }) => ({ kind: 'batch', side, afterKey, limit }),
+    selectByKeys: (side, names, keys) => ({ kind: 'keys', side, keys }),
+    sharedBarcodes: (name, { countOnly = false, limit = null } = {}) => ({ kind: 'shared', name, countOnly, limit })
+  };
+  const connection = {
+    async query(query) {
+      sent.push(query);
+      if (query.kind === 'batch') {
+        return [rowsOf(query.side).filter(row => query.afterKey === null || row.sku_code > query.afterKey).slice(0, query.limit)];
+      }
+      if (query.kind === 'shared') {
+        return [query.countOnly ? [{ count: shared.length }] : shared.slice(0, query.limit)];
+      }
+      const keys = new Set(query.keys.map(collate));
+      return [rowsOf(query.side).filter(row => keys.has(collate(row.sku_code)))];
+    }
+  };
+  return { sent, queries, connection };
+}
+
+test('the old barcode must be among the new barcodes, strings or objects', async () => {
+  const { queries, connection } = fakeTenant(
+    [{ sku_code: '1', barcode: ' 111 ' }, { sku_code: '2', barcode: '222' }, { sku_code: '3', barcode: null }, { sku_code: '4', barcode: '444' }],
+    [
+      { sku_code: '1', barcodes: '["111", {"barcode": "112"}]', medias: null },
+      { sku_code: '2', barcodes: [{ barcode: '221' }], medias: null },
+      { sku_code: '3', barcodes: [], medias: null }
+    ]
+  );
+
+  const result = await verifyBarcodes(connection, queries);
+
+  assert.equal(result.skusChecked, 3);
+  assert.equal(result.barcodesFound, 3);
+  assert.deepEqual(result.missing, { count: 1, items: [{ sku_code: '2', old_barcode: '222', new_barcodes: '221' }] });
+  assert.deepEqual(result.invalid, { count: 0, items: [] });
+});
+
+test('values that do not parse or match the schemas are invalid', async () => {
+  const { queries, connection } = fakeTenant(
+    [{ sku_code: '1', barcode: '111' }],
+    [
+      { sku_code: '1', barcodes: '["111"', medias: null },
+      { sku_code: '2', barcodes: ['222', { code: 'x' }], medias: [{ path: '/a.jpg' }] },
+      { sku_code: '3', barcodes: { barcode: '333' }, medias: '[{"url": "https://example.com/a.jpg"}]' }
+    ]
+  );
+
+  const result = await verifyBarcodes(connection, queries);
+
+  assert.deepEqual(result.invalid.items.map(item => [item.sku_code, item.column]), [
+    ['1', 'barcodes'], ['2', 'barcodes'], ['2', 'medias'], ['3', 'barcodes']
+  ]);
+  assert.match(result.invalid.items[0].problem, /^not valid JSON: /);
+  assert.equal(result.barcodesFound, 1);
+  assert.deepEqual(result.missing.items.map(item => item.new_barcodes), ['']);
+});
+
+test('SKUs are matched the way the database matches their keys', async () => {
+  const { queries, connection } = fakeTenant([{ sku_code: 'ab-1', barcode: '111' }], [{ sku_code: 'AB-1 ', barcodes: ['111'], medias: null }]);
+
+  const result = await verifyBarcodes(connection, queries);
+
+  assert.equal(result.skusChecked, 1);
+  assert.equal(result.missing.count, 0);
+});
+
+test('barcodes shared by several SKUs come from the database, listing at most maxListed', async () => {
+  const shared = [
+    { barcode: '111', sku_count: 3, sku_codes: '1, 2, 3' },
+    { barcode: '222', sku_count: 2, sku_codes: '4, 5' }
+  ];
+  const { sent, queries, connection } = fakeTenant([], [{ sku_code: '1', barcodes: ['111'] }], shared);
+
+  const result = await verifyBarcodes(connection, queries, { maxListed: 1 });
+
+  assert.deepEqual(result.duplicates, { count: 2, items: [{ barcode: '111', skuCount: 3, sku_codes: '1, 2, 3' }] });
+  assert.deepEqual(sent.filter(query => query.kind === 'shared').map(query => [query.name, query.countOnly, query.limit]), [
+    ['barcodes', true, null],
+    ['barcodes', false, 1]
+  ]);
+  assert.equal(result.columns.medias, null);
+});
+
+test('both tables are paged in join key order', async () => {
+  const newRows = ['1', '2', '3'].map(sku_code => ({ sku_code, barcodes: [sku_code], medias: null }));
+  const { sent, queries, connection } = fakeTenant(newRows.map(({ sku_code }) => ({ sku_code, barcode: sku_code })), newRows);
+
+  const result = await verifyBarcodes(connection, queries, { batchSize: 2 });
+
+  assert.deepEqual(sent.filter(query => query.kind === 'batch').map(query => [query.side, query.afterKey]), [
+    ['new', null], ['new', '2'], ['old', null], ['old', '2']
+  ]);
+  assert.equal(result.skusChecked, 3);
+  assert.equal(result.missing.count, 0);
+});
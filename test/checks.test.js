@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateChecks, overallStatus } from '../src/checks.js';
+
+const checkNamed = (checks, name) => checks.find(check => check.name === name);
+
+test('checks that were not run are skipped and the tenant passes', () => {
+  const checks = evaluateChecks({});
+
+  assert.deepEqual(checks.map(check => check.name), [
+    'attribute-columns', 'category-columns', 'common-columns', 'attribute-mapping-discovery', 'schema',
+    'sku-codes', 'sku-lifecycle', 'attribute-values', 'category-values', 'common-column-values', 'sampling',
+    'attribute-references', 'category-references', 'barcodes', 'aggregates', 'accepted-differences'
+  ]);
+  assert.ok(checks.every(check => check.status === 'skipped'));
+  assert.equal(overallStatus(checks), 'passed');
+});
+
+test('missing columns fail with one detail line per column', () => {
+  const check = checkNamed(evaluateChecks({
+    missingAttributeColumns: { oldTable: [{ missingColumn: 'a_color' }], newTable: [{ missingColumn: 'a1' }] }
+  }), 'attribute-columns');
+
+  assert.deepEqual(check, {
+    name: 'attribute-columns',
+    status: 'failed',
+    message: '2 mapped column(s) missing',
+    details: ['old table: a_color', 'new table: a1']
+  });
+});
+
+test('value mismatches are counted by row and described by column and cause', () => {
+  const check = checkNamed(evaluateChecks({
+    commonColumnMismatches: [
+      { column: 'name', mismatchCount: 3, classifications: { 'case-only': 2, other: 1 } },
+      { old_column: 'a1', new_column: 'a_color', differences: [{}, {}] }
+    ]
+  }), 'common-column-values');
+
+  assert.equal(check.status, 'failed');
+  assert.equal(check.message, '5 mismatching value(s) in 2 column(s)');
+  assert.equal(check.details[1], 'a1 -> a_color: 2 mismatch(es)');
+  assert.match(check.details[0], /^name: 3 mismatch\(es\) \(.+\)$/);
+});
+
+test('a sample that did not escalate passes without claiming a full proof', () => {
+  const checks = evaluateChecks({
+    attributeMismatches: [],
+    sampling: { method: 'random', sampled: 100, population: 5000, escalated: false, probabilistic: true, estimates: [], escalateAbove: 0.01, confidence: 0.95 }
+  });
+
+  assert.equal(checkNamed(checks, 'attribute-values').message, 'All values match in a random sample of 100 of 5000 SKU(s); not a full proof');
+  assert.equal(checkNamed(checks, 'sampling').status, 'passed');
+});
+
+test('estimated mismatch rates above the threshold fail the sampling check', () => {
+  const check = checkNamed(evaluateChecks({
+    sampling: {
+      method: 'random', sampled: 100, population: 5000, escalated: true, probabilistic: true, escalateAbove: 0.01, confidence: 0.95,
+      estimates: [{ old_column: 'name', new_column: 'name', rate: 0.05, lower: 0.02, upper: 0.11, aboveThreshold: true }]
+    }
+  }), 'sampling');
+
+  assert.equal(check.status, 'failed');
+  assert.equal(check.message, 'Estimated mismatch rate above 1.00% in 1 column(s); escalated to a full run');
+  assert.deepEqual(check.details, ['name: 5.00% (2.00% - 11.00% at 95% confidence)']);
+});
+
+test('an incremental run states the SKUs it compared', () => {
+  const check = checkNamed(evaluateChecks({ categoryMismatches: [], incremental: { mode: 'incremental', comparedSkus: 12 } }), 'category-values');
+  assert.equal(check.message, 'All values match in 12 changed or still mismatching SKU(s)');
+});
+
+test('checks that could not run are errors, not passes', () => {
+  const checks = evaluateChecks({
+    attributeReferences: { error: 'Table im_lookups does not exist' },
+    barcodes: { error: 'Table barcodes does not exist' }
+  });
+
+  assert.equal(checkNamed(checks, 'attribute-references').status, 'error');
+  assert.equal(checkNamed(checks, 'barcodes').status, 'error');
+  assert.equal(overallStatus(checks), 'error');
+});
+
+test('a verification error comes first, next to the checks it stopped', () => {
+  const checks = evaluateChecks({ error: 'Connection lost', skuMismatches: { missingInNew: ['1'], missingInOld: [] } });
+
+  assert.deepEqual(checks[0], { name: 'verification', status: 'error', message: 'Connection lost' });
+  assert.equal(checkNamed(checks, 'sku-codes').message, '1 SKU(s) missing in new table, 0 SKU(s) missing in old table');
+});
+
+test('only expired allowlist entries fail; stale ones are flagged', () => {
+  const acceptedDifferences = (status) => ({
+    columns: [{ acceptedCount: 4 }],
+    entries: [{ id: 'case-fix', owner: 'data team', expires: '2026-01-31', status, expiredMatches: 2 }]
+  });
+
+  const stale = checkNamed(evaluateChecks({ acceptedDifferences: acceptedDifferences('stale') }), 'accepted-differences');
+  assert.equal(stale.status, 'passed');
+  assert.deepEqual(stale.details, ['case-fix: no longer matches any difference (owner data team)']);
+
+  const expired = checkNamed(evaluateChecks({ acceptedDifferences: acceptedDifferences('expired') }), 'accepted-differences');
+  assert.equal(expired.status, 'failed');
+  assert.equal(expired.message, '4 difference(s) accepted; allowlist entries: 1 expired, 0 stale');
+});
+
+test('aggregates beyond their thresholds fail with their deltas', () => {
+  const check = checkNamed(evaluateChecks({
+    aggregates: {
+      metrics: [
+        { metric: 'rows', old: 100, new: 90, delta: -10, percent: -10, withinThreshold: false },
+        { metric: 'sum(price)', old: 5, new: 5, delta: 0, percent: 0, withinThreshold: true }
+      ]
+    }
+  }), 'aggregates');
+
+  assert.equal(check.message, '1 of 2 aggregate(s) beyond their thresholds');
+  assert.deepEqual(check.details, ['rows: old 100, new 90 (-10, -10.00%)']);
+});
+
+test('error beats failed beats passed', () => {
+  assert.equal(overallStatus([{ status: 'passed' }, { status: 'skipped' }]), 'passed');
+  assert.equal(overallStatus([{ status: 'passed' }, { status: 'failed' }]), 'failed');
+  assert.equal(overallStatus([{ status: 'failed' }, { status: 'error' }]), 'error');
+  assert.equal(overallStatus([]), 'passed');
+});
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import ReportGenerator from '../src/reportGenerator.js';
+import { recordRun } from '../src/history.js';
+
+const CLI_PATH = join(dirname(fileURLToPath(import.meta.url)), '../src/cli.js');
+
+// Run the CLI to completion and return its exit code and output
+function runCli(args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI_PATH, ...args], { timeout: 60000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+async function withReportsDir(fn) {
+  const reportsDir = await fs.mkdtemp(join(tmpdir(), 'verification-cli-'));
+  try {
+    return await fn(reportsDir);
+  } finally {
+    await fs.rm(reportsDir, { recursive: true, force: true });
+  }
+}
+
+// Write the JSON results of a run, as verify does, and record it
+async function writeRun(reportsDir, runId, tenantResults) {
+  const reportGenerator = new ReportGenerator({ reportsDir, runId, formats: ['json'] });
+  await reportGenerator.initialize();
+  for (const [dbName, results] of Object.entries(tenantResults)) {
+    await reportGenerator.generateDatabaseReport(dbName, results);
+  }
+  await reportGenerator.generateRunJSON();
+  await recordRun(reportsDir, { runId, command: 'verify', status: reportGenerator.status, tenants: reportGenerator.getOrderedResults() });
+  return reportGenerator.runDirectory;
+}
+
+const passing = { skuMismatches: { missingInNew: [], missingInOld: [] } };
+const failing = { skuMismatches: { missingInNew: [{ sku_code: '1', name: 'Widget' }], missingInOld: [] } };
+
+test('help exits 0', async () => {
+  for (const args of [['--help'], []]) {
+    const { code, stdout } = await runCli(args);
+    assert.equal(code, 0);
+    assert.match(stdout, /^Usage: item-verification <command>/);
+  }
+});
+
+test('usage errors exit 2 with the usage', async () => {
+  for (const [args, message] of [
+    [['frobnicate'], /Unknown command: frobnicate/],
+    [['verify', '--formats', 'pdf'], /Unknown format: pdf/],
+    [['verify', '--checks', 'everything'], /Unknown check group: everything/],
+    [['verify', '--sample', 'weird'], /Unknown sampling method: weird/],
+    [['verify', '--sample-size', '0'], /--sample-size must be a positive integer, got 0/],
+    [['schema-diff', '--incremental'], /--incremental only applies to verify/],
+    [['report'], /report takes the run directory to regenerate/],
+    [['verify', '--bogus'], /Unknown option '--bogus'/]
+  ]) {
+    const { code, stdout, stderr } = await runCli(args);
+    assert.equal(code, 2, args.join(' '));
+    assert.match(stdout + stderr, message);
+    assert.match(stderr, /Usage: item-verification/);
+  }
+});
+
+test('report exits 0 when every check passed and 1 when one failed', async () => {
+  await withReportsDir(async reportsDir => {
+    const passedRun = await writeRun(reportsDir, '2026-10-19T08-00-00-000Z', { tenant_a: passing });
+    const failedRun = await writeRun(reportsDir, '2026-10-19T09-00-00-000Z', { tenant_a: passing, tenant_b: failing });
+
+    assert.equal((await runCli(['report', passedRun])).code, 0);
+    assert.equal((await runCli(['report', failedRun])).code, 1);
+    await fs.access(join(failedRun, 'junit.xml'));
+  });
+});
+
+test('report exits 2 for a directory without results', async () => {
+  await withReportsDir(async reportsDir => {
+    const { code, stderr } = await runCli(['report', reportsDir]);
+    assert.equal(code, 2);
+    assert.match(stderr, /Usage: item-verification/);
+  });
+});
+
+test('compare exits 1 when a check regressed and 0 when none did', async () => {
+  await withReportsDir(async reportsDir => {
+    await writeRun(reportsDir, '2026-10-19T08-00-00-000Z', { tenant_a: passing });
+    await writeRun(reportsDir, '2026-10-19T09-00-00-000Z', { tenant_a: failing });
+    await writeRun(reportsDir, '2026-10-19T10-00-00-000Z', { tenant_a: failing });
+
+    const args = ['compare', '--output-dir', reportsDir];
+    assert.equal((await runCli([...args, '2026-10-19T09-00-00-000Z'])).code, 1);
+    assert.equal((await runCli(args)).code, 0);
+    assert.equal((await runCli([...args, '--baseline', '2026-10-19T08-00-00-000Z'])).code, 1);
+  });
+});
+
+test('compare exits 2 without a baseline to compare with', async () => {
+  await withReportsDir(async reportsDir => {
+    assert.equal((await runCli(['compare', '--output-dir', reportsDir])).code, 2);
+
+    await writeRun(reportsDir, '2026-10-19T08-00-00-000Z', { tenant_a: passing });
+    const { code, stdout, stderr } = await runCli(['compare', '--output-dir', reportsDir]);
+    assert.equal(code, 2);
+    assert.match(stdout + stderr, /No run before 2026-10-19T08-00-00-000Z in the history/);
+  });
+});
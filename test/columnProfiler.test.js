@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createColumnProfiler } from '../src/columnProfiler.js';
+import { createComparators } from '../src/comparators.js';
+import { createMismatchClassifier } from '../src/mismatchClassifier.js';
+
+const specs = [
+  { type: 'common', oldColumn: 'name', newColumn: 'name' },
+  { type: 'attribute', oldColumn: 'a1', newColumn: 'a_color' }
+];
+const difference = (old_value, new_value, fields = {}) => ({ old_column: 'name', new_column: 'name', old_value, new_value, ...fields });
+
+test('every column pair is profiled, the most mismatching first', () => {
+  const profiler = createColumnProfiler(specs);
+  profiler.addComparedRows(8);
+  profiler.addComparedRows(2);
+  profiler.record(difference('a', 'b', { old_column: 'a1', new_column: 'a_color' }));
+
+  const [{ topValuePairs, ...color }, name] = profiler.report();
+
+  assert.deepEqual(color, {
+    type: 'attribute',
+    old_column: 'a1',
+    new_column: 'a_color',
+    mismatchCount: 1,
+    nullToValue: 0,
+    valueToNull: 0,
+    whitespaceOnly: 0,
+    caseOnly: 0,
+    comparedRows: 10,
+    mismatchRate: 0.1
+  });
+  assert.deepEqual(topValuePairs, [{ old_value: 'a', new_value: 'b', count: 1, error: 0 }]);
+  assert.equal(name.mismatchCount, 0);
+  assert.deepEqual(name.topValuePairs, []);
+});
+
+test('NULLs on either side and the whitespace and case classes are counted', () => {
+  const profiler = createColumnProfiler(specs);
+  profiler.record(difference(null, 'x'));
+  profiler.record(difference('x', undefined));
+  profiler.record(difference('x ', 'x', { classification: 'whitespace' }));
+  profiler.record(difference('X', 'x', { classification: 'case' }));
+  profiler.record(difference('X', 'y', { classification: 'changed' }));
+
+  const [name] = profiler.report();
+
+  assert.deepEqual([name.mismatchCount, name.nullToValue, name.valueToNull, name.whitespaceOnly, name.caseOnly], [5, 1, 1, 1, 1]);
+});
+
+test('differences of columns that are not profiled are ignored', () => {
+  const profiler = createColumnProfiler(specs);
+  profiler.record(difference('a', 'b', { old_column: 'name', new_column: 'title' }));
+  assert.ok(profiler.report().every(profile => profile.mismatchCount === 0));
+  assert.equal(profiler.report()[0].mismatchRate, 0);
+});
+
+test('the most frequent value pairs are reported with exact counts', () => {
+  const profiler = createColumnProfiler(specs, { topN: 2 });
+  for (let i = 0; i < 5; i++) profiler.record(difference('red', 'Red'));
+  for (let i = 0; i < 3; i++) profiler.record(difference(12, '12.0'));
+  profiler.record(difference('blue', 'Blue'));
+
+  const [name] = profiler.report();
+
+  assert.deepEqual(name.topValuePairs, [
+    { old_value: 'red', new_value: 'Red', count: 5, error: 0 },
+    { old_value: '12', new_value: '12.0', count: 3, error: 0 }
+  ]);
+});
+
+test('with more distinct pairs than counters, frequent pairs still come out on top', () => {
+  // topN 1 keeps 10 counters
+  const profiler = createColumnProfiler(specs, { topN: 1 });
+  for (let i = 0; i < 50; i++) {
+    profiler.record(difference('frequent', 'Frequent'));
+    profiler.record(difference(`rare ${i}`, `Rare ${i}`));
+  }
+
+  const [top] = profiler.report()[0].topValuePairs;
+
+  assert.deepEqual([top.old_value, top.new_value], ['frequent', 'Frequent']);
+  assert.ok(top.count - top.error <= 50 && top.count >= 50);
+});
+
+test('with the default text rules, whitespace and case differences reach the profile', () => {
+  const comparators = createComparators();
+  const columnSpecs = [{ ...specs[0], comparator: comparators.forColumn('name', 'name') }];
+  const classifier = createMismatchClassifier(columnSpecs);
+  const profiler = createColumnProfiler(columnSpecs);
+
+  for (const [oldValue, newValue] of [['Widget ', 'Widget'], ['WIDGET', 'widget'], ['Widget', 'Widget']]) {
+    if (columnSpecs[0].comparator.equals(oldValue, newValue)) continue;
+    const mismatch = difference(oldValue, newValue);
+    profiler.record({ ...mismatch, classification: classifier.classify(mismatch) });
+  }
+
+  const [name] = profiler.report();
+  assert.deepEqual([name.mismatchCount, name.whitespaceOnly, name.caseOnly], [2, 1, 1]);
+});
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createComparators, parseDate, patternToRegExp, typeFamily } from '../src/comparators.js';
+
+const columnTypes = {
+  price: { old_type: 'varchar(20)', new_type: 'decimal(10,2)' },
+  created_at: { old_type: 'datetime', new_type: 'datetime' },
+  status: { old_type: "enum('A','I')", new_type: "enum('active','inactive')" },
+  name: { old_type: 'varchar(255)', new_type: 'varchar(255)' }
+};
+
+test('typeFamily maps SQL types to rule families', () => {
+  assert.equal(typeFamily('bigint unsigned'), 'number');
+  assert.equal(typeFamily('DECIMAL(10,2)'), 'number');
+  assert.equal(typeFamily("enum('0','1')"), 'enum');
+  assert.equal(typeFamily('timestamp'), 'date');
+  assert.equal(typeFamily('varchar(50)'), 'string');
+  assert.equal(typeFamily(undefined), 'string');
+});
+
+test('patternToRegExp matches * wildcards case-insensitively and nothing else', () => {
+  assert.ok(patternToRegExp('a_udfdate*').test('A_UDFDATE_1'));
+  assert.ok(!patternToRegExp('a.b').test('axb'));
+  assert.ok(!patternToRegExp('name').test('names'));
+});
+
+test('parseDate reads wall-clock times in the given offset', () => {
+  assert.equal(parseDate('2024-01-02 03:04:05', '+00:00', false), Date.UTC(2024, 0, 2, 3, 4, 5));
+  assert.equal(parseDate('2024-01-02 05:34:05', '+02:30', false), Date.UTC(2024, 0, 2, 3, 4, 5));
+  assert.equal(parseDate('02/01/2024', '+00:00', true), Date.UTC(2024, 0, 2));
+  assert.equal(parseDate('01/02/2024', '+00:00', false), Date.UTC(2024, 0, 2));
+  assert.equal(parseDate('0000-00-00 00:00:00', '+00:00', false), null);
+  assert.equal(parseDate('not a date', '+00:00', false), null);
+});
+
+test('strings compare exactly by default', () => {
+  const comparator = createComparators({ columnTypes }).forColumn('name', 'name');
+  assert.ok(comparator.equals('Widget', 'Widget'));
+  assert.ok(!comparator.equals(' Widget', 'Widget'));
+  assert.ok(!comparator.equals('Widget', 'widget'));
+  assert.ok(!comparator.equals('', null));
+  assert.ok(comparator.equals(null, undefined));
+});
+
+test('trim, case_insensitive and empty_as_null opt out of whitespace, case and empty differences', () => {
+  const comparator = createComparators({
+    columnTypes,
+    comparators: { defaults: { string: { trim: true, case_insensitive: true, empty_as_null: true } } }
+  }).forColumn('name', 'name');
+  assert.ok(comparator.equals(' Widget ', 'widget'));
+  assert.ok(comparator.equals('', null));
+  assert.ok(!comparator.equals('Widget', 'Gadget'));
+});
+
+test('a text column compares by the numeric type of the other side', () => {
+  const comparator = createComparators({ columnTypes }).forColumn('price', 'price');
+  assert.equal(comparator.rules.type, 'number');
+  assert.ok(comparator.equals('12.50', '12.5'));
+  assert.ok(comparator.equals('007', 7));
+  assert.ok(!comparator.equals('12.50', '12.51'));
+  assert.ok(comparator.equals('9007199254740993', '9007199254740993'));
+  assert.ok(!comparator.equals('9007199254740993', '9007199254740992'));
+});
+
+test('only plain decimals are read as numbers', () => {
+  const comparator = createComparators({ columnTypes }).forColumn('price', 'price');
+  assert.ok(comparator.equals('.5', '0.50'));
+  assert.ok(comparator.equals('-3.', '-3'));
+  assert.ok(!comparator.equals('0x10', '16'));
+  assert.ok(!comparator.equals('1e3', '1000'));
+  assert.equal(comparator.normalize('1e3', 'old'), '1e3');
+});
+
+test('dates compare across timezones and convert into the new one', () => {
+  const comparators = createComparators({
+    columnTypes,
+    comparators: { columns: { created_at: { old_timezone: '+05:30', new_timezone: '+00:00' } } }
+  });
+  const comparator = comparators.forColumn('created_at', 'created_at');
+  assert.ok(comparator.equals('2024-01-02 05:30:00', '2024-01-02 00:00:00'));
+  assert.ok(!comparator.equals('2024-01-02 00:00:00', '2024-01-02 00:00:00'));
+  assert.equal(comparator.toNewValue('2024-01-02 05:30:00'), '2024-01-02');
+  assert.equal(comparator.toNewValue('2024-01-02 06:00:00'), '2024-01-02 00:30:00');
+  assert.equal(comparator.equalTextMatches, false);
+});
+
+test('enum_map maps old values before comparing', () => {
+  const comparators = createComparators({
+    columnTypes,
+    comparators: { columns: { status: { enum_map: { A: 'active', I: 'inactive' } } } }
+  });
+  const comparator = comparators.forColumn('status', 'status');
+  assert.ok(comparator.equals('A', 'active'));
+  assert.ok(!comparator.equals('A', 'Active'));
+  assert.ok(!comparator.equals('A', 'inactive'));
+  assert.equal(comparator.toNewValue('I'), 'inactive');
+  assert.equal(comparator.equalTextMatches, false);
+});
+
+test('equal raw text matches for columns without a map or timezone shift', () => {
+  const comparators = createComparators({
+    columnTypes,
+    comparators: { columns: { created_at: { old_timezone: 'Z', new_timezone: '+00:00' } } }
+  });
+  assert.equal(comparators.forColumn('name', 'name').equalTextMatches, true);
+  assert.equal(comparators.forColumn('created_at', 'created_at').equalTextMatches, true);
+  assert.equal(comparators.forColumn('status', 'status').equalTextMatches, true);
+});
+
+test('exact overrides win over wildcard ones', () => {
+  const comparators = createComparators({
+    comparators: { columns: { 'a_*': { type: 'number' }, a_code: { type: 'string', case_insensitive: false } } }
+  });
+  assert.equal(comparators.forColumn('a_weight', 'a_weight').rules.type, 'number');
+  const code = comparators.forColumn('a_code', 'a_code');
+  assert.equal(code.rules.type, 'string');
+  assert.ok(!code.equals('AB', 'ab'));
+});
+
+test('unknown types and invalid offsets are rejected', () => {
+  assert.throws(() => createComparators({ comparators: { columns: { x: { type: 'blob' } } } }).forColumn('x', 'x'), /Unknown comparator type "blob"/);
+  assert.throws(() => createComparators({ columnTypes, comparators: { columns: { created_at: { old_timezone: 'CET' } } } }).forColumn('created_at', 'created_at'), /Invalid timezone offset "CET"/);
+});
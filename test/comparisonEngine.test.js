@@ -0,0 +1,171 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildColumnSpecs, joinKeyOf, streamMismatches, toComparable } from '../src/comparisonEngine.js';
+
+// Keys as a case-insensitive MySQL collation with PAD SPACE compares them
+const collate = key => String(key).replace(/ +$/, '').toLowerCase();
+
+// A tenant held in memory: answers the engine's queries from oldRows and
+// newRows and records every query it was sent
+function fakeTenant(oldRows, newRows) {
+  const sent = [];
+  const queries = {
+    joinKey: 'sku_code',
+    selectBatch: (side, names, { afterKey, limit }) => ({ kind: 'batch', side, afterKey, limit }),
+    selectByKeys: (side, names, keys) => ({ kind: 'keys', side, keys })
+  };
+  const connection = {
+    async query(query) {
+      sent.push(query);
+      if (query.kind === 'batch') {
+        return [oldRows.filter(row => query.afterKey === null || row.sku_code > query.afterKey).slice(0, query.limit)];
+      }
+      const keys = new Set(query.keys.map(collate));
+      return [(query.side === 'old' ? oldRows : newRows).filter(row => keys.has(collate(row.sku_code)))];
+    }
+  };
+  return { sent, queries, connection };
+}
+
+const nameSpec = [{ type: 'common', oldColumn: 'name', newColumn: 'name' }];
+
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+}
+
+test('joinKeyOf folds case and trailing spaces only', () => {
+  assert.equal(joinKeyOf('AB-1  '), 'ab-1');
+  assert.equal(joinKeyOf(' ab-1'), ' ab-1');
+  assert.equal(joinKeyOf(12345), '12345');
+});
+
+test('toComparable reduces driver values to strings', () => {
+  assert.equal(toComparable(null), null);
+  assert.equal(toComparable(undefined), null);
+  assert.equal(toComparable(12), '12');
+  assert.equal(toComparable(new Date(Date.UTC(2024, 0, 2))), '2024-01-02T00:00:00.000Z');
+  assert.equal(toComparable(Buffer.from('café')), 'café');
+});
+
+test('buildColumnSpecs lists attribute, category and common columns with their comparators', () => {
+  const specs = buildColumnSpecs({
+    attributeMappings: new Map([['a_color', 'a1']]),
+    categoryMappings: new Map([['c_level1', 'cat1']]),
+    commonColumns: ['name'],
+    comparators: { forColumn: (oldColumn, newColumn) => `${oldColumn}->${newColumn}` }
+  });
+  assert.deepEqual(specs, [
+    { type: 'attribute', oldColumn: 'a1', newColumn: 'a_color', comparator: 'a1->a_color' },
+    { type: 'category', oldColumn: 'cat1', newColumn: 'c_level1', comparator: 'cat1->c_level1' },
+    { type: 'common', oldColumn: 'name', newColumn: 'name', comparator: 'name->name' }
+  ]);
+});
+
+test('the old table is walked in pages after the last key of the previous page', async () => {
+  const rows = [1, 2, 3, 4, 5].map(sku_code => ({ sku_code, name: `item ${sku_code}` }));
+  const tenant = fakeTenant(rows, rows.map(row => ({ ...row, name: row.sku_code === 4 ? 'changed' : row.name })));
+
+  const differences = await collect(streamMismatches(tenant.connection, nameSpec, { queries: tenant.queries, batchSize: 2 }));
+
+  assert.deepEqual(tenant.sent.filter(query => query.kind === 'batch').map(query => query.afterKey), [null, 2, 4]);
+  assert.deepEqual(differences.map(difference => [difference.sku_code, difference.old_value, difference.new_value]), [[4, 'item 4', 'changed']]);
+});
+
+test('a last page as long as the batch is followed by one empty page', async () => {
+  const rows = [1, 2, 3, 4].map(sku_code => ({ sku_code, name: 'x' }));
+  const tenant = fakeTenant(rows, rows);
+
+  await collect(streamMismatches(tenant.connection, nameSpec, { queries: tenant.queries, batchSize: 2 }));
+
+  assert.deepEqual(tenant.sent.filter(query => query.kind === 'batch').map(query => query.afterKey), [null, 2, 4]);
+});
+
+test('SKUs missing in the new table are skipped and only matched rows are counted', async () => {
+  const tenant = fakeTenant(
+    [{ sku_code: 'a', name: 'x' }, { sku_code: 'b', name: 'y' }],
+    [{ sku_code: 'a', name: 'z' }]
+  );
+  let compared = 0;
+
+  const differences = await collect(streamMismatches(tenant.connection, nameSpec, { queries: tenant.queries, onRowsCompared: count => { compared += count; } }));
+
+  assert.deepEqual(differences.map(difference => difference.sku_code), ['a']);
+  assert.equal(compared, 1);
+});
+
+test('new rows found by a key differing in case or trailing spaces are compared', async () => {
+  const tenant = fakeTenant(
+    [{ sku_code: 'ab-1', name: 'x' }, { sku_code: 'cd-2', name: 'y' }],
+    [{ sku_code: 'AB-1  ', name: 'changed' }, { sku_code: 'CD-2', name: 'y' }]
+  );
+  let compared = 0;
+  let unmatched = 0;
+
+  const differences = await collect(streamMismatches(tenant.connection, nameSpec, {
+    queries: tenant.queries,
+    onRowsCompared: count => { compared += count; },
+    onUnmatchedRows: count => { unmatched += count; }
+  }));
+
+  assert.deepEqual(differences.map(difference => [difference.sku_code, difference.new_value]), [['ab-1', 'changed']]);
+  assert.equal(compared, 2);
+  assert.equal(unmatched, 0);
+});
+
+test('new rows no old key matches are counted as unmatched', async () => {
+  const tenant = fakeTenant([{ sku_code: 'a', name: 'x' }], []);
+  // A collation that matches more than case and trailing spaces, e.g. accents
+  tenant.connection.query = async query => query.kind === 'batch'
+    ? [query.afterKey === null ? [{ sku_code: 'é', name: 'x' }] : []]
+    : [[{ sku_code: 'e', name: 'x' }]];
+  let unmatched = 0;
+
+  const differences = await collect(streamMismatches(tenant.connection, nameSpec, { queries: tenant.queries, onUnmatchedRows: count => { unmatched += count; } }));
+
+  assert.deepEqual(differences, []);
+  assert.equal(unmatched, 1);
+});
+
+test('skuCodes restricts the walk to those SKUs, in batches', async () => {
+  const rows = [1, 2, 3].map(sku_code => ({ sku_code, name: 'x' }));
+  const tenant = fakeTenant(rows, rows.map(row => ({ ...row, name: 'y' })));
+
+  const differences = await collect(streamMismatches(tenant.connection, nameSpec, { queries: tenant.queries, batchSize: 1, skuCodes: ['1', '3'] }));
+
+  assert.deepEqual(tenant.sent.filter(query => query.side === 'old').map(query => query.keys), [['1'], ['3']]);
+  assert.deepEqual(differences.map(difference => difference.sku_code), [1, 3]);
+});
+
+test('an empty skuCodes list or no columns sends no query', async () => {
+  const tenant = fakeTenant([{ sku_code: 1, name: 'x' }], []);
+  assert.deepEqual(await collect(streamMismatches(tenant.connection, nameSpec, { queries: tenant.queries, skuCodes: [] })), []);
+  assert.deepEqual(await collect(streamMismatches(tenant.connection, [], { queries: tenant.queries })), []);
+  assert.equal(tenant.sent.length, 0);
+});
+
+test('comparators decide equality; differences carry classification and text diff', async () => {
+  const tenant = fakeTenant(
+    [{ sku_code: 1, name: ' Widget ' }, { sku_code: 2, name: 'Widget' }],
+    [{ sku_code: 1, name: 'widget' }, { sku_code: 2, name: 'Gadget' }]
+  );
+  const specs = [{ ...nameSpec[0], comparator: { equals: (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase() } }];
+
+  const differences = await collect(streamMismatches(tenant.connection, specs, {
+    queries: tenant.queries,
+    classifier: { classify: (difference, newRow) => `changed in ${newRow.sku_code}` },
+    textDiffer: { diff: () => ({ similarity: 0.5 }) }
+  }));
+
+  assert.deepEqual(differences, [{
+    type: 'common',
+    old_column: 'name',
+    new_column: 'name',
+    sku_code: 2,
+    old_value: 'Widget',
+    new_value: 'Gadget',
+    classification: 'changed in 2',
+    similarity: 0.5
+  }]);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { poolConnectionLimit, runWithConcurrency } from '../src/concurrency.js';
+import { environmentProblems, readInteger } from '../src/environment.js';
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('runWithConcurrency keeps at most limit workers in flight', async () => {
+  let running = 0;
+  let most = 0;
+
+  await runWithConcurrency([1, 2, 3, 4, 5], 2, async () => {
+    running++;
+    most = Math.max(most, running);
+    await tick();
+    running--;
+  });
+
+  assert.equal(most, 2);
+});
+
+test('runWithConcurrency returns results in the order of the items', async () => {
+  const results = await runWithConcurrency([30, 10, 20], 3, async (item, index) => {
+    await new Promise(resolve => setTimeout(resolve, item));
+    return `${index}:${item}`;
+  });
+  assert.deepEqual(results, ['0:30', '1:10', '2:20']);
+});
+
+test('runWithConcurrency handles more workers than items and no items', async () => {
+  assert.deepEqual(await runWithConcurrency(['a'], 8, async item => item.toUpperCase()), ['A']);
+  assert.deepEqual(await runWithConcurrency([], 2, async () => assert.fail('no item to run')), []);
+});
+
+test('runWithConcurrency rejects a limit that would run nothing', async () => {
+  for (const limit of [0, -1, 1.5, NaN, '2']) {
+    await assert.rejects(runWithConcurrency([1], limit, async () => {}), /Concurrency limit must be a positive integer/);
+  }
+});
+
+test('runWithConcurrency passes a worker error on', async () => {
+  await assert.rejects(runWithConcurrency([1, 2], 1, async item => {
+    if (item === 2) throw new Error('tenant 2 failed');
+  }), /tenant 2 failed/);
+});
+
+test('the pool has a connection per tenant run at a time, two with parallel checks', () => {
+  assert.equal(poolConnectionLimit({ tenantConcurrency: 4 }), 4);
+  assert.equal(poolConnectionLimit({ tenantConcurrency: 4, parallelChecks: true }), 8);
+  assert.equal(poolConnectionLimit({ poolSize: 3, tenantConcurrency: 4, parallelChecks: true }), 3);
+});
+
+test('readInteger reads integers and falls back when unset or blank', () => {
+  process.env.TEST_INTEGER_SET = '12';
+  process.env.TEST_INTEGER_BLANK = ' ';
+  delete process.env.TEST_INTEGER_UNSET;
+
+  assert.equal(readInteger('TEST_INTEGER_SET', 1), 12);
+  assert.equal(readInteger('TEST_INTEGER_BLANK', 7), 7);
+  assert.equal(readInteger('TEST_INTEGER_UNSET', null), null);
+  assert.deepEqual(environmentProblems().filter(problem => problem.startsWith('TEST_INTEGER_')), []);
+});
+
+test('readInteger records invalid values and returns the fallback', () => {
+  process.env.TEST_INTEGER_TEXT = 'four';
+  process.env.TEST_INTEGER_FRACTION = '2.5';
+  process.env.TEST_INTEGER_ZERO = '0';
+
+  assert.equal(readInteger('TEST_INTEGER_TEXT', 1), 1);
+  assert.equal(readInteger('TEST_INTEGER_FRACTION', 1), 1);
+  assert.equal(readInteger('TEST_INTEGER_ZERO', 5), 5);
+  assert.equal(readInteger('TEST_INTEGER_ZERO', 5, { min: 0 }), 0);
+
+  assert.deepEqual(environmentProblems().filter(problem => problem.startsWith('TEST_INTEGER_')), [
+    'TEST_INTEGER_TEXT must be an integer of at least 1, got "four"',
+    'TEST_INTEGER_FRACTION must be an integer of at least 1, got "2.5"',
+    'TEST_INTEGER_ZERO must be an integer of at least 1, got "0"'
+  ]);
+});
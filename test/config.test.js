@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { DEFAULT_CONFIG_PATH, loadConfig, resolveTenantConfig } from '../src/config.js';
+
+const shipped = JSON.parse(await fs.readFile(DEFAULT_CONFIG_PATH, 'utf8'));
+
+// A minimal valid config; changes are merged over it at the top level
+const baseConfig = {
+  tables: { old: 'old_flat', new: 'new_flat' },
+  join_key: 'sku_code',
+  mapping_groups: { attribute: { a_color: 'a1' }, category: { c_level1: 'cat1' }, common: ['name'] }
+};
+
+// Write the config and any side files into a fresh directory and load it
+async function loadFrom(config, files = {}) {
+  const directory = await fs.mkdtemp(join(tmpdir(), 'verification-config-'));
+  try {
+    for (const [name, content] of Object.entries({ ...files, 'config.json': config })) {
+      await fs.writeFile(join(directory, name), JSON.stringify(content));
+    }
+    return await loadConfig(join(directory, 'config.json'));
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+}
+
+test('the shipped config loads with its column types and allowlist', async () => {
+  const config = await loadConfig(DEFAULT_CONFIG_PATH);
+  assert.equal(config.path, DEFAULT_CONFIG_PATH);
+  assert.deepEqual(config.columnTypes.name, { old_type: 'varchar(255)', new_type: 'varchar(255)' });
+  assert.deepEqual(config.acceptedDifferences, []);
+});
+
+test('the shipped config compares text exactly', () => {
+  for (const type of ['string', 'enum']) {
+    const rules = shipped.comparators.defaults[type];
+    assert.deepEqual([rules.trim, rules.case_insensitive, rules.empty_as_null], [false, false, false]);
+  }
+});
+
+test('a config without side files has no column types and no accepted differences', async () => {
+  const config = await loadFrom(baseConfig);
+  assert.deepEqual(config.columnTypes, {});
+  assert.deepEqual(config.acceptedDifferences, []);
+});
+
+test('every schema problem is listed in one error', async () => {
+  const { join_key: _joinKey, ...config } = { ...baseConfig, unknown_setting: true, tables: { old: 'old flat', new: 'new_flat' } };
+
+  await assert.rejects(loadFrom(config), error => {
+    assert.match(error.message, /^Invalid verification config /);
+    assert.match(error.message, /must have required property 'join_key'/);
+    assert.match(error.message, /unknown setting "unknown_setting"/);
+    assert.match(error.message, /"old flat" is not a valid column or table name/);
+    return true;
+  });
+});
+
+test('a new column mapped in two groups is rejected', async () => {
+  const config = { ...baseConfig, mapping_groups: { attribute: { name: 'a1' }, common: ['name'] } };
+  await assert.rejects(loadFrom(config), /mapping_groups: new column "name" is mapped in both "attribute" and "common"/);
+});
+
+test('an old column mapped twice in a group is rejected', async () => {
+  const config = { ...baseConfig, mapping_groups: { attribute: { a_color: 'a1', a_colour: 'a1' } } };
+  await assert.rejects(loadFrom(config), /mapping_groups: old column "a1" is mapped to both "a_color" and "a_colour" in "attribute"/);
+});
+
+test('mapping problems are checked on each tenant config after merging', async () => {
+  const config = { ...baseConfig, tenant_overrides: { tenant_b: { mapping_groups: { category: { a_color: 'cat2' } } } } };
+  await assert.rejects(loadFrom(config), /tenant_overrides\.tenant_b: new column "a_color" is mapped in both "attribute" and "category"/);
+});
+
+test('tenant overrides merge objects key by key and replace arrays', () => {
+  const config = { ...baseConfig, tenant_overrides: { tenant_b: { mapping_groups: { attribute: { a_size: 'a2' }, common: ['sku_name'] } } } };
+
+  const resolved = resolveTenantConfig(config, 'tenant_b');
+
+  assert.deepEqual(resolved.mapping_groups, { attribute: { a_color: 'a1', a_size: 'a2' }, category: { c_level1: 'cat1' }, common: ['sku_name'] });
+  assert.equal(resolved.tenant_overrides, config.tenant_overrides);
+  assert.equal(resolveTenantConfig(config, 'tenant_c'), config);
+});
+
+test('column types are read from every section', async () => {
+  const config = await loadFrom({ ...baseConfig, column_types: './types.json' }, {
+    'types.json': {
+      common_columns: { name: { old_type: 'varchar(255)', new_type: 'varchar(255)' } },
+      attribute_columns: { a_color: { old_type: 'text', new_type: 'varchar(64)' } }
+    }
+  });
+
+  assert.deepEqual(config.columnTypes, {
+    name: { old_type: 'varchar(255)', new_type: 'varchar(255)' },
+    a_color: { old_type: 'text', new_type: 'varchar(64)' }
+  });
+});
+
+test('column type problems are listed in one error', async () => {
+  const types = {
+    common_columns: { name: { old_type: 'varchar(255)', new_type: 'varchar(255)' }, id: { old_type: 'int' } },
+    category_columns: { name: { old_type: 'text', new_type: 'text' } },
+    extra_columns: {}
+  };
+
+  await assert.rejects(loadFrom({ ...baseConfig, column_types: './types.json' }, { 'types.json': types }), error => {
+    assert.match(error.message, /^Invalid column types file /);
+    assert.match(error.message, /unknown section "extra_columns"/);
+    assert.match(error.message, /common_columns\.id: needs old_type and new_type/);
+    assert.match(error.message, /category_columns\.name: typed differently in another section/);
+    return true;
+  });
+});
+
+test('an unreadable or malformed file names the file', async () => {
+  await assert.rejects(loadConfig(join(tmpdir(), 'no-such-config.json')), /Could not read verification config .*no-such-config\.json/);
+  await assert.rejects(loadFrom({ ...baseConfig, column_types: './missing.json' }), /Could not read column types file .*missing\.json/);
+});
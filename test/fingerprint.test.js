@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findDifferingSkus } from '../src/fingerprint.js';
+
+// Both flat tables as { sku_code, row_hash } rows; the fake database buckets
+// and hashes them the way the query builder's SQL does, and records every
+// query it was sent
+function fakeTenant(tables) {
+  const sent = [];
+  const queries = {
+    bucketChecksums: (side, names, bucketSize, options) => ({ kind: 'buckets', side, bucketSize, options }),
+    rowHashesInRange: (side, names, lowerBound, upperBound) => ({ kind: 'range', side, lowerBound, upperBound }),
+    rowHashesByKeys: (side, names, keys) => ({ kind: 'keys', side, keys })
+  };
+  const connection = {
+    async query(query) {
+      sent.push(query);
+      const rows = tables[query.side];
+      if (query.kind === 'buckets') {
+        const buckets = new Map();
+        for (const row of rows) {
+          const bucket = Math.floor(Number(row.sku_code) / query.bucketSize);
+          buckets.set(bucket, [...(buckets.get(bucket) || []), row.row_hash]);
+        }
+        return [[...buckets].map(([bucket, hashes]) => ({ bucket, row_count: hashes.length, checksum: hashes.sort().join('') }))];
+      }
+      if (query.kind === 'range') {
+        return [rows
+          .filter(row => BigInt(row.sku_code) >= query.lowerBound && BigInt(row.sku_code) < query.upperBound)
+          .map(row => ({ join_key: row.sku_code, row_hash: row.row_hash }))];
+      }
+      return [rows.filter(row => query.keys.includes(String(row.sku_code).trim())).map(row => ({ join_key: row.sku_code, row_hash: row.row_hash }))];
+    }
+  };
+  return { sent, queries, connection };
+}
+
+const specs = [{ type: 'common', oldColumn: 'name', newColumn: 'name' }];
+const rows = (...entries) => entries.map(([sku_code, row_hash]) => ({ sku_code, row_hash }));
+
+test('only the SKUs of differing ranges whose row hashes differ are returned', async () => {
+  const tenant = fakeTenant({
+    old: rows([1, 'a'], [2, 'b'], [11, 'c'], [12, 'd']),
+    new: rows(['1', 'a'], ['2', 'b'], ['11', 'c'], ['12', 'x'])
+  });
+
+  const result = await findDifferingSkus(tenant.connection, specs, { queries: tenant.queries, bucketSize: 10 });
+
+  assert.deepEqual(result, { bucketCount: 2, differingBuckets: 1, differingSkus: ['12'], comparedRows: 4 });
+  // Matching ranges are never read row by row
+  assert.deepEqual(tenant.sent.filter(query => query.kind === 'range').map(query => [query.lowerBound, query.upperBound]), [[10n, 20n]]);
+});
+
+test('the new table buckets its text keys by numeric value', async () => {
+  const tenant = fakeTenant({ old: rows([1, 'a']), new: rows(['1', 'a']) });
+
+  await findDifferingSkus(tenant.connection, specs, { queries: tenant.queries, bucketSize: 10 });
+
+  assert.deepEqual(tenant.sent.filter(query => query.kind === 'buckets').map(query => [query.side, query.options]), [['old', undefined], ['new', { castKey: true }]]);
+});
+
+test('SKUs missing on one side are neither returned nor counted', async () => {
+  const tenant = fakeTenant({
+    old: rows([1, 'a'], [2, 'b']),
+    new: rows(['1', 'a'], ['25', 'z'])
+  });
+
+  const result = await findDifferingSkus(tenant.connection, specs, { queries: tenant.queries, bucketSize: 10 });
+
+  assert.deepEqual(result.differingSkus, []);
+  assert.equal(result.comparedRows, 1);
+  assert.equal(result.differingBuckets, 2);
+  // The range only the new table has is left to the SKU check
+  assert.equal(tenant.sent.filter(query => query.kind === 'range').length, 1);
+});
+
+test('new row hashes are fetched in batches and matched by collated key', async () => {
+  const tenant = fakeTenant({
+    old: rows([1, 'a'], [2, 'b'], [3, 'c']),
+    new: rows(['1 ', 'x'], ['2', 'b'], ['3', 'y'])
+  });
+
+  const result = await findDifferingSkus(tenant.connection, specs, { queries: tenant.queries, bucketSize: 10, batchSize: 2 });
+
+  assert.deepEqual(tenant.sent.filter(query => query.kind === 'keys').map(query => query.keys), [['1', '2'], ['3']]);
+  assert.deepEqual(result.differingSkus, ['1', '3']);
+  assert.equal(result.comparedRows, 3);
+});
+
+test('keys beyond the double range keep exact bucket bounds', async () => {
+  const tenant = fakeTenant({ old: rows(['9007199254740993', 'a']), new: rows(['9007199254740993', 'b']) });
+  tenant.connection.query = async query => {
+    tenant.sent.push(query);
+    if (query.kind === 'buckets') return [[{ bucket: '900719925474099', row_count: 1, checksum: query.side }]];
+    return [[{ join_key: '9007199254740993', row_hash: query.side }]];
+  };
+
+  const result = await findDifferingSkus(tenant.connection, specs, { queries: tenant.queries, bucketSize: 10 });
+
+  const range = tenant.sent.find(query => query.kind === 'range');
+  assert.deepEqual([range.lowerBound, range.upperBound], [9007199254740990n, 9007199254741000n]);
+  assert.deepEqual(result.differingSkus, ['9007199254740993']);
+});
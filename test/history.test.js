@@ -0,0 +1,195 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { HISTORY_FILE, MismatchKeyWriter, compareRuns, loadHistory, parseMismatchKey, previousRun, readKeys, recordRun } from '../src/history.js';
+
+async function withReportsDir(fn) {
+  const reportsDir = await fs.mkdtemp(join(tmpdir(), 'verification-history-'));
+  try {
+    return await fn(reportsDir);
+  } finally {
+    await fs.rm(reportsDir, { recursive: true, force: true });
+  }
+}
+
+// A tenant summary as the report generator keeps it
+function summary(status, checks, { sampling = null } = {}) {
+  return {
+    status,
+    valueMismatchRows: 0,
+    skuMismatches: { missingInNew: 0, missingInOld: 0 },
+    sampling,
+    incremental: null,
+    checks: Object.entries(checks).map(([name, checkStatus]) => ({ name, status: checkStatus }))
+  };
+}
+
+// Record a run and write the mismatch keys of each tenant through the writer
+async function recordRunWithKeys(reportsDir, runId, tenants) {
+  const directory = join(reportsDir, runId);
+  await fs.mkdir(directory, { recursive: true });
+
+  for (const [dbName, { differences = [] }] of Object.entries(tenants)) {
+    const writer = new MismatchKeyWriter(directory, dbName);
+    await writer.open();
+    for (const difference of differences) await writer.writeDifference(difference);
+    await writer.close();
+  }
+
+  return recordRun(reportsDir, {
+    runId,
+    command: 'verify',
+    status: 'failed',
+    tenants: Object.entries(tenants).map(([dbName, { summary: tenantSummary }]) => [dbName, tenantSummary])
+  });
+}
+
+const nameDifference = sku_code => ({ type: 'common', old_column: 'name', new_column: 'name', sku_code });
+
+test('runs are recorded in run id order and a run recorded twice replaces its entry', async () => {
+  await withReportsDir(async reportsDir => {
+    assert.deepEqual(await loadHistory(reportsDir), []);
+
+    await recordRun(reportsDir, { runId: 'run-2', command: 'verify', status: 'passed', tenants: [['tenant_a', summary('passed', { 'sku-codes': 'passed' })]] });
+    await recordRun(reportsDir, { runId: 'run-1', command: 'verify', status: 'failed', tenants: [] });
+    const runs = await recordRun(reportsDir, { runId: 'run-2', command: 'verify', status: 'failed', tenants: [['tenant_a', summary('failed', { 'sku-codes': 'failed' })]] });
+
+    assert.deepEqual(runs.map(run => [run.runId, run.status]), [['run-1', 'failed'], ['run-2', 'failed']]);
+    assert.deepEqual(runs[1].tenants[0].checks, { 'sku-codes': 'failed' });
+    assert.deepEqual(await loadHistory(reportsDir), runs);
+    assert.deepEqual(await fs.readdir(reportsDir), [HISTORY_FILE]);
+  });
+});
+
+test('a history of another schema version is refused', async () => {
+  await withReportsDir(async reportsDir => {
+    await fs.writeFile(join(reportsDir, HISTORY_FILE), JSON.stringify({ schemaVersion: 0, runs: [] }));
+    await assert.rejects(loadHistory(reportsDir), /history.json has schema version 0, expected 1/);
+  });
+});
+
+test('the previous run is the one before the given run, or the last one', () => {
+  const runs = [{ runId: 'run-1' }, { runId: 'run-2' }, { runId: 'run-3' }];
+  assert.equal(previousRun(runs, 'run-3').runId, 'run-2');
+  assert.equal(previousRun(runs, 'run-1'), null);
+  assert.equal(previousRun(runs, null).runId, 'run-3');
+});
+
+test('mismatch keys keep tabs and newlines out of their fields', async () => {
+  await withReportsDir(async reportsDir => {
+    const writer = new MismatchKeyWriter(reportsDir, 'tenant_a');
+    await writer.open();
+    await writer.writeDifference(nameDifference('a\tb'));
+    await writer.writeMissingSkus({ missingInNew: [{ sku_code: 7 }] });
+    const path = await writer.close();
+
+    const keys = [];
+    for await (const key of readKeys(path)) keys.push(parseMismatchKey(key));
+
+    assert.deepEqual(keys, [
+      { check: 'common-column-values', old_column: 'name', new_column: 'name', item: 'a b' },
+      { check: 'sku-codes', old_column: '', new_column: '', item: 'missing in new table: 7' }
+    ]);
+  });
+});
+
+test('mismatches are new, resolved or persisting between two runs', async () => {
+  await withReportsDir(async reportsDir => {
+    await recordRunWithKeys(reportsDir, 'run-1', {
+      tenant_a: { summary: summary('failed', { 'common-column-values': 'failed' }), differences: [1, 2].map(nameDifference) }
+    });
+    const runs = await recordRunWithKeys(reportsDir, 'run-2', {
+      tenant_a: { summary: summary('failed', { 'common-column-values': 'failed' }), differences: [2, 3].map(nameDifference) }
+    });
+
+    const comparison = await compareRuns(reportsDir, runs, 'run-1', 'run-2');
+
+    assert.deepEqual(comparison.totals, { new: 1, resolved: 1, persisting: 1 });
+    assert.equal(comparison.regressed, true);
+    const [counts] = comparison.tenants[0].mismatches;
+    assert.deepEqual(counts.newMismatches.map(mismatch => mismatch.item), ['3']);
+    assert.deepEqual(counts.resolvedMismatches.map(mismatch => mismatch.item), ['1']);
+  });
+});
+
+test('check changes are compared by status; fewer mismatches is no regression', async () => {
+  await withReportsDir(async reportsDir => {
+    await recordRunWithKeys(reportsDir, 'run-1', {
+      tenant_a: { summary: summary('failed', { 'common-column-values': 'failed', schema: 'passed', barcodes: 'passed' }), differences: [nameDifference(1)] }
+    });
+    const runs = await recordRunWithKeys(reportsDir, 'run-2', {
+      tenant_a: { summary: summary('failed', { 'common-column-values': 'passed', schema: 'passed', aggregates: 'failed' }) }
+    });
+
+    const comparison = await compareRuns(reportsDir, runs, 'run-1', 'run-2');
+
+    assert.deepEqual(comparison.tenants[0].checks.map(check => [check.name, check.change]), [
+      ['common-column-values', 'improved'],
+      ['schema', 'unchanged'],
+      ['aggregates', 'added'],
+      ['barcodes', 'removed']
+    ]);
+    assert.equal(comparison.regressed, false);
+  });
+});
+
+test('a check that fails after passing is a regression', async () => {
+  await withReportsDir(async reportsDir => {
+    await recordRunWithKeys(reportsDir, 'run-1', { tenant_a: { summary: summary('passed', { schema: 'passed' }) } });
+    const runs = await recordRunWithKeys(reportsDir, 'run-2', { tenant_a: { summary: summary('error', { schema: 'error' }) } });
+
+    const comparison = await compareRuns(reportsDir, runs, 'run-1', 'run-2');
+
+    assert.equal(comparison.tenants[0].checks[0].change, 'regressed');
+    assert.equal(comparison.regressed, true);
+  });
+});
+
+test('a baseline tenant missing from the current run is a regression', async () => {
+  await withReportsDir(async reportsDir => {
+    await recordRunWithKeys(reportsDir, 'run-1', {
+      tenant_a: { summary: summary('passed', { schema: 'passed' }) },
+      tenant_b: { summary: summary('passed', { schema: 'passed' }) }
+    });
+    const runs = await recordRunWithKeys(reportsDir, 'run-2', { tenant_a: { summary: summary('passed', { schema: 'passed' }) } });
+
+    const comparison = await compareRuns(reportsDir, runs, 'run-1', 'run-2');
+
+    const tenantB = comparison.tenants.find(tenant => tenant.database === 'tenant_b');
+    assert.deepEqual([tenantB.baselineStatus, tenantB.currentStatus, tenantB.missingFromCurrent, tenantB.mismatches], ['passed', null, true, null]);
+    assert.equal(comparison.tenants.find(tenant => tenant.database === 'tenant_a').missingFromCurrent, false);
+    assert.equal(comparison.regressed, true);
+  });
+});
+
+test('a tenant new in the current run is not a regression', async () => {
+  await withReportsDir(async reportsDir => {
+    await recordRunWithKeys(reportsDir, 'run-1', {});
+    const runs = await recordRunWithKeys(reportsDir, 'run-2', { tenant_a: { summary: summary('passed', { schema: 'passed' }) } });
+
+    const comparison = await compareRuns(reportsDir, runs, 'run-1', 'run-2');
+
+    assert.deepEqual(comparison.tenants.map(tenant => [tenant.database, tenant.baselineStatus, tenant.missingFromCurrent]), [['tenant_a', null, false]]);
+    assert.equal(comparison.regressed, false);
+  });
+});
+
+test('mismatches of a sampled run are not compared', async () => {
+  await withReportsDir(async reportsDir => {
+    await recordRunWithKeys(reportsDir, 'run-1', { tenant_a: { summary: summary('failed', {}), differences: [nameDifference(1)] } });
+    const runs = await recordRunWithKeys(reportsDir, 'run-2', {
+      tenant_a: { summary: summary('passed', {}, { sampling: { escalated: false } }), differences: [] }
+    });
+
+    const comparison = await compareRuns(reportsDir, runs, 'run-1', 'run-2');
+
+    assert.equal(comparison.tenants[0].mismatches, null);
+    assert.deepEqual(comparison.totals, { new: 0, resolved: 0, persisting: 0 });
+  });
+});
+
+test('comparing a run that is not recorded fails', async () => {
+  await assert.rejects(compareRuns('/nowhere', [{ runId: 'run-1', tenants: [] }], 'run-1', 'run-9'), /Run run-9 is not in history.json/);
+});
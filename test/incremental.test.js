@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MismatchKeyWriter } from '../src/history.js';
+import { INCREMENTAL_DIRECTORY, IncrementalTracker } from '../src/incremental.js';
+
+async function withReportsDir(fn) {
+  const reportsDir = await fs.mkdtemp(join(tmpdir(), 'verification-incremental-'));
+  try {
+    return await fn(reportsDir);
+  } finally {
+    await fs.rm(reportsDir, { recursive: true, force: true });
+  }
+}
+
+async function openTracker(reportsDir) {
+  const tracker = new IncrementalTracker(reportsDir, 'tenant_a');
+  await tracker.open();
+  return tracker;
+}
+
+// Write the mismatch keys of a run as verify does and return their file
+async function writeRunKeys(reportsDir, runId, { differences = [], missingInNew = [] } = {}) {
+  const directory = join(reportsDir, runId);
+  await fs.mkdir(directory, { recursive: true });
+  const writer = new MismatchKeyWriter(directory, 'tenant_a');
+  await writer.open();
+  for (const difference of differences) await writer.writeDifference(difference);
+  await writer.writeMissingSkus({ missingInNew });
+  return writer.close();
+}
+
+const columnSpecs = [{ type: 'common', oldColumn: 'name', newColumn: 'name' }];
+const nameDifference = sku_code => ({ type: 'common', old_column: 'name', new_column: 'name', sku_code });
+const options = { sides: ['old', 'new'], updatedColumn: 'updated_at' };
+const marks = { old: '2026-10-19 08:00:00', new: '2026-10-19 08:01:00' };
+
+// The results of a run that compared values, full or incremental
+const results = (mode, fields = {}) => ({
+  commonColumnMismatches: [],
+  incremental: { mode, updatedColumn: 'updated_at', highWaterMarks: marks },
+  ...fields
+});
+
+test('without an earlier run every SKU is compared', async () => {
+  await withReportsDir(async reportsDir => {
+    const tracker = await openTracker(reportsDir);
+    assert.deepEqual(tracker.plan(columnSpecs, options), { since: null, skuCodes: [], reason: 'no earlier incremental run' });
+  });
+});
+
+test('after a full run, the changed SKUs and those with open value mismatches are planned', async () => {
+  await withReportsDir(async reportsDir => {
+    const tracker = await openTracker(reportsDir);
+    tracker.plan(columnSpecs, options);
+    const keysPath = await writeRunKeys(reportsDir, 'run-1', { differences: ['7'].map(nameDifference), missingInNew: [{ sku_code: '8' }] });
+
+    const summary = await tracker.commit('run-1', results('full', { commonColumnMismatches: [{ differences: [nameDifference('7')] }] }), keysPath);
+
+    assert.deepEqual(summary, {
+      status: 'failed',
+      checks: { 'common-column-values': 'failed' },
+      openMismatches: { 'common-column-values': 1 },
+      fullRunId: 'run-1',
+      incrementalRuns: 0
+    });
+    assert.deepEqual(await fs.readdir(join(reportsDir, INCREMENTAL_DIRECTORY)), ['tenant_a.json', 'tenant_a.open-keys.txt']);
+
+    const next = await openTracker(reportsDir);
+    assert.deepEqual(next.plan(columnSpecs, options), { since: marks, skuCodes: ['7'], sinceRunId: 'run-1', reason: null });
+  });
+});
+
+test('an incremental run replaces the open mismatches of the checks it ran', async () => {
+  await withReportsDir(async reportsDir => {
+    const first = await openTracker(reportsDir);
+    first.plan(columnSpecs, options);
+    await first.commit('run-1', results('full'), await writeRunKeys(reportsDir, 'run-1', { differences: ['7', '9'].map(nameDifference) }));
+
+    const second = await openTracker(reportsDir);
+    second.plan(columnSpecs, options);
+    const summary = await second.commit('run-2', results('incremental'), await writeRunKeys(reportsDir, 'run-2', { differences: [nameDifference('9')] }));
+
+    assert.deepEqual([summary.fullRunId, summary.incrementalRuns, summary.openMismatches], ['run-1', 1, { 'common-column-values': 1 }]);
+    const third = await openTracker(reportsDir);
+    assert.deepEqual(third.plan(columnSpecs, options).skuCodes, ['9']);
+  });
+});
+
+test('other columns, or a table without a high-water mark, start over with a full run', async () => {
+  await withReportsDir(async reportsDir => {
+    const tracker = await openTracker(reportsDir);
+    tracker.plan(columnSpecs, options);
+    await tracker.commit('run-1', results('full', { incremental: { mode: 'full', updatedColumn: 'updated_at', highWaterMarks: { old: marks.old } } }), await writeRunKeys(reportsDir, 'run-1'));
+
+    const next = await openTracker(reportsDir);
+    assert.equal(next.plan([...columnSpecs, { type: 'common', oldColumn: 'brand', newColumn: 'brand' }], options).reason, 'the compared columns changed since the last run');
+    assert.equal(next.plan(columnSpecs, options).reason, 'no high-water mark of the new table yet');
+    assert.equal(next.plan(columnSpecs, { sides: [], updatedColumn: 'updated_at' }).reason, 'updated_at missing in both tables');
+    assert.equal(next.plan(columnSpecs, { sides: ['old'], updatedColumn: 'updated_at' }).reason, null);
+  });
+});
+
+test('a failed run, or one that compared no values, leaves the state as it was', async () => {
+  await withReportsDir(async reportsDir => {
+    const tracker = await openTracker(reportsDir);
+    tracker.plan(columnSpecs, options);
+
+    assert.equal(await tracker.commit('run-1', { error: 'Connection lost' }, null), null);
+    assert.equal(await tracker.commit('run-1', { commonColumnMismatches: [] }, null), null);
+    assert.deepEqual(await fs.readdir(join(reportsDir, INCREMENTAL_DIRECTORY)), []);
+  });
+});
+
+test('a state file of another schema version is refused', async () => {
+  await withReportsDir(async reportsDir => {
+    await fs.mkdir(join(reportsDir, INCREMENTAL_DIRECTORY));
+    await fs.writeFile(join(reportsDir, INCREMENTAL_DIRECTORY, 'tenant_a.json'), JSON.stringify({ schemaVersion: 0 }));
+
+    await assert.rejects(openTracker(reportsDir), /tenant_a\.json has schema version 0, expected 1/);
+  });
+});
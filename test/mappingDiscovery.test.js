@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffMappings, discoverAttributeMappings, normalizeAttributeName } from '../src/mappingDiscovery.js';
+
+// Answers the two attribute base table queries in the order they are sent
+function fakeConnection(oldAttributes, newAttributes) {
+  const answers = [oldAttributes, newAttributes];
+  return { query: async () => [answers.shift()] };
+}
+
+test('attribute names normalize to lowercase words joined by underscores', () => {
+  assert.equal(normalizeAttributeName(' Description 1 '), 'description_1');
+  assert.equal(normalizeAttributeName('UDF-Num / 2'), 'udf_num_2');
+  assert.equal(normalizeAttributeName(null), '');
+});
+
+test('new attributes map to old ones by name or code', async () => {
+  const connection = fakeConnection(
+    [{ id: 1, name: 'Color' }, { id: 2, name: 'Size' }, { id: 3, name: 'Legacy' }],
+    [
+      { id: 10, name: 'Colour', code: 'color', flat_table_index: 4 },
+      { id: 11, name: 'Size', code: 'sz', flat_table_index: 7 },
+      { id: 12, name: 'Weight', code: 'weight', flat_table_index: 8 },
+      { id: 13, name: 'Size', code: 'size2', flat_table_index: null }
+    ]
+  );
+
+  const discovered = await discoverAttributeMappings(connection);
+
+  assert.deepEqual([...discovered.mappings], [['a4', 'a_color'], ['a7', 'a_size']]);
+  assert.deepEqual(discovered.onlyInOld, [{ id: 3, name: 'Legacy', expected_column: 'a_legacy' }]);
+  assert.deepEqual(discovered.onlyInNew.map(attribute => attribute.id), [12, 13]);
+  assert.deepEqual(discovered.duplicates, [{ table: 'im_attributes', field: 'name', value: 'size', ids: '11, 13' }]);
+});
+
+test('attributes sharing a flat table index keep the first mapping and are listed', async () => {
+  const connection = fakeConnection(
+    [{ id: 1, name: 'Color' }, { id: 2, name: 'Size' }],
+    [{ id: 10, name: 'Color', code: null, flat_table_index: 4 }, { id: 11, name: 'Size', code: null, flat_table_index: 4 }]
+  );
+
+  const discovered = await discoverAttributeMappings(connection);
+
+  assert.deepEqual([...discovered.mappings], [['a4', 'a_color']]);
+  assert.deepEqual(discovered.duplicates, [{ table: 'im_attributes', field: 'flat_table_index', value: '4', ids: '10, 11' }]);
+});
+
+test('diffMappings sorts configured and discovered mappings into four lists', () => {
+  const diff = diffMappings(
+    new Map([['a1', 'a_color'], ['a2', 'a_size'], ['a3', 'a_weight']]),
+    new Map([['a1', 'a_color'], ['a2', 'a_length'], ['a4', 'a_width']])
+  );
+
+  assert.deepEqual(diff, {
+    matching: [{ new_column: 'a1', old_column: 'a_color' }],
+    differing: [{ new_column: 'a2', static_old_column: 'a_size', discovered_old_column: 'a_length' }],
+    onlyInStatic: [{ new_column: 'a3', old_column: 'a_weight' }],
+    onlyInDiscovered: [{ new_column: 'a4', old_column: 'a_width' }]
+  });
+});
+
+test('diffMappings leaves out mappings with an ignored old or new column', () => {
+  const diff = diffMappings(
+    new Map([['a1', 'brand_name'], ['a2', 'department_name'], ['a3', 'a_color']]),
+    new Map([['a1', 'a_brand'], ['a3', 'a_color'], ['a9', 'a_internal']]),
+    { old: ['brand_name', 'department_name'], new: ['a9'] }
+  );
+
+  assert.deepEqual(diff, {
+    matching: [{ new_column: 'a3', old_column: 'a_color' }],
+    differing: [],
+    onlyInStatic: [],
+    onlyInDiscovered: []
+  });
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMismatchClassifier, describeClassifications } from '../src/mismatchClassifier.js';
+import { createComparators } from '../src/comparators.js';
+
+const columnSpecs = [
+  { type: 'common', oldColumn: 'name', newColumn: 'name' },
+  { type: 'common', oldColumn: 'title', newColumn: 'title' },
+  { type: 'common', oldColumn: 'status', newColumn: 'status' }
+];
+const columnTypes = {
+  name: { old_type: 'varchar(255)', new_type: 'varchar(10)' },
+  status: { old_type: "enum('A','I')", new_type: "enum('active','inactive')" }
+};
+const { classify } = createMismatchClassifier(columnSpecs, { columnTypes });
+
+const classifyValues = (oldValue, newValue, { column = 'name', newRow } = {}) =>
+  classify({ old_column: column, new_column: column, old_value: oldValue, new_value: newValue }, newRow);
+
+test('NULL against empty or blank text', () => {
+  assert.equal(classifyValues(null, ''), 'null-vs-empty');
+  assert.equal(classifyValues('  ', null), 'null-vs-empty');
+  assert.equal(classifyValues(null, 'x'), 'changed');
+});
+
+test('whitespace and case differences', () => {
+  assert.equal(classifyValues('red  shoe ', 'red shoe'), 'whitespace');
+  assert.equal(classifyValues('Red Shoe', 'red shoe'), 'case');
+});
+
+test('numbers and dates written differently', () => {
+  assert.equal(classifyValues('1,234.50', '1234.5'), 'numeric-format');
+  assert.equal(classifyValues('2024-01-02', '2024-01-02 00:00:00'), 'date-format');
+  assert.equal(classifyValues('2024-01-02 10:00:00', '2024-01-02 04:30:00'), 'timezone-shift');
+  assert.equal(classifyValues('2024-01-02 10:00:00', '2024-01-02 04:31:00'), 'changed');
+});
+
+test('mojibake and characters lost to ?', () => {
+  assert.equal(classifyValues('café', 'cafÃ©'), 'encoding');
+  assert.equal(classifyValues('café', 'caf?'), 'encoding');
+  assert.equal(classifyValues('café', 'caf\uFFFD'), 'encoding');
+});
+
+test('values cut to the new column length', () => {
+  assert.equal(classifyValues('Long product name', 'Long produ'), 'truncation');
+  assert.equal(classifyValues('Long product name', 'Long prod'), 'changed');
+});
+
+test('a value found in another mapped column of the new row', () => {
+  assert.equal(classifyValues('Widget', 'Other', { newRow: { name: 'Other', title: 'Widget' } }), 'moved-column');
+});
+
+test('enum columns that changed value', () => {
+  assert.equal(classifyValues('A', 'active', { column: 'status' }), 'enum-remap');
+});
+
+test('anything else is a genuine change', () => {
+  assert.equal(classifyValues('Widget', 'Gadget'), 'changed');
+});
+
+test('describeClassifications lists the largest counts first', () => {
+  assert.equal(describeClassifications({ whitespace: 10, case: 30, changed: 1 }), 'case 30, whitespace 10, changed 1');
+  assert.equal(describeClassifications(), '');
+});
+
+test('whitespace and case differences reach the classifier unless a column normalizes them', () => {
+  const comparators = createComparators({ comparators: { columns: { title: { trim: true, case_insensitive: true } } } });
+
+  assert.equal(comparators.forColumn('name', 'name').equals('Red Shoe ', 'red shoe'), false);
+  assert.equal(classifyValues('Red Shoe', 'red shoe'), 'case');
+  assert.equal(comparators.forColumn('title', 'title').equals('Red Shoe ', 'red shoe'), true);
+});
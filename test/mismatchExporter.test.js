@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import ExcelJS from 'exceljs';
+import MismatchExporter from '../src/mismatchExporter.js';
+
+// Export one tenant's mismatches into a fresh directory and hand the
+// directory and the files written to check
+async function exportTenant(formats, write, check) {
+  const directory = await fs.mkdtemp(join(tmpdir(), 'verification-export-'));
+  try {
+    const exporter = new MismatchExporter(directory, 'tenant_a', formats);
+    await exporter.open();
+    await write(exporter);
+    await check(await exporter.close(), directory, exporter);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+}
+
+const difference = {
+  type: 'common',
+  old_column: 'name',
+  new_column: 'name',
+  sku_code: 1001,
+  old_value: 'Widget, "large"',
+  new_value: 'Widget large ',
+  classification: 'whitespace-only'
+};
+
+test('unknown formats are dropped and no format disables the exporter', () => {
+  assert.deepEqual(new MismatchExporter('/tmp', 'tenant_a', ['csv', 'pdf']).formats, ['csv']);
+  assert.equal(new MismatchExporter('/tmp', 'tenant_a', []).enabled, false);
+});
+
+test('the CSV quotes what needs it and tells NULL from empty text', async () => {
+  await exportTenant(['csv'], async exporter => {
+    await exporter.writeDifference(difference);
+    await exporter.writeDifference({ ...difference, sku_code: '1002', old_value: null, new_value: '', classification: undefined });
+    await exporter.writeDifference({ ...difference, sku_code: '1003', old_value: new Date(Date.UTC(2024, 0, 2)), new_value: 'a\nb' });
+  }, async files => {
+    assert.equal(files.length, 1);
+    assert.match(files[0], /tenant_a\.mismatches\.csv$/);
+    assert.equal(await fs.readFile(files[0], 'utf8'), [
+      'sku_code,column_type,old_column,new_column,old_value,new_value,mismatch_category,similarity,diff',
+      '1001,common,name,name,"Widget, ""large""","Widget large ",whitespace-only,,',
+      '1002,common,name,name,,"",changed,,',
+      '1003,common,name,name,2024-01-02T00:00:00.000Z,"a\nb",whitespace-only,,',
+      ''
+    ].join('\n'));
+  });
+});
+
+test('missing SKUs and lifecycle mismatches are rows of their own', async () => {
+  await exportTenant(['csv'], async exporter => {
+    await exporter.writeMissingSkus({
+      missingInNew: [{ sku_code: 1, name: 'Old only' }],
+      missingInOld: [{ sku_code: '2', name: 'New only' }],
+      lifecycle: { mismatches: [{ sku_code: 3, old_state: 'active', new_state: 'deleted', lifecycle: 'active in old, deleted in new' }] }
+    });
+  }, async ([csvPath], directory, exporter) => {
+    assert.equal(exporter.rowCount, 3);
+    assert.deepEqual((await fs.readFile(csvPath, 'utf8')).split('\n').slice(1, 4), [
+      '1,sku,name,,Old only,,missing in new table,,',
+      '2,sku,,name,,New only,missing in old table,,',
+      '3,sku,lifecycle,lifecycle,active,deleted,"active in old, deleted in new",,'
+    ]);
+  });
+});
+
+test('the workbook has a sheet per check and the spool files are removed', async () => {
+  await exportTenant(['xlsx'], async exporter => {
+    await exporter.writeDifference(difference);
+    await exporter.writeDifference({ ...difference, type: 'attribute', old_column: 'a1', new_column: 'a_color', sku_code: 7 });
+    await exporter.writeMissingSkus({ missingInNew: [{ sku_code: 8, name: 'Old only' }] });
+  }, async ([xlsxPath], directory) => {
+    assert.deepEqual(await fs.readdir(directory), ['tenant_a.mismatches.xlsx']);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(xlsxPath);
+
+    assert.deepEqual(workbook.worksheets.map(sheet => sheet.name), ['Attributes', 'Categories', 'Common Columns', 'Missing In New', 'Missing In Old', 'Lifecycle Status']);
+    const rowsOf = name => workbook.getWorksheet(name).getSheetValues().slice(1).map(row => row.slice(1));
+    assert.deepEqual(rowsOf('Attributes')[1].slice(0, 4), ['7', 'attribute', 'a1', 'a_color']);
+    assert.deepEqual(rowsOf('Common Columns')[1].slice(4, 7), ['Widget, "large"', 'Widget large ', 'whitespace-only']);
+    assert.deepEqual(rowsOf('Missing In New')[1].slice(0, 2), ['8', 'sku']);
+    assert.equal(rowsOf('Categories').length, 1);
+    assert.equal(workbook.getWorksheet('Attributes').autoFilter, 'A1:I1');
+  });
+});
@@ -0,0 +1,186 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createQueryBuilder, quoteIdentifier } from '../src/queryBuilder.js';
+
+const columns = {
+  old: ['sku_code', 'name', 'a1', 'status', 'deleted_at', 'updated_at', 'brand'],
+  new: ['SKU_CODE', 'name', 'a_color', 'brand_id', 'brand', 'updated_at', 'barcodes']
+};
+
+const builder = (options = {}) => createQueryBuilder({
+  tables: { old: 'old_flat', new: 'new_flat' },
+  joinKey: 'sku_code',
+  columns,
+  lookups: { brands: ['id', 'name', 'code'] },
+  ...options
+});
+
+// The generated SQL on one line, for comparing
+const squash = ({ sql, values }) => ({ sql: sql.replace(/\s+/g, ' ').trim(), values });
+
+test('identifiers are quoted, and anything but a plain name is rejected', () => {
+  assert.equal(quoteIdentifier('a_udfnum$1'), '`a_udfnum$1`');
+  for (const name of ['name`; DROP TABLE x; --', 'a b', 'old.name', '', null, 12]) {
+    assert.throws(() => quoteIdentifier(name), /Invalid identifier/);
+  }
+});
+
+test('tables must be plain names that have columns', () => {
+  assert.throws(() => builder({ tables: { old: 'old flat', new: 'new_flat' } }), /Invalid identifier "old flat"/);
+  assert.throws(() => builder({ columns: { old: columns.old, new: [] } }), /Table new_flat does not exist or has no columns/);
+});
+
+test('columns a table does not have are rejected before any SQL is built', () => {
+  const queries = builder();
+  assert.throws(() => queries.selectBatch('new', ['a1'], { limit: 10 }), /Unknown column a1 in new_flat/);
+  assert.throws(() => queries.selectBatch('old', ['name`, `x'], { limit: 10 }), /Invalid identifier/);
+  assert.throws(() => queries.aggregates('old', [{ kind: 'sum', column: 'price' }]), /Unknown column price in old_flat/);
+  assert.throws(() => queries.unresolvedReferences('brand_id', 'brand', { table: 'vendors', idColumn: 'id', valueColumn: 'name' }), /Table vendors does not exist/);
+  assert.ok(queries.has('new', 'sku_code'));
+  assert.ok(queries.hasLookup('brands', 'CODE'));
+});
+
+test('selectBatch pages by join key, with the join key selected once and first', () => {
+  const queries = builder();
+
+  assert.deepEqual(squash(queries.selectBatch('old', ['name', 'sku_code'], { limit: 500 })), {
+    sql: 'SELECT `sku_code`, `name` FROM `old_flat` WHERE `sku_code` IS NOT NULL ORDER BY `sku_code` LIMIT ?',
+    values: [500]
+  });
+  assert.deepEqual(squash(queries.selectBatch('old', ['name'], { afterKey: 'AB-1', limit: 500 })), {
+    sql: 'SELECT `sku_code`, `name` FROM `old_flat` WHERE `sku_code` IS NOT NULL AND `sku_code` > ? ORDER BY `sku_code` LIMIT ?',
+    values: ['AB-1', 500]
+  });
+});
+
+test('selectBatch inlines the last key of an integer join key exactly', () => {
+  const queries = builder({ keyTypes: { old: 'bigint', new: 'varchar' } });
+
+  assert.deepEqual(squash(queries.selectBatch('old', ['name'], { afterKey: '9007199254740993', limit: 2 })), {
+    sql: 'SELECT `sku_code`, `name` FROM `old_flat` WHERE `sku_code` IS NOT NULL AND `sku_code` > 9007199254740993 ORDER BY `sku_code` LIMIT ?',
+    values: [2]
+  });
+  assert.throws(() => queries.selectBatch('old', ['name'], { afterKey: '1 OR 1', limit: 2 }), /Last key must be an integer/);
+  assert.deepEqual(queries.selectBatch('new', ['name'], { afterKey: '12', limit: 2 }).values, ['12', 2]);
+});
+
+test('selectByKeys passes the keys as one list', () => {
+  assert.deepEqual(squash(builder().selectByKeys('new', ['name'], ['1', '2'], { ordered: true })), {
+    sql: 'SELECT `sku_code`, `name` FROM `new_flat` WHERE `sku_code` IN (?) ORDER BY `sku_code`',
+    values: [['1', '2']]
+  });
+});
+
+test('missingKeys anti-joins the other table', () => {
+  assert.deepEqual(squash(builder().missingKeys('old', ['name'])), {
+    sql: 'SELECT s.`sku_code` AS `sku_code`, s.`name` FROM `old_flat` s LEFT JOIN `new_flat` o ON s.`sku_code` = o.`sku_code` WHERE o.`sku_code` IS NULL',
+    values: []
+  });
+});
+
+test('missingKeys with a lifecycle lists the state and keeps rows in scope', () => {
+  const lifecycle = {
+    deletedColumn: { old: 'deleted_at', new: null },
+    statusColumn: { old: 'status', new: null },
+    activeValue: 'A',
+    deletedBefore: '2026-01-01',
+    states: ['live', 'inactive']
+  };
+
+  assert.deepEqual(squash(builder().missingKeys('old', [], lifecycle)), {
+    sql: "SELECT s.`sku_code` AS `sku_code`, CASE WHEN s.`deleted_at` IS NOT NULL THEN 'deleted' WHEN s.`status` = ? THEN 'live' ELSE 'inactive' END AS lifecycle_state"
+      + ' FROM `old_flat` s LEFT JOIN `new_flat` o ON s.`sku_code` = o.`sku_code` WHERE o.`sku_code` IS NULL'
+      + " AND (s.`deleted_at` IS NULL OR s.`deleted_at` >= ?) AND CASE WHEN s.`deleted_at` IS NOT NULL THEN 'deleted' WHEN s.`status` = ? THEN 'live' ELSE 'inactive' END IN (?)",
+    values: ['A', '2026-01-01', 'A', ['live', 'inactive']]
+  });
+});
+
+test('bucketChecksums groups by key range, casting text keys when asked', () => {
+  const hash = 'MD5(CONCAT_WS(CHAR(31), IFNULL(CAST(t.`sku_code` AS CHAR), CHAR(0)), IFNULL(CAST(t.`name` AS CHAR), CHAR(0))))';
+
+  assert.deepEqual(squash(builder().bucketChecksums('new', ['name'], 1000, { castKey: true })), {
+    sql: `SELECT CAST(t.\`sku_code\` AS UNSIGNED) DIV ? AS bucket, COUNT(*) AS row_count, BIT_XOR(CAST(CONV(LEFT(${hash}, 16), 16, 10) AS UNSIGNED)) AS checksum`
+      + ' FROM `new_flat` t WHERE t.`sku_code` IS NOT NULL GROUP BY bucket',
+    values: [1000]
+  });
+  assert.throws(() => builder().bucketChecksums('new', ['name'], '1000'), /Bucket size must be an integer/);
+});
+
+test('rowHashesInRange inlines exact integer bounds', () => {
+  const { sql, values } = squash(builder().rowHashesInRange('old', ['name'], 9007199254740990n, 9007199254741000n));
+
+  assert.match(sql, /WHERE t\.`sku_code` >= 9007199254740990 AND t\.`sku_code` < 9007199254741000 ORDER BY t\.`sku_code`$/);
+  assert.deepEqual(values, []);
+  assert.throws(() => builder().rowHashesInRange('old', ['name'], '0; DROP TABLE x', 10), /Lower bound must be an integer/);
+});
+
+test('sampleKeys draws matched keys at random, repeatably or latest first', () => {
+  const queries = builder();
+  const from = 'FROM `old_flat` o JOIN `new_flat` t ON o.`sku_code` = t.`sku_code`';
+
+  assert.deepEqual(squash(queries.sampleKeys({ limit: 100 })), {
+    sql: `SELECT o.\`sku_code\` AS \`sku_code\` ${from} WHERE TRUE ORDER BY RAND() LIMIT ?`,
+    values: [100]
+  });
+  assert.deepEqual(squash(queries.sampleKeys({ limit: 100, seed: 7, stratifyBy: 'brand', stratum: null })), {
+    sql: `SELECT o.\`sku_code\` AS \`sku_code\` ${from} WHERE o.\`brand\` <=> ? ORDER BY RAND(?) LIMIT ?`,
+    values: [null, 7, 100]
+  });
+  assert.equal(squash(queries.sampleKeys({ limit: 5, recent: { side: 'new', column: 'updated_at' } })).sql,
+    `SELECT o.\`sku_code\` AS \`sku_code\` ${from} WHERE TRUE ORDER BY t.\`updated_at\` DESC LIMIT ?`);
+  assert.throws(() => queries.sampleKeys({ limit: 5, seed: 'x' }), /Sample seed must be an integer/);
+});
+
+test('changedKeys unions one select per side with its high-water mark', () => {
+  const { sql, values } = squash(builder().changedKeys('updated_at', { old: '2026-10-01 00:00:00', new: '2026-10-02 00:00:00' }, { lookbackMinutes: 5 }));
+
+  assert.equal(sql, [
+    'SELECT o.`sku_code` AS `sku_code` FROM `old_flat` o JOIN `new_flat` t ON o.`sku_code` = t.`sku_code` WHERE o.`updated_at` >= ? - INTERVAL ? MINUTE',
+    'UNION',
+    'SELECT o.`sku_code` AS `sku_code` FROM `old_flat` o JOIN `new_flat` t ON o.`sku_code` = t.`sku_code` WHERE t.`updated_at` >= ? - INTERVAL ? MINUTE'
+  ].join(' '));
+  assert.deepEqual(values, ['2026-10-01 00:00:00', 5, '2026-10-02 00:00:00', 5]);
+  assert.throws(() => builder().changedKeys('updated_at', {}, { lookbackMinutes: 1.5 }), /Lookback must be an integer/);
+});
+
+test('aggregates builds one column per metric with placeholders for values', () => {
+  assert.deepEqual(squash(builder().aggregates('old', [
+    { kind: 'rows' },
+    { kind: 'equal', column: 'status', value: 'A' },
+    { kind: 'not-null', column: 'name' },
+    { kind: 'sum', column: 'a1' },
+    { kind: 'distinct', column: 'brand' }
+  ])), {
+    sql: "SELECT COUNT(*) AS m0, COUNT(CASE WHEN `status` = ? THEN 1 END) AS m1, COUNT(`name`) AS m2,"
+      + " SUM(CAST(NULLIF(TRIM(`a1`), '') AS DECIMAL(65, 10))) AS m3, COUNT(DISTINCT NULLIF(TRIM(`brand`), '')) AS m4 FROM `old_flat`",
+    values: ['A']
+  });
+  assert.throws(() => builder().aggregates('old', [{ kind: 'median', column: 'a1' }]), /Unknown aggregate median/);
+});
+
+test('reference queries count or list, ordered by join key', () => {
+  const lookup = { table: 'brands', idColumn: 'id', valueColumn: 'name' };
+  const queries = builder();
+
+  const counted = squash(queries.unresolvedReferences('brand_id', 'brand', lookup, { countOnly: true }));
+  assert.match(counted.sql, /^SELECT COUNT\(\*\) AS count FROM `new_flat` t LEFT JOIN `brands` l ON l\.`id` = t\.`brand_id` WHERE /);
+  assert.deepEqual(counted.values, []);
+
+  const listed = squash(queries.unresolvedReferences('brand_id', 'brand', lookup, { limit: 50 }));
+  assert.match(listed.sql, /ORDER BY t\.`sku_code` LIMIT \?$/);
+  assert.deepEqual(listed.values, [50]);
+});
+
+test('sharedBarcodes groups the JSON array items by barcode, counting or listing', () => {
+  const queries = builder();
+
+  const listed = squash(queries.sharedBarcodes('barcodes', { limit: 20 }));
+  assert.match(listed.sql, /JOIN JSON_TABLE\( IF\(JSON_VALID\(t\.`barcodes`\) AND JSON_TYPE\(t\.`barcodes`\) = 'ARRAY', t\.`barcodes`, NULL\), '\$\[\*\]' COLUMNS \(item JSON PATH '\$'\) \) j/);
+  assert.match(listed.sql, /GROUP BY b\.barcode HAVING COUNT\(DISTINCT b\.sku_code\) > 1 ORDER BY sku_count DESC, b\.barcode LIMIT \?$/);
+  assert.deepEqual(listed.values, [20]);
+
+  const counted = squash(queries.sharedBarcodes('barcodes', { countOnly: true }));
+  assert.match(counted.sql, /^SELECT COUNT\(\*\) AS count FROM \( SELECT b\.barcode/);
+  assert.deepEqual(counted.values, []);
+  assert.throws(() => queries.sharedBarcodes('medias'), /Unknown column medias in new_flat/);
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_REFERENTIAL_SETTINGS, resolveReferentialSettings, verifyReferences } from '../src/referentialChecks.js';
+
+// Queries that describe themselves, answered from problems keyed by query
+// name and id column; columns lists what each table has
+function fakeTenant({ columns, lookups, problems = {} }) {
+  const sent = [];
+  const describe = name => (column, ...rest) => {
+    const { countOnly = false, limit = null } = rest.at(-1) || {};
+    return { name, column, args: rest.slice(0, -1), countOnly, limit };
+  };
+  const queries = {
+    joinKey: 'sku_code',
+    tables: { old: 'old_flat', new: 'new_flat' },
+    has: (side, name) => columns[side].includes(name),
+    hasLookup: (table, name) => Boolean(lookups[table]) && (name === undefined || lookups[table].includes(name)),
+    unresolvedReferences: describe('unresolvedReferences'),
+    unmappedCodes: describe('unmappedCodes')
+  };
+  const connection = {
+    async query(query) {
+      sent.push(query);
+      const rows = problems[`${query.name} ${query.args[0]}`] || [];
+      return [query.countOnly ? [{ count: rows.length }] : rows.slice(0, query.limit)];
+    }
+  };
+  return { sent, queries, connection };
+}
+
+const columnSpecs = [
+  { type: 'attribute', oldColumn: 'a1', newColumn: 'a_color' },
+  { type: 'attribute', oldColumn: 'a2', newColumn: 'a_size2' },
+  { type: 'attribute', oldColumn: 'a3', newColumn: 'a_fit' },
+  { type: 'category', oldColumn: 'cat1', newColumn: 'c_level1' },
+  { type: 'common', oldColumn: 'name', newColumn: 'name' }
+];
+
+test('settings are merged over the defaults per lookup table', () => {
+  const settings = resolveReferentialSettings({ categories: { table: 'categories', code_column: null } });
+
+  assert.deepEqual(settings.attribute_values, DEFAULT_REFERENTIAL_SETTINGS.attribute_values);
+  assert.deepEqual(settings.categories, { ...DEFAULT_REFERENTIAL_SETTINGS.categories, table: 'categories', code_column: null });
+  assert.deepEqual(resolveReferentialSettings(), DEFAULT_REFERENTIAL_SETTINGS);
+});
+
+test('every attribute column with an id column is checked; the others are skipped', async () => {
+  const { sent, queries, connection } = fakeTenant({
+    columns: { old: [], new: ['a_color', 'a_id2', 'a_size2'] },
+    lookups: { im_attribute_values: ['id', 'value'] },
+    problems: { 'unresolvedReferences a_size2': [{ sku_code: '7', id: 9, value: 'XL', resolved: null, problem: 'orphaned id' }] }
+  });
+
+  const result = await verifyReferences(connection, queries, columnSpecs, 'attribute', {}, { maxListed: 10 });
+
+  assert.deepEqual(result, {
+    lookup: 'im_attribute_values',
+    columnsChecked: 1,
+    count: 1,
+    findings: [{
+      check: 'attribute-id',
+      id_column: 'a_id2',
+      value_column: 'a_size2',
+      count: 1,
+      items: [{ sku_code: '7', id: 9, value: 'XL', resolved: null, problem: 'orphaned id' }]
+    }],
+    skipped: [{ column: 'a_color', reason: 'no id column' }, { column: 'a_fit', reason: 'no id column' }]
+  });
+  assert.deepEqual(sent.map(query => [query.column, query.args[0], query.countOnly]), [['a_id2', 'a_size2', true], ['a_id2', 'a_size2', false]]);
+});
+
+test('an id column the new table lacks is skipped with the reason', async () => {
+  const { queries, connection } = fakeTenant({ columns: { old: [], new: [] }, lookups: { im_attribute_values: ['id', 'value'] } });
+
+  const result = await verifyReferences(connection, queries, columnSpecs.slice(1, 2), 'attribute', {});
+
+  assert.deepEqual(result.skipped, [{ column: 'a_size2', reason: 'a_id2 missing in new_flat' }]);
+  assert.equal(result.columnsChecked, 0);
+});
+
+test('categories also check the old code column, through the code lookup when there is one', async () => {
+  const { sent, queries, connection } = fakeTenant({
+    columns: { old: ['cat_code_1'], new: ['category_id1'] },
+    lookups: { im_categories: ['id', 'name', 'code'] },
+    problems: { 'unmappedCodes category_id1': [{ sku_code: '3', old_code: 'SHOE', id: 4, resolved: 'BOOT', problem: 'code mismatch' }] }
+  });
+
+  const result = await verifyReferences(connection, queries, columnSpecs, 'category', {}, { maxListed: 10 });
+
+  assert.deepEqual(result.findings.map(finding => [finding.check, finding.id_column, finding.value_column, finding.count]), [
+    ['category-code', 'category_id1', 'cat_code_1', 1]
+  ]);
+  const unmapped = sent.find(query => query.name === 'unmappedCodes');
+  assert.deepEqual(unmapped.args[1], { table: 'im_categories', idColumn: 'id', codeColumn: 'code' });
+  assert.deepEqual(sent.find(query => query.name === 'unresolvedReferences').args[1], { table: 'im_categories', idColumn: 'id', valueColumn: 'name' });
+});
+
+test('without a code column in the lookup, old codes are compared to the ids directly', async () => {
+  const { sent, queries, connection } = fakeTenant({
+    columns: { old: ['cat_code_1'], new: ['category_id1'] },
+    lookups: { im_categories: ['id', 'name'] }
+  });
+
+  const result = await verifyReferences(connection, queries, columnSpecs, 'category', {});
+
+  assert.equal(result.count, 0);
+  assert.deepEqual(result.findings, []);
+  assert.equal(sent.find(query => query.name === 'unmappedCodes').args[1], null);
+});
+
+test('a lookup table that does not exist is an error', async () => {
+  const { sent, queries, connection } = fakeTenant({ columns: { old: [], new: [] }, lookups: {} });
+
+  const result = await verifyReferences(connection, queries, columnSpecs, 'category', { categories: { table: 'cats' } });
+
+  assert.deepEqual(result, { lookup: 'cats', error: 'Table cats does not exist or has no columns' });
+  assert.deepEqual(sent, []);
+});
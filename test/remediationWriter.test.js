@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import RemediationWriter from '../src/remediationWriter.js';
+
+const config = { tables: { old: 'old_flat', new: 'new_flat' }, join_key: 'sku_code' };
+const trimming = { toNewValue: value => value === null ? null : String(value).trim() };
+const columnSpecs = [
+  { type: 'common', oldColumn: 'name', newColumn: 'name', comparator: trimming },
+  { type: 'attribute', oldColumn: 'a1', newColumn: 'a_color', comparator: {} }
+];
+
+// Write one tenant's scripts into a fresh directory and return their
+// statements, without the header comments
+async function writeScripts(write, options) {
+  const directory = await fs.mkdtemp(join(tmpdir(), 'verification-remediation-'));
+  try {
+    const writer = new RemediationWriter(directory, 'tenant_a', options);
+    await writer.open();
+    await writer.prepare({ config, columnSpecs });
+    await write(writer);
+    const [remediationPath, rollbackPath] = await writer.close();
+
+    const read = async path => {
+      const script = await fs.readFile(path, 'utf8');
+      return { script, statements: script.split('\n').filter(line => line && !line.startsWith('--')) };
+    };
+    return { remediation: await read(remediationPath), rollback: await read(rollbackPath) };
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+}
+
+const difference = fields => ({ type: 'common', old_column: 'name', new_column: 'name', sku_code: '1001', old_value: ' Widget ', new_value: 'widget', ...fields });
+
+test('an UPDATE sets the converted old value only where the seen new value remains', async () => {
+  const { remediation, rollback } = await writeScripts(writer => writer.writeDifference(difference()));
+
+  assert.deepEqual(remediation.statements, [
+    'USE `tenant_a`;',
+    'START TRANSACTION;',
+    "UPDATE `new_flat` SET `name` = 'Widget' WHERE `sku_code` = '1001' AND `name` <=> 'widget';",
+    'COMMIT;'
+  ]);
+  assert.deepEqual(rollback.statements, [
+    'USE `tenant_a`;',
+    'START TRANSACTION;',
+    "UPDATE `new_flat` SET `name` = 'widget' WHERE `sku_code` = '1001' AND `name` <=> 'Widget';",
+    'COMMIT;'
+  ]);
+});
+
+test('NULL values are matched with <=> and set as NULL', async () => {
+  const { remediation, rollback } = await writeScripts(writer => writer.writeDifference(difference({ old_value: null })));
+
+  assert.equal(remediation.statements[2], "UPDATE `new_flat` SET `name` = NULL WHERE `sku_code` = '1001' AND `name` <=> 'widget';");
+  assert.equal(rollback.statements[2], "UPDATE `new_flat` SET `name` = 'widget' WHERE `sku_code` = '1001' AND `name` <=> NULL;");
+});
+
+test('a column without toNewValue gets the old value unchanged', async () => {
+  const { remediation } = await writeScripts(writer => writer.writeDifference(
+    difference({ type: 'attribute', old_column: 'a1', new_column: 'a_color', old_value: ' Red ', new_value: 'red' })
+  ));
+
+  assert.equal(remediation.statements[2], "UPDATE `new_flat` SET `a_color` = ' Red ' WHERE `sku_code` = '1001' AND `a_color` <=> 'red';");
+});
+
+test('quotes and backslashes in keys and values are escaped', async () => {
+  const { remediation, rollback } = await writeScripts(writer => writer.writeDifference(
+    difference({ sku_code: "O'Brien\\1", old_value: "it's", new_value: 'C:\\temp' })
+  ));
+
+  assert.equal(remediation.statements[2], "UPDATE `new_flat` SET `name` = 'it\\'s' WHERE `sku_code` = 'O\\'Brien\\\\1' AND `name` <=> 'C:\\\\temp';");
+  assert.equal(rollback.statements[2], "UPDATE `new_flat` SET `name` = 'C:\\\\temp' WHERE `sku_code` = 'O\\'Brien\\\\1' AND `name` <=> 'it\\'s';");
+});
+
+test('statements are committed in batches of statementsPerTransaction', async () => {
+  const { remediation } = await writeScripts(async writer => {
+    for (const sku_code of ['1', '2', '3', '4', '5']) {
+      await writer.writeDifference(difference({ sku_code }));
+    }
+  }, { statementsPerTransaction: 2 });
+
+  const outline = remediation.statements.slice(1).map(statement => statement.startsWith('UPDATE') ? 'UPDATE' : statement);
+  assert.deepEqual(outline, [
+    'START TRANSACTION;', 'UPDATE', 'UPDATE', 'COMMIT;',
+    'START TRANSACTION;', 'UPDATE', 'UPDATE', 'COMMIT;',
+    'START TRANSACTION;', 'UPDATE', 'COMMIT;'
+  ]);
+  assert.match(remediation.script, /-- Batch 3\n/);
+});
+
+test('missing SKUs get an INSERT ... SELECT and a DELETE per batch', async () => {
+  const { remediation, rollback } = await writeScripts(writer => writer.writeMissingSkus({
+    missingInNew: [{ sku_code: '1' }, { sku_code: '2' }, { sku_code: "3'" }]
+  }), { statementsPerTransaction: 2 });
+
+  assert.deepEqual(remediation.statements.filter(statement => !/^(START|COMMIT|USE)/.test(statement)), [
+    'INSERT INTO `new_flat` (`sku_code`, `name`, `a_color`)',
+    'SELECT o.`sku_code`, o.`name`, o.`a1`',
+    'FROM `old_flat` o',
+    "WHERE o.`sku_code` IN ('1', '2');",
+    'INSERT INTO `new_flat` (`sku_code`, `name`, `a_color`)',
+    'SELECT o.`sku_code`, o.`name`, o.`a1`',
+    'FROM `old_flat` o',
+    "WHERE o.`sku_code` IN ('3\\'');"
+  ]);
+  assert.deepEqual(rollback.statements.filter(statement => statement.startsWith('DELETE')), [
+    "DELETE FROM `new_flat` WHERE `sku_code` IN ('1', '2');",
+    "DELETE FROM `new_flat` WHERE `sku_code` IN ('3\\'');"
+  ]);
+});
+
+test('the remediation header says inserted rows are not converted', async () => {
+  const { remediation, rollback } = await writeScripts(() => {});
+
+  assert.match(remediation.script, /INSERT \.\.\. SELECT rows for missing SKUs copy the old values as stored; they\n-- are not converted/);
+  assert.doesNotMatch(rollback.script, /INSERT/);
+  assert.match(remediation.script, /-- Nothing to change\n$/);
+});
+
+test('SKUs only in the new table are left for manual review', async () => {
+  const { remediation } = await writeScripts(writer => writer.writeMissingSkus({ missingInOld: [{ sku_code: '9' }, { sku_code: '10' }] }));
+
+  assert.match(remediation.script, /-- 2 SKU\(s\) exist only in new_flat; they are left for manual review\n/);
+});
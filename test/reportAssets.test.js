@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import ReportGenerator from '../src/reportGenerator.js';
+import { REPORT_SCRIPT, inlineJson } from '../src/reportAssets.js';
+
+test('inlined JSON cannot close its script element and keeps big integers exact', () => {
+  const json = inlineJson({ value: '</script><script>alert(1)</script>', id: 9007199254740993n });
+
+  assert.doesNotMatch(json, /</);
+  assert.deepEqual(JSON.parse(json), { value: '</script><script>alert(1)</script>', id: '9007199254740993' });
+});
+
+test('the report script is valid JavaScript', () => {
+  assert.doesNotThrow(() => new Function(REPORT_SCRIPT));
+});
+
+test('a tenant report loads nothing from the network and embeds its mismatch rows', async () => {
+  const reportsDir = await fs.mkdtemp(join(tmpdir(), 'verification-assets-'));
+  try {
+    const reportGenerator = new ReportGenerator({ reportsDir, runId: 'run-1', formats: ['html'] });
+    await reportGenerator.initialize();
+    const reportPath = await reportGenerator.generateDatabaseReport('tenant_a', {
+      skuMismatches: { missingInNew: [{ sku_code: '1', name: 'Widget </script>' }], missingInOld: [] },
+      commonColumnMismatches: []
+    });
+
+    const html = await fs.readFile(reportPath, 'utf8');
+
+    assert.doesNotMatch(html, /(src|href)="(https?:)?\/\//);
+    assert.match(html, /<style>/);
+    const embedded = [...html.matchAll(/<script type="application\/json" id="[^"]+">(.*?)<\/script>/gs)].map(match => JSON.parse(match[1]));
+    assert.ok(embedded.some(data => data.rows.some(row => row.includes('Widget </script>'))));
+  } finally {
+    await fs.rm(reportsDir, { recursive: true, force: true });
+  }
+});
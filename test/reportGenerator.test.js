@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import ReportGenerator, { RESULTS_SCHEMA_VERSION, loadRunResults } from '../src/reportGenerator.js';
+
+const RUN_ID = '2026-10-19T08-30-00-000Z';
+
+// Run fn with a report generator writing to a fresh directory
+async function withReports(options, fn) {
+  const reportsDir = await fs.mkdtemp(join(tmpdir(), 'verification-reports-'));
+  try {
+    const reportGenerator = new ReportGenerator({ reportsDir, runId: RUN_ID, ...options });
+    await reportGenerator.initialize();
+    return await fn(reportGenerator, join(reportsDir, RUN_ID));
+  } finally {
+    await fs.rm(reportsDir, { recursive: true, force: true });
+  }
+}
+
+const failingResults = {
+  durationMs: 1500,
+  skuMismatches: { missingInNew: ['1', '2'], missingInOld: [] },
+  commonColumnMismatches: []
+};
+
+test('the JUnit report has a suite per tenant and a case per check', async () => {
+  await withReports({ formats: ['junit'], tenantOrder: ['tenant_b', 'tenant_a'] }, async reportGenerator => {
+    reportGenerator.generateMismatchSummary('tenant_a', { commonColumnMismatches: [] });
+    reportGenerator.generateMismatchSummary('tenant_b', failingResults);
+
+    const xml = await fs.readFile(await reportGenerator.generateJUnitReport(), 'utf8');
+
+    assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="item-migration-verification" tests="32" failures="1" errors="0">/);
+    assert.ok(xml.indexOf('name="tenant_b"') < xml.indexOf('name="tenant_a"'));
+    assert.match(xml, /<testsuite name="tenant_b" tests="16" failures="1" errors="0" skipped="14" time="1.500" timestamp="2026-10-19T08:30:00.000Z">/);
+    assert.match(xml, /<testcase classname="tenant_b" name="sku-codes"><failure message="2 SKU\(s\) missing in new table, 0 SKU\(s\) missing in old table" type="mismatch">/);
+    assert.match(xml, /<testcase classname="tenant_a" name="common-column-values"><\/testcase>/);
+  });
+});
+
+test('JUnit messages are escaped and a run id that is not a time has no timestamp', async () => {
+  await withReports({ formats: ['junit'], runId: 'nightly' }, async reportGenerator => {
+    reportGenerator.generateMismatchSummary('tenant_a', { error: 'Unknown column "a<1>" & more\u0001' });
+
+    const xml = await fs.readFile(await reportGenerator.generateJUnitReport(), 'utf8');
+
+    assert.match(xml, /<error message="Unknown column &quot;a&lt;1&gt;&quot; &amp; more" type="error">/);
+    assert.doesNotMatch(xml, /timestamp=/);
+  });
+});
+
+test('results written as JSON are read back in run order', async () => {
+  await withReports({ formats: ['json'], tenantOrder: ['tenant_b', 'tenant_a'] }, async (reportGenerator, runDirectory) => {
+    await reportGenerator.generateDatabaseReport('tenant_a', { commonColumnMismatches: [] });
+    await reportGenerator.generateDatabaseReport('tenant_b', failingResults);
+    await reportGenerator.generateRunJSON();
+
+    const run = JSON.parse(await fs.readFile(join(runDirectory, 'run.json'), 'utf8'));
+    assert.equal(run.status, 'failed');
+    assert.deepEqual(run.tenants.map(tenant => [tenant.database, tenant.status]), [['tenant_b', 'failed'], ['tenant_a', 'passed']]);
+
+    const documents = await loadRunResults(runDirectory);
+    assert.deepEqual(documents.map(document => document.database), ['tenant_b', 'tenant_a']);
+    assert.deepEqual(documents[0].results, failingResults);
+  });
+});
+
+test('without run.json only tenant result documents are read', async () => {
+  await withReports({ formats: ['json'] }, async (reportGenerator, runDirectory) => {
+    await reportGenerator.generateDatabaseReport('tenant_b', failingResults);
+    await reportGenerator.generateDatabaseReport('tenant_a', {});
+    await fs.writeFile(join(runDirectory, 'comparison.json'), JSON.stringify({ schemaVersion: RESULTS_SCHEMA_VERSION }));
+
+    const documents = await loadRunResults(runDirectory);
+
+    assert.deepEqual(documents.map(document => document.database), ['tenant_a', 'tenant_b']);
+  });
+});
+
+test('results of another schema version are refused', async () => {
+  await withReports({ formats: ['json'] }, async (reportGenerator, runDirectory) => {
+    await fs.writeFile(join(runDirectory, 'tenant_a.json'), JSON.stringify({ schemaVersion: 0, database: 'tenant_a', results: {} }));
+
+    await assert.rejects(loadRunResults(runDirectory), new RegExp(`tenant_a.json has results schema version 0, expected ${RESULTS_SCHEMA_VERSION}`));
+  });
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { REPORT_VALUE_SCRIPT, escapeHtml, renderValue, valueParts, valueText } from '../src/reportValues.js';
+
+test('escapeHtml escapes markup and quotes', () => {
+  assert.equal(escapeHtml(`<a href="x" title='y'>&</a>`), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+  assert.equal(escapeHtml(null), '');
+  assert.equal(escapeHtml(0), '0');
+});
+
+test('renderValue escapes every character of a value', () => {
+  assert.equal(renderValue('<script>alert("x")</script>'), '&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;');
+  assert.equal(renderValue('Tom & Jerry'), 'Tom &amp; Jerry');
+});
+
+test('renderValue tells NULL, empty and whitespace-only values apart', () => {
+  assert.equal(renderValue(null), '<em class="value-null">NULL</em>');
+  assert.equal(renderValue(undefined), '<em class="value-null">NULL</em>');
+  assert.equal(renderValue(''), '<em class="value-empty">(empty)</em>');
+  assert.match(renderValue('  '), /^<span class="value-blank" title="Whitespace only">/);
+  assert.equal(renderValue(0), '0');
+});
+
+test('invisible characters get a visible mark', () => {
+  assert.equal(valueText(' a  b\tc\n'), '·a··b⇥c↵');
+  assert.equal(valueText('a\u00A0b'), 'a⍽b');
+  assert.equal(valueText('a\u200Bb'), 'aU+200Bb');
+  assert.equal(valueText('a b'), 'a b');
+  assert.equal(renderValue('a\u200Bb'), 'a<span class="value-mark" title="U+200B">U+200B</span>b');
+});
+
+test('valueParts reads dates as ISO text', () => {
+  const { kind, parts } = valueParts(new Date(Date.UTC(2024, 0, 2)));
+  assert.equal(kind, 'text');
+  assert.deepEqual(parts, [{ text: '2024-01-02T00:00:00.000Z' }]);
+});
+
+test('valueText shows NULL and empty values like the reports', () => {
+  assert.equal(valueText(null), 'NULL');
+  assert.equal(valueText(''), '(empty)');
+  assert.equal(valueText(0), '0');
+});
+
+test('the browser copy of valueParts splits values the same way', () => {
+  const browserValueParts = new Function(`${REPORT_VALUE_SCRIPT}; return valueParts;`)();
+  for (const value of [null, '', '   ', ' a  b\tc\n', 'a\u200Bb', 12]) {
+    assert.deepEqual(browserValueParts(value), valueParts(value));
+  }
+});
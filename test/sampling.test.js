@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { allocate, createSampleEstimator, drawSample, wilsonInterval } from '../src/sampling.js';
+
+const total = strata => strata.reduce((sum, stratum) => sum + stratum.sampled, 0);
+
+// One SKU per stratum first, the other 97 in proportion: 58.2, 29.1 and 9.7,
+// the SKU left over to the largest remainder
+test('allocate shares the sample in proportion to stratum size', () => {
+  const strata = allocate([
+    { stratum: 'shoes', population: 600 },
+    { stratum: 'bags', population: 300 },
+    { stratum: 'hats', population: 100 }
+  ], 100);
+  assert.deepEqual(strata.map(stratum => [stratum.stratum, stratum.sampled]), [['shoes', 59], ['bags', 30], ['hats', 11]]);
+});
+
+test('allocate gives every stratum one SKU and the rest by largest remainder', () => {
+  const strata = allocate([
+    { stratum: 'a', population: 1000 },
+    { stratum: 'b', population: 5 },
+    { stratum: 'c', population: 5 }
+  ], 10);
+  assert.equal(total(strata), 10);
+  assert.ok(strata.every(stratum => stratum.sampled >= 1));
+  assert.equal(strata[0].sampled, 8);
+});
+
+test('allocate never samples more SKUs than a stratum has', () => {
+  const strata = allocate([{ stratum: 'a', population: 2 }, { stratum: 'b', population: 2 }], 10);
+  assert.deepEqual(strata.map(stratum => stratum.sampled), [2, 2]);
+});
+
+test('allocate samples the largest strata when there are more strata than SKUs', () => {
+  const strata = allocate([
+    { stratum: 'small', population: 1 },
+    { stratum: 'large', population: 50 },
+    { stratum: 'medium', population: 10 }
+  ], 2);
+  assert.deepEqual(strata.map(stratum => [stratum.stratum, stratum.sampled]), [['large', 1], ['medium', 1], ['small', 0]]);
+});
+
+test('wilsonInterval brackets the rate within 0 and 1', () => {
+  const { lower, upper } = wilsonInterval(0.1, 100, 1.96);
+  assert.ok(Math.abs(lower - 0.0552) < 1e-4);
+  assert.ok(Math.abs(upper - 0.1744) < 1e-4);
+
+  const none = wilsonInterval(0, 50, 1.96);
+  assert.equal(none.lower, 0);
+  assert.ok(none.upper > 0 && none.upper < 0.1);
+
+  assert.equal(wilsonInterval(1, 50, 1.96).upper, 1);
+  assert.deepEqual(wilsonInterval(0, 0, 1.96), { lower: 0, upper: 1 });
+});
+
+const specs = [{ type: 'common', oldColumn: 'name', newColumn: 'name' }];
+const difference = skuCode => ({ type: 'common', old_column: 'name', new_column: 'name', sku_code: skuCode });
+
+test('a random sample estimates rates with an interval and escalates above the threshold', () => {
+  const estimator = createSampleEstimator({ method: 'random', probabilistic: true, skuCodes: ['a', 'b', 'c', 'd'], population: 100, strata: null });
+  estimator.writeDifference(difference('a'));
+  const [estimate] = estimator.estimate(specs, { escalateAbove: 0.1 });
+  assert.equal(estimate.rate, 0.25);
+  assert.ok(estimate.lower < 0.25 && estimate.upper > 0.25);
+  assert.equal(estimate.aboveThreshold, true);
+});
+
+test('a recent sample gets no interval and never escalates', () => {
+  const estimator = createSampleEstimator({ method: 'recent', probabilistic: false, skuCodes: ['a', 'b', 'c', 'd'], population: 100, strata: null });
+  estimator.writeDifference(difference('a'));
+  const [estimate] = estimator.estimate(specs, { escalateAbove: 0.1 });
+  assert.equal(estimate.rate, 0.25);
+  assert.equal(estimate.lower, null);
+  assert.equal(estimate.upper, null);
+  assert.equal(estimate.aboveThreshold, false);
+});
+
+test('a stratified sample weighs each stratum by its population', () => {
+  const estimator = createSampleEstimator({
+    method: 'stratified',
+    probabilistic: true,
+    skuCodes: ['a', 'b', 'c', 'd'],
+    population: 300,
+    strata: [{ stratum: 'x', population: 200, sampled: 2 }, { stratum: 'y', population: 100, sampled: 2 }],
+    stratumOf: new Map([['a', 0], ['b', 0], ['c', 1], ['d', 1]])
+  });
+  estimator.writeDifference(difference('c'));
+  const [estimate] = estimator.estimate(specs);
+  assert.ok(Math.abs(estimate.rate - 1 / 6) < 1e-9);
+  assert.equal(estimate.mismatches, 1);
+});
+
+test('a sample of every SKU has exact rates', () => {
+  const estimator = createSampleEstimator({ method: 'random', probabilistic: true, skuCodes: ['a', 'b'], population: 2, strata: null });
+  estimator.writeDifference(difference('b'));
+  const [estimate] = estimator.estimate(specs);
+  assert.deepEqual([estimate.rate, estimate.lower, estimate.upper], [0.5, 0.5, 0.5]);
+});
+
+// Sampling queries answered from the matched SKU count and the sampled keys
+function fakeTenant(columns) {
+  const sent = [];
+  const queries = {
+    joinKey: 'sku_code',
+    tables: { old: 'old_flat', new: 'new_flat' },
+    has: (side, name) => columns[side].includes(name),
+    matchedKeyCounts: stratifyBy => ({ kind: 'counts', stratifyBy }),
+    sampleKeys: options => ({ kind: 'keys', ...options })
+  };
+  const connection = {
+    async query(query) {
+      sent.push(query);
+      return query.kind === 'counts' ? [[{ count: 50 }]] : [[{ sku_code: 'a' }, { sku_code: 'b' }]];
+    }
+  };
+  return { sent, queries, connection };
+}
+
+test('a recent sample is not probabilistic and reads the new table first', async () => {
+  const { sent, queries, connection } = fakeTenant({ old: ['updated_at'], new: ['updated_at'] });
+
+  const sample = await drawSample(connection, queries, { method: 'recent', size: 2, escalate_above: 0.01 });
+
+  assert.deepEqual([sample.method, sample.probabilistic, sample.population, sample.skuCodes], ['recent', false, 50, ['a', 'b']]);
+  assert.deepEqual(sent[1].recent, { side: 'new', column: 'updated_at' });
+  assert.deepEqual(sample.notes, ['escalate_above does not apply to a recent sample, which is not random']);
+});
+
+test('a method whose column is missing falls back to a random, probabilistic sample', async () => {
+  const { queries, connection } = fakeTenant({ old: [], new: [] });
+
+  for (const method of ['recent', 'stratified']) {
+    const sample = await drawSample(connection, queries, { method, size: 2 });
+    assert.deepEqual([sample.method, sample.probabilistic], ['random', true]);
+    assert.match(sample.notes[0], /; sampled at random$/);
+  }
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffColumnPair, diffTableSchemas } from '../src/schemaDiff.js';
+
+// A column as getTableSchema describes it
+function column(name, columnType, options = {}) {
+  const dataType = columnType.replace(/[ (].*$/, '');
+  const length = /^(var)?char\((\d+)\)/.exec(columnType)?.[2];
+  return {
+    name,
+    dataType,
+    columnType,
+    length: length ? Number(length) : null,
+    precision: null,
+    scale: null,
+    nullable: true,
+    primary: false,
+    unique: false,
+    indexed: false,
+    ...options
+  };
+}
+
+const checksOf = findings => findings.map(finding => [finding.check, finding.severity]);
+
+test('identical columns have no findings', () => {
+  assert.deepEqual(diffColumnPair(column('name', 'varchar(255)'), column('name', 'varchar(255)')), []);
+});
+
+test('a shorter text column is a truncation risk, text types by their maximum', () => {
+  assert.deepEqual(checksOf(diffColumnPair(column('name', 'varchar(255)'), column('name', 'varchar(100)'))), [['length', 'risk']]);
+  assert.deepEqual(checksOf(diffColumnPair(column('note', 'text'), column('note', 'varchar(1000)'))), [['length', 'risk']]);
+  assert.deepEqual(checksOf(diffColumnPair(column('note', 'varchar(1000)'), column('note', 'mediumtext'))), []);
+});
+
+test('a type family change is a risk, except to text', () => {
+  const [finding] = diffColumnPair(column('qty', 'varchar(20)'), column('qty', 'int'));
+  assert.equal(finding.check, 'type');
+  assert.equal(finding.severity, 'risk');
+  assert.equal(finding.message, 'Type changes from string to number');
+
+  assert.deepEqual(checksOf(diffColumnPair(column('qty', 'int'), column('qty', 'varchar(20)'))), [['type', 'warning']]);
+});
+
+test('narrower integers, lost unsigned and integers as floats are reported', () => {
+  assert.deepEqual(checksOf(diffColumnPair(column('id', 'bigint'), column('id', 'int'))), [['range', 'risk']]);
+  assert.deepEqual(checksOf(diffColumnPair(column('id', 'int unsigned'), column('id', 'int'))), [['range', 'risk']]);
+  assert.deepEqual(checksOf(diffColumnPair(column('id', 'int'), column('id', 'double'))), [['precision', 'warning']]);
+  assert.deepEqual(checksOf(diffColumnPair(column('id', 'int'), column('id', 'bigint'))), []);
+});
+
+test('a decimal losing precision or scale is a risk', () => {
+  const price = (columnType, precision, scale) => column('price', columnType, { precision, scale });
+  const [finding] = diffColumnPair(price('decimal(10,4)', 10, 4), price('decimal(10,2)', 10, 2));
+  assert.equal(finding.message, 'Decimal narrows from (10,4) to (10,2)');
+  assert.deepEqual(diffColumnPair(price('decimal(10,2)', 10, 2), price('decimal(12,2)', 12, 2)), []);
+});
+
+test('datetime becoming timestamp is a range risk', () => {
+  assert.deepEqual(checksOf(diffColumnPair(column('created_at', 'datetime'), column('created_at', 'timestamp'))), [['range', 'risk']]);
+});
+
+test('removed enum members are a risk and added ones are info', () => {
+  const findings = diffColumnPair(column('status', "enum('active','it''s','gone')"), column('status', "enum('active','it''s','new')"));
+  assert.deepEqual(findings.map(finding => [finding.severity, finding.message]), [
+    ['risk', 'Enum narrows; removed members: gone'],
+    ['info', 'Enum widens; added members: new']
+  ]);
+});
+
+test('nullability changes are reported in both directions', () => {
+  assert.deepEqual(checksOf(diffColumnPair(column('name', 'varchar(9)'), column('name', 'varchar(9)', { nullable: false }))), [['nullability', 'risk']]);
+  assert.deepEqual(checksOf(diffColumnPair(column('name', 'varchar(9)', { nullable: false }), column('name', 'varchar(9)'))), [['nullability', 'info']]);
+});
+
+test('keys and indexes that are lost or added are reported', () => {
+  const key = options => column('sku_code', 'varchar(64)', options);
+  assert.deepEqual(checksOf(diffColumnPair(key({ primary: true, indexed: true }), key({ indexed: true }))), [['key', 'risk']]);
+  assert.deepEqual(checksOf(diffColumnPair(key({ unique: true }), key())), [['key', 'risk']]);
+  assert.deepEqual(checksOf(diffColumnPair(key(), key({ unique: true }))), [['key', 'warning']]);
+  assert.deepEqual(checksOf(diffColumnPair(key({ indexed: true }), key())), [['index', 'warning']]);
+});
+
+test('types are checked against column-mapping.json, ignoring integer display widths', () => {
+  const findings = diffColumnPair(column('id', 'int'), column('id', 'int'), { old_type: 'INT(11)', new_type: 'bigint' });
+  assert.deepEqual(findings.map(finding => finding.message), ['New type is int, column-mapping.json expects bigint']);
+});
+
+test('diffTableSchemas checks the join key and each mapped pair once, skipping missing columns', async () => {
+  const schemas = {
+    old_flat: [
+      { COLUMN_NAME: 'SKU_CODE', DATA_TYPE: 'bigint', COLUMN_TYPE: 'bigint', CHARACTER_MAXIMUM_LENGTH: null, NUMERIC_PRECISION: 19, NUMERIC_SCALE: 0, IS_NULLABLE: 'NO' },
+      { COLUMN_NAME: 'name', DATA_TYPE: 'varchar', COLUMN_TYPE: 'varchar(255)', CHARACTER_MAXIMUM_LENGTH: 255, NUMERIC_PRECISION: null, NUMERIC_SCALE: null, IS_NULLABLE: 'YES' }
+    ],
+    new_flat: [
+      { COLUMN_NAME: 'sku_code', DATA_TYPE: 'varchar', COLUMN_TYPE: 'varchar(64)', CHARACTER_MAXIMUM_LENGTH: 64, NUMERIC_PRECISION: null, NUMERIC_SCALE: null, IS_NULLABLE: 'NO' },
+      { COLUMN_NAME: 'name', DATA_TYPE: 'varchar', COLUMN_TYPE: 'varchar(100)', CHARACTER_MAXIMUM_LENGTH: 100, NUMERIC_PRECISION: null, NUMERIC_SCALE: null, IS_NULLABLE: 'YES' }
+    ]
+  };
+  const indexes = {
+    old_flat: [{ INDEX_NAME: 'PRIMARY', NON_UNIQUE: 0, COLUMN_NAME: 'SKU_CODE', SEQ_IN_INDEX: 1 }],
+    new_flat: [{ INDEX_NAME: 'uq_sku', NON_UNIQUE: '0', COLUMN_NAME: 'sku_code', SEQ_IN_INDEX: 1 }]
+  };
+  const connection = {
+    query: async (sql, [table]) => [sql.includes('STATISTICS') ? indexes[table] : schemas[table]]
+  };
+  const specs = [
+    { oldColumn: 'name', newColumn: 'name' },
+    { oldColumn: 'name', newColumn: 'name' },
+    { oldColumn: 'a1', newColumn: 'a_color' }
+  ];
+
+  const result = await diffTableSchemas(connection, specs, { tables: { old: 'old_flat', new: 'new_flat' } });
+
+  assert.equal(result.columnsChecked, 2);
+  assert.deepEqual(result.findings.map(finding => [finding.new_column, finding.check]), [['sku_code', 'type'], ['name', 'length']]);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_LIFECYCLE_SETTINGS, describeLifecycle, resolveLifecycle, verifyLifecycle } from '../src/skuLifecycle.js';
+
+const queriesWith = columns => ({
+  joinKey: 'sku_code',
+  tables: { old: 'old_flat', new: 'new_flat' },
+  has: (side, name) => columns[side].includes(name),
+  lifecycleCounts: lifecycle => ({ kind: 'counts', lifecycle }),
+  lifecycleMismatches: (lifecycle, names) => ({ kind: 'mismatches', names })
+});
+
+test('lifecycles are described by the state on each side', () => {
+  assert.equal(describeLifecycle('deleted', 'deleted'), 'soft-deleted in both');
+  assert.equal(describeLifecycle('live', 'inactive'), 'live in old / inactive in new');
+});
+
+test('the default columns are read where the tables have them', () => {
+  const lifecycle = resolveLifecycle(queriesWith({ old: ['is_active', 'deleted_at'], new: ['is_active'] }), { enabled: true });
+
+  assert.deepEqual(lifecycle, {
+    statusColumn: { old: DEFAULT_LIFECYCLE_SETTINGS.status_column, new: DEFAULT_LIFECYCLE_SETTINGS.status_column },
+    deletedColumn: { old: DEFAULT_LIFECYCLE_SETTINGS.deleted_column, new: null },
+    activeValue: DEFAULT_LIFECYCLE_SETTINGS.active_value,
+    deletedBefore: null,
+    states: null,
+    missingColumns: ['deleted_at missing in new_flat']
+  });
+});
+
+test('configured columns and scope replace the defaults', () => {
+  const lifecycle = resolveLifecycle(queriesWith({ old: ['status'], new: ['status'] }), {
+    status_column: 'status',
+    active_value: 'A',
+    deleted_column: null,
+    scope: { deleted_before: '2026-01-01', states: ['live'] }
+  });
+
+  assert.deepEqual(lifecycle.statusColumn, { old: 'status', new: 'status' });
+  assert.deepEqual(lifecycle.deletedColumn, { old: null, new: null });
+  assert.deepEqual([lifecycle.activeValue, lifecycle.deletedBefore, lifecycle.states, lifecycle.missingColumns], ['A', '2026-01-01', ['live'], []]);
+});
+
+test('state pairs are counted, differing ones first, and the SKUs of those are listed', async () => {
+  const queries = queriesWith({ old: [], new: [] });
+  const sent = [];
+  const connection = {
+    async query(query) {
+      sent.push(query);
+      if (query.kind === 'counts') {
+        return [[
+          { old_state: 'live', new_state: 'live', count: 90 },
+          { old_state: 'live', new_state: 'deleted', count: '2' },
+          { old_state: 'inactive', new_state: 'live', count: 5 }
+        ]];
+      }
+      return [[{ sku_code: '7', name: 'Widget', old_state: 'live', new_state: 'deleted' }]];
+    }
+  };
+
+  const result = await verifyLifecycle(connection, queries, { missingColumns: [] }, { names: ['name'] });
+
+  assert.deepEqual(result.states.map(state => [state.label, state.count, state.consistent]), [
+    ['inactive in old / live in new', 5, false],
+    ['live in old / soft-deleted in new', 2, false],
+    ['live in both', 90, true]
+  ]);
+  assert.deepEqual([result.skusChecked, result.mismatchCount], [97, 7]);
+  assert.deepEqual(result.mismatches, [
+    { sku_code: '7', name: 'Widget', old_state: 'live', new_state: 'deleted', lifecycle: 'live in old / soft-deleted in new' }
+  ]);
+  assert.deepEqual(sent[1].names, ['name']);
+});
+
+test('SKUs are not listed when every state pair agrees', async () => {
+  const sent = [];
+  const connection = {
+    async query(query) {
+      sent.push(query);
+      return [[{ old_state: 'deleted', new_state: 'deleted', count: 3 }]];
+    }
+  };
+
+  const result = await verifyLifecycle(connection, queriesWith({ old: [], new: [] }), { missingColumns: ['x'] });
+
+  assert.deepEqual([result.mismatchCount, result.mismatches, result.missingColumns], [0, [], ['x']]);
+  assert.equal(sent.length, 1);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTextDiffer, diffText, unifiedDiff } from '../src/textDiff.js';
+
+// The old and new text an edit script stands for
+const sides = ops => ({
+  old: ops.filter(part => part.op !== 'insert').map(part => part.text).join(''),
+  new: ops.filter(part => part.op !== 'delete').map(part => part.text).join('')
+});
+
+test('diffText marks changed words and diffs similar words by character', () => {
+  const { ops, similarity } = diffText('The colour of the sky', 'The color of the sea');
+  assert.deepEqual(ops, [
+    { op: 'equal', text: 'The colo' },
+    { op: 'delete', text: 'u' },
+    { op: 'equal', text: 'r of the ' },
+    { op: 'delete', text: 'sky' },
+    { op: 'insert', text: 'sea' }
+  ]);
+  assert.ok(similarity > 0.8 && similarity < 1);
+});
+
+test('diffText ops rebuild both texts', () => {
+  const oldText = 'Soft cotton shirt,\nmachine washable.\nMade in Portugal.';
+  const newText = 'Soft organic cotton shirt;\nmachine washable.\nMade in Spain!';
+  assert.deepEqual(sides(diffText(oldText, newText).ops), { old: oldText, new: newText });
+});
+
+test('diffText similarity runs from 0 to 1', () => {
+  assert.equal(diffText('', '').similarity, 1);
+  assert.equal(diffText('same', 'same').similarity, 1);
+  assert.equal(diffText('abc', 'xyz').similarity, 0);
+});
+
+test('diffText never splits a word at the common start or end', () => {
+  const { ops } = diffText('shirts', 'shirty');
+  assert.equal(ops[0].op, 'equal');
+  assert.equal(ops[0].text, 'shirt');
+  assert.deepEqual(sides(diffText('red', 'reddish').ops), { old: 'red', new: 'reddish' });
+});
+
+test('diffText keeps only the common start and end of texts beyond maxLength', () => {
+  const { ops } = diffText('start one two end', 'start three four end', { maxLength: 10 });
+  assert.deepEqual(ops, [
+    { op: 'equal', text: 'start ' },
+    { op: 'delete', text: 'one two' },
+    { op: 'insert', text: 'three four' },
+    { op: 'equal', text: ' end' }
+  ]);
+});
+
+test('unifiedDiff numbers hunks with context lines', () => {
+  const oldText = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i'].join('\n');
+  const newText = ['a', 'B', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'].join('\n');
+  assert.equal(unifiedDiff(oldText, newText, { oldLabel: 'old', newLabel: 'new' }), [
+    '--- old',
+    '+++ new',
+    '@@ -1,5 +1,5 @@',
+    ' a',
+    '-b',
+    '+B',
+    ' c',
+    ' d',
+    ' e',
+    '@@ -7,3 +7,4 @@',
+    ' g',
+    ' h',
+    ' i',
+    '+j'
+  ].join('\n'));
+});
+
+test('unifiedDiff numbers an empty side by the line before it', () => {
+  assert.equal(unifiedDiff('', 'a'), '--- old\n+++ new\n@@ -0,0 +1,1 @@\n+a');
+});
+
+test('createTextDiffer only diffs matching columns with values on both sides', () => {
+  const differ = createTextDiffer({ columns: ['long_description', 'a_description*'] });
+  const difference = { old_column: 'a_description_en', new_column: 'description_en', old_value: 'hello world', new_value: 'hello there world' };
+
+  const diff = differ.diff(difference);
+  assert.deepEqual(diff.ops, [['equal', 'hello '], ['insert', 'there '], ['equal', 'world']]);
+  assert.equal(diff.similarity, 0.7857);
+  assert.match(diff.diff, /^--- a_description_en\n\+\+\+ description_en\n/);
+
+  assert.equal(differ.diff({ ...difference, old_column: 'name', new_column: 'name' }), null);
+  assert.equal(differ.diff({ ...difference, new_value: null }), null);
+});